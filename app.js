@@ -0,0 +1,267 @@
+// App
+// File: app.js
+//
+// createApp() wires the services and feature routers into an Express app and
+// returns it without listening, touching the schema or starting any timer —
+// server.js does those. Pass a fixture Xero source and a throwaway pool and
+// the whole API runs in-process:
+//
+//   const app = createApp({ pool, xeroSource: createFixtureXeroSource({ dir }) });
+//
+// xeroSource is the RAW source (xero-node or fixtures); the rate-limit
+// scheduler and response cache are layered on here. clock.now() is the only
+// "today" the services and routes read, so a test can pin it.
+//
+// Router order matters: the auth router mounts the access gate, so
+// everything after it (static files included) requires a session.
+
+import crypto from "crypto";
+import express from "express";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import { createXeroConnectionStore } from "./lib/xero-connections.js";
+import { createApprovalMaxConnectionStore } from "./lib/approvalmax-connection.js";
+import { createTokenCipher } from "./lib/token-crypto.js";
+import { XERO_SOURCE_METHODS } from "./lib/xero-source.js";
+import { createTenantResolver } from "./lib/tenant-resolver.js";
+import { createEntityAccess } from "./lib/entity-access.js";
+import { createApiKeyStore } from "./lib/api-keys.js";
+import { createAuditLog } from "./lib/audit-log.js";
+import { createOAuthStateStore } from "./lib/oauth-state.js";
+import { createJobScheduler } from "./lib/job-scheduler.js";
+import { createSnapshotVersions } from "./lib/snapshot-versions.js";
+import { createCachedXeroSource } from "./lib/xero-cache.js";
+import { createXeroScheduler } from "./lib/xero-scheduler.js";
+import { createNotifier } from "./lib/notifier.js";
+import { createInventorySource } from "./lib/inventory-source.js";
+import { mountReports } from "./lib/report-registry.js";
+import { toApiError, sendError, errorMiddleware, apiNotFound } from "./lib/api-errors.js";
+import { createSchema } from "./services/schema.js";
+import { createTokenStorage, createAutoRefresh } from "./services/token-storage.js";
+import { createXeroReports } from "./services/xero-reports.js";
+import { createSnapshotService, defineSnapshotJobs, getOrgShortName } from "./services/snapshots.js";
+import { createConnectionHealthMonitor } from "./services/connection-health.js";
+import { createApprovalMaxService } from "./services/approvalmax.js";
+import { createAuthRouter } from "./routes/auth.js";
+import { createSystemRouter } from "./routes/system.js";
+import { createReportsRouter } from "./routes/reports.js";
+import { createReversalsRouter } from "./routes/reversals.js";
+import { createSnapshotsRouter } from "./routes/snapshots.js";
+import { createReportsNarrativeRouter } from "./routes/reports-narrative.js";
+import { createAiRouter } from "./routes/ai.js";
+import { createApprovalMaxRouter } from "./routes/approvalmax.js";
+
+const publicDir = path.join(dirname(fileURLToPath(import.meta.url)), "public");
+
+function createApp({
+  pool,
+  xeroSource: rawXeroSource,
+  clock = { now: () => new Date() },
+  tokenCipher = createTokenCipher(),
+  xeroConnections = createXeroConnectionStore({ pool, cipher: tokenCipher }),
+  approvalMaxConnection = createApprovalMaxConnectionStore({ pool, cipher: tokenCipher }),
+  notifier = createNotifier(),
+  inventorySource = createInventorySource({ clock }),
+}) {
+  const tokenStorage = createTokenStorage({
+    pool,
+    xeroConnections,
+    approvalMaxConnection,
+    xeroSource: rawXeroSource,
+  });
+
+  // Organisation name / alias -> tenant. Every route that accepts an
+  // organizationName goes through this; see lib/tenant-resolver.js.
+  const tenantResolver = createTenantResolver({
+    pool,
+    listTenants: () => tokenStorage.getAllXeroConnections(),
+  });
+
+  // Which entities each signed-in person may see; see lib/entity-access.js.
+  const entityAccess = createEntityAccess({ pool });
+
+  // Hashed, scoped, revocable keys for machine callers; see lib/api-keys.js.
+  const apiKeys = createApiKeyStore({ pool, clock });
+
+  // Append-only record of every change made through the API; see lib/audit-log.js.
+  const auditLog = createAuditLog({ pool });
+
+  // Single-use OAuth state (and PKCE verifier) for /auth; see lib/oauth-state.js.
+  const oauthStates = createOAuthStateStore({ pool, clock });
+
+  // Calls that miss the cache queue through the rate-limit scheduler
+  // (lib/xero-scheduler.js) — per-tenant concurrency and minute budgets,
+  // Retry-After on 429, backoff on 5xx. No hand-rolled sleeps between calls.
+  const xeroScheduler = createXeroScheduler();
+
+  // ...and the response cache (lib/xero-cache.js) sits on top. P&L periods
+  // that are final in monthly_snapshots are cached with no expiry.
+  const xeroSource = createCachedXeroSource(xeroScheduler.wrapSource(rawXeroSource, XERO_SOURCE_METHODS), {
+    methods: XERO_SOURCE_METHODS,
+    isFinalPeriod: async (tenantId, periodMonths) => {
+      const conn = (await tokenStorage.getAllXeroConnections()).find((c) => c.tenantId === tenantId);
+      if (!conn) return false;
+      const result = await pool.query(
+        `SELECT COUNT(DISTINCT period_month)::int AS final_count FROM monthly_snapshots
+         WHERE org = $1 AND period_month = ANY($2) AND snapshot_status = 'final'`,
+        [getOrgShortName(conn.tenantName), periodMonths]
+      );
+      return result.rows[0].final_count === periodMonths.length;
+    },
+  });
+
+  const xeroReports = createXeroReports({ xeroSource, tokenStorage, clock });
+  const approvalMax = createApprovalMaxService({ tokenStorage, tenantResolver, clock });
+  // Every change to a month's P&L snapshot kept as a version; see lib/snapshot-versions.js.
+  const snapshotVersions = createSnapshotVersions({ pool });
+  const snapshots = createSnapshotService({
+    pool, xeroSource, tokenStorage, xeroReports, inventorySource, auditLog, snapshotVersions, clock,
+  });
+  // Background Xero and ApprovalMax connection checks, alerting through the
+  // notifier (lib/notifier.js); a failed auto-refresh triggers one straight away.
+  const connectionHealth = createConnectionHealthMonitor({ pool, xeroConnections, approvalMaxConnection, notifier, clock });
+  // Durable cron jobs with a leader lock (lib/job-scheduler.js); the daily
+  // snapshot and its step retries are two.
+  const jobScheduler = createJobScheduler({ pool, clock });
+  defineSnapshotJobs({ jobScheduler, snapshots });
+  const schema = createSchema({
+    pool, xeroConnections, approvalMaxConnection, tenantResolver, entityAccess, apiKeys, auditLog, oauthStates,
+    connectionHealth, jobScheduler, snapshotVersions,
+  });
+  const autoRefresh = createAutoRefresh({
+    tokenStorage,
+    onRefreshFailed: () => {
+      connectionHealth.runCheck("refresh-failure").catch((err) => {
+        console.error("[connection-health] refresh-failure check failed:", err);
+      });
+    },
+  });
+
+  // Resolve an organizationName (or tenant ID / alias) from a request to one
+  // tenant the caller may see. On failure sends TENANT_NOT_FOUND /
+  // TENANT_AMBIGUOUS (with candidates) and returns null, so callers just
+  // `if (!entity) return;`.
+  async function resolveTenantOrRespond(req, res, organizationName, options) {
+    try {
+      return await tenantResolver.resolve(organizationName, { ...options, tenants: req.auth?.tenants });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      sendError(res, error);
+      return null;
+    }
+  }
+
+  // Every router that declares reports mounts them through here, so
+  // /api/mcp/tools sees the full list whichever router they live in.
+  const reports = [];
+  const ctx = {
+    pool,
+    clock,
+    publicDir,
+    tokenCipher,
+    xeroConnections,
+    approvalMaxConnection,
+    tokenStorage,
+    tenantResolver,
+    entityAccess,
+    apiKeys,
+    auditLog,
+    oauthStates,
+    xeroScheduler,
+    xeroSource,
+    xeroReports,
+    approvalMax,
+    snapshots,
+    snapshotVersions,
+    jobScheduler,
+    autoRefresh,
+    connectionHealth,
+    resolveTenantOrRespond,
+    reports,
+    mountReports: (router, list) => {
+      reports.push(...list);
+      mountReports(router, list, {
+        resolveTenant: resolveTenantOrRespond,
+        onError: (res, error, report) => {
+          if (toApiError(error).statusCode >= 500) console.error(`${report.name} API error:`, error);
+          sendError(res, error);
+        },
+      });
+    },
+  };
+
+  const app = express();
+
+  // Middleware
+  // Every request gets an id — the caller's X-Request-Id if it sent a sane
+  // one — echoed back and stored on any audit event it causes.
+  app.use((req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+  });
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.use(createAuthRouter(ctx));
+  app.use(express.static(publicDir, { index: false }));
+
+  app.use(createSystemRouter(ctx));
+  app.use(createReportsRouter(ctx));
+  app.use(createReversalsRouter(ctx));
+  app.use(createSnapshotsRouter(ctx));
+  app.use(createReportsNarrativeRouter(ctx));
+  app.use(createAiRouter(ctx));
+  app.use(createApprovalMaxRouter(ctx));
+
+  // Route configuration
+  // "/" = Connection Manager (clean utility page)
+  // "/dashboard" = CEO2 Visual Dashboard (primary working view)
+  app.get("/", (req, res) => {
+    res.sendFile(path.join(publicDir, "login-manager.html"));
+  });
+
+  // Connection health history (services/connection-health.js)
+  app.get("/connection-health", (req, res) => {
+    res.sendFile(path.join(publicDir, "connection-health.html"));
+  });
+
+  // CEO2 Visual Dashboard - primary working view
+  app.get("/dashboard", (req, res) => {
+    res.sendFile(path.join(publicDir, "index-CEO-NEW.html"));
+  });
+
+  // Anything that fell through: unknown /api paths and errors passed to
+  // next(err) (malformed JSON bodies included) leave in the error envelope.
+  app.use("/api", apiNotFound);
+  app.use(errorMiddleware);
+
+  // What the entry point needs to boot (schema, timers) and a test needs
+  // to reach past HTTP.
+  app.locals.services = {
+    schema,
+    autoRefresh,
+    jobScheduler,
+    connectionHealth,
+    notifier,
+    tokenStorage,
+    tenantResolver,
+    entityAccess,
+    apiKeys,
+    auditLog,
+    oauthStates,
+    xeroConnections,
+    approvalMaxConnection,
+    xeroScheduler,
+    xeroSource,
+    xeroReports,
+    approvalMax,
+    snapshots,
+    snapshotVersions,
+  };
+
+  return app;
+}
+
+export { createApp };
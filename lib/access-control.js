@@ -0,0 +1,97 @@
+// Access control
+// File: access-control.js
+//
+// Roles, from least to most trusted:
+//
+//   viewer          read-only dashboard — every report, chart and AI chat
+//   analyst         + working edits: report narrative, cache purge, token
+//                   refresh, tenant aliases, scheduler / rotation views
+//   finance-admin   + the irreversible or history-changing operations:
+//                   finalise months, delete metrics rows, backfills, manual
+//                   snapshot runs, the database debug view
+//
+// Each role includes everything below it. A person's role comes from their
+// Entra (Microsoft) group memberships at sign-in — the highest role any of
+// their groups maps to. Someone in none of the mapped groups gets no role
+// and is refused at /sso/verify.
+//
+// Every /api route declares the role it needs with requireRole(); the gate
+// (routes/auth.js) only establishes who is calling and puts their role on
+// req.auth.
+
+import { apiError, sendError } from './api-errors.js';
+
+const ROLES = ['viewer', 'analyst', 'finance-admin'];
+
+// Entra group ID -> role. The two groups that could sign in before roles
+// existed keep full access; SSO_GROUP_ROLES adds groups or overrides these, e.g.
+//   SSO_GROUP_ROLES="<board group id>=viewer,<analysts group id>=analyst"
+const DEFAULT_GROUP_ROLES = {
+    '3ea2c51f-5740-47f9-ae66-6bb835a25eeb': 'finance-admin', // SSO-Finance
+    '5f79bf88-bca7-4109-8a0b-fdd49dc5eb1e': 'finance-admin', // SSO-IT-Admin
+};
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+function parseGroupRoles(spec) {
+    const out = {};
+    for (const pair of String(spec || '').split(',')) {
+        if (!pair.trim()) continue;
+        const [groupId, role] = pair.split('=').map((s) => s.trim());
+        if (!groupId || !isRole(role)) {
+            throw new Error(`SSO_GROUP_ROLES: bad entry "${pair.trim()}" — expected <groupId>=<${ROLES.join('|')}>`);
+        }
+        out[groupId.toLowerCase()] = role;
+    }
+    return out;
+}
+
+function loadGroupRoles(env = process.env) {
+    return { ...DEFAULT_GROUP_ROLES, ...parseGroupRoles(env.SSO_GROUP_ROLES) };
+}
+
+// Highest role any of the groups grants, or null.
+function roleForGroups(groupIds, groupRoles) {
+    let best = null;
+    for (const id of groupIds || []) {
+        const role = groupRoles[String(id).toLowerCase()];
+        if (role && (!best || ROLES.indexOf(role) > ROLES.indexOf(best))) best = role;
+    }
+    return best;
+}
+
+// The role plus every role it includes: 'analyst' -> ['viewer', 'analyst'].
+function rolesIncludedIn(role) {
+    return isRole(role) ? ROLES.slice(0, ROLES.indexOf(role) + 1) : [];
+}
+
+function hasRole(role, required) {
+    return isRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Route middleware: router.post("/api/finalize-month", requireRole("finance-admin"), ...)
+function requireRole(required) {
+    if (!isRole(required)) throw new Error(`requireRole: unknown role ${required}`);
+    return (req, res, next) => {
+        const role = req.auth?.role;
+        if (!role) return sendError(res, apiError('UNAUTHENTICATED', 'Sign in required'));
+        if (!hasRole(role, required)) {
+            return sendError(res, apiError('FORBIDDEN', `This needs the ${required} role`, { required, role }));
+        }
+        next();
+    };
+}
+
+export {
+    ROLES,
+    DEFAULT_GROUP_ROLES,
+    isRole,
+    parseGroupRoles,
+    loadGroupRoles,
+    roleForGroups,
+    rolesIncludedIn,
+    hasRole,
+    requireRole,
+};
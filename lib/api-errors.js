@@ -0,0 +1,138 @@
+// API errors
+// File: api-errors.js
+//
+// Every error an /api route returns has one shape:
+//
+//   { "error": { "code": "TENANT_NOT_FOUND", "message": "...", "details": { ... } } }
+//
+// `code` is the contract — the dashboard and the MCP server branch on it,
+// never on `message`, which is for people and can change. `details` is
+// optional and code-specific (validation problems, ambiguous-name
+// candidates, Retry-After seconds).
+//
+// Throw apiError(code, message, details) anywhere below a route and let
+// sendError() / errorMiddleware render it. Errors that weren't raised that
+// way — xero-node rejections, older `err.statusCode` errors, plain bugs —
+// are classified by toApiError() so they still come out with a code.
+
+import { describeXeroError } from './xero-scheduler.js';
+
+// code -> HTTP status
+const ERROR_CODES = {
+    VALIDATION_FAILED: 400,   // bad params/body — details.problems lists each one
+    UNAUTHENTICATED: 401,     // no dashboard session / API key
+    TOKEN_EXPIRED: 401,       // Xero/ApprovalMax token gone or refused — reconnect at /auth
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    TENANT_NOT_FOUND: 404,    // no entity matches the name / ID
+    TENANT_AMBIGUOUS: 409,    // name matches several entities — details.candidates
+    CONFLICT: 409,
+    XERO_RATE_LIMITED: 429,   // Xero (or our scheduler's daily budget) said wait — details.retryAfterSeconds
+    INTERNAL_ERROR: 500,
+    XERO_ERROR: 502,          // Xero failed or rejected a request we thought was valid
+    APPROVALMAX_ERROR: 502,   // same, for the ApprovalMax API
+    NOT_CONFIGURED: 503,      // integration not connected / env not set
+};
+
+const XERO_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN']);
+
+function apiError(code, message, details) {
+    if (!ERROR_CODES[code]) throw new Error(`apiError: unknown code ${code}`);
+    const err = new Error(message);
+    err.code = code;
+    err.statusCode = ERROR_CODES[code];
+    if (details) err.details = details;
+    return err;
+}
+
+function isApiError(err) {
+    return Boolean(err && typeof err === 'object' && ERROR_CODES[err.code] && err.statusCode);
+}
+
+function isXeroError(err) {
+    if (typeof err === 'string') return true; // xero-node rejects with JSON strings
+    return Boolean(err && typeof err === 'object' && err.response && (err.response.statusCode || err.response.status));
+}
+
+function xeroMessage(err) {
+    let body = err;
+    if (typeof err === 'string') {
+        try { body = JSON.parse(err); } catch { return err; }
+    }
+    const b = body?.response?.body || body?.body || {};
+    return b.Detail || b.Message || b.message || b.Title || body?.message || 'Xero request failed';
+}
+
+// Classify anything thrown below a route.
+function toApiError(err) {
+    if (isApiError(err)) return err;
+
+    if (err && err.type === 'entity.parse.failed') {
+        return apiError('VALIDATION_FAILED', 'Request body is not valid JSON');
+    }
+
+    if (isXeroError(err)) {
+        const { status, headers } = describeXeroError(err);
+        if (status === 401 || status === 403) {
+            return apiError('TOKEN_EXPIRED', `Xero refused the request (${status}) — the connection needs re-authorising at /auth`);
+        }
+        if (status === 429) {
+            const retryAfter = parseInt(headers?.['retry-after'] ?? headers?.['Retry-After'], 10);
+            return apiError('XERO_RATE_LIMITED', 'Xero rate limit reached — try again shortly',
+                Number.isFinite(retryAfter) ? { retryAfterSeconds: retryAfter } : undefined);
+        }
+        if (status === 404) return apiError('NOT_FOUND', xeroMessage(err));
+        return apiError('XERO_ERROR', `Xero error${status ? ` ${status}` : ''}: ${xeroMessage(err)}`);
+    }
+
+    // Older errors that only carry a status.
+    const status = err?.statusCode;
+    const message = err?.message || 'Internal error';
+    if (status === 400) return apiError('VALIDATION_FAILED', message, err.problems ? { problems: err.problems } : undefined);
+    if (status === 401) return apiError('UNAUTHENTICATED', message);
+    if (status === 403) return apiError('FORBIDDEN', message);
+    if (status === 404) return apiError('NOT_FOUND', message);
+    if (status === 409) return apiError(err.candidates ? 'TENANT_AMBIGUOUS' : 'CONFLICT', message, err.candidates ? { candidates: err.candidates } : undefined);
+    if (status === 429) return apiError('XERO_RATE_LIMITED', message);
+    if (status === 503) return apiError('NOT_CONFIGURED', message);
+    if (XERO_NETWORK_CODES.has(err?.code)) return apiError('XERO_ERROR', `Could not reach Xero (${err.code})`);
+
+    const internal = apiError('INTERNAL_ERROR', message);
+    internal.cause = err;
+    return internal;
+}
+
+function errorBody(err) {
+    return {
+        error: {
+            code: err.code,
+            message: err.message,
+            ...(err.details ? { details: err.details } : {}),
+        },
+    };
+}
+
+function sendError(res, error) {
+    const err = toApiError(error);
+    if (err.code === 'XERO_RATE_LIMITED' && err.details?.retryAfterSeconds) {
+        res.set('Retry-After', String(err.details.retryAfterSeconds));
+    }
+    return res.status(err.statusCode).json(errorBody(err));
+}
+
+// Last app.use(): anything passed to next(err), including body-parser's
+// malformed-JSON errors. Unexpected (5xx) errors are logged here; routes
+// that catch their own errors log before calling sendError().
+function errorMiddleware(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    const apiErr = toApiError(err);
+    if (apiErr.statusCode >= 500) console.error(`[api] ${req.method} ${req.path} failed:`, err);
+    return sendError(res, apiErr);
+}
+
+// Unknown /api paths get the envelope instead of Express's HTML 404.
+function apiNotFound(req, res) {
+    sendError(res, apiError('NOT_FOUND', `No route ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+export { ERROR_CODES, apiError, toApiError, sendError, errorMiddleware, apiNotFound };
@@ -0,0 +1,191 @@
+// API keys
+// File: api-keys.js
+//
+// Machine callers (the MCP server, scripts) sign in with a key in the
+// x-internal-api-key header instead of a Microsoft session. Each key is a row
+// in api_keys:
+//
+//   name        who it was issued to ("MCP server", "month-end script")
+//   scopes      what it may do — each scope grants a role (access-control.js):
+//                 read-reports     -> viewer
+//                 write-overrides  -> analyst
+//                 admin            -> finance-admin
+//   tenant_ids  entities it may see (NULL = all; see entity-access.js)
+//   expires_at  optional; revoked_at once revoked. Either stops it at once.
+//   last_used_at
+//
+// Only a SHA-256 of the key is stored. Keys are 24 random bytes, so a fast
+// hash is enough — there is nothing to brute-force. A presented key is looked
+// up by its first 12 characters and compared hash-to-hash with
+// crypto.timingSafeEqual. The full key is shown once, when it is minted.
+//
+// importKey() adopts an existing secret (the old INTERNAL_API_KEY) as a row so
+// it can be listed and revoked like any other.
+
+import crypto from 'crypto';
+import { apiError } from './api-errors.js';
+import { ROLES } from './access-control.js';
+
+const KEY_PREFIX = 'rac_';
+const PREFIX_LENGTH = 12;
+const LAST_USED_EVERY_MS = 60 * 1000;
+const SCOPE_ROLES = {
+    'read-reports': 'viewer',
+    'write-overrides': 'analyst',
+    admin: 'finance-admin',
+};
+const SCOPES = Object.keys(SCOPE_ROLES);
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Highest role any of the scopes grants, or null.
+function roleForScopes(scopes) {
+    let best = null;
+    for (const scope of scopes || []) {
+        const role = SCOPE_ROLES[scope];
+        if (role && (!best || ROLES.indexOf(role) > ROLES.indexOf(best))) best = role;
+    }
+    return best;
+}
+
+function createApiKeyStore({ pool, clock = { now: () => new Date() } }) {
+    const lastUsedWritten = new Map(); // id -> ms of last last_used_at write
+
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                name TEXT NOT NULL,
+                key_prefix VARCHAR(16) NOT NULL,
+                key_hash CHAR(64) NOT NULL UNIQUE,
+                scopes TEXT[] NOT NULL,
+                tenant_ids TEXT[],
+                expires_at TIMESTAMP,
+                last_used_at TIMESTAMP,
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                revoked_at TIMESTAMP,
+                revoked_by TEXT
+            )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS api_keys_prefix ON api_keys (key_prefix)');
+    }
+
+    function checkScopes(scopes) {
+        const bad = (scopes || []).filter((s) => !SCOPES.includes(s));
+        if (!scopes?.length || bad.length) {
+            throw apiError('VALIDATION_FAILED', `scopes must be one or more of ${SCOPES.join(', ')}`);
+        }
+    }
+
+    async function insert(key, { name, scopes, tenantIds = null, expiresAt = null, createdBy = null }) {
+        const { rows } = await pool.query(
+            `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, tenant_ids, expires_at, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING id`,
+            [name, key.slice(0, PREFIX_LENGTH), hashKey(key), scopes, tenantIds, expiresAt, createdBy]
+        );
+        console.log(`[api-keys] #${rows[0].id} "${name}" issued (${scopes.join(', ')})${createdBy ? ` by ${createdBy}` : ''}`);
+        return rows[0].id;
+    }
+
+    // A new key. The returned `key` is the only time the secret exists
+    // outside the caller's hands.
+    async function mint({ name, scopes, tenantIds = null, expiresAt = null, createdBy = null }) {
+        checkScopes(scopes);
+        const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+        const id = await insert(key, { name, scopes, tenantIds, expiresAt, createdBy });
+        return { id, key, name, scopes, tenantIds, expiresAt };
+    }
+
+    // Adopt an existing secret. A no-op if it's already a row — revoked
+    // included, so a revoked legacy key isn't brought back on the next boot.
+    async function importKey(key, { name, scopes, createdBy = null }) {
+        checkScopes(scopes);
+        if (String(key).length < PREFIX_LENGTH) {
+            console.error(`[api-keys] not importing "${name}" — keys must be at least ${PREFIX_LENGTH} characters`);
+            return null;
+        }
+        const { rows } = await pool.query('SELECT id FROM api_keys WHERE key_hash = $1', [hashKey(key)]);
+        if (rows.length) return null;
+        return insert(key, { name, scopes, createdBy });
+    }
+
+    async function list() {
+        const { rows } = await pool.query(
+            `SELECT id, name, key_prefix, scopes, tenant_ids, expires_at, last_used_at,
+                    created_by, created_at, revoked_at, revoked_by
+             FROM api_keys ORDER BY created_at DESC`
+        );
+        const now = clock.now().getTime();
+        return rows.map((r) => ({
+            id: r.id,
+            name: r.name,
+            prefix: r.key_prefix,
+            scopes: r.scopes,
+            tenantIds: r.tenant_ids,
+            expiresAt: r.expires_at,
+            lastUsedAt: r.last_used_at,
+            createdBy: r.created_by,
+            createdAt: r.created_at,
+            revokedAt: r.revoked_at,
+            revokedBy: r.revoked_by,
+            active: !r.revoked_at && (!r.expires_at || new Date(r.expires_at).getTime() > now),
+        }));
+    }
+
+    // The revoked key's { id, name, scopes }, or null if there was no
+    // active key with that id.
+    async function revoke(id, { revokedBy = null } = {}) {
+        const { rows } = await pool.query(
+            `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+             WHERE id = $1 AND revoked_at IS NULL
+             RETURNING id, name, scopes`,
+            [id, revokedBy]
+        );
+        if (!rows[0]) return null;
+        console.log(`[api-keys] #${id} revoked${revokedBy ? ` by ${revokedBy}` : ''}`);
+        return { id: rows[0].id, name: rows[0].name, scopes: rows[0].scopes };
+    }
+
+    // Presented key -> req.auth for it, or null if it's unknown, revoked or
+    // expired.
+    async function authenticate(key) {
+        if (typeof key !== 'string' || key.length < PREFIX_LENGTH) return null;
+        const presented = Buffer.from(hashKey(key), 'hex');
+        const { rows } = await pool.query(
+            `SELECT id, name, key_hash, scopes, tenant_ids, expires_at
+             FROM api_keys WHERE key_prefix = $1 AND revoked_at IS NULL`,
+            [key.slice(0, PREFIX_LENGTH)]
+        );
+        const now = clock.now();
+        const row = rows.find((r) => crypto.timingSafeEqual(Buffer.from(r.key_hash, 'hex'), presented));
+        if (!row || (row.expires_at && new Date(row.expires_at) <= now)) return null;
+        const role = roleForScopes(row.scopes);
+        if (!role) return null;
+
+        // last_used_at is a "still in use?" signal, not an access log — one
+        // write a minute per key is plenty.
+        if (now.getTime() - (lastUsedWritten.get(row.id) || 0) >= LAST_USED_EVERY_MS) {
+            lastUsedWritten.set(row.id, now.getTime());
+            pool.query('UPDATE api_keys SET last_used_at = $2 WHERE id = $1', [row.id, now])
+                .catch((err) => console.error(`[api-keys] last_used_at update failed for #${row.id}:`, err.message));
+        }
+
+        return {
+            userId: `api-key:${row.id}`,
+            name: row.name,
+            role,
+            apiKey: true,
+            keyId: row.id,
+            scopes: row.scopes,
+            keyTenants: row.tenant_ids ? row.tenant_ids.map((t) => t.toLowerCase()) : null,
+        };
+    }
+
+    return { ensureSchema, mint, importKey, list, revoke, authenticate };
+}
+
+export { createApiKeyStore, roleForScopes, hashKey, SCOPES, SCOPE_ROLES };
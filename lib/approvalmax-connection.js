@@ -0,0 +1,315 @@
+// ApprovalMax connection store
+// File: approvalmax-connection.js
+//
+// The one ApprovalMax OAuth grant (approvalmax_tokens, integration_key
+// 'approvalmax_integration') and its refresh chain. Same rules as the Xero
+// connections in xero-connections.js:
+//
+//   - getToken() refreshes just-in-time when the access token has less than
+//     REFRESH_MARGIN_MS left, and the auto-refresh sweep calls
+//     refreshIfExpiring() so an idle integration doesn't lapse;
+//   - every refresh single-flights in-process and takes a Postgres advisory
+//     lock, re-reading the row after the lock so a token another instance
+//     just rotated is reused rather than spent again;
+//   - each attempt is recorded in approvalmax_token_rotations (rotated /
+//     reused / failed) with token fingerprints;
+//   - a refresh token the identity server rejects (invalid_grant) marks the
+//     row status = 'reauth_required' until the next /auth?provider=approvalmax.
+//
+// Tokens are encrypted at rest by the injected cipher (token-crypto.js).
+
+import os from 'os';
+import fetch from 'node-fetch';
+import { createTokenCipher } from './token-crypto.js';
+import { tokenFingerprint, REFRESH_MARGIN_MS } from './xero-connections.js';
+
+const INTEGRATION_KEY = 'approvalmax_integration';
+const TOKEN_URL = 'https://identity.approvalmax.com/connect/token';
+
+// Advisory lock key ("AMX"), distinct from the Xero refresh lock namespace.
+const REFRESH_LOCK_NAMESPACE = 0x414d58;
+
+// The scheduled sweep refreshes once less than this is left.
+const SWEEP_MARGIN_MS = 10 * 60 * 1000;
+
+const INSTANCE_ID = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}`;
+
+function isReauthError(err) {
+    const msg = String(err?.message || '');
+    return msg.includes('invalid_grant') || msg.includes('unauthorized_client');
+}
+
+function createApprovalMaxConnectionStore({
+    pool,
+    cipher = createTokenCipher(),
+    clientId = process.env.APPROVALMAX_CLIENT_ID,
+    clientSecret = process.env.APPROVALMAX_CLIENT_SECRET,
+    tokenUrl = TOKEN_URL,
+} = {}) {
+    // In-flight refresh promise (single-flight guard)
+    let inflight = null;
+
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS approvalmax_tokens (
+                id SERIAL PRIMARY KEY,
+                integration_key VARCHAR(255) UNIQUE NOT NULL,
+                access_token TEXT NOT NULL,
+                refresh_token TEXT,
+                expires_at BIGINT NOT NULL,
+                organizations JSONB,
+                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Envelope-encryption columns (see token-crypto.js), then refresh state.
+        await pool.query(`
+            ALTER TABLE approvalmax_tokens
+            ADD COLUMN IF NOT EXISTS enc_key_id VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS enc_data_key TEXT,
+            ADD COLUMN IF NOT EXISTS status VARCHAR(30) DEFAULT 'active',
+            ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMP
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS approvalmax_token_rotations (
+                id SERIAL PRIMARY KEY,
+                outcome VARCHAR(20) NOT NULL,
+                reason VARCHAR(50),
+                old_token_fp VARCHAR(16),
+                new_token_fp VARCHAR(16),
+                error TEXT,
+                instance_id VARCHAR(255),
+                rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_approvalmax_token_rotations_at
+            ON approvalmax_token_rotations (rotated_at DESC)
+        `);
+    }
+
+    async function readRow(db = pool) {
+        const { rows } = await db.query('SELECT * FROM approvalmax_tokens WHERE integration_key = $1', [INTEGRATION_KEY]);
+        const row = cipher.decryptTokens(rows[0]);
+        return row ? { ...row, expires_at: Number(row.expires_at) } : null;
+    }
+
+    // Store the token set from the OAuth callback. A fresh consent starts a
+    // new chain, so the status goes back to active.
+    async function upsert(tokenSet, organizations) {
+        const enc = cipher.encryptTokens(tokenSet);
+        await pool.query(
+            `INSERT INTO approvalmax_tokens
+               (integration_key, access_token, refresh_token, expires_at, organizations, enc_key_id, enc_data_key, status, last_seen)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', CURRENT_TIMESTAMP)
+             ON CONFLICT (integration_key)
+             DO UPDATE SET
+               access_token = $2,
+               refresh_token = $3,
+               expires_at = $4,
+               organizations = $5,
+               enc_key_id = $6,
+               enc_data_key = $7,
+               status = 'active',
+               last_seen = CURRENT_TIMESTAMP,
+               updated_at = CURRENT_TIMESTAMP`,
+            [
+                INTEGRATION_KEY,
+                enc.access_token,
+                enc.refresh_token,
+                Date.now() + tokenSet.expires_in * 1000,
+                JSON.stringify(organizations),
+                enc.enc_key_id,
+                enc.enc_data_key,
+            ]
+        );
+    }
+
+    async function logRotation(db, { outcome, reason, oldToken, newToken, error }) {
+        await db.query(
+            `INSERT INTO approvalmax_token_rotations (outcome, reason, old_token_fp, new_token_fp, error, instance_id)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [outcome, reason, tokenFingerprint(oldToken), tokenFingerprint(newToken), error || null, INSTANCE_ID]
+        );
+    }
+
+    async function requestRefresh(refreshToken) {
+        const response = await fetch(tokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken,
+                client_id: clientId,
+                client_secret: clientSecret,
+            }),
+        });
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`ApprovalMax token refresh failed: ${response.status} - ${errorBody}`);
+        }
+        return response.json();
+    }
+
+    async function doRefresh({ reason, force, margin }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1, $2)', [REFRESH_LOCK_NAMESPACE, 1]);
+
+            // Re-read under the lock — another instance may have rotated
+            // while we were waiting.
+            const row = await readRow(client);
+            if (!row) throw new Error('ApprovalMax is not connected');
+
+            if (!force && row.expires_at > Date.now() + margin) {
+                await logRotation(client, { outcome: 'reused', reason, oldToken: row.refresh_token, newToken: row.refresh_token });
+                await client.query('COMMIT');
+                return row;
+            }
+
+            let tokenSet;
+            try {
+                if (!row.refresh_token) throw new Error('No refresh token available');
+                tokenSet = await requestRefresh(row.refresh_token);
+            } catch (err) {
+                const requiresReauth = isReauthError(err);
+                if (requiresReauth) {
+                    await client.query(
+                        `UPDATE approvalmax_tokens SET status = 'reauth_required', updated_at = CURRENT_TIMESTAMP
+                         WHERE integration_key = $1`,
+                        [INTEGRATION_KEY]
+                    );
+                    console.error('[approvalmax-conn] refresh chain broken - manual re-auth required');
+                }
+                await logRotation(client, { outcome: 'failed', reason, oldToken: row.refresh_token, error: err.message });
+                await client.query('COMMIT');
+                err.requiresReauth = requiresReauth;
+                throw err;
+            }
+
+            // The identity server may not rotate the refresh token; keep
+            // the current one if it sends none back.
+            const refreshToken = tokenSet.refresh_token || row.refresh_token;
+            const enc = cipher.encryptTokens({ access_token: tokenSet.access_token, refresh_token: refreshToken });
+            await client.query(
+                `UPDATE approvalmax_tokens
+                 SET access_token = $1, refresh_token = $2, expires_at = $3, status = 'active',
+                     enc_key_id = $4, enc_data_key = $5,
+                     last_refreshed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE integration_key = $6`,
+                [enc.access_token, enc.refresh_token, Date.now() + tokenSet.expires_in * 1000, enc.enc_key_id, enc.enc_data_key, INTEGRATION_KEY]
+            );
+            await logRotation(client, { outcome: 'rotated', reason, oldToken: row.refresh_token, newToken: refreshToken });
+            const updated = await readRow(client);
+            await client.query('COMMIT');
+            console.log(`[approvalmax-conn] token rotated (${reason})`);
+            return updated;
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Refresh the token set. reason is free text for the rotation log
+    // ('jit' | 'scheduled' | 'manual' | 'rejected'); force skips the
+    // "someone already refreshed" check, which otherwise reuses a token with
+    // more than `margin` left.
+    function refresh({ reason = 'jit', force = false, margin = REFRESH_MARGIN_MS } = {}) {
+        if (inflight) return inflight;
+        inflight = doRefresh({ reason, force, margin }).finally(() => {
+            inflight = null;
+        });
+        return inflight;
+    }
+
+    // The current token, refreshed just-in-time if it's expiring. null when
+    // ApprovalMax was never connected or the refresh fails.
+    async function getToken() {
+        let row = await readRow();
+        if (!row) return null;
+
+        if (row.expires_at < Date.now() + REFRESH_MARGIN_MS) {
+            if (row.status === 'reauth_required') return null;
+            try {
+                row = await refresh({ reason: 'jit' });
+            } catch (err) {
+                console.error('[approvalmax-conn] JIT refresh failed:', err.message);
+                return null;
+            }
+        }
+        return row;
+    }
+
+    // Called by the auto-refresh sweep. null when there is nothing to do;
+    // otherwise the refreshed row (or the error is thrown). A chain already
+    // marked for re-auth is left alone — retrying a rejected token can't
+    // succeed.
+    async function refreshIfExpiring({ reason = 'scheduled' } = {}) {
+        const row = await readRow();
+        if (!row || !row.refresh_token || row.status === 'reauth_required') return null;
+        if (row.expires_at > Date.now() + SWEEP_MARGIN_MS) return null;
+        return refresh({ reason, margin: SWEEP_MARGIN_MS });
+    }
+
+    async function latestRotation() {
+        const { rows } = await pool.query(
+            `SELECT outcome, reason, error, rotated_at FROM approvalmax_token_rotations
+             ORDER BY rotated_at DESC LIMIT 1`
+        );
+        return rows[0]
+            ? { outcome: rows[0].outcome, reason: rows[0].reason, error: rows[0].error, rotatedAt: rows[0].rotated_at }
+            : null;
+    }
+
+    // Expiry and refresh state without touching the token — for status
+    // endpoints and the health monitor. null when never connected.
+    async function getStatus() {
+        const [row, rotation] = await Promise.all([readRow(), latestRotation()]);
+        if (!row) return null;
+        const now = Date.now();
+        let status = 'connected';
+        if (row.status === 'reauth_required') status = 'reauth_required';
+        else if (row.expires_at <= now && !row.refresh_token) status = 'expired';
+        return {
+            status,
+            connected: status === 'connected',
+            expiresAt: row.expires_at,
+            minutesUntilExpiry: Math.floor((row.expires_at - now) / (1000 * 60)),
+            hasRefreshToken: Boolean(row.refresh_token),
+            organizationCount: row.organizations ? row.organizations.length : 0,
+            lastSeen: row.last_seen.toISOString(),
+            lastRefreshedAt: row.last_refreshed_at ? row.last_refreshed_at.toISOString() : null,
+            lastRotation: rotation,
+        };
+    }
+
+    async function getRotationLog({ limit = 50 } = {}) {
+        const { rows } = await pool.query(
+            `SELECT id, outcome, reason, old_token_fp, new_token_fp, error, instance_id, rotated_at
+             FROM approvalmax_token_rotations
+             ORDER BY rotated_at DESC
+             LIMIT $1`,
+            [Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)]
+        );
+        return rows;
+    }
+
+    return {
+        ensureSchema,
+        upsert,
+        refresh,
+        getToken,
+        refreshIfExpiring,
+        getStatus,
+        latestRotation,
+        getRotationLog,
+    };
+}
+
+export { createApprovalMaxConnectionStore };
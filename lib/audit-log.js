@@ -0,0 +1,155 @@
+// Audit log
+// File: audit-log.js
+//
+// Append-only record of every change made through the API, in audit_events:
+//
+//   actor       actorOf(req) — email, api-key:<name>, or scheduler
+//   action      what happened, noun.verb: 'monthly_snapshot.finalize',
+//               'daily_metrics.delete', 'report_section.save', ...
+//   org         the snapshot org name (short name) it touched, if any
+//   period      'YYYY-MM' for monthly rows, 'YYYY-MM-DD' for daily ones
+//   tenant_id   the Xero tenant, when known — entity-scoped readers only
+//               see events for their tenants
+//   before      the row(s) as they were (JSON), NULL for inserts
+//   after       the row(s) as written (JSON), NULL for deletes
+//   request_id  the X-Request-Id of the request that did it
+//
+// "Append-only" is enforced by Postgres, not by convention: a trigger rejects
+// UPDATE, DELETE and TRUNCATE on the table.
+//
+// Writes to reported figures and narrative record the event in the same
+// transaction as the change (inTransaction + record(event, client)), so one
+// can't be committed without the other. Settings changes (aliases, entity
+// permissions, API keys) are recorded straight after they succeed.
+
+import { actorOf } from './session.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// BEGIN / COMMIT around fn(client), for a change and its event to land
+// together. ROLLBACK and rethrow on any error.
+async function inTransaction(pool, fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// The who/which-request half of an event, from the request making the change.
+function auditContext(req) {
+    return { actor: actorOf(req), requestId: req.id || null };
+}
+
+function createAuditLog({ pool }) {
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id BIGSERIAL PRIMARY KEY,
+                occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                actor TEXT NOT NULL,
+                action VARCHAR(100) NOT NULL,
+                org TEXT,
+                period VARCHAR(10),
+                tenant_id VARCHAR(255),
+                before JSONB,
+                after JSONB,
+                request_id VARCHAR(100)
+            )
+        `);
+        await pool.query('CREATE INDEX IF NOT EXISTS audit_events_org_period ON audit_events (LOWER(org), period)');
+        await pool.query('CREATE INDEX IF NOT EXISTS audit_events_action ON audit_events (action, occurred_at)');
+        await pool.query('CREATE INDEX IF NOT EXISTS audit_events_occurred ON audit_events (occurred_at)');
+        await pool.query(`
+            CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+            BEGIN
+                RAISE EXCEPTION 'audit_events is append-only';
+            END;
+            $$ LANGUAGE plpgsql
+        `);
+        await pool.query('DROP TRIGGER IF EXISTS audit_events_no_change ON audit_events');
+        await pool.query(`
+            CREATE TRIGGER audit_events_no_change BEFORE UPDATE OR DELETE ON audit_events
+            FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+        `);
+        await pool.query('DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events');
+        await pool.query(`
+            CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+            FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only()
+        `);
+    }
+
+    // db: the transaction client when the change has one, so both commit or
+    // neither does.
+    async function record({ actor, requestId = null, action, org = null, period = null, tenantId = null, before = null, after = null }, db = pool) {
+        // pg would send a JS array as a Postgres array — stringify for JSONB.
+        const json = (v) => (v == null ? null : JSON.stringify(v));
+        const { rows } = await db.query(
+            `INSERT INTO audit_events (actor, action, org, period, tenant_id, before, after, request_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             RETURNING id`,
+            [actor || 'unknown', action, org, period, tenantId, json(before), json(after), requestId]
+        );
+        return rows[0].id;
+    }
+
+    // Filters are all optional. period matches as a prefix, so '2026-04'
+    // also finds the daily rows in April. cursor: the last id of the previous
+    // page, in the same order. tenants: the caller's entity scope (null =
+    // everything); scoped callers don't see events with no tenant.
+    async function query({
+        actor, action, org, period, tenantId, requestId, from, to, cursor,
+        order = 'desc', limit = DEFAULT_LIMIT,
+    } = {}, { tenants = null } = {}) {
+        const where = [];
+        const params = [];
+        const add = (sql, value) => {
+            params.push(value);
+            where.push(sql.replace('?', `$${params.length}`));
+        };
+        if (actor) add('LOWER(actor) = LOWER(?)', actor);
+        if (action) add('action = ?', action);
+        if (org) add('LOWER(org) = LOWER(?)', org);
+        if (period) add(`period LIKE ? || '%'`, period);
+        if (tenantId) add('LOWER(tenant_id) = LOWER(?)', tenantId);
+        if (requestId) add('request_id = ?', requestId);
+        if (from) add('occurred_at >= ?::date', from);
+        if (to) add(`occurred_at < ?::date + INTERVAL '1 day'`, to);
+        if (cursor) add(order === 'asc' ? 'id > ?' : 'id < ?', cursor);
+        if (tenants) add('LOWER(tenant_id) = ANY(?)', tenants);
+
+        params.push(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT));
+        const { rows } = await pool.query(
+            `SELECT id, occurred_at, actor, action, org, period, tenant_id, before, after, request_id
+             FROM audit_events
+             ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+             ORDER BY id ${order === 'asc' ? 'ASC' : 'DESC'}
+             LIMIT $${params.length}`,
+            params
+        );
+        return rows.map((r) => ({
+            id: Number(r.id),
+            occurredAt: r.occurred_at,
+            actor: r.actor,
+            action: r.action,
+            org: r.org,
+            period: r.period,
+            tenantId: r.tenant_id,
+            before: r.before,
+            after: r.after,
+            requestId: r.request_id,
+        }));
+    }
+
+    return { ensureSchema, record, query };
+}
+
+export { createAuditLog, auditContext, inTransaction };
@@ -107,4 +107,41 @@ function summarise(expenseCategories) {
     };
 }
 
-export { classify, summarise, BUCKETS  };
\ No newline at end of file
+// Supplier concentration within each bucket, from bill lines of the form
+// { supplier, accountName, amount }. Each bucket lists its suppliers largest
+// first with their share (0-100) of the bucket, plus the top supplier's and
+// top three's combined share — IN is the procurement figure the dashboard
+// reads. Lines are classified by account name exactly as summarise() does.
+function summariseSuppliers(lines) {
+    const bySupplier = Object.fromEntries(BUCKETS.map(b => [b, {}]));
+
+    for (const line of lines || []) {
+        const amount = Number(line.amount) || 0;
+        if (!amount) continue;
+        const bucket = classify(line.accountName);
+        const name = line.supplier || 'Unknown';
+        bySupplier[bucket][name] = (bySupplier[bucket][name] || 0) + amount;
+    }
+
+    const r2 = n => Math.round(n * 100) / 100;
+    const share = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+
+    const buckets = {};
+    for (const b of BUCKETS) {
+        const suppliers = Object.entries(bySupplier[b])
+            .map(([name, amount]) => ({ name, amount }))
+            .sort((x, y) => y.amount - x.amount);
+        const total = suppliers.reduce((sum, s) => sum + s.amount, 0);
+        const topN = n => share(suppliers.slice(0, n).reduce((sum, s) => sum + s.amount, 0), total);
+        buckets[b] = {
+            total: r2(total),
+            supplierCount: suppliers.length,
+            top1Share: topN(1),
+            top3Share: topN(3),
+            suppliers: suppliers.map(s => ({ name: s.name, amount: r2(s.amount), share: share(s.amount, total) })),
+        };
+    }
+    return buckets;
+}
+
+export { classify, summarise, summariseSuppliers, BUCKETS  };
\ No newline at end of file
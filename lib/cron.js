@@ -0,0 +1,149 @@
+// Cron expressions
+// File: cron.js
+//
+// Five-field cron (minute hour day-of-month month day-of-week), evaluated in
+// an IANA time zone rather than the server's — Railway runs in UTC, the
+// business runs on Darwin time. Each field takes `*`, a number, a range
+// `a-b`, a step `*/n` or `a-b/n`, or a comma list of those. Day-of-week is
+// 0-6 from Sunday (7 is also Sunday). Month and day names aren't supported.
+//
+// As in Vixie cron, when both day-of-month and day-of-week are restricted a
+// day matching either one matches.
+//
+//   nextCronTime('0 6 * * *', new Date(), 'Australia/Darwin')
+//     -> the next 06:00 in Darwin, as a Date
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day-of-month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day-of-week', min: 0, max: 7 },
+];
+
+// Far enough to find a 29 February that only exists in leap years.
+const MAX_SEARCH_DAYS = 366 * 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseField(text, { name, min, max }, expr) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!m) throw new Error(`Invalid cron expression "${expr}": bad ${name} "${part}"`);
+        let from = min;
+        let to = max;
+        if (m[1] !== '*') {
+            from = Number(m[2]);
+            to = m[3] !== undefined ? Number(m[3]) : (m[4] !== undefined ? max : from);
+        }
+        const step = m[4] !== undefined ? Number(m[4]) : 1;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid cron expression "${expr}": ${name} "${part}" is not a range within ${min}-${max}`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+function parseCron(expr) {
+    const fields = String(expr || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expr}": expected 5 fields, got ${fields.length}`);
+    }
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((f, i) => parseField(f, FIELDS[i], expr));
+    if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+    return {
+        expr: fields.join(' '),
+        minute: [...minute].sort((a, b) => a - b),
+        hour: [...hour].sort((a, b) => a - b),
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        anyDayOfMonth: fields[2] === '*',
+        anyDayOfWeek: fields[4] === '*',
+    };
+}
+
+function assertTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (e) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+    }
+}
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+    let f = formatters.get(timeZone);
+    if (!f) {
+        f = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        });
+        formatters.set(timeZone, f);
+    }
+    return f;
+}
+
+// Wall-clock fields of an instant in a zone.
+function wallClock(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of formatterFor(timeZone).formatToParts(date)) parts[type] = Number(value);
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+// The zone's offset from UTC at an instant, in ms.
+function offsetAt(ms, timeZone) {
+    const w = wallClock(new Date(ms), timeZone);
+    return Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// The instant a wall-clock time happens in a zone, or null if it doesn't
+// (skipped by a daylight-saving change).
+function zonedTime(year, month, day, hour, minute, timeZone) {
+    const naive = Date.UTC(year, month - 1, day, hour, minute);
+    let ms = naive - offsetAt(naive, timeZone);
+    ms = naive - offsetAt(ms, timeZone);
+    const w = wallClock(new Date(ms), timeZone);
+    if (w.year !== year || w.month !== month || w.day !== day || w.hour !== hour || w.minute !== minute) return null;
+    return new Date(ms);
+}
+
+function dayMatches(cron, year, month, day) {
+    if (!cron.month.has(month)) return false;
+    const dom = cron.dayOfMonth.has(day);
+    const dow = cron.dayOfWeek.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+    if (cron.anyDayOfMonth) return dow;
+    if (cron.anyDayOfWeek) return dom;
+    return dom || dow;
+}
+
+// First time strictly after `after` that the expression fires in timeZone.
+// cron is an expression or the result of parseCron().
+function nextCronTime(cron, after, timeZone = 'UTC') {
+    const c = typeof cron === 'string' ? parseCron(cron) : cron;
+    const start = wallClock(after, timeZone);
+    const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+    for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+        const d = new Date(startDay + i * DAY_MS);
+        const year = d.getUTCFullYear();
+        const month = d.getUTCMonth() + 1;
+        const day = d.getUTCDate();
+        if (!dayMatches(c, year, month, day)) continue;
+
+        for (const hour of c.hour) {
+            if (i === 0 && hour < start.hour) continue;
+            for (const minute of c.minute) {
+                if (i === 0 && hour === start.hour && minute < start.minute) continue;
+                const at = zonedTime(year, month, day, hour, minute, timeZone);
+                if (at && at > after) return at;
+            }
+        }
+    }
+    throw new Error(`Cron expression "${c.expr}" never fires`);
+}
+
+export { parseCron, nextCronTime, assertTimeZone };
@@ -0,0 +1,66 @@
+// CSRF protection
+// File: csrf.js
+//
+// The dashboard session is a cookie, and the browser sends it with any
+// request to this host — including a form another site submits. So every
+// state-changing request (POST, PUT, PATCH, DELETE) signed in by cookie must
+// come from one of our own pages: its Origin header (or, failing that, its
+// Referer) has to be this host or one listed in APP_ORIGINS
+// (comma-separated, e.g. https://dashboard.example.com). Anything else —
+// including a request with neither header — gets 403 FORBIDDEN.
+//
+// Requests carrying x-internal-api-key are exempt: the key is the credential,
+// nothing ambient, and a cross-site page can't add that header without a
+// CORS preflight this app never grants. Safe methods are never checked.
+
+import { apiError, sendError } from './api-errors.js';
+
+const UNSAFE_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+function parseOrigins(value) {
+    return (value || '')
+        .split(',')
+        .map((o) => o.trim().replace(/\/+$/, '').toLowerCase())
+        .filter(Boolean);
+}
+
+// Origin of the request as the browser states it: the Origin header, or
+// the origin part of Referer. null if neither is usable.
+function requestOrigin(req) {
+    const origin = req.get('origin');
+    if (origin && origin !== 'null') return origin.toLowerCase();
+    const referer = req.get('referer');
+    if (!referer) return null;
+    try {
+        return new URL(referer).origin.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+}
+
+function createOriginCheck({ allowedOrigins = parseOrigins(process.env.APP_ORIGINS) } = {}) {
+    const allowed = new Set(allowedOrigins);
+
+    return function originCheck(req, res, next) {
+        if (!UNSAFE_METHODS.has(req.method) || req.headers['x-internal-api-key']) return next();
+
+        const origin = requestOrigin(req);
+        let host = null;
+        try {
+            host = origin && new URL(origin).host;
+        } catch (e) {
+            host = null;
+        }
+        const ownHosts = [req.get('host'), req.get('x-forwarded-host')]
+            .filter(Boolean)
+            .map((h) => h.split(',')[0].trim().toLowerCase());
+        if (origin && (allowed.has(origin) || ownHosts.includes(host))) return next();
+
+        console.error(`[csrf] refused ${req.method} ${req.path} from origin ${origin || '(none)'}`);
+        return sendError(res, apiError('FORBIDDEN', 'Cross-site request refused', {
+            reason: origin ? 'origin_not_allowed' : 'origin_missing',
+        }));
+    };
+}
+
+export { createOriginCheck, parseOrigins, requestOrigin };
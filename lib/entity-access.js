@@ -0,0 +1,154 @@
+// Entity access
+// File: entity-access.js
+//
+// Which of the seven entities a signed-in person may see. Grants live in
+// entity_permissions, one row per (principal, tenant):
+//
+//   principal_type  'user'  — principal is an Entra object ID or an email
+//                   'group' — principal is an Entra group ID
+//   tenant_id       a Xero tenant ID, or '*' for every entity
+//
+// A person's scope is the union of the rows for them and for their groups,
+// read from the live table on each request (cached for a minute), so a
+// grant or revoke — to a person or to a group — reaches sessions that are
+// already signed in. The session carries every group from the Microsoft
+// token for that reason.
+//
+// Rolling it out:
+//   - While the table is empty nobody is restricted — everyone who could
+//     sign in before this existed still sees all seven.
+//   - Once it has any row, a viewer or analyst needs a grant of their own
+//     (or a group's) to see anything: no matching rows means no entities,
+//     and '*' means all of them.
+//   - A finance-admin with no matching rows keeps every entity, so the first
+//     grant doesn't lock out the people who manage grants. Give them a row
+//     and they're scoped like anyone else.
+// API keys carry their own entity list (lib/api-keys.js) and ignore this
+// table.
+//
+// The gate (routes/auth.js) puts the scope on req.auth.tenants: null for
+// everything, otherwise an array of tenant IDs (empty for none). Anything that names a
+// tenant or fans out across tenants narrows to it:
+//   - tenantResolver.resolve(name, { tenants })  other entities don't exist
+//   - assertTenantAccess(auth, tenantId)          FORBIDDEN for a raw ID
+//   - inScope(auth, connections)                  consolidated fan-outs
+
+import { apiError } from './api-errors.js';
+
+const ALL_TENANTS = '*';
+const SCOPE_TTL_MS = 60 * 1000;
+const PRINCIPAL_TYPES = ['user', 'group'];
+
+function createEntityAccess({ pool, ttlMs = SCOPE_TTL_MS }) {
+    const cache = new Map(); // principal key -> { tenants, expires }
+
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS entity_permissions (
+                id SERIAL PRIMARY KEY,
+                principal_type VARCHAR(10) NOT NULL,
+                principal TEXT NOT NULL,
+                tenant_id VARCHAR(255) NOT NULL,
+                created_by TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS entity_permissions_unique
+            ON entity_permissions (principal_type, LOWER(principal), LOWER(tenant_id))
+        `);
+    }
+
+    // null = every entity; otherwise the tenant IDs this person may see,
+    // [] when the table has grants but none for them (finance-admins excepted).
+    async function scopeFor(auth) {
+        if (!auth) return null;
+        if (auth.apiKey) return auth.keyTenants || null;
+        const users = [auth.userId, auth.email].filter(Boolean).map((s) => s.toLowerCase());
+        const groups = (auth.groups || []).map((g) => g.toLowerCase());
+        const key = `${auth.role}#${users.join('|')}#${groups.join('|')}`;
+
+        const hit = cache.get(key);
+        if (hit && hit.expires > Date.now()) return hit.tenants;
+
+        const { rows } = await pool.query(
+            `SELECT DISTINCT LOWER(tenant_id) AS tenant_id FROM entity_permissions
+             WHERE (principal_type = 'user' AND LOWER(principal) = ANY($1))
+                OR (principal_type = 'group' AND LOWER(principal) = ANY($2))`,
+            [users, groups]
+        );
+        const ids = rows.map((r) => r.tenant_id);
+        let tenants = ids.includes(ALL_TENANTS) ? null : ids;
+        if (ids.length === 0 && auth.role === 'finance-admin') {
+            tenants = null;
+        } else if (ids.length === 0) {
+            const { rows: any } = await pool.query('SELECT 1 FROM entity_permissions LIMIT 1');
+            if (any.length === 0) tenants = null;
+        }
+        cache.set(key, { tenants, expires: Date.now() + ttlMs });
+        return tenants;
+    }
+
+    async function listGrants() {
+        const { rows } = await pool.query(
+            `SELECT id, principal_type, principal, tenant_id, created_by, created_at
+             FROM entity_permissions ORDER BY principal_type, principal, tenant_id`
+        );
+        return rows.map((r) => ({
+            id: r.id,
+            principalType: r.principal_type,
+            principal: r.principal,
+            tenantId: r.tenant_id,
+            createdBy: r.created_by,
+            createdAt: r.created_at,
+        }));
+    }
+
+    async function grant({ principalType, principal, tenantId, createdBy = null }) {
+        if (!PRINCIPAL_TYPES.includes(principalType)) {
+            throw apiError('VALIDATION_FAILED', `principalType must be one of ${PRINCIPAL_TYPES.join(', ')}`);
+        }
+        const { rows } = await pool.query(
+            `INSERT INTO entity_permissions (principal_type, principal, tenant_id, created_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (principal_type, LOWER(principal), LOWER(tenant_id)) DO UPDATE SET created_by = EXCLUDED.created_by
+             RETURNING id`,
+            [principalType, String(principal).trim(), tenantId, createdBy]
+        );
+        cache.clear();
+        console.log(`[entity-access] ${principalType} ${principal} -> ${tenantId}${createdBy ? ` (by ${createdBy})` : ''}`);
+        return rows[0].id;
+    }
+
+    // The removed grant, or null if there was none with that id.
+    async function revoke(id) {
+        const { rows } = await pool.query(
+            'DELETE FROM entity_permissions WHERE id = $1 RETURNING id, principal_type, principal, tenant_id',
+            [id]
+        );
+        cache.clear();
+        const r = rows[0];
+        return r ? { id: r.id, principalType: r.principal_type, principal: r.principal, tenantId: r.tenant_id } : null;
+    }
+
+    return { ensureSchema, scopeFor, listGrants, grant, revoke };
+}
+
+function canSeeTenant(auth, tenantId) {
+    const tenants = auth?.tenants;
+    return !tenants || tenants.includes(String(tenantId).toLowerCase());
+}
+
+// Narrow a list of { tenantId, ... } (connections, entities) to the caller's scope.
+function inScope(auth, list) {
+    return auth?.tenants ? list.filter((item) => canSeeTenant(auth, item.tenantId)) : list;
+}
+
+// For routes that take a raw tenant ID rather than going through the resolver.
+function assertTenantAccess(auth, tenantId) {
+    if (!canSeeTenant(auth, tenantId)) {
+        throw apiError('FORBIDDEN', 'You do not have access to this entity', { tenantId });
+    }
+}
+
+export { createEntityAccess, canSeeTenant, inScope, assertTenantAccess, ALL_TENANTS, PRINCIPAL_TYPES };
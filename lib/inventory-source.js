@@ -0,0 +1,43 @@
+// Inventory source
+// File: inventory-source.js
+//
+// Stock on hand from the quarry inventory service: the same
+// /api/inventory-summary the dashboard's Inventory card reads. Only Mining
+// runs the quarry, so the value belongs to that entity alone (ENTITY).
+//
+// createInventorySource() reads INVENTORY_API_URL, defaulting to the
+// production service. Set it empty to switch inventory off — getSummary()
+// then returns null and the daily snapshot records no inventory value.
+//
+//   const summary = await inventorySource.getSummary();
+//   // { inventoryValue, sohTonnes, fetchedAt } or null when switched off
+
+import fetch from 'node-fetch';
+
+const DEFAULT_URL = 'https://rac-inventory-production.up.railway.app/api/inventory-summary';
+const ENTITY = 'Mining';
+const TIMEOUT_MS = 20 * 1000;
+
+function createInventorySource({ url = process.env.INVENTORY_API_URL ?? DEFAULT_URL, clock = { now: () => new Date() } } = {}) {
+    const enabled = Boolean(url);
+
+    async function getSummary() {
+        if (!enabled) return null;
+        const response = await fetch(url, { timeout: TIMEOUT_MS });
+        if (!response.ok) {
+            throw new Error(`Inventory service error: ${response.status} - ${(await response.text()).slice(0, 200)}`);
+        }
+        const data = await response.json();
+        const value = Number(data?.totals?.inventoryValue);
+        if (!Number.isFinite(value)) throw new Error('Inventory service returned no totals.inventoryValue');
+        return {
+            inventoryValue: value,
+            sohTonnes: Number(data.totals.sohTonnes) || 0,
+            fetchedAt: clock.now().toISOString(),
+        };
+    }
+
+    return { enabled, entity: ENTITY, getSummary };
+}
+
+export { createInventorySource };
@@ -0,0 +1,442 @@
+// Job scheduler
+// File: job-scheduler.js
+//
+// Durable background jobs, kept in Postgres so a deploy neither shifts the
+// schedule nor adds a run, and two replicas never run the same job:
+//
+//   scheduled_jobs    one row per defined job: its cron, time zone and the
+//                     next time it is due (next_run_at)
+//   snapshot_job_log  one row per run, scheduled or manual:
+//                     queued -> running -> success | failed
+//
+// Schedules are cron expressions (lib/cron.js) in Australia/Darwin time
+// unless a job says otherwise. Only the leader — the instance holding a
+// Postgres session advisory lock on a connection it keeps open — enqueues
+// due runs and executes them, one at a time in queue order. If the leader
+// dies its connection closes, the lock frees, and the next instance to poll
+// takes over. A new leader marks any run still `running` as failed
+// (interrupted), since only a leader could have started it.
+//
+// Catch-up: a job whose next_run_at passed while no instance was up gets one
+// run (triggered_by 'catch-up', payload.missedRuns = slots missed) rather
+// than one per missed slot, then resumes its schedule. A run is only
+// enqueued if the job has none queued already. Changing a job's cron
+// re-plans it from now.
+//
+// enqueue() adds a run by hand (POST /api/run-daily-snapshot) into the same
+// queue and log; waitFor() polls until it finishes. A job defined without a
+// cron only ever runs that way. Like the other timers,
+// nothing runs until start() is called — server.js does that.
+
+import os from 'os';
+import crypto from 'crypto';
+import { parseCron, nextCronTime, assertTimeZone } from './cron.js';
+import { inTransaction } from './audit-log.js';
+
+const DEFAULT_TIME_ZONE = 'Australia/Darwin';
+const POLL_MS = 30 * 1000;
+// Two-int advisory lock key. Arbitrary but fixed ("JOB") so it can't collide
+// with the token-refresh locks.
+const LEADER_LOCK_NAMESPACE = 0x4a4f42;
+const LEADER_LOCK_KEY = 1;
+// A slot that fires more than this late counts as caught up, not on time.
+const CATCH_UP_AFTER_MS = 5 * 60 * 1000;
+// Stop counting missed slots here (a per-minute job down for a week).
+const MAX_MISSED_COUNTED = 1000;
+const FINISHED = new Set(['success', 'failed']);
+
+function defaultInstanceId() {
+    return `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function formatRun(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        job: row.job_name,
+        jobType: row.job_type,
+        status: row.status,
+        triggeredBy: row.triggered_by,
+        requestedBy: row.requested_by,
+        requestId: row.request_id,
+        scheduledFor: row.scheduled_for,
+        queuedAt: row.run_date,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationSeconds: row.duration_seconds,
+        orgsProcessed: row.orgs_processed,
+        orgsFailed: row.orgs_failed,
+        errorSummary: row.error_summary,
+        instanceId: row.instance_id,
+        payload: row.payload,
+        result: row.result,
+    };
+}
+
+// The log's summary columns, from what a job returned. Snapshot runs return
+// { success, orgsProcessed, orgsFailed, errors: [{ org, type, periodMonth?, error }] }.
+function summarizeResult(result) {
+    const errors = Array.isArray(result?.errors) ? result.errors : [];
+    const messages = errors.map((e) => {
+        const where = [e.org, e.step || e.type, e.periodMonth].filter(Boolean).join(' ');
+        return where ? `${where}: ${e.error}` : String(e.error);
+    });
+    if (result?.error) messages.unshift(String(result.error));
+    return {
+        success: result?.success !== false,
+        orgsProcessed: Number.isFinite(result?.orgsProcessed) ? result.orgsProcessed : 0,
+        orgsFailed: Number.isFinite(result?.orgsFailed) ? result.orgsFailed : 0,
+        errorSummary: messages.length ? messages.join('; ').slice(0, 2000) : null,
+    };
+}
+
+function createJobScheduler({ pool, clock = { now: () => new Date() }, instanceId = defaultInstanceId(), pollMs = POLL_MS }) {
+    const jobs = new Map();
+    let leader = null; // the client holding the leader lock
+    let timer = null;
+    let ticking = null;
+    let tickAgain = false;
+
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS scheduled_jobs (
+                name TEXT PRIMARY KEY,
+                cron TEXT NOT NULL,
+                time_zone TEXT NOT NULL,
+                next_run_at TIMESTAMPTZ NOT NULL,
+                last_enqueued_at TIMESTAMPTZ,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+        // Same shape as migrations/Snapshot.pgsql, for databases that never
+        // ran it; the scheduler's columns are added below.
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS snapshot_job_log (
+                id SERIAL PRIMARY KEY,
+                run_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                job_type VARCHAR(50) NOT NULL,
+                orgs_processed INTEGER DEFAULT 0,
+                orgs_failed INTEGER DEFAULT 0,
+                duration_seconds INTEGER,
+                status VARCHAR(20) DEFAULT 'running',
+                error_summary TEXT,
+                triggered_by VARCHAR(50) DEFAULT 'scheduled'
+            )
+        `);
+        await pool.query(`
+            ALTER TABLE snapshot_job_log
+            ADD COLUMN IF NOT EXISTS job_name TEXT,
+            ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS requested_by TEXT,
+            ADD COLUMN IF NOT EXISTS request_id TEXT,
+            ADD COLUMN IF NOT EXISTS instance_id TEXT,
+            ADD COLUMN IF NOT EXISTS payload JSONB,
+            ADD COLUMN IF NOT EXISTS result JSONB
+        `);
+        // One run per scheduled slot, however many instances race to add it.
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_snapshot_job_log_slot
+            ON snapshot_job_log (job_name, scheduled_for)
+        `);
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_snapshot_job_log_status
+            ON snapshot_job_log (status, id)
+        `);
+    }
+
+    // Register a job. run({ runId, triggeredBy, requestedBy, requestId, payload })
+    // does the work; what it returns is stored on the run. cron null = on
+    // demand only.
+    function define(name, { cron = null, timeZone = DEFAULT_TIME_ZONE, jobType = name, run }) {
+        assertTimeZone(timeZone);
+        jobs.set(name, { name, cron: cron ? parseCron(cron) : null, timeZone, jobType, run });
+    }
+
+    function releaseLeader(err) {
+        const client = leader;
+        leader = null;
+        if (client) client.release(err);
+    }
+
+    async function acquireLeadership() {
+        if (leader) return true;
+        const client = await pool.connect();
+        let locked = false;
+        try {
+            const { rows } = await client.query(
+                'SELECT pg_try_advisory_lock($1, $2) AS locked',
+                [LEADER_LOCK_NAMESPACE, LEADER_LOCK_KEY]
+            );
+            locked = rows[0].locked;
+        } finally {
+            if (!locked) client.release();
+        }
+        if (!locked) return false;
+
+        // A dropped connection takes the lock with it — stop acting as leader.
+        client.on('error', (err) => {
+            console.error('[jobs] leader connection lost:', err.message);
+            if (leader === client) releaseLeader(err);
+        });
+        leader = client;
+        console.log(`[jobs] ${instanceId} is the job leader`);
+
+        const { rowCount } = await pool.query(
+            `UPDATE snapshot_job_log
+             SET status = 'failed', finished_at = $1,
+                 error_summary = 'Interrupted: the instance running it stopped before it finished'
+             WHERE status = 'running'`,
+            [clock.now()]
+        );
+        if (rowCount) console.warn(`[jobs] marked ${rowCount} interrupted run(s) failed`);
+        return true;
+    }
+
+    // Enqueue a run for every job whose next_run_at has passed.
+    async function enqueueDue(now) {
+        for (const job of jobs.values()) {
+            if (!job.cron) continue;
+            await inTransaction(pool, async (client) => {
+                const { rows } = await client.query('SELECT * FROM scheduled_jobs WHERE name = $1 FOR UPDATE', [job.name]);
+                const row = rows[0];
+                const next = nextCronTime(job.cron, now, job.timeZone);
+
+                if (!row || row.cron !== job.cron.expr || row.time_zone !== job.timeZone) {
+                    await client.query(
+                        `INSERT INTO scheduled_jobs (name, cron, time_zone, next_run_at, updated_at)
+                         VALUES ($1, $2, $3, $4, $5)
+                         ON CONFLICT (name) DO UPDATE
+                         SET cron = EXCLUDED.cron, time_zone = EXCLUDED.time_zone,
+                             next_run_at = EXCLUDED.next_run_at, updated_at = EXCLUDED.updated_at`,
+                        [job.name, job.cron.expr, job.timeZone, next, now]
+                    );
+                    console.log(`[jobs] ${job.name} scheduled "${job.cron.expr}" (${job.timeZone}), next run ${next.toISOString()}`);
+                    return;
+                }
+
+                const due = new Date(row.next_run_at);
+                if (due > now) return;
+
+                // Every slot from next_run_at up to now is covered by one run.
+                let missedRuns = 0;
+                let slot = due;
+                let latest = due;
+                while (slot <= now && missedRuns < MAX_MISSED_COUNTED) {
+                    latest = slot;
+                    missedRuns++;
+                    slot = nextCronTime(job.cron, slot, job.timeZone);
+                }
+                const late = missedRuns > 1 || now - latest > CATCH_UP_AFTER_MS;
+
+                const queued = await client.query(
+                    "SELECT id FROM snapshot_job_log WHERE job_name = $1 AND status = 'queued' LIMIT 1",
+                    [job.name]
+                );
+                if (queued.rows.length === 0) {
+                    await client.query(
+                        `INSERT INTO snapshot_job_log
+                         (job_name, job_type, status, triggered_by, requested_by, scheduled_for, payload)
+                         VALUES ($1, $2, 'queued', $3, 'scheduler', $4, $5)
+                         ON CONFLICT (job_name, scheduled_for) DO NOTHING`,
+                        [job.name, job.jobType, late ? 'catch-up' : 'scheduler', latest, late ? { missedRuns } : null]
+                    );
+                    if (late) console.warn(`[jobs] ${job.name} missed ${missedRuns} run(s) since ${due.toISOString()} — catching up`);
+                }
+                await client.query(
+                    'UPDATE scheduled_jobs SET next_run_at = $2, last_enqueued_at = $3, updated_at = $3 WHERE name = $1',
+                    [job.name, next, now]
+                );
+            });
+        }
+    }
+
+    async function claimNext() {
+        const { rows } = await pool.query(
+            `UPDATE snapshot_job_log
+             SET status = 'running', started_at = $1, instance_id = $2
+             WHERE id = (
+               SELECT id FROM snapshot_job_log
+               WHERE status = 'queued' AND job_name = ANY($3)
+               ORDER BY id LIMIT 1
+             )
+             RETURNING *`,
+            [clock.now(), instanceId, [...jobs.keys()]]
+        );
+        return rows[0] || null;
+    }
+
+    async function execute(row) {
+        const job = jobs.get(row.job_name);
+        const startTime = Date.now();
+        let result = null;
+        let error = null;
+        console.log(`[jobs] run ${row.id} ${row.job_name} (${row.triggered_by}) started`);
+        try {
+            result = await job.run({
+                runId: row.id,
+                triggeredBy: row.triggered_by,
+                requestedBy: row.requested_by,
+                requestId: row.request_id,
+                payload: row.payload,
+            });
+        } catch (err) {
+            error = err;
+            console.error(`[jobs] run ${row.id} ${row.job_name} failed:`, err);
+        }
+
+        const summary = summarizeResult(result);
+        const status = error || !summary.success ? 'failed' : 'success';
+        await pool.query(
+            `UPDATE snapshot_job_log
+             SET status = $2, finished_at = $3, duration_seconds = $4,
+                 orgs_processed = $5, orgs_failed = $6, error_summary = $7, result = $8
+             WHERE id = $1`,
+            [
+                row.id, status, clock.now(), Math.round((Date.now() - startTime) / 1000),
+                summary.orgsProcessed, summary.orgsFailed,
+                error ? error.message : summary.errorSummary,
+                result === undefined ? null : JSON.stringify(result),
+            ]
+        );
+        console.log(`[jobs] run ${row.id} ${row.job_name} ${status}`);
+    }
+
+    // One pass: take the lead if nobody has it, enqueue what's due, then run
+    // the queue dry. Passes never overlap; a wake-up during one runs another.
+    function tick() {
+        if (ticking) {
+            tickAgain = true;
+            return ticking;
+        }
+        ticking = (async () => {
+            if (!(await acquireLeadership())) return;
+            await enqueueDue(clock.now());
+            let row;
+            while (leader && (row = await claimNext())) await execute(row);
+        })()
+            .catch((err) => console.error('[jobs] scheduler pass failed:', err))
+            .finally(() => {
+                ticking = null;
+                if (tickAgain && timer) {
+                    tickAgain = false;
+                    setImmediate(tick);
+                }
+            });
+        return ticking;
+    }
+
+    // Queue a run by hand. A job that already has a run queued with the same
+    // payload gets that one back instead of a second.
+    async function enqueue(name, { triggeredBy = 'manual', requestedBy = null, requestId = null, payload = null } = {}) {
+        const job = jobs.get(name);
+        if (!job) throw new Error(`Unknown job: ${name}`);
+        const existing = await pool.query(
+            `SELECT * FROM snapshot_job_log
+             WHERE job_name = $1 AND status = 'queued' AND payload IS NOT DISTINCT FROM $2::jsonb
+             ORDER BY id LIMIT 1`,
+            [name, payload === null ? null : JSON.stringify(payload)]
+        );
+        let row = existing.rows[0];
+        if (!row) {
+            const { rows } = await pool.query(
+                `INSERT INTO snapshot_job_log (job_name, job_type, status, triggered_by, requested_by, request_id, payload)
+                 VALUES ($1, $2, 'queued', $3, $4, $5, $6)
+                 RETURNING *`,
+                [name, job.jobType, triggeredBy, requestedBy, requestId, payload === null ? null : JSON.stringify(payload)]
+            );
+            row = rows[0];
+        }
+        if (timer) setImmediate(tick);
+        return formatRun(row);
+    }
+
+    async function getRun(id) {
+        const { rows } = await pool.query('SELECT * FROM snapshot_job_log WHERE id = $1', [id]);
+        return formatRun(rows[0]);
+    }
+
+    // Poll a run until it finishes or timeoutMs passes; returns the run as
+    // last seen either way.
+    async function waitFor(id, { timeoutMs = 5 * 60 * 1000, intervalMs = 2000 } = {}) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const run = await getRun(id);
+            if (!run || FINISHED.has(run.status) || Date.now() >= deadline) return run;
+            await new Promise((resolve) => setTimeout(resolve, Math.min(intervalMs, deadline - Date.now())));
+        }
+    }
+
+    // Latest runs first, for GET /api/snapshot-jobs. Filters: job, status;
+    // beforeId pages back.
+    async function listRuns({ limit = 50, job = null, status = null, beforeId = null } = {}) {
+        const { rows } = await pool.query(
+            `SELECT * FROM snapshot_job_log
+             WHERE job_name IS NOT NULL
+               AND ($1::text IS NULL OR job_name = $1)
+               AND ($2::text IS NULL OR status = $2)
+               AND ($3::int IS NULL OR id < $3)
+             ORDER BY id DESC
+             LIMIT $4`,
+            [job, status, beforeId, limit]
+        );
+        return rows.map(formatRun);
+    }
+
+    // Defined jobs with their schedule and latest run, for GET /api/scheduled-jobs.
+    async function listJobs() {
+        const names = [...jobs.keys()];
+        const [scheduled, latest] = await Promise.all([
+            pool.query('SELECT * FROM scheduled_jobs WHERE name = ANY($1)', [names]),
+            pool.query(
+                `SELECT DISTINCT ON (job_name) * FROM snapshot_job_log
+                 WHERE job_name = ANY($1) ORDER BY job_name, id DESC`,
+                [names]
+            ),
+        ]);
+        return [...jobs.values()].map((job) => {
+            const row = scheduled.rows.find((r) => r.name === job.name);
+            return {
+                name: job.name,
+                cron: job.cron ? job.cron.expr : null,
+                timeZone: job.timeZone,
+                nextRunAt: !job.cron ? null : row ? row.next_run_at : nextCronTime(job.cron, clock.now(), job.timeZone),
+                lastEnqueuedAt: row ? row.last_enqueued_at : null,
+                lastRun: formatRun(latest.rows.find((r) => r.job_name === job.name)),
+            };
+        });
+    }
+
+    function status() {
+        return { instanceId, started: Boolean(timer), leader: Boolean(leader), pollSeconds: Math.round(pollMs / 1000) };
+    }
+
+    function start() {
+        const names = [...jobs.values()]
+            .map((j) => (j.cron ? `${j.name} "${j.cron.expr}" ${j.timeZone}` : `${j.name} on demand`))
+            .join(', ');
+        console.log(`[jobs] scheduler armed (${names || 'no jobs'}), polling every ${Math.round(pollMs / 1000)}s`);
+        timer = setInterval(tick, pollMs);
+        setImmediate(tick);
+    }
+
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        if (ticking) await ticking;
+        if (leader) {
+            const client = leader;
+            try {
+                await client.query('SELECT pg_advisory_unlock($1, $2)', [LEADER_LOCK_NAMESPACE, LEADER_LOCK_KEY]);
+            } catch (err) {
+                console.error('[jobs] leader unlock failed:', err.message);
+            }
+            releaseLeader();
+        }
+    }
+
+    return { ensureSchema, define, tick, enqueue, getRun, waitFor, listRuns, listJobs, status, start, stop };
+}
+
+export { createJobScheduler, DEFAULT_TIME_ZONE };
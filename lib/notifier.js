@@ -0,0 +1,124 @@
+// Notifier
+// File: notifier.js
+//
+// Where operational alerts go. Every notifier has the same shape:
+//
+//   { kind, send({ subject, text, severity, events }) }
+//
+// severity is 'critical' | 'warning' | 'resolved'; events is the structured
+// detail behind the text (the connection-health monitor sends the tenant
+// status changes).
+//
+// createNotifier() builds one from the environment:
+//   ALERT_WEBHOOK_URL   POST JSON { text, subject, severity, events } — the
+//                       `text` field is what Slack and Teams incoming
+//                       webhooks display
+//   ALERT_SMTP_URL      smtp(s)://user:pass@host:port, with ALERT_EMAIL_TO
+//                       (comma-separated) and ALERT_EMAIL_FROM
+// Both may be set; each alert goes to every channel, and is always logged
+// first. send() rejects when every channel failed — the log is a record, not
+// a delivery. With neither set, alerts are only logged. createMemoryNotifier() keeps them in an array instead —
+// the stub for tests and local runs.
+
+import fetch from 'node-fetch';
+import nodemailer from 'nodemailer';
+
+function createLogNotifier() {
+    return {
+        kind: 'log',
+        async send({ subject, text, severity }) {
+            const log = severity === 'resolved' ? console.log : console.error;
+            log(`[alert:${severity}] ${subject}\n${text}`);
+        },
+    };
+}
+
+function createMemoryNotifier() {
+    const sent = [];
+    return {
+        kind: 'memory',
+        sent,
+        async send(alert) {
+            sent.push(alert);
+        },
+    };
+}
+
+function createWebhookNotifier({ url }) {
+    return {
+        kind: 'webhook',
+        async send({ subject, text, severity, events = [] }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: `${subject}\n${text}`, subject, severity, events }),
+            });
+            if (!response.ok) {
+                throw new Error(`Alert webhook failed: ${response.status} - ${await response.text()}`);
+            }
+        },
+    };
+}
+
+function createSmtpNotifier({ url, to, from }) {
+    const transport = nodemailer.createTransport(url);
+    return {
+        kind: 'smtp',
+        async send({ subject, text, severity }) {
+            await transport.sendMail({
+                from,
+                to,
+                subject: `[RAC dashboard] ${severity === 'resolved' ? 'Resolved' : 'Alert'}: ${subject}`,
+                text,
+            });
+        },
+    };
+}
+
+// One alert to several channels. A channel that fails doesn't stop the
+// others; if all of them fail, the first error is thrown.
+function createFanoutNotifier(notifiers) {
+    return {
+        kind: notifiers.map((n) => n.kind).join('+'),
+        async send(alert) {
+            const results = await Promise.allSettled(notifiers.map((n) => n.send(alert)));
+            const failed = results.filter((r) => r.status === 'rejected');
+            for (const f of failed) console.error('[notifier] channel failed:', f.reason?.message);
+            if (failed.length === notifiers.length) throw failed[0].reason;
+        },
+    };
+}
+
+function createNotifier(env = process.env) {
+    const channels = [];
+    if (env.ALERT_WEBHOOK_URL) channels.push(createWebhookNotifier({ url: env.ALERT_WEBHOOK_URL }));
+    if (env.ALERT_SMTP_URL) {
+        if (!env.ALERT_EMAIL_TO) throw new Error('ALERT_SMTP_URL is set but ALERT_EMAIL_TO is not');
+        channels.push(createSmtpNotifier({
+            url: env.ALERT_SMTP_URL,
+            to: env.ALERT_EMAIL_TO,
+            from: env.ALERT_EMAIL_FROM || 'rac-dashboard@localhost',
+        }));
+    }
+    const log = createLogNotifier();
+    if (channels.length === 0) return log;
+    // Always log too — the deploy logs are the fallback record — but outside
+    // the fan-out, so a dead webhook and mail server still fail the send.
+    const delivery = createFanoutNotifier(channels);
+    return {
+        kind: `log+${delivery.kind}`,
+        async send(alert) {
+            await log.send(alert);
+            await delivery.send(alert);
+        },
+    };
+}
+
+export {
+    createNotifier,
+    createLogNotifier,
+    createMemoryNotifier,
+    createWebhookNotifier,
+    createSmtpNotifier,
+    createFanoutNotifier,
+};
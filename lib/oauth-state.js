@@ -0,0 +1,93 @@
+// OAuth state
+// File: oauth-state.js
+//
+// The `state` parameter of the Xero and ApprovalMax consent flows. /auth
+// issues one and the callback consumes it; a callback whose state was never
+// issued, was already used, has expired or belongs to the other provider is
+// refused. Each row in oauth_states is:
+//
+//   state_hash     SHA-256 of the state (32 random bytes, base64url)
+//   provider       'xero' | 'approvalmax'
+//   code_verifier  the PKCE verifier (RFC 7636) when the flow uses one
+//   expires_at     10 minutes after issue
+//
+// Kept in Postgres rather than memory so the callback can land on a
+// different instance than /auth. consume() deletes the row as it reads it,
+// so a state works once even if two callbacks race.
+//
+// The browser that started the flow also gets the state in a short-lived
+// cookie (STATE_COOKIE); the callback must present the same value, so a
+// consent started in one browser can't be completed in another.
+
+import crypto from 'crypto';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'oauth_state';
+const PROVIDERS = ['xero', 'approvalmax'];
+
+function hashState(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+}
+
+function randomToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// PKCE S256 challenge for a verifier.
+function codeChallenge(verifier) {
+    return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+function createOAuthStateStore({ pool, clock = { now: () => new Date() } }) {
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS oauth_states (
+                state_hash CHAR(64) PRIMARY KEY,
+                provider VARCHAR(20) NOT NULL,
+                code_verifier TEXT,
+                created_at TIMESTAMPTZ NOT NULL,
+                expires_at TIMESTAMPTZ NOT NULL
+            )
+        `);
+    }
+
+    // New state for a consent redirect. With pkce, also a code verifier and
+    // its S256 challenge. Returns { state, codeVerifier?, codeChallenge? }.
+    async function issue(provider, { pkce = false } = {}) {
+        if (!PROVIDERS.includes(provider)) throw new Error(`Unknown OAuth provider: ${provider}`);
+        const now = clock.now();
+        const state = randomToken();
+        const codeVerifier = pkce ? randomToken() : null;
+
+        // Abandoned flows are cleared here rather than by a timer.
+        await pool.query('DELETE FROM oauth_states WHERE expires_at < $1', [now]);
+        await pool.query(
+            `INSERT INTO oauth_states (state_hash, provider, code_verifier, created_at, expires_at)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [hashState(state), provider, codeVerifier, now, new Date(now.getTime() + STATE_TTL_MS)]
+        );
+        return pkce ? { state, codeVerifier, codeChallenge: codeChallenge(codeVerifier) } : { state };
+    }
+
+    // Use up a state from a callback. Returns { codeVerifier } if it was
+    // issued for this provider and hasn't expired, else null. cookieState is
+    // the STATE_COOKIE value the browser sent back; it must match.
+    async function consume(provider, state, cookieState) {
+        if (!state || typeof state !== 'string') return null;
+        const { rows } = await pool.query(
+            'DELETE FROM oauth_states WHERE state_hash = $1 RETURNING provider, code_verifier, expires_at',
+            [hashState(state)]
+        );
+        const row = rows[0];
+        if (!row || row.provider !== provider) return null;
+        if (new Date(row.expires_at) <= clock.now()) return null;
+        const a = Buffer.from(hashState(state));
+        const b = Buffer.from(hashState(cookieState || ''));
+        if (!crypto.timingSafeEqual(a, b)) return null;
+        return { codeVerifier: row.code_verifier };
+    }
+
+    return { ensureSchema, issue, consume };
+}
+
+export { createOAuthStateStore, codeChallenge, STATE_COOKIE, STATE_TTL_MS };
@@ -0,0 +1,158 @@
+// Report registry
+// File: report-registry.js
+//
+// Each Xero-backed report is declared ONCE:
+//
+//   defineReport({
+//     name: 'journal-entries',          // URL segment
+//     tool: 'get_journal_entries',      // MCP tool name
+//     description: '...',
+//     params: { dateFrom: { type: 'date', description: '...' }, ... },
+//     run: ({ tenantId, params }) => fetchJournalEntries(tenantId, params),
+//   })
+//
+// and mountReports() generates every surface from that declaration:
+//   GET  /api/<name>/:tenantId[/:pathParam...]   query string params
+//   POST /api/<name>                             { organizationName | tenantId, ...params }
+//   MCP tool definition                          name, description, JSON-schema input
+//
+// Before this, most reports existed twice — a GET with the real logic and a
+// POST that resolved the org name then self-fetched the GET over HTTP (or
+// re-implemented it) — and the two drifted: different param names, different
+// defaults, one validating and the other not, /api/profit-loss-summary
+// registered twice. Now both bindings run the same validation and the same
+// run() and can't disagree.
+//
+// Params use the schema format in validation.js (type, description,
+// default, required, min/max, values, aliases), plus:
+//   path         true = also a GET path segment after :tenantId
+//
+// scope: 'tenant' (default) needs a tenant; 'consolidated' runs across all
+// entities and has no tenant segment.
+//
+// role: who may run it (lib/access-control.js) — 'viewer' (default), since
+// reports only read. mountReports() puts requireRole(role) on both bindings.
+
+import { parseInput, checkSchema, toJsonSchema } from './validation.js';
+import { apiError } from './api-errors.js';
+import { isRole, requireRole } from './access-control.js';
+import { assertTenantAccess } from './entity-access.js';
+
+// How a POST names its tenant.
+const TARGET_SCHEMA = {
+    organizationName: { type: 'entity', description: 'Entity short name, full name or alias (e.g. "Mining")' },
+    tenantId: { type: 'tenantId', description: 'Xero tenant ID (alternative to organizationName)' },
+};
+
+function defineReport(spec) {
+    if (!spec.name || typeof spec.run !== 'function') {
+        throw new Error('defineReport: name and run() are required');
+    }
+    checkSchema(spec.params || {}, `defineReport ${spec.name}`);
+    if (spec.role !== undefined && !isRole(spec.role)) {
+        throw new Error(`defineReport ${spec.name}: unknown role ${spec.role}`);
+    }
+    return Object.freeze({
+        scope: 'tenant',
+        role: 'viewer',
+        params: {},
+        legacyPaths: [],
+        ...spec,
+    });
+}
+
+// Validate and coerce raw input (query string or JSON body) against the
+// report's params. Unknown keys are ignored. Throws VALIDATION_FAILED.
+function parseParams(report, raw = {}) {
+    return parseInput(report.params, raw, `parameters for ${report.name}`);
+}
+
+function pathParamsOf(report) {
+    return Object.entries(report.params).filter(([, spec]) => spec.path).map(([key]) => key);
+}
+
+// resolveTenant(req, res, organizationName) -> entity | null (already responded)
+// onError(res, error, report)             -> sends the error response
+function mountReports(app, reports, { resolveTenant, onError }) {
+    for (const report of reports) {
+        const segments = pathParamsOf(report).map((key) => `/:${key}`).join('');
+        const names = [report.name, ...report.legacyPaths];
+        const guard = requireRole(report.role);
+
+        const execute = async (req, res, tenantId, raw) => {
+            try {
+                const params = parseParams(report, raw);
+                const result = await report.run({ tenantId, params, auth: req.auth });
+                res.json(result);
+            } catch (error) {
+                onError(res, error, report);
+            }
+        };
+
+        for (const name of names) {
+            if (report.scope === 'consolidated') {
+                app.get(`/api/${name}`, guard, (req, res) => execute(req, res, null, req.query));
+                app.post(`/api/${name}`, guard, (req, res) => execute(req, res, null, req.body || {}));
+                continue;
+            }
+
+            app.get(`/api/${name}/:tenantId${segments}`, guard, (req, res) => {
+                const { tenantId, ...pathParams } = req.params;
+                try {
+                    parseInput({ tenantId: { ...TARGET_SCHEMA.tenantId, required: true } }, { tenantId }, 'path');
+                    assertTenantAccess(req.auth, tenantId);
+                } catch (error) {
+                    return onError(res, error, report);
+                }
+                return execute(req, res, tenantId.toLowerCase(), { ...req.query, ...pathParams });
+            });
+
+            app.post(`/api/${name}`, guard, async (req, res) => {
+                let tenantId;
+                try {
+                    const target = parseInput(TARGET_SCHEMA, req.body, `target for ${report.name}`);
+                    tenantId = target.tenantId;
+                    if (!tenantId && !target.organizationName) {
+                        throw apiError('VALIDATION_FAILED', 'organizationName or tenantId is required', {
+                            problems: [{ param: 'organizationName', message: 'or tenantId is required' }],
+                        });
+                    }
+                    if (tenantId) {
+                        assertTenantAccess(req.auth, tenantId);
+                    } else {
+                        const entity = await resolveTenant(req, res, target.organizationName);
+                        if (!entity) return;
+                        tenantId = entity.tenantId;
+                    }
+                } catch (error) {
+                    return onError(res, error, report);
+                }
+                return execute(req, res, tenantId, req.body);
+            });
+        }
+    }
+}
+
+// MCP tool definitions for every report that declares a `tool` name. Each
+// tool is called as POST /api/<name> with its arguments as the body.
+function toMcpTools(reports) {
+    return reports.filter((r) => r.tool).map((report) => {
+        const properties = {};
+        const required = [];
+        if (report.scope === 'tenant') {
+            for (const [key, spec] of Object.entries(TARGET_SCHEMA)) properties[key] = toJsonSchema(spec);
+        }
+        for (const [key, spec] of Object.entries(report.params)) {
+            properties[key] = toJsonSchema(spec);
+            if (spec.required) required.push(key);
+        }
+        return {
+            name: report.tool,
+            description: report.description,
+            inputSchema: { type: 'object', properties, ...(required.length ? { required } : {}) },
+            endpoint: { method: 'POST', path: `/api/${report.name}` },
+        };
+    });
+}
+
+export { defineReport, mountReports, parseParams, toMcpTools };
@@ -0,0 +1,64 @@
+// Session
+// File: session.js
+//
+// Who is signed in. /sso/verify issues one signed cookie holding the
+// person's identity from their Microsoft token:
+//
+//   { userId, email, name, role, groups, issuedAt, expiresAt }
+//
+// userId is the Entra object ID (oid) — stable across name and email
+// changes. groups holds every Entra group in the token; entity grants
+// (lib/entity-access.js) are matched against them on each request.
+//
+// The cookie is signed with GATE_COOKIE_SECRET (cookie-parser), so it can't
+// be edited, and expiresAt is checked here rather than trusting the browser
+// to drop it. The gate turns a valid session into req.auth.
+//
+// actorOf(req) is what mutating routes write into *_by columns and logs.
+
+import { isRole } from './access-control.js';
+
+const SESSION_COOKIE = 'gate_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function createSession({ userId, email, name, role, groups = [] }, now = new Date()) {
+    return {
+        userId,
+        email,
+        name,
+        role,
+        groups,
+        issuedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS).toISOString(),
+    };
+}
+
+// The parsed (signed) cookie value -> session, or null if it's missing,
+// malformed, names no role, or has expired.
+function readSession(value, now = new Date()) {
+    if (!value || typeof value !== 'object') return null;
+    if (typeof value.userId !== 'string' || !value.userId || !isRole(value.role)) return null;
+    const expiresAt = Date.parse(value.expiresAt);
+    if (!Number.isFinite(expiresAt) || expiresAt <= now.getTime()) return null;
+    return {
+        userId: value.userId,
+        email: String(value.email || ''),
+        name: String(value.name || ''),
+        role: value.role,
+        groups: Array.isArray(value.groups) ? value.groups.map(String) : [],
+        issuedAt: value.issuedAt,
+        expiresAt: value.expiresAt,
+    };
+}
+
+// Who to record for a change: the signed-in person's email (or name), the
+// API key by name ('api-key:MCP server'), or — only reachable if a route
+// forgot its requireRole — 'unknown'.
+function actorOf(req) {
+    const auth = req.auth;
+    if (!auth) return 'unknown';
+    if (auth.apiKey) return `api-key:${auth.name}`;
+    return auth.email || auth.name || auth.userId;
+}
+
+export { SESSION_COOKIE, SESSION_TTL_MS, createSession, readSession, actorOf };
@@ -0,0 +1,253 @@
+// Monthly snapshot versions
+// File: snapshot-versions.js
+//
+// The timeline behind monthly_snapshots. That table keeps one current row
+// per (org, period_month) for its readers — sparklines, the draft list, the
+// final-period cache. Every capture that changed something is also kept
+// here as a version, in monthly_snapshot_versions:
+//
+//   version          1, 2, 3... per (org, period_month)
+//   revenue..net_profit  the P&L figures as captured
+//   snapshot_status  'draft' | 'final' — what this capture was
+//   reason           why it was captured (REASONS)
+//   changes          { revenue: { from, to, change }, ... } against the
+//                    previous version: only what moved, snapshot_status
+//                    included. NULL on version 1.
+//   restatement      a final month whose figures in Xero no longer match
+//                    what was finalised
+//   captured_at / captured_by / job_id / request_id — when, who, which run
+//   last_checked_at  the latest capture that found these same figures
+//   note             a person's explanation ("Rio accrual posted late")
+//
+// A capture that finds the latest version's figures and status again only
+// moves its last_checked_at. Writers call lockMonth() first, inside the
+// transaction that also writes monthly_snapshots, so two captures of the
+// same month can't both become version n.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// The figures compared between versions. Gross profit follows from revenue
+// and COGS, so it is stored but not tracked as a change of its own.
+const TRACKED = ['revenue', 'cogs', 'opex', 'net_profit'];
+const FIGURES = ['revenue', 'cogs', 'gross_profit', 'opex', 'net_profit'];
+
+const REASONS = {
+    existing: 'Captured before versions were kept',
+    first_capture: 'First daily snapshot of the month',
+    draft_update: 'Daily snapshot found different figures in Xero',
+    finalize: 'Finalised',
+    refinalize: 'Re-finalised with the restated figures',
+    backfill: 'Backfilled as final',
+    restatement: 'Xero no longer matches the finalised figures',
+    restatement_reversed: 'Xero matches the finalised figures again',
+    final_check: 'Daily snapshot re-read the final month',
+};
+
+// Figures as numbers rounded to the cent. pg returns NUMERIC as strings.
+const cents = (v) => Math.round((Number(v) || 0) * 100) / 100;
+
+// { figure: { from, to, change } } for each tracked figure that differs
+// between two sets of figures (rows or plain objects), or null if none do.
+function figureChanges(before, after) {
+    const changes = {};
+    for (const key of TRACKED) {
+        const from = cents(before[key]);
+        const to = cents(after[key]);
+        if (from !== to) changes[key] = { from, to, change: cents(to - from) };
+    }
+    return Object.keys(changes).length ? changes : null;
+}
+
+function formatVersion(row) {
+    return {
+        id: row.id,
+        org: row.org,
+        periodMonth: row.period_month,
+        version: row.version,
+        status: row.snapshot_status,
+        figures: Object.fromEntries(FIGURES.map((k) => [k, cents(row[k])])),
+        reason: row.reason,
+        reasonText: REASONS[row.reason] || row.reason,
+        changes: row.changes,
+        restatement: row.restatement,
+        note: row.note,
+        capturedAt: row.captured_at,
+        capturedBy: row.captured_by,
+        lastCheckedAt: row.last_checked_at,
+        jobId: row.job_id,
+        requestId: row.request_id,
+    };
+}
+
+function createSnapshotVersions({ pool }) {
+    // Needs monthly_snapshots with its version column, so the schema
+    // migrations call this rather than initializeDatabase. Months captured
+    // before versions were kept get their rows seeded as versions
+    // ('existing'), oldest first.
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS monthly_snapshot_versions (
+                id SERIAL PRIMARY KEY,
+                org VARCHAR(100) NOT NULL,
+                period_month VARCHAR(7) NOT NULL,
+                version INTEGER NOT NULL,
+                revenue NUMERIC(15,2),
+                cogs NUMERIC(15,2),
+                gross_profit NUMERIC(15,2),
+                opex NUMERIC(15,2),
+                net_profit NUMERIC(15,2),
+                snapshot_status TEXT NOT NULL,
+                reason TEXT NOT NULL,
+                changes JSONB,
+                restatement BOOLEAN NOT NULL DEFAULT false,
+                note TEXT,
+                captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                captured_by TEXT,
+                last_checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                job_id INTEGER REFERENCES snapshot_job_log(id),
+                request_id VARCHAR(100),
+                UNIQUE (org, period_month, version)
+            )
+        `);
+        await pool.query(`
+            INSERT INTO monthly_snapshot_versions
+                (org, period_month, version, revenue, cogs, gross_profit, opex, net_profit,
+                 snapshot_status, reason, captured_at, captured_by, last_checked_at)
+            SELECT m.org, m.period_month,
+                   ROW_NUMBER() OVER (PARTITION BY m.org, m.period_month ORDER BY m.created_at, m.id),
+                   m.revenue, m.cogs, m.gross_profit, m.opex, m.net_profit,
+                   COALESCE(m.snapshot_status, 'draft'), 'existing',
+                   COALESCE(m.created_at, NOW()), m.created_by, COALESCE(m.created_at, NOW())
+            FROM monthly_snapshots m
+            WHERE m.job_status = 'success'
+              AND NOT EXISTS (
+                  SELECT 1 FROM monthly_snapshot_versions v
+                  WHERE v.org = m.org AND v.period_month = m.period_month
+              )
+        `);
+        await pool.query(`
+            UPDATE monthly_snapshots m
+            SET version = (
+                SELECT MAX(v.version) FROM monthly_snapshot_versions v
+                WHERE v.org = m.org AND v.period_month = m.period_month
+            )
+            WHERE m.version IS NULL
+        `);
+    }
+
+    // Serialise writers of one month until the transaction ends.
+    async function lockMonth(client, org, periodMonth) {
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`monthly_snapshot:${org}:${periodMonth}`]);
+    }
+
+    async function latest(db, org, periodMonth) {
+        const { rows } = await db.query(
+            `SELECT * FROM monthly_snapshot_versions
+             WHERE org = $1 AND period_month = $2
+             ORDER BY version DESC LIMIT 1`,
+            [org, periodMonth]
+        );
+        return rows[0] ? formatVersion(rows[0]) : null;
+    }
+
+    // The next version of the month. figures: { revenue, cogs, gross_profit,
+    // opex, net_profit }; reason: a REASONS key.
+    async function record(db, {
+        org, periodMonth, figures, status, reason, restatement = false, note = null,
+        actor = null, requestId = null, jobId = null,
+    }) {
+        const previous = await latest(db, org, periodMonth);
+        let changes = null;
+        if (previous) {
+            changes = figureChanges(previous.figures, figures) || {};
+            if (previous.status !== status) changes.snapshot_status = { from: previous.status, to: status };
+        }
+        const { rows } = await db.query(
+            `INSERT INTO monthly_snapshot_versions
+                (org, period_month, version, revenue, cogs, gross_profit, opex, net_profit,
+                 snapshot_status, reason, changes, restatement, note, captured_by, job_id, request_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+             RETURNING *`,
+            [org, periodMonth, (previous?.version || 0) + 1,
+             ...FIGURES.map((k) => figures[k]),
+             status, reason, changes ? JSON.stringify(changes) : null, restatement, note, actor, jobId, requestId]
+        );
+        return formatVersion(rows[0]);
+    }
+
+    // A capture that found the version's figures again.
+    async function touch(db, id) {
+        await db.query('UPDATE monthly_snapshot_versions SET last_checked_at = NOW() WHERE id = $1', [id]);
+    }
+
+    // Every version of one month, oldest first.
+    async function history(org, periodMonth) {
+        const { rows } = await pool.query(
+            `SELECT * FROM monthly_snapshot_versions
+             WHERE org = $1 AND period_month = $2
+             ORDER BY version ASC`,
+            [org, periodMonth]
+        );
+        return rows.map(formatVersion);
+    }
+
+    // One line per month of an org, newest month first: its current row in
+    // monthly_snapshots (the final one, if there is one) beside the latest
+    // version. restatedOnly limits it
+    // to final months flagged restated.
+    async function months(org, { restatedOnly = false, limit = DEFAULT_LIMIT } = {}) {
+        const { rows } = await pool.query(
+            `SELECT v.period_month,
+                    COUNT(*)::int AS version_count,
+                    MAX(v.version) AS latest_version,
+                    MAX(v.captured_at) AS last_changed_at,
+                    MAX(v.last_checked_at) AS last_checked_at,
+                    m.snapshot_status, m.version AS current_version, m.restated, m.restated_at
+             FROM monthly_snapshot_versions v
+             LEFT JOIN LATERAL (
+                 SELECT snapshot_status, version, restated, restated_at FROM monthly_snapshots
+                 WHERE org = v.org AND period_month = v.period_month AND job_status = 'success'
+                 ORDER BY (snapshot_status = 'final') DESC, id DESC
+                 LIMIT 1
+             ) m ON true
+             WHERE v.org = $1 AND ($2::boolean IS FALSE OR m.restated)
+             GROUP BY v.period_month, m.snapshot_status, m.version, m.restated, m.restated_at
+             ORDER BY v.period_month DESC
+             LIMIT $3`,
+            [org, restatedOnly, Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)]
+        );
+        return rows.map((r) => ({
+            periodMonth: r.period_month,
+            status: r.snapshot_status,
+            currentVersion: r.current_version,
+            latestVersion: r.latest_version,
+            versionCount: r.version_count,
+            restated: Boolean(r.restated),
+            restatedAt: r.restated_at,
+            lastChangedAt: r.last_changed_at,
+            lastCheckedAt: r.last_checked_at,
+        }));
+    }
+
+    // Set the note on one version. Returns { previousNote, version }, or
+    // null if there is no such version.
+    async function annotate(db, { org, periodMonth, version, note }) {
+        const { rows } = await db.query(
+            `WITH old AS (
+                 SELECT id, note FROM monthly_snapshot_versions
+                 WHERE org = $1 AND period_month = $2 AND version = $3
+                 FOR UPDATE
+             )
+             UPDATE monthly_snapshot_versions v SET note = $4
+             FROM old WHERE v.id = old.id
+             RETURNING v.*, old.note AS previous_note`,
+            [org, periodMonth, version, note]
+        );
+        return rows[0] ? { previousNote: rows[0].previous_note, version: formatVersion(rows[0]) } : null;
+    }
+
+    return { ensureSchema, lockMonth, latest, record, touch, history, months, annotate };
+}
+
+export { createSnapshotVersions, figureChanges, REASONS };
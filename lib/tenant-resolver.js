@@ -0,0 +1,189 @@
+// Tenant resolver
+// File: tenant-resolver.js
+//
+// One place that turns whatever a caller calls an entity — tenant ID,
+// dashboard short name ("Property"), snapshot short name ("Property
+// Management & Maintenance Services"), full Xero legal name, or a
+// configured alias — into exactly one tenant.
+//
+// Replaces the per-route `tenantName.toLowerCase().includes(name)` lookups,
+// which silently returned the FIRST substring match: "Rirratjingu" or
+// "RAC" landed on whichever tenant sorted first. Now:
+//   - exact matches (ID, full name, short name, alias) win outright;
+//   - failing that, a substring match is accepted only if it is unique;
+//   - more than one candidate at either stage is TENANT_AMBIGUOUS (409)
+//     listing them;
+//   - nothing is TENANT_NOT_FOUND (404).
+//
+// Short names are the `org` key in daily_metrics / monthly_snapshots, so
+// they stay in code (ENTITIES) — renaming one would orphan history.
+// Aliases are data: extra names live in the `tenant_aliases` table and can
+// be added or removed at runtime via /api/tenant-aliases.
+
+import { apiError } from './api-errors.js';
+
+// Built-in entity naming, in match order (first pattern that appears in the
+// lowercased tenant name wins — 'property management' must be tested
+// before the looser patterns). `aliases` are the dashboard's short labels.
+const ENTITIES = [
+    { pattern: 'mining', shortName: 'Mining', aliases: [] },
+    { pattern: 'aboriginal corporation', shortName: 'Aboriginal Corporation', aliases: [] },
+    { pattern: 'enterprises', shortName: 'Enterprises', aliases: [] },
+    { pattern: 'property management', shortName: 'Property Management & Maintenance Services', aliases: ['Property'] },
+    { pattern: 'ngarrkuwuy', shortName: 'Ngarrkuwuy Developments', aliases: ['Ngarrkuwuy'] },
+    { pattern: 'invest', shortName: 'Rirratjingu Invest', aliases: ['Invest'] },
+    { pattern: 'marrin', shortName: 'Marrin Square Developments', aliases: ['Marrin'] },
+];
+
+function normalizeName(name) {
+    return String(name ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function builtinEntity(tenantName) {
+    const name = normalizeName(tenantName);
+    return ENTITIES.find((e) => name.includes(e.pattern)) || null;
+}
+
+// Full Xero tenant name -> the short org name snapshots are stored under.
+// Unknown tenants keep their full name.
+function shortNameFor(tenantName) {
+    return builtinEntity(tenantName)?.shortName || tenantName;
+}
+
+// `candidates` is kept on the error as well as in details — older callers
+// read err.candidates.
+function resolveError(code, message, candidates) {
+    const err = apiError(code, message, candidates ? { candidates } : undefined);
+    if (candidates) err.candidates = candidates;
+    return err;
+}
+
+// listTenants: async () => [{ tenantId, tenantName, connected }] — normally
+// tokenStorage.getAllXeroConnections, so fixture mode resolves fixture tenants.
+function createTenantResolver({ pool, listTenants }) {
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tenant_aliases (
+                id SERIAL PRIMARY KEY,
+                alias TEXT NOT NULL,
+                tenant_id VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS tenant_aliases_alias_lower ON tenant_aliases (LOWER(alias))');
+        await pool.query('ALTER TABLE tenant_aliases ADD COLUMN IF NOT EXISTS created_by TEXT');
+    }
+
+    async function loadAliasRows() {
+        const { rows } = await pool.query('SELECT alias, tenant_id, created_at FROM tenant_aliases ORDER BY alias');
+        return rows;
+    }
+
+    // Every known tenant with its short name and full alias list
+    // (built-in + configured).
+    async function listEntities() {
+        const [tenants, aliasRows] = await Promise.all([listTenants(), loadAliasRows()]);
+        return tenants.map((t) => {
+            const builtin = builtinEntity(t.tenantName);
+            return {
+                tenantId: t.tenantId,
+                tenantName: t.tenantName,
+                shortName: builtin?.shortName || t.tenantName,
+                connected: !!t.connected,
+                aliases: [
+                    ...(builtin?.aliases || []),
+                    ...aliasRows.filter((r) => r.tenant_id === t.tenantId).map((r) => r.alias),
+                ],
+            };
+        });
+    }
+
+    function candidate(entity) {
+        return { tenantId: entity.tenantId, tenantName: entity.tenantName, shortName: entity.shortName };
+    }
+
+    // Resolve a name or ID to one entity, or throw TENANT_NOT_FOUND /
+    // TENANT_AMBIGUOUS. `connectedOnly` turns a match on a disconnected tenant
+    // into TOKEN_EXPIRED rather than falling through to some other tenant.
+    // `tenants` is the caller's entity scope (lib/entity-access.js, null =
+    // all): entities outside it are not matched, listed as candidates or
+    // counted towards ambiguity.
+    async function resolve(nameOrId, { connectedOnly = false, tenants = null } = {}) {
+        const needle = normalizeName(nameOrId);
+        if (!needle) throw resolveError('VALIDATION_FAILED', 'Organization name or tenant ID required');
+
+        const entities = (await listEntities())
+            .filter((e) => !tenants || tenants.includes(e.tenantId.toLowerCase()));
+
+        let matches = entities.filter((e) => normalizeName(e.tenantId) === needle);
+        if (matches.length === 0) {
+            matches = entities.filter((e) => [e.tenantName, e.shortName, ...e.aliases].some((n) => normalizeName(n) === needle));
+        }
+        if (matches.length === 0) {
+            matches = entities.filter((e) => normalizeName(e.tenantName).includes(needle) || normalizeName(e.shortName).includes(needle));
+        }
+
+        if (matches.length === 0) {
+            throw resolveError('TENANT_NOT_FOUND', `Organization not found: "${nameOrId}"`);
+        }
+        if (matches.length > 1) {
+            throw resolveError(
+                'TENANT_AMBIGUOUS',
+                `Organization name "${nameOrId}" is ambiguous — matches ${matches.length} entities. Use one of the candidates' tenantId or shortName.`,
+                matches.map(candidate)
+            );
+        }
+
+        const [match] = matches;
+        if (connectedOnly && !match.connected) {
+            throw resolveError('TOKEN_EXPIRED', `${match.tenantName} is not currently connected (token expired)`);
+        }
+        return match;
+    }
+
+    // createdBy: who added it (lib/session.js actorOf), stored with the alias.
+    // tenants: the caller's entity scope, as for resolve() — the target must
+    // be inside it.
+    async function addAlias(alias, target, { createdBy = null, tenants = null } = {}) {
+        const trimmed = String(alias ?? '').trim();
+        if (!trimmed) throw resolveError('VALIDATION_FAILED', 'alias is required');
+        const entity = await resolve(target, { tenants });
+
+        // An alias that already means something else would make that name
+        // ambiguous — refuse rather than create the problem we're solving.
+        // Every entity counts, but one outside the scope isn't named.
+        const existing = await listEntities();
+        const clash = existing.find((e) => e.tenantId !== entity.tenantId
+            && [e.tenantName, e.shortName, ...e.aliases].some((n) => normalizeName(n) === normalizeName(trimmed)));
+        if (clash && tenants && !tenants.includes(clash.tenantId.toLowerCase())) {
+            throw resolveError('CONFLICT', `"${trimmed}" already names another entity`);
+        }
+        if (clash) {
+            throw resolveError('CONFLICT', `"${trimmed}" already names ${clash.tenantName}`, [candidate(clash)]);
+        }
+
+        await pool.query(
+            `INSERT INTO tenant_aliases (alias, tenant_id, created_by) VALUES ($1, $2, $3)
+             ON CONFLICT ((LOWER(alias))) DO UPDATE SET tenant_id = EXCLUDED.tenant_id, created_by = EXCLUDED.created_by`,
+            [trimmed, entity.tenantId, createdBy]
+        );
+        console.log(`[tenant-alias] "${trimmed}" -> ${entity.tenantName}${createdBy ? ` (by ${createdBy})` : ''}`);
+        return { alias: trimmed, ...candidate(entity) };
+    }
+
+    // The removed { alias, tenantId }, or null if there was no such alias
+    // (or it names an entity outside `tenants`, the caller's scope).
+    async function removeAlias(alias, { tenants = null } = {}) {
+        const { rows } = await pool.query(
+            `DELETE FROM tenant_aliases
+             WHERE LOWER(alias) = LOWER($1) AND ($2::text[] IS NULL OR LOWER(tenant_id) = ANY($2))
+             RETURNING alias, tenant_id`,
+            [String(alias ?? '').trim(), tenants]
+        );
+        return rows[0] ? { alias: rows[0].alias, tenantId: rows[0].tenant_id } : null;
+    }
+
+    return { ensureSchema, resolve, listEntities, addAlias, removeAlias };
+}
+
+export { createTenantResolver, shortNameFor, normalizeName, builtinEntity, ENTITIES };
@@ -0,0 +1,132 @@
+// Token encryption at rest
+// File: token-crypto.js
+//
+// Envelope encryption for the OAuth tokens we keep in Postgres
+// (xero_connections, approvalmax_tokens). Anyone with read access to the
+// Railway console used to hold a live key to seven organisations' ledgers;
+// now they hold ciphertext.
+//
+// Per row:
+//   - a fresh random 256-bit DATA key encrypts access_token and
+//     refresh_token (AES-256-GCM, column name bound in as AAD so the two
+//     ciphertexts can't be swapped);
+//   - the data key itself is encrypted ("wrapped") with a KEY-ENCRYPTION
+//     key from the environment and stored in enc_data_key;
+//   - enc_key_id records which environment key wrapped it.
+//
+// Rotating the environment key only re-wraps the small data key per row —
+// the tokens themselves are untouched, so no one has to re-run OAuth. See
+// migrations/encrypt-tokens.js and the README "Token encryption" section.
+//
+// Environment:
+//   TOKEN_ENCRYPTION_KEYS        "kid:base64key[,kid:base64key...]" — every
+//                                key that may still be needed to unwrap
+//   TOKEN_ENCRYPTION_ACTIVE_KEY  kid used for new writes (defaults to the
+//                                first key listed)
+//
+// Generate a key: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+
+import crypto from 'crypto';
+
+const CIPHERTEXT_PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+function parseKeyring(spec) {
+    const keys = new Map();
+    for (const entry of String(spec || '').split(',')) {
+        const trimmed = entry.trim();
+        if (!trimmed) continue;
+        const sep = trimmed.indexOf(':');
+        if (sep <= 0) throw new Error(`TOKEN_ENCRYPTION_KEYS entry "${trimmed.slice(0, 8)}..." must be "kid:base64key"`);
+        const kid = trimmed.slice(0, sep);
+        const key = Buffer.from(trimmed.slice(sep + 1), 'base64');
+        if (key.length !== 32) throw new Error(`TOKEN_ENCRYPTION_KEYS key "${kid}" must decode to 32 bytes (got ${key.length})`);
+        keys.set(kid, key);
+    }
+    return keys;
+}
+
+function seal(key, plaintext, aad) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad));
+    const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ct].map((b) => b.toString('base64')).join('.');
+}
+
+function open(key, sealed, aad) {
+    const [iv, tag, ct] = String(sealed).split('.').map((p) => Buffer.from(p, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    if (aad) decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ct), decipher.final()]);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(CIPHERTEXT_PREFIX);
+}
+
+function createTokenCipher({
+    keys = parseKeyring(process.env.TOKEN_ENCRYPTION_KEYS),
+    activeKeyId = process.env.TOKEN_ENCRYPTION_ACTIVE_KEY || keys.keys().next().value,
+} = {}) {
+    const enabled = keys.size > 0;
+    if (enabled && !keys.has(activeKeyId)) {
+        throw new Error(`TOKEN_ENCRYPTION_ACTIVE_KEY "${activeKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+    }
+
+    function kek(kid) {
+        const key = keys.get(kid);
+        if (!key) throw new Error(`Token encryption key "${kid}" not configured — add it back to TOKEN_ENCRYPTION_KEYS`);
+        return key;
+    }
+
+    function unwrapDataKey(row) {
+        return open(kek(row.enc_key_id), row.enc_data_key, `dek:${row.enc_key_id}`);
+    }
+
+    // Encrypt a row's tokens for writing. Returns the four columns to store.
+    // With no key configured, tokens pass through as plaintext (and the
+    // boot log says so loudly) — we never silently lose the ability to read.
+    function encryptTokens({ access_token, refresh_token }) {
+        if (!enabled) {
+            return { access_token, refresh_token, enc_key_id: null, enc_data_key: null };
+        }
+        const dataKey = crypto.randomBytes(32);
+        return {
+            access_token: access_token == null ? null : CIPHERTEXT_PREFIX + seal(dataKey, String(access_token), 'access_token'),
+            refresh_token: refresh_token == null ? null : CIPHERTEXT_PREFIX + seal(dataKey, String(refresh_token), 'refresh_token'),
+            enc_key_id: activeKeyId,
+            enc_data_key: seal(kek(activeKeyId), dataKey, `dek:${activeKeyId}`),
+        };
+    }
+
+    // Decrypt a row read from the database. Rows written before encryption
+    // was switched on (enc_key_id NULL) come back unchanged.
+    function decryptTokens(row) {
+        if (!row || !row.enc_key_id) return row;
+        const dataKey = unwrapDataKey(row);
+        const decrypt = (value, column) => (isEncrypted(value)
+            ? open(dataKey, value.slice(CIPHERTEXT_PREFIX.length), column).toString('utf8')
+            : value);
+        return {
+            ...row,
+            access_token: decrypt(row.access_token, 'access_token'),
+            refresh_token: decrypt(row.refresh_token, 'refresh_token'),
+        };
+    }
+
+    // Key rotation: re-wrap the row's data key under the active key.
+    // The token ciphertexts don't change.
+    function rewrapDataKey(row) {
+        const dataKey = unwrapDataKey(row);
+        return {
+            enc_key_id: activeKeyId,
+            enc_data_key: seal(kek(activeKeyId), dataKey, `dek:${activeKeyId}`),
+        };
+    }
+
+    return { enabled, activeKeyId, encryptTokens, decryptTokens, rewrapDataKey };
+}
+
+export { createTokenCipher, parseKeyring, isEncrypted };
@@ -0,0 +1,251 @@
+// Request validation
+// File: validation.js
+//
+// One schema format for everything a route accepts — report params
+// (report-registry.js), JSON bodies and query strings (validate()). A schema
+// is { field: spec }:
+//
+//   type         'string' | 'text' | 'entity' | 'tenantId' |
+//                'date' (YYYY-MM-DD) | 'month' (YYYY-MM) | 'integer' |
+//                'number' | 'boolean' | 'enum' | 'array' | 'object'
+//                ('text' is free text kept as sent — not trimmed, may be
+//                empty, up to 100k characters)
+//   description  shown to MCP clients
+//   default      applied when missing (value, or fn returning one)
+//   required     VALIDATION_FAILED if missing
+//   min / max    numeric range (integer, number); length for string/array
+//   values       allowed values (enum); on any other type, literals accepted
+//                as-is alongside it (entities: 'all' | ['Mining', ...])
+//   items        spec for each element (array)
+//   fields       schema for a nested object (object; omit = any plain object)
+//   aliases      older names accepted for the same field
+//   path         report param that is also a GET path segment
+//
+// Parsing returns ONLY the declared fields, coerced (query-string "12" ->
+// 12, "true" -> true) — handlers never see anything the schema didn't
+// allow. Every problem is collected and thrown at once as
+// VALIDATION_FAILED with details.problems [{ param, message }].
+
+import { apiError, sendError } from './api-errors.js';
+
+const TYPES = new Set(['string', 'text', 'entity', 'tenantId', 'date', 'month', 'integer', 'number', 'boolean', 'enum', 'array', 'object']);
+
+// Entity short names, full Xero names and aliases: letters, digits, spaces
+// and the punctuation real names use ("Property Management & Maintenance
+// Services Pty Ltd", "Rirratjingu Invest (Trust)").
+const ENTITY_NAME = /^[\p{L}\p{N} &'().,/_-]{1,120}$/u;
+const TENANT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_STRING = 500;
+const MAX_TEXT = 100000;
+
+function isRealDate(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m) return false;
+    const d = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+    return d.getUTCFullYear() === +m[1] && d.getUTCMonth() === +m[2] - 1 && d.getUTCDate() === +m[3];
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkSchema(schema, label) {
+    for (const [key, spec] of Object.entries(schema)) {
+        if (!TYPES.has(spec.type)) throw new Error(`${label}: field ${key} has unknown type "${spec.type}"`);
+        if (spec.type === 'enum' && !Array.isArray(spec.values)) throw new Error(`${label}: enum ${key} needs values`);
+        if (spec.items) checkSchema({ [`${key}[]`]: spec.items }, label);
+        if (spec.fields) checkSchema(spec.fields, label);
+    }
+}
+
+// -> { value } | { error } | { problems } (nested)
+function coerce(spec, raw, at) {
+    if (spec.type !== 'enum' && spec.values?.includes(raw)) return { value: raw };
+    switch (spec.type) {
+        case 'string': {
+            if (typeof raw === 'object') return { error: 'must be a string' };
+            const s = String(raw).trim();
+            if (!s) return { error: 'must not be empty' };
+            if (s.length > (spec.max ?? MAX_STRING)) return { error: `must be at most ${spec.max ?? MAX_STRING} characters` };
+            if (spec.min != null && s.length < spec.min) return { error: `must be at least ${spec.min} characters` };
+            return { value: s };
+        }
+        case 'text': {
+            if (typeof raw !== 'string') return { error: 'must be a string' };
+            if (raw.length > (spec.max ?? MAX_TEXT)) return { error: `must be at most ${spec.max ?? MAX_TEXT} characters` };
+            return { value: raw };
+        }
+        case 'entity': {
+            const s = typeof raw === 'string' ? raw.trim() : '';
+            return ENTITY_NAME.test(s) ? { value: s } : { error: 'must be an entity name, alias or tenant ID' };
+        }
+        case 'tenantId': {
+            const s = typeof raw === 'string' ? raw.trim() : '';
+            return TENANT_ID.test(s) ? { value: s.toLowerCase() } : { error: 'must be a Xero tenant ID (GUID)' };
+        }
+        case 'date': {
+            // Accept a full ISO timestamp but keep the date part.
+            const s = typeof raw === 'string' ? raw.trim().slice(0, 10) : '';
+            return isRealDate(s) ? { value: s } : { error: 'must be a date (YYYY-MM-DD)' };
+        }
+        case 'month': {
+            const s = typeof raw === 'string' ? raw.trim() : '';
+            return /^\d{4}-(0[1-9]|1[0-2])$/.test(s) ? { value: s } : { error: 'must be a month (YYYY-MM)' };
+        }
+        case 'integer':
+        case 'number': {
+            if (typeof raw === 'boolean' || typeof raw === 'object') return { error: 'must be a number' };
+            const n = Number(raw);
+            if (raw === '' || !Number.isFinite(n)) return { error: 'must be a number' };
+            if (spec.type === 'integer' && !Number.isInteger(n)) return { error: 'must be a whole number' };
+            if (spec.min != null && n < spec.min) return { error: `must be >= ${spec.min}` };
+            if (spec.max != null && n > spec.max) return { error: `must be <= ${spec.max}` };
+            return { value: n };
+        }
+        case 'boolean': {
+            if (raw === true || raw === 'true' || raw === '1') return { value: true };
+            if (raw === false || raw === 'false' || raw === '0') return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'enum': {
+            const s = String(raw);
+            return spec.values.includes(s) ? { value: s } : { error: `must be one of ${spec.values.join(', ')}` };
+        }
+        case 'array': {
+            if (!Array.isArray(raw)) return { error: 'must be an array' };
+            if (spec.min != null && raw.length < spec.min) return { error: `must have at least ${spec.min} item${spec.min === 1 ? '' : 's'}` };
+            if (spec.max != null && raw.length > spec.max) return { error: `must have at most ${spec.max} items` };
+            if (!spec.items) return { value: raw };
+            const value = [];
+            const problems = [];
+            raw.forEach((item, i) => {
+                const r = coerce(spec.items, item, `${at}[${i}]`);
+                if (r.error) problems.push({ param: `${at}[${i}]`, message: r.error });
+                else if (r.problems) problems.push(...r.problems);
+                else value.push(r.value);
+            });
+            return problems.length ? { problems } : { value };
+        }
+        case 'object': {
+            if (!isPlainObject(raw)) return { error: 'must be an object' };
+            if (!spec.fields) return { value: raw };
+            const { value, problems } = collect(spec.fields, raw, `${at}.`);
+            return problems.length ? { problems } : { value };
+        }
+        default:
+            return { error: `has unsupported type ${spec.type}` };
+    }
+}
+
+function collect(schema, raw, prefix = '') {
+    const value = {};
+    const problems = [];
+    for (const [key, spec] of Object.entries(schema)) {
+        const names = [key, ...(spec.aliases || [])];
+        const supplied = names.map((n) => raw[n])
+            .find((v) => v !== undefined && v !== null && (v !== '' || spec.type === 'text'));
+        const at = `${prefix}${key}`;
+        if (supplied === undefined) {
+            if (spec.required) problems.push({ param: at, message: 'is required' });
+            else if (spec.default !== undefined) value[key] = typeof spec.default === 'function' ? spec.default() : spec.default;
+            continue;
+        }
+        const r = coerce(spec, supplied, at);
+        if (r.error) problems.push({ param: at, message: r.error });
+        else if (r.problems) problems.push(...r.problems);
+        else value[key] = r.value;
+    }
+    return { value, problems };
+}
+
+function validationError(label, problems) {
+    return apiError(
+        'VALIDATION_FAILED',
+        `Invalid ${label}: ${problems.map((p) => `${p.param} ${p.message}`).join('; ')}`,
+        { problems }
+    );
+}
+
+// Validate raw input (query string or JSON body) against a schema. Returns
+// the declared fields only; throws VALIDATION_FAILED listing every problem.
+function parseInput(schema, raw, label = 'request') {
+    const { value, problems } = collect(schema, isPlainObject(raw) ? raw : {});
+    if (problems.length) throw validationError(label, problems);
+    return value;
+}
+
+// Route middleware: validate({ body, query, params }, { check }). Replaces
+// req.body / req.query / req.params with the parsed values. `check(req)` runs
+// after parsing for cross-field rules and returns a list of problems.
+function validate(schemas, { check } = {}) {
+    for (const [part, schema] of Object.entries(schemas)) checkSchema(schema, `validate(${part})`);
+    return (req, res, next) => {
+        try {
+            const problems = [];
+            for (const [part, schema] of Object.entries(schemas)) {
+                const { value, problems: found } = collect(schema, isPlainObject(req[part]) ? req[part] : {}, part === 'body' ? '' : `${part}.`);
+                problems.push(...found);
+                if (!found.length) req[part] = value;
+            }
+            if (!problems.length && check) problems.push(...(check(req) || []));
+            if (problems.length) return sendError(res, validationError(`${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`, problems));
+            return next();
+        } catch (error) {
+            return sendError(res, error);
+        }
+    };
+}
+
+// JSON Schema for one field — MCP tool inputs are described with these.
+function toJsonSchema(spec) {
+    const schema = spec.description ? { description: spec.description } : {};
+    switch (spec.type) {
+        case 'date': Object.assign(schema, { type: 'string', format: 'date' }); break;
+        case 'month': Object.assign(schema, { type: 'string', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' }); break;
+        case 'entity': Object.assign(schema, { type: 'string', maxLength: 120 }); break;
+        case 'tenantId': Object.assign(schema, { type: 'string', format: 'uuid' }); break;
+        case 'integer': Object.assign(schema, { type: 'integer' }); break;
+        case 'number': Object.assign(schema, { type: 'number' }); break;
+        case 'boolean': Object.assign(schema, { type: 'boolean' }); break;
+        case 'enum': Object.assign(schema, { type: 'string', enum: spec.values }); break;
+        case 'array': Object.assign(schema, { type: 'array', ...(spec.items ? { items: toJsonSchema(spec.items) } : {}) }); break;
+        case 'object': {
+            schema.type = 'object';
+            if (spec.fields) {
+                schema.properties = Object.fromEntries(Object.entries(spec.fields).map(([k, f]) => [k, toJsonSchema(f)]));
+                const required = Object.entries(spec.fields).filter(([, f]) => f.required).map(([k]) => k);
+                if (required.length) schema.required = required;
+            }
+            break;
+        }
+        default: Object.assign(schema, { type: 'string' });
+    }
+    const numeric = spec.type === 'integer' || spec.type === 'number';
+    if (spec.min != null) schema[numeric ? 'minimum' : spec.type === 'array' ? 'minItems' : 'minLength'] = spec.min;
+    if (spec.max != null) schema[numeric ? 'maximum' : spec.type === 'array' ? 'maxItems' : 'maxLength'] = spec.max;
+    if (spec.default !== undefined && typeof spec.default !== 'function') schema.default = spec.default;
+    return schema;
+}
+
+// Xero where-clause values. Never interpolate request input into a where
+// clause directly — dates go through whereDate(), strings through whereString().
+
+// '2025-06-30' | Date -> 'DateTime(2025,06,30)'. A Date is taken in local
+// time, as the server's own date arithmetic (setMonth etc.) is.
+function localDate(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function whereDate(value) {
+    const s = value instanceof Date && !isNaN(value) ? localDate(value) : String(value ?? '');
+    if (!isRealDate(s)) throw validationError('date', [{ param: 'date', message: `"${s}" is not a date (YYYY-MM-DD)` }]);
+    return `DateTime(${s.replace(/-/g, ',')})`;
+}
+
+// Any string -> a quoted where-clause literal with quotes and backslashes escaped.
+function whereString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+export { parseInput, validate, checkSchema, toJsonSchema, isRealDate, whereDate, whereString };
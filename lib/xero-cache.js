@@ -0,0 +1,197 @@
+// Xero response cache
+// File: xero-cache.js
+//
+// Wraps a Xero data source (xero-source.js) with an in-memory cache keyed
+// by tenant + method + arguments. Opening the dashboard fires trial
+// balance, P&L, cash, receivables, expense and ratio calls per entity;
+// /api/ai-chat then re-fetches the same data through fetchInternal, and the
+// consolidated views do it again for all seven tenants. All of those land
+// on the same few Xero reports, so they all share this cache.
+//
+// TTLs are per method (DEFAULT_TTLS_MS), with two refinements for P&L:
+//   - a period that ended before the current month is "closed" and kept
+//     for hours rather than minutes;
+//   - a period whose every month is FINAL in monthly_snapshots never
+//     expires (isFinalPeriod callback) — finals are locked, so readers
+//     get the finalised month. /api/finalize-month purges before it
+//     re-fetches, and the daily snapshot purges so it can spot a final
+//     month that has since changed in Xero (a restatement).
+// TTL is decided when the entry is stored, so the final-month check only
+// costs a query on a miss.
+//
+// Concurrent identical calls share one in-flight request ("coalesced").
+// Bodies are cloned in and out so no caller can mutate a cached report.
+
+// Short for anything cash-like or that the team edits during the day,
+// long for reference data.
+const DEFAULT_TTLS_MS = {
+    getReportBankSummary: 60 * 1000,
+    getReportBalanceSheet: 2 * 60 * 1000,
+    getReportTrialBalance: 2 * 60 * 1000,
+    getInvoices: 2 * 60 * 1000,
+    getReportAgedReceivablesByContact: 2 * 60 * 1000,
+    getReportProfitAndLoss: 5 * 60 * 1000,
+    getManualJournals: 5 * 60 * 1000,
+    getManualJournal: 5 * 60 * 1000,
+    getJournals: 5 * 60 * 1000,
+    getContacts: 30 * 60 * 1000,
+    getAccounts: 30 * 60 * 1000,
+    getBudgets: 30 * 60 * 1000,
+    getBudget: 30 * 60 * 1000,
+    getReportBudgetSummary: 30 * 60 * 1000,
+};
+
+// Backdated balance sheets and closed-but-not-final P&L periods.
+const HISTORICAL_TTL_MS = 6 * 60 * 60 * 1000;
+
+function toIsoDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    return String(value).slice(0, 10);
+}
+
+function currentMonthStart(nowMs) {
+    const d = new Date(nowMs);
+    return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}-01`;
+}
+
+// 'YYYY-MM' for every month from fromDate to toDate inclusive.
+function monthsInRange(fromDate, toDate) {
+    const months = [];
+    let [y, m] = fromDate.slice(0, 7).split('-').map(Number);
+    const [endY, endM] = toDate.slice(0, 7).split('-').map(Number);
+    while (y < endY || (y === endY && m <= endM)) {
+        months.push(`${y}-${String(m).padStart(2, '0')}`);
+        m += 1;
+        if (m > 12) { m = 1; y += 1; }
+    }
+    return months;
+}
+
+function createCachedXeroSource(source, {
+    methods,
+    ttls = {},
+    isFinalPeriod = async () => false,
+    maxEntries = 2000,
+    now = Date.now,
+} = {}) {
+    const ttlByMethod = { ...DEFAULT_TTLS_MS, ...ttls };
+    const entries = new Map(); // key -> { tenantId, method, body, expiresAt }
+    const inflight = new Map();
+    const counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0, byMethod: {} };
+
+    function count(method, field) {
+        counters[field] += 1;
+        const m = counters.byMethod[method] || (counters.byMethod[method] = { hits: 0, misses: 0, coalesced: 0 });
+        m[field] += 1;
+    }
+
+    async function ttlFor(method, tenantId, args) {
+        const base = ttlByMethod[method] ?? 60 * 1000;
+        const monthStart = currentMonthStart(now());
+
+        if (method === 'getReportProfitAndLoss') {
+            const fromDate = toIsoDate(args[0]);
+            const toDate = toIsoDate(args[1]);
+            if (!fromDate || !toDate || toDate >= monthStart) return base;
+            try {
+                if (await isFinalPeriod(tenantId, monthsInRange(fromDate, toDate))) return Infinity;
+            } catch (err) {
+                console.warn(`[xero-cache] final-period check failed for ${tenantId}: ${err.message}`);
+            }
+            return HISTORICAL_TTL_MS;
+        }
+
+        if (method === 'getReportBalanceSheet' || method === 'getReportTrialBalance') {
+            const date = toIsoDate(args[0]);
+            if (date && date < monthStart) return HISTORICAL_TTL_MS;
+        }
+        return base;
+    }
+
+    function store(key, entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+            counters.evictions += 1;
+        }
+    }
+
+    async function call(method, tenantId, args) {
+        const key = `${tenantId}|${method}|${JSON.stringify(args)}`;
+
+        const hit = entries.get(key);
+        if (hit && hit.expiresAt > now()) {
+            // Re-insert so Map order tracks recency for eviction.
+            entries.delete(key);
+            entries.set(key, hit);
+            count(method, 'hits');
+            return { body: structuredClone(hit.body) };
+        }
+        if (hit) entries.delete(key);
+
+        if (inflight.has(key)) {
+            count(method, 'coalesced');
+            const body = await inflight.get(key);
+            return { body: structuredClone(body) };
+        }
+
+        count(method, 'misses');
+        const pending = (async () => {
+            const response = await source[method](tenantId, ...args);
+            const body = structuredClone(response.body);
+            const ttl = await ttlFor(method, tenantId, args);
+            store(key, { tenantId, method, body, expiresAt: now() + ttl });
+            return body;
+        })();
+        inflight.set(key, pending);
+        try {
+            const body = await pending;
+            return { body: structuredClone(body) };
+        } finally {
+            inflight.delete(key);
+        }
+    }
+
+    // Drop entries matching every given filter; no filters = everything.
+    function purge({ tenantId, method } = {}) {
+        let purged = 0;
+        for (const [key, entry] of entries) {
+            if (tenantId && entry.tenantId !== tenantId) continue;
+            if (method && entry.method !== method) continue;
+            entries.delete(key);
+            purged += 1;
+        }
+        if (purged > 0) console.log(`[xero-cache] purged ${purged} entr${purged === 1 ? 'y' : 'ies'}${tenantId ? ` tenant=${tenantId}` : ''}${method ? ` method=${method}` : ''}`);
+        return purged;
+    }
+
+    function stats() {
+        const lookups = counters.hits + counters.misses + counters.coalesced;
+        let pinned = 0;
+        for (const entry of entries.values()) if (entry.expiresAt === Infinity) pinned += 1;
+        return {
+            size: entries.size,
+            maxEntries,
+            pinned,
+            inflight: inflight.size,
+            hits: counters.hits,
+            misses: counters.misses,
+            coalesced: counters.coalesced,
+            evictions: counters.evictions,
+            hitRate: lookups ? Math.round(((counters.hits + counters.coalesced) / lookups) * 1000) / 1000 : null,
+            byMethod: counters.byMethod,
+            ttlsMs: ttlByMethod,
+        };
+    }
+
+    // Everything else on the source (kind, fixture tenant helpers) passes through.
+    const cached = { ...source, cache: { stats, purge } };
+    for (const method of methods) {
+        cached[method] = (tenantId, ...args) => call(method, tenantId, args);
+    }
+    return cached;
+}
+
+export { createCachedXeroSource, monthsInRange, DEFAULT_TTLS_MS };
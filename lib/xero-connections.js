@@ -0,0 +1,607 @@
+// Xero connection store
+// File: xero-connections.js
+//
+// One Xero OAuth grant = one CONNECTION, and the connection owns the one
+// refresh token. Every tenant authorised under that grant is a row in
+// `tokens` linked to it via tokens.connection_id. Tenant rows no longer
+// carry their own copy of the access/refresh token.
+//
+// Why: Xero refresh tokens are single-use. The old model stamped the same
+// refresh token across all seven tenant rows and refreshed "for everyone"
+// from whichever tenant's request noticed expiry first. Two requests for
+// different entities refreshing at the same moment both spent the same
+// token; whichever UPDATE landed last wrote a dead token and the chain
+// broke ("manual re-auth required").
+//
+// Every refresh now goes through refreshConnection(), which:
+//   1. single-flights in-process — concurrent callers for the same
+//      connection share ONE promise, so one instance never spends the
+//      token twice;
+//   2. takes a Postgres advisory lock (pg_advisory_xact_lock) so two
+//      instances (e.g. a Railway redeploy overlap) can't either, and
+//      re-reads the row AFTER the lock — if someone else just rotated,
+//      we reuse their token instead of refreshing again;
+//   3. records the outcome in xero_token_rotations (rotated / reused /
+//      failed) with short fingerprints of the old and new refresh tokens,
+//      so a broken chain can be traced after the fact.
+//
+// reconcile() compares each connection's tenants with Xero's own list
+// (GET /connections). A tenant Xero no longer lists is marked
+// tokens.xero_status = 'disconnected' — it was disconnected in Xero, which
+// no refresh will fix — and back to 'connected' if it reappears. Tenants
+// Xero lists that aren't linked here are returned as `unlinked` for an admin
+// to adopt (adoptTenant) rather than added silently; removeTenant() drops a
+// stale one.
+//
+// Tokens are encrypted at rest by the injected cipher (token-crypto.js);
+// everything outside this module only ever sees plaintext token sets.
+
+import crypto from 'crypto';
+import os from 'os';
+import fetch from 'node-fetch';
+import { createTokenCipher } from './token-crypto.js';
+import { apiError } from './api-errors.js';
+
+const XERO_TOKEN_URL = 'https://identity.xero.com/connect/token';
+const XERO_CONNECTIONS_URL = 'https://api.xero.com/connections';
+
+// First key of the two-int advisory lock. Arbitrary but fixed ("XRO") so it
+// can't collide with any other advisory lock the app takes.
+const REFRESH_LOCK_NAMESPACE = 0x58524f;
+
+// Refresh when the access token has less than this left. Matches the old
+// getXeroToken() two-minute window.
+const REFRESH_MARGIN_MS = 2 * 60 * 1000;
+
+const INSTANCE_ID = `${process.env.RAILWAY_REPLICA_ID || os.hostname()}:${process.pid}`;
+
+// Short, non-reversible fingerprint of a token — enough to tell two tokens
+// apart in the rotation log without storing anything usable.
+function tokenFingerprint(token) {
+    if (!token) return null;
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12);
+}
+
+// Xero access tokens are JWTs carrying xero_userid. That's the natural key
+// for a grant: re-consenting as the same Xero user replaces the same
+// connection rather than creating a second one. Falls back to 'primary'
+// if the token can't be decoded.
+function connectionKeyFromAccessToken(accessToken) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(accessToken).split('.')[1], 'base64url').toString('utf8'));
+        return payload.xero_userid || payload.sub || 'primary';
+    } catch (e) {
+        return 'primary';
+    }
+}
+
+function isReauthError(err) {
+    const msg = String(err?.message || '');
+    return msg.includes('invalid_grant') || msg.includes('unauthorized');
+}
+
+function createXeroConnectionStore({
+    pool,
+    cipher = createTokenCipher(),
+    clientId = process.env.XERO_CLIENT_ID,
+    clientSecret = process.env.XERO_CLIENT_SECRET,
+} = {}) {
+    // connectionId -> in-flight refresh promise (single-flight guard)
+    const inflight = new Map();
+
+    async function ensureSchema() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS xero_connections (
+                id SERIAL PRIMARY KEY,
+                connection_key VARCHAR(255) UNIQUE NOT NULL,
+                access_token TEXT NOT NULL,
+                refresh_token TEXT,
+                expires_at BIGINT NOT NULL,
+                status VARCHAR(30) DEFAULT 'active',
+                enc_key_id VARCHAR(50),
+                enc_data_key TEXT,
+                last_refreshed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await pool.query(`
+            ALTER TABLE xero_connections
+            ADD COLUMN IF NOT EXISTS enc_key_id VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS enc_data_key TEXT
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS xero_token_rotations (
+                id SERIAL PRIMARY KEY,
+                connection_id INTEGER NOT NULL REFERENCES xero_connections(id),
+                outcome VARCHAR(20) NOT NULL,
+                reason VARCHAR(50),
+                tenant_id VARCHAR(255),
+                old_token_fp VARCHAR(16),
+                new_token_fp VARCHAR(16),
+                error TEXT,
+                instance_id VARCHAR(255),
+                rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE INDEX IF NOT EXISTS idx_xero_token_rotations_conn
+            ON xero_token_rotations (connection_id, rotated_at DESC)
+        `);
+
+        // Tenant rows point at their connection; their own token columns
+        // become unused (nullable) once migrated.
+        await pool.query(`
+            ALTER TABLE tokens
+            ADD COLUMN IF NOT EXISTS connection_id INTEGER REFERENCES xero_connections(id)
+        `);
+        await pool.query(`ALTER TABLE tokens ALTER COLUMN access_token DROP NOT NULL`);
+
+        // Whether Xero still lists the tenant (see reconcile()).
+        await pool.query(`
+            ALTER TABLE tokens
+            ADD COLUMN IF NOT EXISTS xero_status VARCHAR(20) DEFAULT 'connected',
+            ADD COLUMN IF NOT EXISTS disconnected_at TIMESTAMP,
+            ADD COLUMN IF NOT EXISTS reconciled_at TIMESTAMP
+        `);
+
+        await migrateLegacyRows();
+    }
+
+    // One-off: existing deployments have the shared token stamped on every
+    // Xero row. Lift the freshest copy into a connection, link every
+    // unlinked Xero tenant to it, then clear the per-tenant copies so
+    // there's exactly one refresh token on disk. Runs in a transaction —
+    // the copies are only cleared if the connection insert succeeded.
+    async function migrateLegacyRows() {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const { rows } = await client.query(
+                `SELECT tenant_id, access_token, refresh_token, expires_at
+                 FROM tokens
+                 WHERE provider = 'xero' AND connection_id IS NULL AND access_token IS NOT NULL
+                 ORDER BY updated_at DESC NULLS LAST
+                 FOR UPDATE`
+            );
+            if (rows.length === 0) {
+                await client.query('COMMIT');
+                return;
+            }
+
+            const freshest = rows[0];
+            const connectionId = await upsertConnectionRow(client, {
+                access_token: freshest.access_token,
+                refresh_token: freshest.refresh_token,
+                expiresAt: Number(freshest.expires_at),
+            });
+
+            await client.query(
+                `UPDATE tokens
+                 SET connection_id = $1, access_token = NULL, refresh_token = NULL
+                 WHERE provider = 'xero' AND connection_id IS NULL`,
+                [connectionId]
+            );
+            await client.query('COMMIT');
+            console.log(`[xero-conn] migrated ${rows.length} legacy tenant token rows into connection ${connectionId}`);
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    async function upsertConnectionRow(db, { access_token, refresh_token, expiresAt }) {
+        const enc = cipher.encryptTokens({ access_token, refresh_token });
+        const { rows } = await db.query(
+            `INSERT INTO xero_connections
+               (connection_key, access_token, refresh_token, expires_at, status, enc_key_id, enc_data_key, last_refreshed_at)
+             VALUES ($1, $2, $3, $4, 'active', $5, $6, CURRENT_TIMESTAMP)
+             ON CONFLICT (connection_key)
+             DO UPDATE SET
+               access_token = EXCLUDED.access_token,
+               refresh_token = EXCLUDED.refresh_token,
+               expires_at = EXCLUDED.expires_at,
+               status = 'active',
+               enc_key_id = EXCLUDED.enc_key_id,
+               enc_data_key = EXCLUDED.enc_data_key,
+               last_refreshed_at = CURRENT_TIMESTAMP,
+               updated_at = CURRENT_TIMESTAMP
+             RETURNING id`,
+            [connectionKeyFromAccessToken(access_token), enc.access_token, enc.refresh_token, expiresAt, enc.enc_key_id, enc.enc_data_key]
+        );
+        return rows[0].id;
+    }
+
+    // Called from the OAuth callback with the fresh token set.
+    // Returns the connection id the callback's tenants should link to.
+    async function upsertConnection(tokenSet) {
+        return upsertConnectionRow(pool, {
+            access_token: tokenSet.access_token,
+            refresh_token: tokenSet.refresh_token,
+            expiresAt: Date.now() + tokenSet.expires_in * 1000,
+        });
+    }
+
+    async function linkTenant(tenantId, tenantName, connectionId) {
+        await pool.query(
+            `INSERT INTO tokens (tenant_id, tenant_name, provider, connection_id, expires_at, last_seen)
+             SELECT $1, $2, 'xero', c.id, c.expires_at, CURRENT_TIMESTAMP
+             FROM xero_connections c WHERE c.id = $3
+             ON CONFLICT (tenant_id)
+             DO UPDATE SET
+               tenant_name = EXCLUDED.tenant_name,
+               connection_id = EXCLUDED.connection_id,
+               access_token = NULL,
+               refresh_token = NULL,
+               xero_status = 'connected',
+               disconnected_at = NULL,
+               last_seen = CURRENT_TIMESTAMP,
+               updated_at = CURRENT_TIMESTAMP`,
+            [tenantId, tenantName, connectionId]
+        );
+    }
+
+    async function logRotation(db, { connectionId, outcome, reason, tenantId, oldToken, newToken, error }) {
+        await db.query(
+            `INSERT INTO xero_token_rotations
+               (connection_id, outcome, reason, tenant_id, old_token_fp, new_token_fp, error, instance_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [connectionId, outcome, reason, tenantId, tokenFingerprint(oldToken), tokenFingerprint(newToken), error || null, INSTANCE_ID]
+        );
+    }
+
+    async function requestRefresh(refreshToken) {
+        const response = await fetch(XERO_TOKEN_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                refresh_token: refreshToken,
+                client_id: clientId,
+                client_secret: clientSecret,
+            }),
+        });
+        if (!response.ok) {
+            const errorBody = await response.text();
+            throw new Error(`Token refresh failed: ${response.status} - ${errorBody}`);
+        }
+        return response.json();
+    }
+
+    async function doRefresh(connectionId, { reason, tenantId, force }) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT pg_advisory_xact_lock($1, $2)', [REFRESH_LOCK_NAMESPACE, connectionId]);
+
+            // Re-read under the lock — another instance may have rotated
+            // while we were waiting. If so, its token is good; use it.
+            const { rows } = await client.query('SELECT * FROM xero_connections WHERE id = $1', [connectionId]);
+            const conn = cipher.decryptTokens(rows[0]);
+            if (!conn) {
+                throw apiError('NOT_FOUND', `Xero connection ${connectionId} not found`);
+            }
+
+            // Xero already rejected this refresh token. Sending it again
+            // can't work and would only log another failure; only a new
+            // grant through /auth (which sets the status back) fixes it.
+            if (conn.status === 'reauth_required') {
+                await client.query('COMMIT');
+                const err = apiError('TOKEN_EXPIRED', `Xero connection ${connectionId} needs re-authorisation at /auth`);
+                err.requiresReauth = true;
+                throw err;
+            }
+
+            if (!force && Number(conn.expires_at) > Date.now() + REFRESH_MARGIN_MS) {
+                await logRotation(client, { connectionId, outcome: 'reused', reason, tenantId, oldToken: conn.refresh_token, newToken: conn.refresh_token });
+                await client.query('COMMIT');
+                return conn;
+            }
+
+            if (!conn.refresh_token) {
+                throw new Error('No refresh token available');
+            }
+
+            let tokenSet;
+            try {
+                tokenSet = await requestRefresh(conn.refresh_token);
+            } catch (err) {
+                const requiresReauth = isReauthError(err);
+                if (requiresReauth) {
+                    await client.query(
+                        `UPDATE xero_connections SET status = 'reauth_required', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                        [connectionId]
+                    );
+                    console.error(`[xero-conn] refresh chain broken for connection ${connectionId} - manual re-auth required`);
+                }
+                await logRotation(client, { connectionId, outcome: 'failed', reason, tenantId, oldToken: conn.refresh_token, error: err.message });
+                await client.query('COMMIT');
+                err.requiresReauth = requiresReauth;
+                throw err;
+            }
+
+            const expiresAt = Date.now() + tokenSet.expires_in * 1000;
+            const enc = cipher.encryptTokens(tokenSet);
+            const updated = await client.query(
+                `UPDATE xero_connections
+                 SET access_token = $1, refresh_token = $2, expires_at = $3, status = 'active',
+                     enc_key_id = $5, enc_data_key = $6,
+                     last_refreshed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4
+                 RETURNING *`,
+                [enc.access_token, enc.refresh_token, expiresAt, connectionId, enc.enc_key_id, enc.enc_data_key]
+            );
+            await client.query(
+                `UPDATE tokens SET expires_at = $1, last_seen = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                 WHERE connection_id = $2`,
+                [expiresAt, connectionId]
+            );
+            await logRotation(client, { connectionId, outcome: 'rotated', reason, tenantId, oldToken: conn.refresh_token, newToken: tokenSet.refresh_token });
+            await client.query('COMMIT');
+            console.log(`[xero-conn] connection ${connectionId} rotated (${reason}${tenantId ? `, via ${tenantId}` : ''})`);
+            return cipher.decryptTokens(updated.rows[0]);
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Refresh a connection's token set. reason is free text for the
+    // rotation log ('jit' | 'scheduled' | 'manual'). force skips the
+    // "someone already refreshed" check — used by the manual button.
+    function refreshConnection(connectionId, { reason = 'jit', tenantId = null, force = false } = {}) {
+        if (inflight.has(connectionId)) return inflight.get(connectionId);
+        const promise = doRefresh(connectionId, { reason, tenantId, force })
+            .finally(() => inflight.delete(connectionId));
+        inflight.set(connectionId, promise);
+        return promise;
+    }
+
+    // Token set for one tenant, refreshed just-in-time if it's expiring.
+    // Returns null when the tenant is unknown or the refresh fails — same
+    // contract the route handlers already rely on. A connection waiting for
+    // re-auth isn't refreshed at all.
+    async function getTenantToken(tenantId) {
+        const { rows } = await pool.query(
+            `SELECT t.tenant_id, t.tenant_name, t.connection_id,
+                    c.access_token, c.refresh_token, c.expires_at, c.enc_key_id, c.enc_data_key, c.status
+             FROM tokens t
+             JOIN xero_connections c ON c.id = t.connection_id
+             WHERE t.tenant_id = $1 AND t.provider = 'xero'`,
+            [tenantId]
+        );
+        if (rows.length === 0) return null;
+        let token = cipher.decryptTokens(rows[0]);
+
+        if (Number(token.expires_at) < Date.now() + REFRESH_MARGIN_MS) {
+            if (token.status === 'reauth_required') {
+                console.error(`Token expired for tenant: ${tenantId} - connection ${token.connection_id} needs re-authorisation`);
+                return null;
+            }
+            console.log(`Token expired/expiring for tenant: ${tenantId} - attempting just-in-time refresh...`);
+            try {
+                const conn = await refreshConnection(token.connection_id, { reason: 'jit', tenantId });
+                token = { ...token, access_token: conn.access_token, refresh_token: conn.refresh_token, expires_at: conn.expires_at };
+            } catch (err) {
+                console.error(`JIT refresh failed for ${tenantId}:`, err.message);
+                return null;
+            }
+        }
+
+        return {
+            access_token: token.access_token,
+            refresh_token: token.refresh_token,
+            expires_in: Math.floor((Number(token.expires_at) - Date.now()) / 1000),
+            tenantId: token.tenant_id,
+            tenantName: token.tenant_name,
+            connectionId: token.connection_id,
+        };
+    }
+
+    // The tenants Xero itself says this connection is authorised for
+    // (GET /connections) — [{ tenantId, tenantName, tenantType, ... }]. A
+    // tenant linked here but absent from this list was disconnected in Xero.
+    async function listAuthorisedTenants(connectionId) {
+        const { rows } = await pool.query('SELECT * FROM xero_connections WHERE id = $1', [connectionId]);
+        let conn = cipher.decryptTokens(rows[0]);
+        if (!conn) throw apiError('NOT_FOUND', `Xero connection ${connectionId} not found`);
+        if (Number(conn.expires_at) < Date.now() + REFRESH_MARGIN_MS) {
+            conn = await refreshConnection(connectionId, { reason: 'connections' });
+        }
+        const response = await fetch(XERO_CONNECTIONS_URL, {
+            headers: { Authorization: `Bearer ${conn.access_token}`, Accept: 'application/json' },
+        });
+        if (!response.ok) {
+            throw new Error(`Xero /connections failed: ${response.status} - ${await response.text()}`);
+        }
+        return response.json();
+    }
+
+    // Most recent rotation-log row per connection: connectionId -> { outcome, error, rotatedAt }.
+    async function latestRotations() {
+        const { rows } = await pool.query(
+            `SELECT DISTINCT ON (connection_id) connection_id, outcome, reason, error, rotated_at
+             FROM xero_token_rotations
+             ORDER BY connection_id, rotated_at DESC`
+        );
+        return new Map(rows.map((r) => [r.connection_id, {
+            outcome: r.outcome, reason: r.reason, error: r.error, rotatedAt: r.rotated_at,
+        }]));
+    }
+
+    // Diff every connection's tenants against Xero's /connections list.
+    // Connections marked for re-auth are skipped (they can't call Xero);
+    // one that errors is reported and its tenants left as they were.
+    //
+    //   { connections:  [{ connectionId, ok, tenantCount, error?, requiresReauth? }],
+    //     disconnected: [{ tenantId, tenantName, connectionId }]  newly marked
+    //     reconnected:  [...]                                     listed again
+    //     unlinked:     [{ tenantId, tenantName, tenantType, connectionId }] }
+    async function reconcile() {
+        const tenants = await listTenants();
+        const { rows: connections } = await pool.query(
+            `SELECT id, status FROM xero_connections ORDER BY id`
+        );
+        const linked = new Set(tenants.map((t) => t.tenant_id.toLowerCase()));
+        const result = { connections: [], disconnected: [], reconnected: [], unlinked: [] };
+
+        for (const conn of connections) {
+            const own = tenants.filter((t) => t.connection_id === conn.id);
+            if (conn.status === 'reauth_required') {
+                result.connections.push({ connectionId: conn.id, ok: false, tenantCount: own.length, requiresReauth: true, error: 'Re-authorisation required' });
+                continue;
+            }
+            let authorised;
+            try {
+                authorised = await listAuthorisedTenants(conn.id);
+            } catch (err) {
+                result.connections.push({
+                    connectionId: conn.id, ok: false, tenantCount: own.length,
+                    requiresReauth: Boolean(err.requiresReauth), error: err.message,
+                });
+                continue;
+            }
+            result.connections.push({ connectionId: conn.id, ok: true, tenantCount: own.length });
+
+            const listed = new Set(authorised.map((c) => String(c.tenantId).toLowerCase()));
+            for (const t of own) {
+                const isListed = listed.has(t.tenant_id.toLowerCase());
+                const status = isListed ? 'connected' : 'disconnected';
+                if (status !== (t.xero_status || 'connected')) {
+                    const entry = { tenantId: t.tenant_id, tenantName: t.tenant_name, connectionId: conn.id };
+                    (isListed ? result.reconnected : result.disconnected).push(entry);
+                    console.log(`[xero-conn] tenant ${t.tenant_name} ${isListed ? 'listed again' : 'no longer listed'} by Xero (connection ${conn.id})`);
+                }
+                await pool.query(
+                    `UPDATE tokens
+                     SET xero_status = $2,
+                         disconnected_at = CASE WHEN $2 = 'disconnected' THEN COALESCE(disconnected_at, CURRENT_TIMESTAMP) END,
+                         reconciled_at = CURRENT_TIMESTAMP
+                     WHERE tenant_id = $1`,
+                    [t.tenant_id, status]
+                );
+            }
+            for (const c of authorised) {
+                if (c.tenantType && c.tenantType !== 'ORGANISATION') continue;
+                if (linked.has(String(c.tenantId).toLowerCase())) continue;
+                result.unlinked.push({ tenantId: c.tenantId, tenantName: c.tenantName, tenantType: c.tenantType, connectionId: conn.id });
+            }
+        }
+        return result;
+    }
+
+    // Link a tenant reconcile() reported as unlinked. Checks Xero still
+    // lists it under that connection first, so only authorised tenants
+    // can be added.
+    async function adoptTenant(connectionId, tenantId) {
+        const authorised = await listAuthorisedTenants(connectionId);
+        const match = authorised.find((c) => String(c.tenantId).toLowerCase() === String(tenantId).toLowerCase());
+        if (!match) {
+            throw apiError('NOT_FOUND', `Xero does not list tenant ${tenantId} under connection ${connectionId}`);
+        }
+        await linkTenant(match.tenantId, match.tenantName, connectionId);
+        console.log(`[xero-conn] adopted tenant ${match.tenantName} on connection ${connectionId}`);
+        return { tenantId: match.tenantId, tenantName: match.tenantName, connectionId };
+    }
+
+    // Drop a stale tenant row. Only disconnected tenants can be removed —
+    // one Xero still lists would just come back as unlinked. Returns the
+    // removed { tenantId, tenantName, connectionId, disconnectedAt }, or
+    // null if there was no such tenant.
+    async function removeTenant(tenantId) {
+        const { rows } = await pool.query(
+            `SELECT tenant_id, tenant_name, connection_id, xero_status, disconnected_at
+             FROM tokens WHERE LOWER(tenant_id) = LOWER($1) AND provider = 'xero'`,
+            [tenantId]
+        );
+        if (!rows[0]) return null;
+        if (rows[0].xero_status !== 'disconnected') {
+            throw apiError('CONFLICT', `${rows[0].tenant_name} is still connected in Xero — disconnect it there first, then reconcile`, {
+                tenantId: rows[0].tenant_id,
+            });
+        }
+        await pool.query('DELETE FROM tokens WHERE tenant_id = $1', [rows[0].tenant_id]);
+        console.log(`[xero-conn] removed stale tenant ${rows[0].tenant_name}`);
+        return {
+            tenantId: rows[0].tenant_id,
+            tenantName: rows[0].tenant_name,
+            connectionId: rows[0].connection_id,
+            disconnectedAt: rows[0].disconnected_at,
+        };
+    }
+
+    // Every linked Xero tenant with its connection's expiry/status.
+    async function listTenants() {
+        const { rows } = await pool.query(
+            `SELECT t.tenant_id, t.tenant_name, t.provider, t.last_seen, t.connection_id,
+                    t.xero_status, t.disconnected_at, t.reconciled_at,
+                    c.expires_at, c.status AS connection_status, c.refresh_token IS NOT NULL AS has_refresh_token
+             FROM tokens t
+             JOIN xero_connections c ON c.id = t.connection_id
+             WHERE t.provider = 'xero'
+             ORDER BY t.tenant_name`
+        );
+        return rows.map((row) => ({ ...row, expires_at: Number(row.expires_at) }));
+    }
+
+    // Connections whose access token expires before `before` (ms epoch)
+    // and after `after`. Used by the auto-refresh sweep and expiry warnings.
+    // Connections waiting for re-auth are left out — refreshing can't help.
+    async function listConnectionsExpiring({ before, after }) {
+        const { rows } = await pool.query(
+            `SELECT c.id, c.expires_at, c.status,
+                    COUNT(t.id)::int AS tenant_count,
+                    MIN(t.tenant_name) AS sample_tenant_name
+             FROM xero_connections c
+             LEFT JOIN tokens t ON t.connection_id = c.id
+             WHERE c.expires_at < $1 AND c.expires_at > $2
+               AND c.status IS DISTINCT FROM 'reauth_required'
+             GROUP BY c.id
+             ORDER BY c.expires_at ASC`,
+            [before, after]
+        );
+        return rows.map((row) => ({ ...row, expires_at: Number(row.expires_at) }));
+    }
+
+    async function getRotationLog({ connectionId, limit = 50 } = {}) {
+        const params = [Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500)];
+        let where = '';
+        if (connectionId) {
+            params.push(connectionId);
+            where = 'WHERE connection_id = $2';
+        }
+        const { rows } = await pool.query(
+            `SELECT id, connection_id, outcome, reason, tenant_id, old_token_fp, new_token_fp, error, instance_id, rotated_at
+             FROM xero_token_rotations
+             ${where}
+             ORDER BY rotated_at DESC
+             LIMIT $1`,
+            params
+        );
+        return rows;
+    }
+
+    return {
+        ensureSchema,
+        upsertConnection,
+        linkTenant,
+        refreshConnection,
+        getTenantToken,
+        listTenants,
+        listConnectionsExpiring,
+        getRotationLog,
+        latestRotations,
+        listAuthorisedTenants,
+        reconcile,
+        adoptTenant,
+        removeTenant,
+    };
+}
+
+export { createXeroConnectionStore, tokenFingerprint, connectionKeyFromAccessToken, REFRESH_MARGIN_MS };
@@ -0,0 +1,233 @@
+// Xero request scheduler
+// File: xero-scheduler.js
+//
+// Every call that actually reaches Xero queues here, per tenant. Replaces
+// the hand-rolled `setTimeout(r, 500)` pauses that backfill, snapshot and
+// variance loops used to sprinkle between calls — those guessed at the
+// limits, didn't coordinate with each other, and did nothing when Xero
+// said no anyway.
+//
+// Xero's limits (per tenant, per app): 5 concurrent calls, 60 calls per
+// rolling minute, 5000 per day. Per tenant the scheduler:
+//   - runs at most `concurrency` calls at once;
+//   - starts at most `perMinute` calls in any rolling 60 seconds, and
+//     pauses early if Xero's X-MinLimit-Remaining header says we're out;
+//   - fails fast with a 429 once `perDay` calls have started today (UTC) —
+//     waiting out a daily limit isn't something a request should do;
+//   - on 429 blocks the whole tenant for Retry-After seconds, then retries;
+//   - on 5xx / connection resets retries with exponential backoff.
+//
+// Sits BELOW the response cache (xero-cache.js), so cache hits never spend
+// budget. metrics() backs GET /api/xero-scheduler.
+
+const MINUTE_MS = 60 * 1000;
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE']);
+
+// xero-node has rejected with a few different shapes over the years
+// ({ response: { statusCode } }, ApiError { response: { status } }, or a
+// JSON string of either). Dig out the status and headers wherever they are.
+function describeXeroError(err) {
+    let e = err;
+    if (typeof e === 'string') {
+        try { e = JSON.parse(e); } catch { return { status: null, headers: {} }; }
+    }
+    const response = e?.response || {};
+    const status = response.statusCode ?? response.status ?? e?.statusCode ?? null;
+    return { status: status == null ? null : Number(status), headers: response.headers || {}, code: e?.code };
+}
+
+function headerValue(headers, name) {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()];
+}
+
+function createXeroScheduler({
+    concurrency = 5,
+    perMinute = 55, // a little under Xero's 60, leaves room for clock skew
+    perDay = 5000,
+    maxRetries = 3,
+    baseBackoffMs = 1000,
+    now = Date.now,
+} = {}) {
+    const tenants = new Map();
+    const totals = { started: 0, completed: 0, failed: 0, throttled429: 0, retried5xx: 0, minuteWaits: 0, dailyRejections: 0, maxQueueDepth: 0, totalWaitMs: 0 };
+
+    function state(tenantId) {
+        let s = tenants.get(tenantId);
+        if (!s) {
+            s = {
+                queue: [],
+                active: 0,
+                starts: [], // start timestamps within the last minute
+                day: null,
+                dayCount: 0,
+                blockedUntil: 0,
+                timer: null,
+                minRemaining: null,
+                dayRemaining: null,
+                throttled429: 0,
+                retries: 0,
+                failures: 0,
+                lastProblem: null,
+            };
+            tenants.set(tenantId, s);
+        }
+        return s;
+    }
+
+    function queueDepth() {
+        let depth = 0;
+        for (const s of tenants.values()) depth += s.queue.length;
+        return depth;
+    }
+
+    function wakeAt(tenantId, s, at) {
+        if (s.timer) return;
+        s.timer = setTimeout(() => {
+            s.timer = null;
+            pump(tenantId);
+        }, Math.max(at - now(), 10));
+    }
+
+    function pump(tenantId) {
+        const s = state(tenantId);
+        while (s.active < concurrency && s.queue.length > 0) {
+            const t = now();
+            if (s.blockedUntil > t) return wakeAt(tenantId, s, s.blockedUntil);
+
+            while (s.starts.length && s.starts[0] <= t - MINUTE_MS) s.starts.shift();
+            if (s.starts.length >= perMinute) {
+                totals.minuteWaits += 1;
+                return wakeAt(tenantId, s, s.starts[0] + MINUTE_MS);
+            }
+
+            const today = new Date(t).toISOString().slice(0, 10);
+            if (s.day !== today) { s.day = today; s.dayCount = 0; }
+            if (s.dayCount >= perDay) {
+                totals.dailyRejections += s.queue.length;
+                for (const job of s.queue.splice(0)) {
+                    const err = new Error(`Xero daily call budget (${perDay}) used up for this tenant — resets at 00:00 UTC`);
+                    err.statusCode = 429;
+                    err.code = 'XERO_RATE_LIMITED';
+                    job.reject(err);
+                }
+                return;
+            }
+
+            const job = s.queue.shift();
+            s.starts.push(t);
+            s.dayCount += 1;
+            s.active += 1;
+            totals.started += 1;
+            totals.totalWaitMs += t - job.enqueuedAt;
+            run(tenantId, s, job);
+        }
+    }
+
+    async function run(tenantId, s, job) {
+        try {
+            const result = await job.fn();
+            noteHeaders(s, result?.response?.headers);
+            totals.completed += 1;
+            job.resolve(result);
+        } catch (err) {
+            const { status, headers, code } = describeXeroError(err);
+            const retryable = status === 429 || (status >= 500 && status < 600) || RETRYABLE_NETWORK_CODES.has(code);
+            if (retryable && job.attempts < maxRetries) {
+                job.attempts += 1;
+                let delayMs;
+                if (status === 429) {
+                    const retryAfter = parseInt(headerValue(headers, 'retry-after'), 10);
+                    delayMs = (Number.isFinite(retryAfter) ? retryAfter : 60) * 1000;
+                    s.blockedUntil = Math.max(s.blockedUntil, now() + delayMs);
+                    s.throttled429 += 1;
+                    s.lastProblem = headerValue(headers, 'x-rate-limit-problem') || 'minute';
+                    totals.throttled429 += 1;
+                    console.warn(`[xero-scheduler] 429 ${job.label} tenant=${tenantId} (${s.lastProblem}) — holding tenant ${Math.round(delayMs / 1000)}s`);
+                } else {
+                    delayMs = baseBackoffMs * 2 ** (job.attempts - 1) + Math.floor(Math.random() * 250);
+                    s.retries += 1;
+                    totals.retried5xx += 1;
+                    console.warn(`[xero-scheduler] ${status || code} ${job.label} tenant=${tenantId} — retry ${job.attempts}/${maxRetries} in ${delayMs}ms`);
+                }
+                setTimeout(() => {
+                    job.enqueuedAt = now();
+                    s.queue.unshift(job);
+                    pump(tenantId);
+                }, delayMs);
+            } else {
+                s.failures += 1;
+                totals.failed += 1;
+                job.reject(err);
+            }
+        } finally {
+            s.active -= 1;
+            pump(tenantId);
+        }
+    }
+
+    // Xero reports what's left on every response. If the minute budget is
+    // already gone (another app instance, or calls we didn't see), stop
+    // starting calls until the window rolls rather than eat a 429.
+    function noteHeaders(s, headers) {
+        const minRemaining = parseInt(headerValue(headers, 'x-minlimit-remaining'), 10);
+        const dayRemaining = parseInt(headerValue(headers, 'x-daylimit-remaining'), 10);
+        if (Number.isFinite(minRemaining)) {
+            s.minRemaining = minRemaining;
+            if (minRemaining <= 0) s.blockedUntil = Math.max(s.blockedUntil, now() + MINUTE_MS);
+        }
+        if (Number.isFinite(dayRemaining)) s.dayRemaining = dayRemaining;
+    }
+
+    // Queue fn() against tenantId's budget. Resolves/rejects with fn's result
+    // after any retries.
+    function schedule(tenantId, label, fn) {
+        return new Promise((resolve, reject) => {
+            const s = state(tenantId);
+            s.queue.push({ fn, label, resolve, reject, attempts: 0, enqueuedAt: now() });
+            totals.maxQueueDepth = Math.max(totals.maxQueueDepth, queueDepth());
+            pump(tenantId);
+        });
+    }
+
+    // Route every method of a data source through schedule().
+    function wrapSource(source, methods) {
+        const scheduled = { ...source };
+        for (const method of methods) {
+            scheduled[method] = (tenantId, ...args) => schedule(tenantId, method, () => source[method](tenantId, ...args));
+        }
+        return scheduled;
+    }
+
+    function metrics() {
+        const t = now();
+        const perTenant = {};
+        for (const [tenantId, s] of tenants) {
+            perTenant[tenantId] = {
+                queued: s.queue.length,
+                active: s.active,
+                callsLastMinute: s.starts.filter((ts) => ts > t - MINUTE_MS).length,
+                callsToday: s.day === new Date(t).toISOString().slice(0, 10) ? s.dayCount : 0,
+                blockedForMs: Math.max(0, s.blockedUntil - t),
+                xeroMinuteRemaining: s.minRemaining,
+                xeroDayRemaining: s.dayRemaining,
+                throttled429: s.throttled429,
+                retries: s.retries,
+                failures: s.failures,
+                lastRateLimitProblem: s.lastProblem,
+            };
+        }
+        return {
+            limits: { concurrency, perMinute, perDay, maxRetries },
+            queueDepth: queueDepth(),
+            ...totals,
+            avgWaitMs: totals.started ? Math.round(totals.totalWaitMs / totals.started) : 0,
+            tenants: perTenant,
+        };
+    }
+
+    return { schedule, wrapSource, metrics };
+}
+
+export { createXeroScheduler, describeXeroError };
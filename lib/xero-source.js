@@ -0,0 +1,209 @@
+// Xero data source
+// File: xero-source.js
+//
+// Every Xero read the app makes goes through a data source with the same
+// method names and argument order as xero-node's accountingApi, and the
+// same { body } response shape. That keeps every existing parser (P&L
+// sections, balance-sheet leaves, reversal journal lines, classifiers)
+// untouched while letting us swap what's underneath.
+//
+// Two implementations:
+//   createXeroNodeSource    the real thing — looks up the tenant's token,
+//                           picks that connection's client, calls accountingApi
+//   createFixtureXeroSource reads canned JSON from disk for the seven RAC
+//                           entities (fixtures/xero/). No credentials, no
+//                           network. Select with XERO_DATA_SOURCE=fixtures.
+//
+// Fixture layout:
+//   <dir>/tenants.json                        [{ tenantId, tenantName, key }]
+//   <dir>/<key>/<method>.json                 the response BODY for that call
+//                                             e.g. mining/getReportProfitAndLoss.json
+// A missing file returns an empty body of the right shape. Report date
+// parameters are ignored — a fixture is "the" report for that entity.
+
+import fs from 'fs';
+import path from 'path';
+import { apiError } from './api-errors.js';
+
+// accountingApi methods the app calls. The first seven are the core
+// report/ledger reads; the rest are the long tail a handful of routes use.
+const XERO_SOURCE_METHODS = [
+    'getReportProfitAndLoss',
+    'getReportBalanceSheet',
+    'getReportTrialBalance',
+    'getManualJournals',
+    'getInvoices',
+    'getAccounts',
+    'getBudgets',
+    'getManualJournal',
+    'getBudget',
+    'getContacts',
+    'getJournals',
+    'getReportBankSummary',
+    'getReportBudgetSummary',
+    'getReportAgedReceivablesByContact',
+];
+
+// What an empty response body looks like for each method, so callers doing
+// response.body.reports?.[0]?.rows || [] behave the same as against Xero.
+const EMPTY_BODY = {
+    getReportProfitAndLoss: { reports: [] },
+    getReportBalanceSheet: { reports: [] },
+    getReportTrialBalance: { reports: [] },
+    getReportBankSummary: { reports: [] },
+    getReportBudgetSummary: { reports: [] },
+    getReportAgedReceivablesByContact: { reports: [] },
+    getManualJournals: { manualJournals: [] },
+    getManualJournal: { manualJournals: [] },
+    getInvoices: { invoices: [] },
+    getAccounts: { accounts: [] },
+    getBudgets: { budgets: [] },
+    getBudget: { budgets: [] },
+    getContacts: { contacts: [] },
+    getJournals: { journals: [] },
+};
+
+// Client pool. xero-node keeps the token set ON the client and applies it
+// a microtask after the call starts, so one shared client with
+// setTokenSet() per request let two overlapping requests for different
+// connections run with each other's token. Here a client is bound to ONE
+// connection and ONE access token for its whole life: when the connection's
+// token rotates, a fresh client replaces it in the pool and in-flight calls
+// finish on the old one. Nothing ever calls setTokenSet on a client that
+// someone else might be using.
+function createXeroNodeSource({ createClient, getToken }) {
+    const clients = new Map(); // connectionId -> { accessToken, client }
+
+    function clientFor(tokenData) {
+        const key = tokenData.connectionId ?? `tenant:${tokenData.tenantId}`;
+        const pooled = clients.get(key);
+        if (pooled && pooled.accessToken === tokenData.access_token) return pooled.client;
+        const client = createClient();
+        client.setTokenSet(tokenData);
+        clients.set(key, { accessToken: tokenData.access_token, client });
+        return client;
+    }
+
+    async function call(method, tenantId, args) {
+        const tokenData = await getToken(tenantId);
+        if (!tokenData) {
+            throw apiError('TOKEN_EXPIRED', `No usable Xero token for tenant ${tenantId} — reconnect at /auth`);
+        }
+        return clientFor(tokenData).accountingApi[method](tenantId, ...args);
+    }
+
+    const source = { kind: 'xero' };
+    for (const method of XERO_SOURCE_METHODS) {
+        source[method] = (tenantId, ...args) => call(method, tenantId, args);
+    }
+    return source;
+}
+
+// Minimal Xero `where` support for the list endpoints — enough for the
+// clauses the app actually sends (Type=="BANK", Status=="AUTHORISED"&&Type=="ACCREC",
+// (Status=="AUTHORISED" OR Status=="PAID")). Equality terms, ANDed, each
+// optionally an OR group; anything else (DateTime ranges) is ignored.
+function whereFilter(where) {
+    if (!where) return () => true;
+    const terms = [];
+    for (const part of String(where).split(/&&|\bAND\b/i)) {
+        const options = [];
+        for (const m of part.matchAll(/(\w+)\s*==\s*"([^"]*)"/g)) {
+            options.push({ field: m[1].charAt(0).toLowerCase() + m[1].slice(1), value: m[2].toUpperCase() });
+        }
+        if (options.length) terms.push(options);
+    }
+    return (item) => terms.every((options) =>
+        options.some(({ field, value }) => String(item[field] ?? '').toUpperCase() === value));
+}
+
+// Which argument carries `where`, and which collection it filters, per
+// list method (argument index after tenantId, per xero-node signatures).
+const WHERE_ARG = {
+    getAccounts: { index: 1, collection: 'accounts' },
+    getInvoices: { index: 1, collection: 'invoices' },
+    getManualJournals: { index: 1, collection: 'manualJournals' },
+    getContacts: { index: 1, collection: 'contacts' },
+};
+
+// Which argument carries `page`, per paged list method. A fixture is one
+// page: page 1 (or no page) gets it all, later pages come back empty.
+const PAGE_ARG = {
+    getInvoices: { index: 7, collection: 'invoices' },
+};
+
+// Single-record lookups served out of the matching list fixture.
+const BY_ID = {
+    getManualJournal: { list: 'getManualJournals', collection: 'manualJournals', idField: 'manualJournalID' },
+    getBudget: { list: 'getBudgets', collection: 'budgets', idField: 'budgetID' },
+};
+
+function createFixtureXeroSource({ dir }) {
+    const tenants = JSON.parse(fs.readFileSync(path.join(dir, 'tenants.json'), 'utf8'));
+    const keyByTenantId = new Map(tenants.map((t) => [t.tenantId, t.key]));
+
+    function load(tenantId, method) {
+        const key = keyByTenantId.get(tenantId);
+        if (!key) {
+            throw apiError('TENANT_NOT_FOUND', `No fixtures for tenant ${tenantId}`);
+        }
+        const file = path.join(dir, key, `${method}.json`);
+        if (!fs.existsSync(file)) return structuredClone(EMPTY_BODY[method]);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    async function call(method, tenantId, args) {
+        if (BY_ID[method]) {
+            const { list, collection, idField } = BY_ID[method];
+            const items = load(tenantId, list)[collection] || [];
+            return { body: { [collection]: items.filter((i) => i[idField] === args[0]) } };
+        }
+        const body = load(tenantId, method);
+        const where = WHERE_ARG[method];
+        const paged = PAGE_ARG[method];
+        if (paged && args[paged.index] > 1) {
+            body[paged.collection] = [];
+        }
+        if (where && args[where.index]) {
+            body[where.collection] = (body[where.collection] || []).filter(whereFilter(args[where.index]));
+        }
+        return { body };
+    }
+
+    // Stand-ins for tokenStorage in fixture mode: every fixture tenant is
+    // connected, with a token that never expires and is never sent anywhere.
+    function getFixtureToken(tenantId) {
+        const tenant = tenants.find((t) => t.tenantId === tenantId);
+        if (!tenant) return null;
+        return {
+            access_token: 'fixture',
+            refresh_token: null,
+            expires_in: 30 * 60,
+            tenantId: tenant.tenantId,
+            tenantName: tenant.tenantName,
+            connectionId: null,
+        };
+    }
+
+    function listFixtureConnections() {
+        return tenants.map((t) => ({
+            tenantId: t.tenantId,
+            tenantName: t.tenantName,
+            provider: 'xero',
+            connectionId: null,
+            status: 'connected',
+            connected: true,
+            disconnectedAt: null,
+            lastSeen: new Date().toISOString(),
+            error: null,
+        }));
+    }
+
+    const source = { kind: 'fixtures', tenants, getFixtureToken, listFixtureConnections };
+    for (const method of XERO_SOURCE_METHODS) {
+        source[method] = (tenantId, ...args) => call(method, tenantId, args);
+    }
+    return source;
+}
+
+export { createXeroNodeSource, createFixtureXeroSource, XERO_SOURCE_METHODS };
@@ -0,0 +1,94 @@
+// =====================================================
+// ENCRYPT / RE-KEY STORED OAUTH TOKENS
+// Run from the repo root:   node migrations/encrypt-tokens.js [--dry-run]
+// =====================================================
+// Idempotent, safe to re-run. For every row in xero_connections and
+// approvalmax_tokens:
+//   - plaintext row (enc_key_id IS NULL)        -> encrypt with the active key
+//   - row wrapped by a non-active key           -> re-wrap its data key with
+//                                                  the active key (tokens untouched,
+//                                                  no re-auth needed)
+//   - row already on the active key             -> skipped
+//
+// Each UPDATE is guarded on the value it read, so a token refresh landing
+// mid-run is never clobbered — that row is just reported as "changed" and
+// picked up on the next run.
+//
+// Uses the same TOKEN_ENCRYPTION_KEYS / TOKEN_ENCRYPTION_ACTIVE_KEY as the
+// server. See README "Token encryption" for the rotation procedure.
+
+import dotenv from "dotenv";
+import { Pool } from "pg";
+import { createTokenCipher } from "../lib/token-crypto.js";
+
+dotenv.config();
+
+const TABLES = ["xero_connections", "approvalmax_tokens"];
+const dryRun = process.argv.includes("--dry-run");
+
+async function migrateTable(pool, cipher, table) {
+  const counts = { encrypted: 0, rewrapped: 0, current: 0, changed: 0 };
+  const { rows } = await pool.query(
+    `SELECT id, access_token, refresh_token, enc_key_id, enc_data_key FROM ${table} ORDER BY id`
+  );
+
+  for (const row of rows) {
+    if (!row.enc_key_id) {
+      const enc = cipher.encryptTokens(row);
+      if (!dryRun) {
+        const result = await pool.query(
+          `UPDATE ${table}
+           SET access_token = $1, refresh_token = $2, enc_key_id = $3, enc_data_key = $4
+           WHERE id = $5 AND enc_key_id IS NULL AND access_token = $6`,
+          [enc.access_token, enc.refresh_token, enc.enc_key_id, enc.enc_data_key, row.id, row.access_token]
+        );
+        if (result.rowCount === 0) { counts.changed++; continue; }
+      }
+      counts.encrypted++;
+    } else if (row.enc_key_id !== cipher.activeKeyId) {
+      const wrapped = cipher.rewrapDataKey(row);
+      if (!dryRun) {
+        const result = await pool.query(
+          `UPDATE ${table}
+           SET enc_key_id = $1, enc_data_key = $2
+           WHERE id = $3 AND enc_data_key = $4`,
+          [wrapped.enc_key_id, wrapped.enc_data_key, row.id, row.enc_data_key]
+        );
+        if (result.rowCount === 0) { counts.changed++; continue; }
+      }
+      counts.rewrapped++;
+    } else {
+      counts.current++;
+    }
+  }
+  return counts;
+}
+
+async function main() {
+  const cipher = createTokenCipher();
+  if (!cipher.enabled) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS is not set — nothing to encrypt with");
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === "production" ? { rejectUnauthorized: false } : false,
+  });
+
+  try {
+    console.log(`[encrypt-tokens] active key "${cipher.activeKeyId}"${dryRun ? " (dry run)" : ""}`);
+    for (const table of TABLES) {
+      const counts = await migrateTable(pool, cipher, table);
+      console.log(
+        `[encrypt-tokens] ${table}: encrypted=${counts.encrypted}, rewrapped=${counts.rewrapped}, already-current=${counts.current}, changed-during-run=${counts.changed}`
+      );
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error("[encrypt-tokens] FAILED:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,573 @@
+// AI router
+// File: ai.js
+//
+// /api/ai-chat — the dashboard's chat panel. Pulls the entity's live figures
+// from the Xero report helpers, adds the dashboard context it was sent, and
+// asks Anthropic.
+
+import express from "express";
+import fetch from "node-fetch";
+import { sendError } from "../lib/api-errors.js";
+import { validate } from "../lib/validation.js";
+import { requireRole } from "../lib/access-control.js";
+import { ageInvoices } from "../services/xero-reports.js";
+
+function createAiRouter(ctx) {
+  const { clock, tenantResolver } = ctx;
+  const {
+    fetchCashPosition, fetchProfitLossDirect, fetchOutstandingInvoices,
+    fetchExpenseAnalysis, fetchFinancialRatios, classifySpend, classifyRevenue,
+  } = ctx.xeroReports;
+  const router = express.Router();
+
+  // ============================================================================
+  // AI CHAT ENDPOINT - Proxy to Anthropic API for CEO Dashboard Chat Panel
+  // This version fetches REAL financial data from the Xero report helpers before responding
+  // ============================================================================
+
+  router.post("/api/ai-chat", requireRole("viewer"), validate({
+    body: {
+      message: { type: "string", required: true, max: 4000 },
+      context: { type: "object" },
+      history: { type: "array", max: 50, default: () => [] },
+    },
+  }), async (req, res) => {
+    try {
+      const { message, context, history } = req.body;
+
+      const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+
+      if (!ANTHROPIC_API_KEY) {
+        return res.json({
+          response: "AI chat is not configured yet. Please add ANTHROPIC_API_KEY to your Railway environment variables.",
+          fallback: true,
+        });
+      }
+
+      const entityName = context?.entity || "Unknown Entity";
+      const period = context?.period || "Current";
+      const quarterInfo = context?.quarterInfo || null;
+
+      // Calculate period months from quarter dates (match dashboard exactly)
+      let periodMonths = 3;
+      let reportDate = undefined;
+      if (quarterInfo?.startDate && quarterInfo?.endDate) {
+        const start = new Date(quarterInfo.startDate);
+        const end = new Date(quarterInfo.endDate);
+        periodMonths = quarterInfo.isComplete ? 3 : 
+          (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth()) + 1;
+        reportDate = quarterInfo.endDate;
+      }
+
+      // â”€â”€ Fetch REAL financial data from the report helpers â”€â”€
+      console.log(`ðŸ¤– AI Chat: Fetching live data for "${entityName}" (${period}, ${periodMonths}mo to ${reportDate || 'today'})...`);
+
+      // Resolve the entity once. "All Entities" (or anything unresolvable)
+      // gets no per-entity figures, the same as a failed report call.
+      let tenantId = null;
+      try {
+        ({ tenantId } = await tenantResolver.resolve(entityName, { tenants: req.auth?.tenants }));
+      } catch (e) {
+        console.warn(`AI Chat: Could not resolve "${entityName}":`, e.message);
+      }
+
+      const load = async (label, fn) => {
+        if (!tenantId) return null;
+        try {
+          return await fn();
+        } catch (e) {
+          console.warn(`AI Chat: Failed to fetch ${label}:`, e.message);
+          return null;
+        }
+      };
+
+      // Fetch all data sources in parallel (match dashboard's quarter dates).
+      // Classification endpoints are single-entity only in v1 — skip for ALL.
+      const isAllEntity = ["all", "all entities", "consolidated"]
+        .includes(String(entityName || "").toLowerCase());
+
+      const [cashData, plData, invoicesData, expenseData, ratiosData, spendClassData, revenueClassData] = await Promise.all([
+        load("cash position", () => fetchCashPosition(tenantId)),
+        load("profit & loss", () => fetchProfitLossDirect({ tenantId, date: reportDate, periodMonths })),
+        load("outstanding invoices", () => fetchOutstandingInvoices(tenantId)),
+        load("expense analysis", () => fetchExpenseAnalysis(tenantId, { date: reportDate, periodMonths })),
+        load("financial ratios", () => fetchFinancialRatios(tenantId, {})),
+        isAllEntity ? null : load("spend classification", () => classifySpend(tenantId, { date: reportDate, periodMonths })),
+        isAllEntity ? null : load("revenue classification", () => classifyRevenue(tenantId, { date: reportDate, periodMonths })),
+      ]);
+
+      // â”€â”€ Build rich financial context for the AI â”€â”€
+      let financialContext = `\nðŸ“Š LIVE FINANCIAL DATA FOR: ${entityName}\n`;
+      financialContext += `Period: ${period}\n`;
+      financialContext += `Data fetched: ${clock.now().toLocaleString("en-AU", { timeZone: "Australia/Darwin" })}\n\n`;
+
+      // Cash Position
+      if (cashData && !cashData.error) {
+        financialContext += `ðŸ’° CASH POSITION:\n`;
+        financialContext += `Total Cash: $${(cashData.totalCash || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        if (cashData.bankAccounts) {
+          cashData.bankAccounts.forEach((acc) => {
+            financialContext += `  â€¢ ${acc.name}: $${(acc.balance || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+          });
+        }
+        financialContext += `\n`;
+      }
+
+      // P&L Summary - data is nested under plData.summary
+      if (plData && !plData.error && plData.summary) {
+        const pl = plData.summary;
+        const periodDesc = plData.period?.description || "3 month period";
+        financialContext += `ðŸ“ˆ PROFIT & LOSS (${periodDesc}):\n`;
+        financialContext += `  Revenue: $${Number(pl.totalRevenue || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  Cost of Sales (COGS): $${Number(pl.totalCOGS || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  Gross Profit: $${Number(pl.grossProfit || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  Operating Expenses: $${Number(pl.totalExpenses || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  Net Profit: $${Number(pl.netProfit || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        if (pl.revenueAccounts && pl.revenueAccounts.length > 0) {
+          financialContext += `  Revenue breakdown:\n`;
+          pl.revenueAccounts.slice(0, 5).forEach((acc) => {
+            financialContext += `    - ${acc.name}: $${Number(acc.amount || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+          });
+        }
+        financialContext += `\n`;
+      }
+
+      // ── OUTSTANDING INVOICES — aging + customer concentration (single-entity) ──
+      // The invoices payload includes dueDate, amountDue, contact for every invoice.
+      // Previously we only shipped the top 5 amounts to the AI which made aging
+      // questions impossible to answer. Now we compute the four aging buckets
+      // (mirroring the dashboard logic at the kpi-receivables card) and aggregate
+      // by customer — both top-by-amount AND slowest-paying — so the AI can speak
+      // to concentration AND collection risk.
+      if (invoicesData && !invoicesData.error) {
+        const invoices = invoicesData.invoices || invoicesData;
+        if (Array.isArray(invoices) && invoices.length > 0) {
+          const today = clock.now();
+          const fmt$ = (n) => `$${Number(n || 0).toLocaleString("en-AU", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+          // Bucket each invoice by days-overdue (matches frontend: today - dueDate).
+          // Negative daysOverdue (not yet due) lands in the current bucket — correct.
+          // ageInvoices (services/xero-reports.js) is shared with the daily
+          // snapshot, which stores the overdue count and top-3 concentration.
+          const aged = ageInvoices(invoices, today);
+          const { current: bCurrent, days31to60: b31_60, days61to90: b61_90, over90: b90plus } = aged.buckets;
+          const { current: cCurrent, days31to60: c31_60, days61to90: c61_90, over90: c90plus } = aged.counts;
+          const byCustomer = Object.fromEntries(aged.contacts.map((c) => [c.name, c]));   // name -> { amount, count, oldestDays, oldestAmount }
+
+          const total = aged.total;
+          const overdue60plus = b61_90 + b90plus;
+          const overdue60plusCount = c61_90 + c90plus;
+          const pct = (n) => total > 0 ? `${(n / total * 100).toFixed(1)}%` : '0%';
+
+          financialContext += `📋 OUTSTANDING INVOICES — full detail (use these numbers, do NOT say data is unavailable):\n`;
+          financialContext += `  Total Outstanding: ${fmt$(total)} across ${invoices.length} invoices\n`;
+          financialContext += `  Aging buckets (by daysOverdue from dueDate):\n`;
+          financialContext += `    • Current (≤30 days): ${fmt$(bCurrent)} — ${cCurrent} invoices (${pct(bCurrent)})\n`;
+          financialContext += `    • 31–60 days:         ${fmt$(b31_60)} — ${c31_60} invoices (${pct(b31_60)})\n`;
+          financialContext += `    • 61–90 days:         ${fmt$(b61_90)} — ${c61_90} invoices (${pct(b61_90)})\n`;
+          financialContext += `    • 90+ days:           ${fmt$(b90plus)} — ${c90plus} invoices (${pct(b90plus)})\n`;
+          financialContext += `  Over 60 days (collection-risk): ${fmt$(overdue60plus)} across ${overdue60plusCount} invoices (${pct(overdue60plus)} of total)\n\n`;
+
+          // Top customers by total outstanding
+          const customersByAmount = Object.entries(byCustomer)
+            .sort((a, b) => b[1].amount - a[1].amount);
+          const topAmount = customersByAmount.slice(0, 8);
+          financialContext += `  Top customers by outstanding amount:\n`;
+          topAmount.forEach(([name, d]) => {
+            financialContext += `    • ${name}: ${fmt$(d.amount)} (${d.count} invoice${d.count === 1 ? '' : 's'}, oldest ${d.oldestDays} days overdue)\n`;
+          });
+
+          // Concentration: how much of total is in the top 3
+          if (customersByAmount.length >= 3) {
+            const top3Total = customersByAmount.slice(0, 3).reduce((s, [, d]) => s + d.amount, 0);
+            financialContext += `  Concentration: top 3 customers = ${fmt$(top3Total)} (${pct(top3Total)} of total receivables)\n`;
+          }
+
+          // Slowest payers — customers with at least one invoice over 60 days,
+          // ranked by oldestDays. Distinct from "biggest" — answers "who is slow".
+          const slowest = Object.entries(byCustomer)
+            .filter(([, d]) => d.oldestDays > 60)
+            .sort((a, b) => b[1].oldestDays - a[1].oldestDays)
+            .slice(0, 5);
+          if (slowest.length > 0) {
+            financialContext += `\n  Slowest payers (oldest invoice over 60 days, ranked by age):\n`;
+            slowest.forEach(([name, d]) => {
+              financialContext += `    • ${name}: oldest invoice ${d.oldestDays} days overdue, ${fmt$(d.amount)} total outstanding across ${d.count} invoice${d.count === 1 ? '' : 's'}\n`;
+            });
+          } else {
+            financialContext += `\n  No customers have invoices over 60 days overdue — collection profile is healthy.\n`;
+          }
+          financialContext += `\n`;
+        }
+      }
+
+      // Expense Analysis - data is nested under expenseData.analysis
+      if (expenseData && !expenseData.error && expenseData.analysis) {
+        const expenses = expenseData.analysis.topExpenses || expenseData.analysis.expenseCategories || [];
+        if (Array.isArray(expenses) && expenses.length > 0) {
+          financialContext += `ðŸ’¸ TOP EXPENSES (${expenseData.period?.months || 3} month period, total: $${Number(expenseData.analysis.totalExpenses || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}):\n`;
+          expenses.slice(0, 10).forEach((cat, i) => {
+            const name = cat.accountName || cat.name || "Unknown";
+            const amount = Math.abs(cat.amount || 0);
+            financialContext += `  ${i + 1}. ${name}: $${amount.toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+          });
+          financialContext += `\n`;
+        }
+      }
+
+      // Financial Ratios - data is nested under ratiosData.ratios
+      if (ratiosData && !ratiosData.error && ratiosData.ratios) {
+        const r = ratiosData.ratios;
+        financialContext += `ðŸ“ FINANCIAL RATIOS (USE THESE EXACT VALUES â€” do NOT calculate your own):\n`;
+        if (r.liquidity) {
+          financialContext += `  Current Ratio: ${Number(r.liquidity.currentRatio || 0).toFixed(2)}\n`;
+          financialContext += `  Working Capital: $${Number(r.liquidity.workingCapital || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        }
+        if (r.leverage) {
+          financialContext += `  Debt to Equity: ${Number(r.leverage.debtToEquity || 0).toFixed(2)}\n`;
+        }
+        if (r.profitability) {
+          financialContext += `  Net Profit Margin: ${Number(r.profitability.netProfitMargin || 0).toFixed(1)}%\n`;
+          financialContext += `  Return on Equity: ${Number(r.profitability.returnOnEquity || 0).toFixed(1)}%\n`;
+          financialContext += `  Return on Assets: ${Number(r.profitability.returnOnAssets || 0).toFixed(1)}%\n`;
+        }
+        if (ratiosData.interpretations) {
+          financialContext += `  Health Assessment: Liquidity=${ratiosData.interpretations.currentRatio}, Leverage=${ratiosData.interpretations.debtToEquity}, Profitability=${ratiosData.interpretations.profitability}\n`;
+        }
+        financialContext += `\n`;
+      }
+
+      // ── SPEND & REVENUE CLASSIFICATION (single-entity only in v1) ──
+      // Bucketed view of expenses and revenue beyond chart-of-accounts —
+      // see /lib/classifier.js and /lib/revenue-classifier.js. Lets the AI
+      // answer questions like "what's our procurement spend?" or "how
+      // dependent are we on royalties?" with specific dollar figures
+      // rather than hand-waving from account-level totals.
+      if (spendClassData && !spendClassData.error && spendClassData.classification) {
+        const c = spendClassData.classification;
+        financialContext += `\n━━━━ SPEND CLASSIFICATION (${spendClassData.tenantName || entityName}) ━━━━\n`;
+        financialContext += `Total expenses: $${Number(c.totalExpenses || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Procurement (real third-party spend): $${Number(c.inTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.inPct || 0}% of total)\n`;
+        financialContext += `  • Personnel (wages/super/payroll tax/leave): $${Number(c.outPersonnel || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Tax/Depreciation/Interest/Bank fees: $${Number(c.outTaxDepnInt || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Intercompany (mgmt fees, transfers): $${Number(c.outInterco || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Governance (sitting/director fees): $${Number(c.outGovernance || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Distributions/Donations/Grant payments: $${Number(c.greyTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `Use these for any "what kind of spend" / "how much procurement" / "personnel cost ratio" question.\n\n`;
+      }
+
+      if (revenueClassData && !revenueClassData.error && revenueClassData.classification) {
+        const c = revenueClassData.classification;
+        financialContext += `━━━━ REVENUE CLASSIFICATION (${revenueClassData.tenantName || entityName}) ━━━━\n`;
+        financialContext += `Total revenue: $${Number(c.totalRevenue || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `  • Core operations (trading/services revenue): $${Number(c.coreTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.corePct || 0}%)\n`;
+        financialContext += `  • Mining agreements (Gove RTA / s64 royalties): $${Number(c.royaltyTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.royaltyPct || 0}%)\n`;
+        financialContext += `  • Investment income (Macquarie/Morgans/dividends): $${Number(c.investmentTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.investmentPct || 0}%)\n`;
+        financialContext += `  • Grant income (NIAA/ISEP/tax credits): $${Number(c.grantTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.grantPct || 0}%)\n`;
+        financialContext += `  • Rental income: $${Number(c.rentalTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.rentalPct || 0}%)\n`;
+        financialContext += `  • Intercompany revenue: $${Number(c.intercoTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.intercoPct || 0}%)\n`;
+        financialContext += `  • Other (sundry/court outcomes/sponsorship): $${Number(c.otherTotal || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })} (${c.otherPct || 0}%)\n`;
+        financialContext += `Use these for any "what kind of revenue" / "how reliant are we on grants" / "investment dependency" question.\n\n`;
+      }
+
+      // ── CONSOLIDATED DASHBOARD VIEW (frontend-supplied, ALL-entities case) ──
+      // When entity is "ALL", the per-org endpoints above 404 (they expect a single
+      // tenant). The frontend already has the data the user is looking at and ships
+      // it in context.consolidatedData. Principle: what the dashboard shows, the AI
+      // sees. We append it here so the AI has cash, balance, receivables aging,
+      // ratios, top customers and entity-level P&L for ALL.
+      const consolidated = context?.consolidatedData;
+      if (consolidated) {
+        financialContext += `\n━━━━ CONSOLIDATED DASHBOARD VIEW (ALL entities — what the user is looking at) ━━━━\n`;
+
+        if (consolidated.cash?.total) {
+          financialContext += `💰 CASH POSITION (today): ${consolidated.cash.total}\n`;
+          if (Array.isArray(consolidated.cash.bankAccounts) && consolidated.cash.bankAccounts.length > 0) {
+            consolidated.cash.bankAccounts.slice(0, 12).forEach(acc => {
+              const bal = Number(acc.balance || 0);
+              financialContext += `  • ${acc.name || acc.accountName || 'Account'}: $${bal.toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+            });
+          }
+          financialContext += `\n`;
+        }
+
+        if (consolidated.balance && (consolidated.balance.totalAssets || consolidated.balance.totalEquity)) {
+          financialContext += `📊 BALANCE SHEET (period-end):\n`;
+          financialContext += `  Total Assets: ${consolidated.balance.totalAssets || 'n/a'}\n`;
+          financialContext += `  Total Liabilities: ${consolidated.balance.totalLiabilities || 'n/a'}\n`;
+          financialContext += `  Total Equity: ${consolidated.balance.totalEquity || 'n/a'}\n\n`;
+        }
+
+        if (consolidated.receivables && consolidated.receivables.total) {
+          financialContext += `📋 RECEIVABLES AGING (today, all entities consolidated):\n`;
+          financialContext += `  Total Outstanding: ${consolidated.receivables.total} across ${consolidated.receivables.invoiceCount || 0} invoices\n`;
+          financialContext += `  Current (0-30 days): ${consolidated.receivables.current}\n`;
+          financialContext += `  31-60 days: ${consolidated.receivables.days31_60}\n`;
+          financialContext += `  61-90 days: ${consolidated.receivables.days61_90}\n`;
+          financialContext += `  90+ days: ${consolidated.receivables.days90plus}\n`;
+          financialContext += `  Use these for any aging / collection-risk question — do NOT say receivables data is unavailable.\n\n`;
+        }
+
+        if (consolidated.ratios) {
+          financialContext += `📐 FINANCIAL RATIOS — USE THESE EXACT VALUES (from dashboard):\n`;
+          financialContext += `  Current Ratio: ${consolidated.ratios.currentRatio || 'n/a'}\n`;
+          financialContext += `  Gross Margin: ${consolidated.ratios.grossMargin || 'n/a'}\n`;
+          financialContext += `  Net Profit Margin: ${consolidated.ratios.netProfitMargin || 'n/a'}\n`;
+          financialContext += `  Debt to Equity: ${consolidated.ratios.debtToEquity || 'n/a'}\n\n`;
+        }
+
+        if (Array.isArray(consolidated.topCustomers) && consolidated.topCustomers.length > 0) {
+          financialContext += `👥 TOP CUSTOMERS BY PERIOD REVENUE (consolidated):\n`;
+          consolidated.topCustomers.slice(0, 5).forEach((c, i) => {
+            financialContext += `  ${i + 1}. ${c.name}: ${c.value}\n`;
+          });
+          financialContext += `\n`;
+        }
+
+        if (consolidated.pl && Array.isArray(consolidated.pl.entityBreakdown) && consolidated.pl.entityBreakdown.length > 0) {
+          financialContext += `🏢 ENTITY P&L BREAKDOWN (current period):\n`;
+          consolidated.pl.entityBreakdown.forEach(e => {
+            const name = e.name || e.entity || 'Unknown';
+            const rev = Number(e.revenue || 0);
+            const np = Number(e.netProfit || 0);
+            financialContext += `  ${name}: revenue $${rev.toLocaleString("en-AU", { minimumFractionDigits: 2 })}, net profit $${np.toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+          });
+          financialContext += `\n`;
+        }
+      }
+
+      // Note what data was unavailable. consolidatedData (above) acts as a fallback
+      // for the ALL-entity case where the per-org endpoints return 404.
+      const unavailable = [];
+      if ((!cashData || cashData.error) && !consolidated?.cash?.total) unavailable.push("cash position");
+      if ((!plData || plData.error || !plData.summary) && !consolidated?.pl) unavailable.push("P&L");
+      if ((!invoicesData || invoicesData.error) && !consolidated?.receivables?.total) unavailable.push("receivables");
+      if (!expenseData || expenseData.error || !expenseData.analysis) unavailable.push("expenses");
+      if ((!ratiosData || ratiosData.error || !ratiosData.ratios) && !consolidated?.ratios) unavailable.push("financial ratios");
+      if (unavailable.length > 0) {
+        financialContext += `⚠️ Data not available: ${unavailable.join(", ")}\n`;
+      }
+
+          // Reversal adjustments context
+      const reversals = context?.reversals;
+      if (reversals?.active) {
+        const impact = reversals.plImpact || {};
+        const adjPL = reversals.adjustedPL || {};
+        const origPL = reversals.originalPL || {};
+        financialContext += `\nðŸ”„ REVERSAL JOURNALS EXCLUDED (${reversals.reversalCount} journals removed):\n`;
+        financialContext += `  The user has ENABLED the "Reversals Hidden" filter on the dashboard.\n`;
+        financialContext += `  The P&L numbers above are RAW (including reversals).\n`;
+        financialContext += `  ADJUSTED P&L (what the user sees on dashboard with reversals excluded):\n`;
+        financialContext += `    Revenue: $${Number(adjPL.revenue || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `    COGS: $${Number(adjPL.cogs || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `    Gross Profit: $${Number(adjPL.gross || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `    OpEx: $${Number(adjPL.opex || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+        financialContext += `    Net Profit: $${Number(adjPL.netProfit || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+     
+        const adjRatios = reversals.adjustedRatios;
+        if (adjRatios) {
+          financialContext += `  ADJUSTED RATIOS (what the user sees on dashboard):\n`;
+          financialContext += `    Current Ratio: ${adjRatios.currentRatio}\n`;
+          financialContext += `    Gross Margin: ${adjRatios.grossMargin}\n`;
+          financialContext += `    Net Profit Margin: ${adjRatios.netProfitMargin}\n`;
+          financialContext += `    Debt to Equity: ${adjRatios.debtToEquity}\n`;
+        }
+        financialContext += `  Reversal Impact: Revenue ${impact.revenueAdjustment >= 0 ? '+' : ''}$${Number(impact.revenueAdjustment || 0).toLocaleString("en-AU")}, COGS ${impact.cogsAdjustment >= 0 ? '+' : ''}$${Number(impact.cogsAdjustment || 0).toLocaleString("en-AU")}, Expenses ${impact.expenseAdjustment >= 0 ? '+' : ''}$${Number(impact.expenseAdjustment || 0).toLocaleString("en-AU")}\n`;
+        financialContext += `  IMPORTANT: When responding, use the ADJUSTED figures since that is what the user is viewing.\n`;
+
+        const adjAccounts = reversals.adjustedAccounts;
+        if (adjAccounts) {
+          financialContext += `  ADJUSTED ACCOUNT BREAKDOWNS (with reversals excluded):\n`;
+          if (adjAccounts.revenueAccounts?.length > 0) {
+            financialContext += `    Revenue accounts:\n`;
+            adjAccounts.revenueAccounts.slice(0, 10).forEach(acc => {
+              financialContext += `      - ${acc.name}: $${Number(acc.amount || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+            });
+          }
+          if (adjAccounts.cogsAccounts?.length > 0) {
+            financialContext += `    COGS accounts:\n`;
+            adjAccounts.cogsAccounts.slice(0, 10).forEach(acc => {
+              financialContext += `      - ${acc.name}: $${Number(acc.amount || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+            });
+          }
+          if (adjAccounts.expenseAccounts?.length > 0) {
+            financialContext += `    Expense accounts (top 10):\n`;
+            adjAccounts.expenseAccounts.slice(0, 10).forEach(acc => {
+              financialContext += `      - ${acc.name}: $${Number(acc.amount || 0).toLocaleString("en-AU", { minimumFractionDigits: 2 })}\n`;
+            });
+          }
+        }
+        financialContext += `  When referencing individual accounts, use the ADJUSTED ACCOUNT BREAKDOWNS above (not the raw P&L data).\n\n`;
+      } else {
+        financialContext += `\nðŸ“‹ Note: Reversal filter is OFF â€” figures include all journal entries including reversals.\n\n`;
+      }
+
+      // ── ACCOUNT-LEVEL VARIANCE (Tier 2) ──
+      // When the client sends accountVariance in context (from /api/account-variance),
+      // serialize it into the prompt so the AI can cite specific accounts and dollar
+      // changes. This compounds with the live data fetches above — both feed the AI.
+      // For "ALL" entity (where the live fetches above fail), variance is the entire story.
+      const variance = context?.accountVariance;
+      if (variance && variance.success && variance.consolidated) {
+        const v = variance.consolidated;
+        const periods = variance.periods || {};
+        const fmt = (n) => {
+          const abs = Math.abs(Number(n) || 0);
+          const sign = n < 0 ? '-' : '';
+          if (abs >= 1000000) return `${sign}$${(abs/1000000).toFixed(2)}M`;
+          if (abs >= 1000)    return `${sign}$${(abs/1000).toFixed(0)}K`;
+          return `${sign}$${Math.round(abs).toLocaleString()}`;
+        };
+        const fmtPct = (pct) => (pct === null || pct === undefined) ? 'n/a' : `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+
+        financialContext += `\n━━━━ ACCOUNT-LEVEL VARIANCE (matched-period YoY) ━━━━\n`;
+        financialContext += `Current period: ${periods.current?.startDate} to ${periods.current?.endDate} (${periods.current?.months}mo)\n`;
+        financialContext += `Prior period:   ${periods.prior?.startDate} to ${periods.prior?.endDate} (${periods.prior?.months}mo)\n\n`;
+
+        const entCount = (variance.byEntity || []).length;
+        financialContext += `CONSOLIDATED TOTALS (across ${entCount} entit${entCount === 1 ? 'y' : 'ies'}):\n`;
+        financialContext += `  Revenue:    current ${fmt(v.revenue.current)}, prior ${fmt(v.revenue.prior)}, delta ${fmt(v.revenue.delta)} (${fmtPct(v.revenue.deltaPct)})\n`;
+        financialContext += `  COGS:       current ${fmt(v.cogs.current)}, prior ${fmt(v.cogs.prior)}, delta ${fmt(v.cogs.delta)} (${fmtPct(v.cogs.deltaPct)})\n`;
+        financialContext += `  Expenses:   current ${fmt(v.expenses.current)}, prior ${fmt(v.expenses.prior)}, delta ${fmt(v.expenses.delta)} (${fmtPct(v.expenses.deltaPct)})\n`;
+        financialContext += `  Net Profit: current ${fmt(v.netProfit.current)}, prior ${fmt(v.netProfit.prior)}, delta ${fmt(v.netProfit.delta)} (${fmtPct(v.netProfit.deltaPct)})\n\n`;
+
+        // Per-entity breakdown — useful for ALL view, redundant for single-entity but harmless
+        if (entCount > 1) {
+          financialContext += `BY ENTITY (sorted by largest revenue change):\n`;
+          const entitiesSorted = [...variance.byEntity].sort(
+            (a, b) => Math.abs(b.totals.revenue.delta) - Math.abs(a.totals.revenue.delta)
+          );
+          entitiesSorted.forEach(e => {
+            financialContext += `  ${e.entity}: rev ${fmt(e.totals.revenue.current)} vs ${fmt(e.totals.revenue.prior)} (Δ ${fmt(e.totals.revenue.delta)}), `;
+            financialContext += `np ${fmt(e.totals.netProfit.current)} vs ${fmt(e.totals.netProfit.prior)} (Δ ${fmt(e.totals.netProfit.delta)})\n`;
+          });
+          financialContext += `\n`;
+        }
+
+        // Top movers across all entities — the "what specifically drove this" signal
+        const topRev = variance.topRevenueMoversConsolidated || [];
+        if (topRev.length > 0) {
+          financialContext += `TOP REVENUE ACCOUNT CHANGES (sorted by absolute delta):\n`;
+          topRev.slice(0, 8).forEach(r => {
+            financialContext += `  [${r.entity}] ${r.name}: ${fmt(r.current)} vs ${fmt(r.prior)} → Δ ${fmt(r.delta)} (${fmtPct(r.deltaPct)})\n`;
+          });
+          financialContext += `\n`;
+        }
+        const topExp = variance.topExpenseMoversConsolidated || [];
+        if (topExp.length > 0) {
+          financialContext += `TOP EXPENSE ACCOUNT CHANGES (sorted by absolute delta):\n`;
+          topExp.slice(0, 8).forEach(r => {
+            financialContext += `  [${r.entity}] ${r.name}: ${fmt(r.current)} vs ${fmt(r.prior)} → Δ ${fmt(r.delta)} (${fmtPct(r.deltaPct)})\n`;
+          });
+          financialContext += `\n`;
+        }
+        financialContext += `When you write the executive summary, USE THIS variance data — name specific accounts and dollar amounts that drove the changes. Don't say "I don't have variance data" — it's right above.\n\n`;
+        console.log(`🤖 AI Chat: Variance data attached — ${entCount} entities, ${topRev.length} revenue movers, ${topExp.length} expense movers`);
+      }
+
+      // Debug: show what data sources succeeded
+      console.log(`ðŸ¤– AI Chat: Available data - Cash: ${!!cashData && !cashData?.error}, P&L: ${!!plData?.summary}, Invoices: ${!!invoicesData && !invoicesData?.error}, Expenses: ${!!expenseData?.analysis}, Ratios: ${!!ratiosData?.ratios}`);
+      if (unavailable.length > 0) {
+        console.log(`ðŸ¤– AI Chat: UNAVAILABLE: ${unavailable.join(', ')}`);
+      }
+      console.log(`ðŸ¤– AI Chat: Context length: ${financialContext.length} chars`);
+
+      console.log(`ðŸ¤– AI Chat: Data fetched. Building prompt...`);
+
+      // â”€â”€ Build system prompt with REAL data â”€â”€
+      const systemPrompt = `You are an AI financial analyst embedded in the RAC (Rirratjingu Aboriginal Corporation) CEO Dashboard.
+You have LIVE access to real financial data which is provided below. Use these ACTUAL NUMBERS in your responses.
+
+ABOUT RAC:
+- 7 entities: Mining (quarry - largest revenue), Aboriginal Corporation (parent), Enterprises, Property Management, Ngarrkuwuy Developments, Rirratjingu Invest, Marrin Square Developments
+- Mining's main customer: Swiss Aluminium Australia (Rio Tinto contractor) - 75%+ of revenue
+- Products: Type E Rip Rap ($105+/t), Road Base, Screened Sand, 20mm Minus ($35/t), aggregates
+- Financial year: July-June (FY26 = Jul 2025 - Jun 2026)
+- Q1=Jul-Sep, Q2=Oct-Dec, Q3=Jan-Mar, Q4=Apr-Jun
+
+${financialContext}
+
+RESPONSE GUIDELINES:
+
+# Data integrity — non-negotiable
+- ALWAYS use the exact numbers from the data above. Never calculate your own ratios, margins, or percentages — they are already provided in the FINANCIAL RATIOS section. If a ratio looks unusual (e.g. margin over 100%, negative net profit margin), report the actual figure and note it may reflect adjustments rather than recompute it.
+- ALWAYS reference specific dollar amounts and accounts from the data above.
+- If reversal journals are EXCLUDED (filter active), use the ADJUSTED P&L figures and explicitly note that reversals have been excluded.
+- If reversal filter is OFF, use the raw figures but flag if reversals may be distorting the numbers (e.g. negative COGS, unusual margins).
+
+# Tiny denominator percentages — avoid the "+6,840%" trap
+- When a percentage change is computed against a prior-period base that is small or near zero, the percentage will explode to absurd values (e.g. +6,840%, -16,838%). These percentages are mathematically correct but meaningless and misleading.
+- Rule: if the prior-period base is below $1,000 in absolute value, do NOT cite the percentage change. Cite the absolute dollar change instead, e.g. "rose from -$247 to $50,000 (a $50,247 swing)". Never write "+20,381%".
+- This applies to YoY account variances and any prior-period comparisons.
+
+# Answer framing — never lead with what's missing
+- LEAD WITH WHAT YOU HAVE. Do NOT open the response with "I don't have X" or "data is unavailable". Answer the parts you can answer using the data above (especially the OUTSTANDING INVOICES aging breakdown, customer concentration, slowest payers, and account variance). If a specific dimension is genuinely absent, mention it briefly at the END as a caveat — never as the opener.
+- Do NOT contradict yourself: if you list specific aging buckets, customer amounts, or slowest payers from the data, do NOT also say "I don't have aging data". The data is right above. Use it.
+
+# Precision when summarising aging data
+- When citing a slowest-payer's age, the qualifier "oldest invoice" is critical and must be preserved. WRONG: "East Arnhem 130 days overdue, $77,773 across 21 invoices" (this implies all 21 are 130 days overdue). RIGHT: "East Arnhem's oldest invoice is 130 days overdue; their full $77,773 across 21 invoices includes both current and aged amounts."
+- Always distinguish "total outstanding" from "amount overdue beyond X days".
+
+# Format and style — keep responses scannable and consistent
+- Lead each paragraph with a bold thesis sentence stating the key insight (e.g. "**Revenue surged +247% on new contract wins.**" then supporting detail).
+- Use Markdown ## headers when ranking, decomposing, or breaking a question into parts ("## Top 3 Drivers", "## Aging Profile"). Don't use headers for short single-paragraph answers.
+- Bold key numbers using **$amount** markdown format.
+- Use Australian dollar formatting: $X,XXX (commas as thousand separators).
+- Be concise and executive-level — the CEO is busy. Keep responses to 2–3 short paragraphs unless the question explicitly requests a deep breakdown.
+- Highlight key insights, trends, risks, and opportunities. Compare figures where relevant (revenue vs expenses, margins, YoY).`;
+
+      // Build messages array with history
+      const messages = [];
+      if (history && Array.isArray(history)) {
+        history.slice(-6).forEach((msg) => {
+          messages.push({ role: msg.role, content: msg.content });
+        });
+      }
+      messages.push({ role: "user", content: message });
+
+      // Call Anthropic API
+      const anthropicResponse = await fetch(
+        "https://api.anthropic.com/v1/messages",
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-api-key": ANTHROPIC_API_KEY,
+            "anthropic-version": "2023-06-01",
+          },
+          body: JSON.stringify({
+            model: "claude-sonnet-4-5",
+            max_tokens: 1024,
+            system: systemPrompt,
+            messages: messages,
+          }),
+        }
+      );
+
+      if (!anthropicResponse.ok) {
+        const errorBody = await anthropicResponse.text();
+        console.error("Anthropic API error:", anthropicResponse.status, errorBody);
+        throw new Error(`Anthropic API returned ${anthropicResponse.status}`);
+      }
+
+      const data = await anthropicResponse.json();
+      const responseText =
+        data.content?.[0]?.text || "Sorry, I couldn't generate a response.";
+
+      console.log(`ðŸ¤– AI Chat: Response generated successfully`);
+      res.json({ response: responseText });
+
+    } catch (error) {
+      console.error("AI Chat error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // END AI CHAT ENDPOINT
+  // ============================================================================
+
+  return router;
+}
+
+export { createAiRouter };
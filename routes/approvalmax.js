@@ -0,0 +1,69 @@
+// ApprovalMax router
+// File: approvalmax.js
+//
+// The approvals pipeline (services/approvalmax.js): companies with the Xero
+// tenant each maps to, pending / approved purchase-order and bill requests,
+// approval ageing, the approver bottleneck and committed-but-unbilled spend.
+// The pipeline itself is two registry reports (lib/report-registry.js), so
+// it gets GET/POST bindings and MCP tools like any Xero report.
+
+import express from "express";
+import { sendError } from "../lib/api-errors.js";
+import { defineReport } from "../lib/report-registry.js";
+import { requireRole } from "../lib/access-control.js";
+import { inScope } from "../lib/entity-access.js";
+import { dateParam } from "./shared.js";
+
+function createApprovalMaxRouter(ctx) {
+  const { approvalMax, mountReports } = ctx;
+  const router = express.Router();
+
+  // Companies, each with tenantId / shortName (null when the name doesn't
+  // resolve — add a tenant alias for it). Scoped callers only see mapped
+  // companies in their scope.
+  router.get("/api/approvalmax/companies", requireRole("viewer"), async (req, res) => {
+    try {
+      const companies = await approvalMax.listCompanies();
+      res.json(req.auth.tenants ? inScope(req.auth, companies.filter((c) => c.tenantId)) : companies);
+    } catch (error) {
+      console.error("[approvalmax] companies error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Headline numbers: pending count and value, committed-but-unbilled.
+  router.get("/api/approvalmax/approval-summary", requireRole("viewer"), async (req, res) => {
+    try {
+      res.json(await approvalMax.summary({ auth: req.auth }));
+    } catch (error) {
+      console.error("[approvalmax] summary error:", error);
+      sendError(res, error);
+    }
+  });
+
+  const since = dateParam("Only count approvals decided on or after this date (pending and committed are always current)");
+
+  const REPORTS = [
+    defineReport({
+      name: "approval-pipeline",
+      tool: "get_approval_pipeline",
+      description: "ApprovalMax purchase-order and bill approvals for one entity: pending and approved totals, approval ageing, approver bottleneck, oldest pending requests and approved-but-unbilled purchase orders.",
+      params: { since },
+      run: ({ tenantId, params }) => approvalMax.pipeline({ tenantId, since: params.since }),
+    }),
+    defineReport({
+      name: "consolidated-approval-pipeline",
+      tool: "get_consolidated_approval_pipeline",
+      description: "ApprovalMax approvals pipeline for every company, mapped to its Xero entity, with totals.",
+      scope: "consolidated",
+      params: { since },
+      run: ({ params, auth }) => approvalMax.pipeline({ since: params.since, auth }),
+    }),
+  ];
+
+  mountReports(router, REPORTS);
+
+  return router;
+}
+
+export { createApprovalMaxRouter };
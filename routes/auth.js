@@ -0,0 +1,477 @@
+// Auth router
+// File: auth.js
+//
+// Sign-in and the OAuth flows:
+//   /sso/login, /sso/logout, /sso/verify   Microsoft SSO (mapped Entra groups only)
+//   /auth, /callback, /callback/approvalmax  Xero / ApprovalMax consent
+// The access gate is mounted in here, after the /sso routes: anything that
+// falls through this router without a session is stopped before it reaches
+// static files or any other router. The gate sets req.auth to the session
+// (lib/session.js); each route then checks the role it needs
+// (lib/access-control.js) and the entities it may see (lib/entity-access.js).
+// /api/me returns the session to the dashboard.
+//
+// State-changing requests signed in by cookie must pass the Origin check
+// (lib/csrf.js), mounted first. The OAuth flows carry a single-use,
+// server-side state (lib/oauth-state.js) bound to the browser by cookie, and
+// the Xero flow adds PKCE.
+
+import express from "express";
+import path from "path";
+import fetch from "node-fetch";
+import cookieParser from "cookie-parser";
+import { createRemoteJWKSet, jwtVerify } from "jose";
+import { apiError, sendError } from "../lib/api-errors.js";
+import { loadGroupRoles, roleForGroups, rolesIncludedIn, requireRole } from "../lib/access-control.js";
+import { SESSION_COOKIE, SESSION_TTL_MS, createSession, readSession } from "../lib/session.js";
+import { assertTenantAccess } from "../lib/entity-access.js";
+import { createOriginCheck } from "../lib/csrf.js";
+import { STATE_COOKIE, STATE_TTL_MS } from "../lib/oauth-state.js";
+import {
+  createXeroClient,
+  XERO_CLIENT_CONFIG,
+  APPROVALMAX_CLIENT_ID,
+  APPROVALMAX_CLIENT_SECRET,
+  APPROVALMAX_REDIRECT_URI,
+  APPROVALMAX_CONFIG,
+} from "../services/oauth-config.js";
+
+function createAuthRouter(ctx) {
+  const { clock, tokenStorage, tenantResolver, entityAccess, apiKeys, oauthStates, publicDir } = ctx;
+  const router = express.Router();
+
+  // === Microsoft SSO access gate ===
+  // Sits in front of static files and every route. Fails CLOSED if the cookie
+  // secret is missing. Allowlist is intentionally tiny — OAuth callbacks plus the
+  // sign-in page + its verify endpoint. Because this app holds financial data, the
+  // REAL check happens here on the server: a signed cookie is only issued after we
+  // verify the person's Microsoft token AND that one of their groups maps to a role.
+  const GATE_COOKIE_SECRET = process.env.GATE_COOKIE_SECRET;
+  const GATE_ENABLED = Boolean(GATE_COOKIE_SECRET);
+  if (!GATE_ENABLED) {
+    console.error("[GATE] FAIL-CLOSED: GATE_COOKIE_SECRET missing");
+  }
+
+  // Microsoft / Entra settings for the RAC-SSO-Xero app registration
+  const MS_TENANT_ID = "91165276-b14b-47c4-b358-37deee11b8e5";
+  const MS_CLIENT_ID = "2f1329ac-e466-47bc-bead-da4745048997";
+  // Entra group -> role (viewer / analyst / finance-admin). Defaults plus
+  // SSO_GROUP_ROLES; see lib/access-control.js.
+  const GROUP_ROLES = loadGroupRoles();
+  const MS_ISSUER = `https://login.microsoftonline.com/${MS_TENANT_ID}/v2.0`;
+  const MS_JWKS = createRemoteJWKSet(
+    new URL(`https://login.microsoftonline.com/${MS_TENANT_ID}/discovery/v2.0/keys`)
+  );
+
+  // Paths that never require a Microsoft sign-in:
+  //  - Xero / ApprovalMax OAuth callbacks (they can't carry our cookie back)
+  //  - the sign-in page + the token-verify endpoint
+  //  - a plain health check for uptime monitors
+  const GATE_ALLOWLIST = new Set([
+    "/auth",
+    "/callback",
+    "/callback/approvalmax",
+    "/sso/login",
+    "/sso/verify",
+    "/api/health",
+  ]);
+
+  // Cookie parser must run before the gate + the /sso routes so signed cookies work.
+  router.use(cookieParser(GATE_COOKIE_SECRET));
+
+  // Cross-site POST/PUT/PATCH/DELETE are refused before anything else sees
+  // them — /sso/verify included.
+  router.use(createOriginCheck());
+
+  // Verify a Microsoft ID token and map the person's groups to a role.
+  // Returns { userId, name, email, role, groups } on success, or null if no
+  // group maps to one. groups is every group in the token: entity grants are
+  // matched against them per request, so a group granted later still counts.
+  async function verifyFinanceToken(idToken) {
+    const { payload } = await jwtVerify(idToken, MS_JWKS, {
+      issuer: MS_ISSUER,
+      audience: MS_CLIENT_ID,
+    });
+    const groups = Array.isArray(payload.groups) ? payload.groups : [];
+    const role = roleForGroups(groups, GROUP_ROLES);
+    if (!role) return null;
+    return {
+      groups: groups.map((g) => String(g).toLowerCase()),
+      userId: payload.oid || payload.sub,
+      name: payload.name || "",
+      email: payload.preferred_username || payload.upn || "",
+      role,
+    };
+  }
+
+  // The sign-in page (Microsoft login) — reachable without a cookie.
+  router.get("/sso/login", (req, res) => {
+    res.sendFile(path.join(publicDir, "sso-login.html"));
+  });
+
+  // Sign out — clears the session cookie (and the pre-session one, if any).
+  router.get("/sso/logout", (req, res) => {
+    res.clearCookie(SESSION_COOKIE);
+    res.clearCookie("gate_ok");
+    res.redirect("/sso/login");
+  });
+
+  // Receives the Microsoft token from the sign-in page, verifies it and the
+  // person's role on the server, and only then issues the signed session
+  // cookie. The session carries the role, so a changed group mapping applies
+  // at the next sign-in.
+  router.post("/sso/verify", async (req, res) => {
+    if (!GATE_ENABLED) {
+      return res.status(503).json({ ok: false, error: "gate_disabled" });
+    }
+    const idToken = req.body && req.body.idToken;
+    if (!idToken) {
+      return res.status(400).json({ ok: false, error: "no_token" });
+    }
+    try {
+      const user = await verifyFinanceToken(idToken);
+      if (!user) {
+        return res.status(403).json({ ok: false, error: "not_finance" });
+      }
+      const session = createSession(user, clock.now());
+      res.cookie(SESSION_COOKIE, session, {
+        httpOnly: true,
+        signed: true,
+        sameSite: "lax",
+        secure: process.env.NODE_ENV !== "development",
+        maxAge: SESSION_TTL_MS,
+      });
+      return res.json({ ok: true, name: user.name, role: user.role });
+    } catch (err) {
+      console.error("[SSO] token verify failed:", err.message);
+      return res.status(401).json({ ok: false, error: "invalid_token" });
+    }
+  });
+
+  async function gateMiddleware(req, res, next) {
+    if (GATE_ALLOWLIST.has(req.path)) {
+      return next();
+    }
+
+    // The MCP server and scripts sign in with an API key (lib/api-keys.js).
+    // A key that's presented but unknown, revoked or expired is refused —
+    // it doesn't fall through to the browser sign-in.
+    const presentedKey = req.headers["x-internal-api-key"];
+    if (presentedKey) {
+      try {
+        req.auth = await apiKeys.authenticate(presentedKey);
+      } catch (error) {
+        return sendError(res, error);
+      }
+      if (!req.auth) {
+        return sendError(res, apiError("UNAUTHENTICATED", "Invalid, expired or revoked API key"));
+      }
+      return next();
+    }
+
+    if (!GATE_ENABLED) {
+      if (req.path.startsWith("/api/")) {
+        return sendError(res, apiError("NOT_CONFIGURED", "Service unavailable — sign-in is not configured"));
+      }
+      return res.status(503).type("text/plain").send("Service unavailable");
+    }
+
+    // Already signed in? Expired or pre-session cookies don't count — those
+    // people sign in again.
+    const session = readSession(req.signedCookies && req.signedCookies[SESSION_COOKIE], clock.now());
+    if (session) {
+      req.auth = session;
+      return next();
+    }
+
+    // No valid session: API calls get a clean 401; browsers get the sign-in page.
+    if (req.path.startsWith("/api/")) {
+      return sendError(res, apiError("UNAUTHENTICATED", "Sign in required"));
+    }
+    return res.sendFile(path.join(publicDir, "sso-login.html"));
+  }
+
+  router.use(gateMiddleware);
+
+  // Entity scope for API calls: req.auth.tenants (null = every entity). A
+  // tenantId named in the query string or body must be inside it; names go
+  // through the scoped resolver and path IDs are checked by their routers.
+  router.use("/api", async (req, res, next) => {
+    if (!req.auth) return next();
+    try {
+      req.auth.tenants = await entityAccess.scopeFor(req.auth);
+      for (const tenantId of [req.query.tenantId, req.body?.tenantId]) {
+        if (typeof tenantId === "string" && tenantId) assertTenantAccess(req.auth, tenantId);
+      }
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Who the dashboard is signed in as — name, email, role (and the roles it
+  // includes), the entities they may see (null = all) and when the session ends.
+  router.get("/api/me", requireRole("viewer"), async (req, res) => {
+    try {
+      const { userId, email, name, role, expiresAt, apiKey, scopes, tenants } = req.auth;
+      const entities = tenants
+        ? (await tenantResolver.listEntities())
+          .filter((e) => tenants.includes(e.tenantId.toLowerCase()))
+          .map(({ tenantId, tenantName, shortName, aliases }) => ({ tenantId, tenantName, shortName, aliases }))
+        : null;
+      res.json({
+        userId,
+        email: email || null,
+        name,
+        role,
+        roles: rolesIncludedIn(role),
+        entities,
+        expiresAt: expiresAt || null,
+        apiKey: Boolean(apiKey),
+        ...(apiKey ? { scopes } : {}),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // The consent flow's state goes to the browser too; the callback must
+  // bring the same value back (lib/oauth-state.js). Scoped to the callback
+  // paths, and sameSite lax so the provider's redirect back still carries it.
+  function setStateCookie(res, state) {
+    res.cookie(STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: process.env.NODE_ENV !== "development",
+      maxAge: STATE_TTL_MS,
+      path: "/callback",
+    });
+  }
+
+  // Use up the callback's state. Returns the stored record, or null after
+  // redirecting with ?error=<prefix>invalid_state.
+  async function consumeState(req, res, provider, errorPrefix) {
+    const cookieState = req.cookies?.[STATE_COOKIE];
+    res.clearCookie(STATE_COOKIE, { path: "/callback" });
+    const record = await oauthStates.consume(provider, req.query.state, cookieState);
+    if (!record) {
+      console.error(`[oauth] ${provider} callback refused: unknown, used, expired or foreign state`);
+      res.redirect(`/?error=${errorPrefix}invalid_state`);
+    }
+    return record;
+  }
+
+  // ============================================================================
+  // XERO ROUTES (UPDATED WITH DATABASE STORAGE)
+  // ============================================================================
+
+  // Xero OAuth authorization
+  router.get("/auth", async (req, res) => {
+    try {
+      const provider = req.query.provider;
+
+      if (provider === "approvalmax") {
+        // The redirect URI must be the one registered with ApprovalMax, and
+        // the callback has to send the same one back — so it comes from the
+        // environment only, never a default host.
+        if (!APPROVALMAX_CLIENT_ID || !APPROVALMAX_REDIRECT_URI) {
+          console.error("ApprovalMax OAuth not configured: set APPROVALMAX_CLIENT_ID and APPROVALMAX_REDIRECT_URI");
+          return res.redirect("/?error=approvalmax_not_configured");
+        }
+
+        // Redirect to ApprovalMax OAuth
+        const { state } = await oauthStates.issue("approvalmax");
+        setStateCookie(res, state);
+        const authUrl = new URL(APPROVALMAX_CONFIG.authUrl);
+        authUrl.searchParams.set("response_type", "code");
+        authUrl.searchParams.set("client_id", APPROVALMAX_CLIENT_ID);
+        authUrl.searchParams.set("scope", APPROVALMAX_CONFIG.scopes.join(" "));
+        authUrl.searchParams.set("redirect_uri", APPROVALMAX_REDIRECT_URI);
+        authUrl.searchParams.set("state", state);
+
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â½ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¯ Redirecting to ApprovalMax OAuth:", authUrl.toString());
+        res.redirect(authUrl.toString());
+      } else {
+        // Xero OAuth, with PKCE. xero-node doesn't add the challenge
+        // itself, so it goes onto the consent URL here.
+        const { state, codeChallenge } = await oauthStates.issue("xero", { pkce: true });
+        const consentUrl = new URL(await createXeroClient({ state }).buildConsentUrl());
+        consentUrl.searchParams.set("code_challenge", codeChallenge);
+        consentUrl.searchParams.set("code_challenge_method", "S256");
+        setStateCookie(res, state);
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â½ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¯ Redirecting to Xero OAuth:", consentUrl.toString());
+        res.redirect(consentUrl.toString());
+      }
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error in /auth:", error);
+      res
+        .status(500)
+        .json({ error: "Authorization failed", details: error.message });
+    }
+  });
+
+  // Xero OAuth callback - UPDATED WITH DATABASE STORAGE
+  router.get("/callback", async (req, res) => {
+    try {
+      const { code, state, error } = req.query;
+
+      if (error) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ OAuth error:", error);
+        return res.redirect("/?error=oauth_failed");
+      }
+
+      if (!code) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ No authorization code received");
+        return res.redirect("/?error=no_code");
+      }
+
+      const stateRecord = await consumeState(req, res, "xero", "");
+      if (!stateRecord) return;
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚ÂÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¾ Processing Xero callback...");
+      // xero-node's apiCallback() can't send a code_verifier, so the code
+      // is exchanged through its openid-client directly.
+      const xero = createXeroClient({ state });
+      await xero.initialize();
+      const tokenSet = await xero.openIdClient.oauthCallback(
+        XERO_CLIENT_CONFIG.redirectUris[0],
+        xero.openIdClient.callbackParams(req),
+        { state, code_verifier: stateRecord.codeVerifier }
+      );
+      xero.setTokenSet(tokenSet);
+
+      if (!tokenSet || !tokenSet.access_token) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ No access token received from Xero");
+        return res.redirect("/?error=no_token");
+      }
+
+      // Get tenant information
+      const tenants = await xero.updateTenants(false, tokenSet);
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ Xero tenants received:", tenants.length);
+
+      // One connection owns the token set; every tenant from this consent
+      // links to it.
+      const connectionId = await tokenStorage.storeXeroConnection(tokenSet);
+      for (const tenant of tenants) {
+        await tokenStorage.storeXeroToken(
+          tenant.tenantId,
+          tenant.tenantName,
+          connectionId
+        );
+      }
+
+      console.log(
+        "ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ Xero tokens stored in database for",
+        tenants.length,
+        "tenants"
+      );
+      res.redirect("/?success=xero_connected");
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error in Xero callback:", error);
+      res.redirect("/?error=callback_failed");
+    }
+  });
+
+  // ============================================================================
+  // APPROVALMAX ROUTES (UPDATED WITH DATABASE STORAGE)
+  // ============================================================================
+
+  // ApprovalMax OAuth callback - UPDATED WITH DATABASE STORAGE
+  router.get("/callback/approvalmax", async (req, res) => {
+    try {
+      const { code, state, error } = req.query;
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â½ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¯ ApprovalMax callback received:", {
+        code: code?.substring(0, 20) + "...",
+        state,
+        error,
+      });
+
+      if (error) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ ApprovalMax OAuth error:", error);
+        return res.redirect("/?error=approvalmax_oauth_failed");
+      }
+
+      if (!code) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ No authorization code received from ApprovalMax");
+        return res.redirect("/?error=approvalmax_no_code");
+      }
+
+      if (!(await consumeState(req, res, "approvalmax", "approvalmax_"))) return;
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚ÂÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¾ Exchanging ApprovalMax authorization code for tokens...");
+
+      // Same redirect URI /auth sent (it refuses to start without one).
+      const tokenRequestBody = {
+        grant_type: "authorization_code",
+        client_id: APPROVALMAX_CLIENT_ID,
+        client_secret: APPROVALMAX_CLIENT_SECRET,
+        redirect_uri: APPROVALMAX_REDIRECT_URI,
+        code: code,
+      };
+
+      const tokenResponse = await fetch(APPROVALMAX_CONFIG.tokenUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/x-www-form-urlencoded",
+          Accept: "application/json",
+        },
+        body: new URLSearchParams(tokenRequestBody),
+      });
+
+      const tokenData = await tokenResponse.json();
+
+      if (!tokenResponse.ok || !tokenData.access_token) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ ApprovalMax token exchange failed:", {
+          status: tokenResponse.status,
+          error: tokenData.error,
+          description: tokenData.error_description,
+        });
+        return res.redirect(
+          `/?error=approvalmax_token_failed&details=${encodeURIComponent(
+            tokenData.error || "Unknown error"
+          )}`
+        );
+      }
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ ApprovalMax tokens received successfully");
+
+      // Get organization information
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚ÂÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¾ Fetching ApprovalMax organizations...");
+      const orgsResponse = await fetch(`${APPROVALMAX_CONFIG.apiUrl}/companies`, {
+        headers: {
+          Authorization: `Bearer ${tokenData.access_token}`,
+          Accept: "application/json",
+        },
+      });
+
+      let organizations = [];
+      if (orgsResponse.ok) {
+        organizations = await orgsResponse.json();
+        console.error(
+          "ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ ApprovalMax organizations received:",
+          organizations.length
+        );
+      } else {
+        console.warn("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¡ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¯ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â Failed to fetch organizations:", orgsResponse.status);
+      }
+
+      // Store tokens in database (instead of memory)
+      await tokenStorage.storeApprovalMaxToken(tokenData, organizations);
+
+      console.error(
+        "ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ ApprovalMax tokens stored in database for",
+        organizations.length,
+        "organizations"
+      );
+      res.redirect("/?success=approvalmax_connected");
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error in ApprovalMax callback:", error);
+      res.redirect("/?error=approvalmax_callback_failed");
+    }
+  });
+
+  return router;
+}
+
+export { createAuthRouter };
@@ -0,0 +1,149 @@
+// Report narrative router
+// File: reports-narrative.js
+//
+// Narrative sections of the Finance Monthly Report (report_sections): load
+// all sections for an org and month, save one.
+
+import express from "express";
+import { sendError } from "../lib/api-errors.js";
+import { validate } from "../lib/validation.js";
+import { requireRole } from "../lib/access-control.js";
+import { actorOf } from "../lib/session.js";
+import { auditContext, inTransaction } from "../lib/audit-log.js";
+
+function createReportsNarrativeRouter(ctx) {
+  const { pool, auditLog } = ctx;
+  const router = express.Router();
+
+  // =============================================================================
+  // REPORT SECTIONS — load & save narrative blocks for Finance Monthly Report
+  // =============================================================================
+
+  // POST /api/report/get
+  // Body: { org: "RAC", periodMonth: "2026-04" }
+  // Returns: { sections: { exec_summary: { content, aiDrafted, updatedAt, updatedBy }, ... } }
+  //
+  // Returns an empty object if no sections exist yet for this (org, periodMonth).
+  // The frontend treats that as "first time opening this report" and uses its
+  // built-in AI-draft placeholders.
+  router.post("/api/report/get", requireRole("viewer"), validate({
+    body: {
+      org: { type: "entity", required: true },
+      periodMonth: { type: "month", required: true },
+    },
+  }), async (req, res) => {
+    try {
+      const { org, periodMonth } = req.body;
+
+      const result = await pool.query(
+        `SELECT section_key, content, ai_drafted, updated_at, updated_by
+       FROM report_sections
+       WHERE org = $1 AND period_month = $2
+       ORDER BY updated_at DESC`,
+        [org, periodMonth]
+      );
+
+      // Shape into a keyed object for easy frontend lookup
+      const sections = {};
+      for (const row of result.rows) {
+        sections[row.section_key] = {
+          content: row.content,
+          aiDrafted: row.ai_drafted,
+          updatedAt: row.updated_at,
+          updatedBy: row.updated_by,
+        };
+      }
+
+      res.json({ org, periodMonth, sections });
+    } catch (error) {
+      console.error("[report/get] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/report/save
+  // Body: { org, periodMonth, sectionKey, content, aiDrafted }
+  // Returns: { success: true, updatedAt }
+  //
+  // Upserts a single section. If a row exists for (org, periodMonth, sectionKey)
+  // it's overwritten; otherwise inserted. UNIQUE constraint on the natural key
+  // makes this safe under concurrent saves — last write wins. updated_by is the
+  // signed-in user, not anything the client sends. The previous text goes into
+  // the audit event, so an overwrite can be traced.
+  router.post("/api/report/save", requireRole("analyst"), validate({
+    body: {
+      org: { type: "entity", required: true },
+      periodMonth: { type: "month", required: true },
+      sectionKey: { type: "string", required: true, max: 100 },
+      content: { type: "text", required: true },
+      aiDrafted: { type: "boolean", default: false },
+    },
+  }), async (req, res) => {
+    try {
+      const { org, periodMonth, sectionKey, content, aiDrafted } = req.body;
+
+      const section = (row) => row && {
+        sectionKey: row.section_key,
+        content: row.content,
+        aiDrafted: row.ai_drafted,
+        updatedAt: row.updated_at,
+        updatedBy: row.updated_by,
+      };
+
+      const saved = await inTransaction(pool, async (client) => {
+        const previous = await client.query(
+          `SELECT section_key, content, ai_drafted, updated_at, updated_by FROM report_sections
+         WHERE org = $1 AND period_month = $2 AND section_key = $3
+         ORDER BY version DESC LIMIT 1
+         FOR UPDATE`,
+          [org, periodMonth, sectionKey]
+        );
+        const result = await client.query(
+          `INSERT INTO report_sections
+          (org, period_month, section_key, content, ai_drafted, updated_at, updated_by)
+         VALUES ($1, $2, $3, $4, $5, NOW(), $6)
+         ON CONFLICT (org, period_month, section_key, version)
+         DO UPDATE SET
+           content = EXCLUDED.content,
+           ai_drafted = EXCLUDED.ai_drafted,
+           updated_at = NOW(),
+           updated_by = EXCLUDED.updated_by
+         RETURNING section_key, content, ai_drafted, updated_at, updated_by`,
+          [
+            org,
+            periodMonth,
+            sectionKey,
+            content,
+            aiDrafted,
+            actorOf(req),
+          ]
+        );
+        await auditLog.record({
+          ...auditContext(req),
+          action: "report_section.save",
+          org,
+          period: periodMonth,
+          before: section(previous.rows[0]),
+          after: section(result.rows[0]),
+        }, client);
+        return result.rows[0];
+      });
+
+      res.json({
+        success: true,
+        org,
+        periodMonth,
+        sectionKey,
+        updatedAt: saved.updated_at,
+      });
+    } catch (error) {
+      console.error("[report/save] error:", error);
+      sendError(res, error);
+    }
+  
+  });
+
+  return router;
+}
+
+export { createReportsNarrativeRouter };
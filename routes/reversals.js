@@ -0,0 +1,581 @@
+// Reversals router
+// File: reversals.js
+//
+// Reversal journals and orphan reversals — the reports behind the
+// dashboard's reversal toggle. Both go through the report registry, so each
+// has GET/POST routes and an MCP tool. The dashboard's per-journal
+// include/exclude choices are saved in reversal_overrides and applied to the
+// reversal-journals report.
+
+import express from "express";
+import { whereDate, validate } from "../lib/validation.js";
+import { defineReport } from "../lib/report-registry.js";
+import { dateParam } from "./shared.js";
+import { sendError } from "../lib/api-errors.js";
+import { requireRole } from "../lib/access-control.js";
+import { assertTenantAccess } from "../lib/entity-access.js";
+import { actorOf } from "../lib/session.js";
+import { auditContext, inTransaction } from "../lib/audit-log.js";
+
+// Journal dates as YYYY-MM-DD so they compare as strings against the
+// requested range. xero-node hands back "2026-03-31T00:00:00" strings; a
+// Date is accepted too.
+function toDateString(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value || "").slice(0, 10);
+}
+
+function createReversalsRouter(ctx) {
+  const { pool, auditLog, clock, xeroSource, mountReports } = ctx;
+  const { requireXeroToken } = ctx.xeroReports;
+  const router = express.Router();
+
+  // ============================================================================
+  // REVERSAL JOURNALS ENDPOINT
+  // Fetches manual journals, identifies reversals by description pattern,
+  // and calculates their P&L impact for the dashboard toggle feature
+  // ============================================================================
+
+  async function fetchReversalJournals(tenantId, params = {}) {
+    const tokenData = await requireXeroToken(tenantId);
+
+    const dateFrom = params.dateFrom || new Date(clock.now().getFullYear(), clock.now().getMonth(), 1).toISOString().split("T")[0];
+    const dateTo = params.dateTo || clock.now().toISOString().split("T")[0];
+
+    console.log(`Ã°Å¸â€â€ž Fetching reversal journals for ${tokenData.tenantName} from ${dateFrom} to ${dateTo}`);
+
+    // Step 1: Get chart of accounts for account type lookup
+    const accountsResponse = await xeroSource.getAccounts(tenantId);
+    const accountTypeMap = {};
+    (accountsResponse.body.accounts || []).forEach(acc => {
+      accountTypeMap[acc.code] = {
+        type: acc.type,
+        name: acc.name,
+        class: acc.class
+      };
+    });
+
+    // Step 2: Get list of manual journals for the date range
+    const whereClause = `Date >= ${whereDate(dateFrom)} AND Date <= ${whereDate(dateTo)}`;
+    const journalListResponse = await xeroSource.getManualJournals(
+      tenantId,
+      null,
+      whereClause
+    );
+
+    const journalList = (journalListResponse.body.manualJournals || [])
+      .filter(j => j.status === "POSTED");
+
+    console.log(`Ã°Å¸â€œâ€¹ Found ${journalList.length} posted manual journals in period`);
+
+    // Saved include/exclude choices; a journal with none stays excluded.
+    const overrides = await loadOverrides(tenantId);
+
+    // Step 3: Fetch each journal individually to get line details
+    const reversalJournals = [];
+    let revenueAdjustment = 0;
+    let cogsAdjustment = 0;
+    let expenseAdjustment = 0;
+
+    for (const journal of journalList) {
+      try {
+        const detailResponse = await xeroSource.getManualJournal(
+          tenantId,
+          journal.manualJournalID
+        );
+
+        const fullJournal = detailResponse.body.manualJournals?.[0];
+        if (!fullJournal || !fullJournal.journalLines) continue;
+
+        // Check if ANY line description or narration contains "Reversal:"
+        const hasReversalInLines = fullJournal.journalLines.some(line =>
+          (line.description || "").toLowerCase().includes("reversal:")
+        );
+        const hasReversalInNarration = (fullJournal.narration || "").toLowerCase().includes("reversal:");
+
+        if (!hasReversalInLines && !hasReversalInNarration) continue;
+
+        const journalDetail = {
+          journalID: fullJournal.manualJournalID,
+          journalNumber: fullJournal.journalNumber,
+          reference: fullJournal.reference || "",
+          narration: fullJournal.narration || "",
+          date: fullJournal.date,
+          status: fullJournal.status,
+          excluded: overrides.get(fullJournal.manualJournalID) ?? true,
+          lines: [],
+          totalDebits: 0,
+          totalCredits: 0,
+        };
+
+        fullJournal.journalLines.forEach(line => {
+          const accountInfo = accountTypeMap[line.accountCode] || {};
+          const accountClass = (accountInfo.class || "").toUpperCase();
+          const accountType = (accountInfo.type || "").toUpperCase();
+          const lineAmount = line.lineAmount || 0;
+
+          let plCategory = "other";
+          if (accountClass === "REVENUE" || accountType === "REVENUE" || accountType === "SALES") {
+            plCategory = "revenue";
+          } else if (accountType === "DIRECTCOSTS") {
+            plCategory = "cogs";
+          } else if (accountClass === "EXPENSE" || accountType === "EXPENSE" || accountType === "OVERHEADS") {
+            plCategory = "expense";
+          }
+
+          // Only excluded journals adjust the P&L; included ones stay in it.
+          if (journalDetail.excluded) {
+            if (plCategory === "revenue") {
+              revenueAdjustment += lineAmount;
+            } else if (plCategory === "cogs") {
+              cogsAdjustment += lineAmount;
+            } else if (plCategory === "expense") {
+              expenseAdjustment += lineAmount;
+            }
+          }
+
+          journalDetail.lines.push({
+            accountCode: line.accountCode,
+            accountName: accountInfo.name || line.accountCode,
+            accountType: accountType,
+            plCategory: plCategory,
+            description: line.description || "",
+            lineAmount: lineAmount,
+            isDebit: lineAmount > 0,
+          });
+
+          if (lineAmount > 0) journalDetail.totalDebits += lineAmount;
+          if (lineAmount < 0) journalDetail.totalCredits += Math.abs(lineAmount);
+        });
+
+        reversalJournals.push(journalDetail);
+      } catch (err) {
+        console.warn(`Ã¢Å¡Â Ã¯Â¸Â Could not fetch journal ${journal.manualJournalID}:`, err.message);
+      }
+    }
+
+   const netProfitAdjustment = revenueAdjustment + cogsAdjustment + expenseAdjustment;
+
+    console.log(`Ã¢Å“â€¦ Found ${reversalJournals.length} reversal journals. Revenue: $${revenueAdjustment.toFixed(2)}, COGS: $${cogsAdjustment.toFixed(2)}, Expense: $${expenseAdjustment.toFixed(2)}`);
+
+    return {
+      tenantId: tenantId,
+      tenantName: tokenData.tenantName,
+      dateFrom,
+      dateTo,
+      totalManualJournals: journalList.length,
+      reversalCount: reversalJournals.length,
+      plImpact: {
+        revenueAdjustment: Math.round(revenueAdjustment * 100) / 100,
+        cogsAdjustment: Math.round(cogsAdjustment * 100) / 100,
+        expenseAdjustment: Math.round(expenseAdjustment * 100) / 100,
+        netProfitAdjustment: Math.round(netProfitAdjustment * 100) / 100,
+        description: "To get P&L WITHOUT the excluded reversals: add revenueAdjustment to revenue, subtract cogsAdjustment from COGS, subtract expenseAdjustment from expenses"
+      },
+      reversalJournals: reversalJournals,
+      generatedAt: clock.now().toISOString(),
+    };
+  }
+
+  // ============================================================================
+  // ORPHAN REVERSALS ENDPOINT (Rhian's rule)
+  //
+  // "A reversal with its matching accrual is noise. A reversal WITHOUT its
+  //  matching accrual is signal."
+  //
+  // Pulls a wider window than the user requested (default: requested period
+  // + 12 months lookback) so we can find matching accruals that are older
+  // than the reversal we're looking at. Then for each reversal IN the
+  // requested period, attempts to find its matching accrual:
+  //   - Reversal narration: "Reversal: <original>"
+  //   - Match key:          "<original>"  (text after "Reversal: ")
+  //   - Accrual must have:  narration EXACTLY matching the key
+  //                         date earlier than the reversal date
+  //                         line amounts that sign-flip with the reversal
+  //
+  // Returns ORPHAN reversals only — those where no matching accrual found.
+  // In healthy books, older periods should return ~0. The current period
+  // will typically return live in-progress accruals awaiting invoice.
+  // ============================================================================
+
+  async function fetchOrphanReversals(tenantId, params = {}) {
+    const tokenData = await requireXeroToken(tenantId);
+
+    const dateFrom = params.dateFrom ||
+      new Date(clock.now().getFullYear(), clock.now().getMonth(), 1).toISOString().split("T")[0];
+    const dateTo = params.dateTo || clock.now().toISOString().split("T")[0];
+
+    // Lookback window — accruals can be older than the reversals we're seeing
+    const lookbackMonths = parseInt(params.lookbackMonths || "12", 10);
+    const lookbackDate = new Date(dateFrom);
+    lookbackDate.setMonth(lookbackDate.getMonth() - lookbackMonths);
+    const lookbackDateStr = lookbackDate.toISOString().split("T")[0];
+
+    console.log(`[orphan-reversals] ${tokenData.tenantName} period=${dateFrom}..${dateTo} lookback=${lookbackDateStr}`);
+
+    // Chart of accounts for P&L category mapping
+    const accountsResponse = await xeroSource.getAccounts(tenantId);
+    const accountTypeMap = {};
+    (accountsResponse.body.accounts || []).forEach(acc => {
+      accountTypeMap[acc.code] = {
+        type: acc.type,
+        name: acc.name,
+        class: acc.class
+      };
+    });
+
+    // Pull ALL journals in the wider window (lookback → dateTo)
+    const whereClause = `Date >= ${whereDate(lookbackDateStr)} AND Date <= ${whereDate(dateTo)}`;
+    const journalListResponse = await xeroSource.getManualJournals(
+      tenantId,
+      null,
+      whereClause
+    );
+
+    const journalList = (journalListResponse.body.manualJournals || [])
+      .filter(j => j.status === "POSTED");
+
+    console.log(`[orphan-reversals] ${journalList.length} posted journals in wider window`);
+
+    // Fetch full details for each (we need journal lines)
+    const allJournals = [];
+    for (const j of journalList) {
+      try {
+        const detailResp = await xeroSource.getManualJournal(
+          tenantId,
+          j.manualJournalID
+        );
+        const full = detailResp.body.manualJournals?.[0];
+        if (full && full.journalLines) allJournals.push(full);
+      } catch (err) {
+        console.warn(`[orphan-reversals] Could not fetch ${j.manualJournalID}: ${err.message}`);
+      }
+    }
+
+    // Split into Accruals (no "Reversal:") vs Reversals (with "Reversal:")
+    const accruals = [];
+    const reversals = [];
+
+    for (const j of allJournals) {
+      const narration = (j.narration || "").toLowerCase();
+      const linesHaveReversal = (j.journalLines || []).some(line =>
+        (line.description || "").toLowerCase().includes("reversal:")
+      );
+      const isReversal = narration.includes("reversal:") || linesHaveReversal;
+
+      if (isReversal) {
+        reversals.push(j);
+      } else {
+        accruals.push(j);
+      }
+    }
+
+    console.log(`[orphan-reversals] split: ${accruals.length} accruals, ${reversals.length} reversals`);
+
+    // Build an index of accruals by normalised narration for fast lookup.
+    // We index by lowercased trimmed narration. Multiple accruals can
+    // share a narration (e.g. periodic recurring accruals) — store as array.
+    const accrualsByNarration = new Map();
+    for (const a of accruals) {
+      const key = (a.narration || "").toLowerCase().trim();
+      if (!key) continue;
+      if (!accrualsByNarration.has(key)) accrualsByNarration.set(key, []);
+      accrualsByNarration.get(key).push(a);
+    }
+
+    // For each reversal in the REQUESTED period, try to find its matching accrual
+    const orphanReversals = [];
+    const matchedReversals = [];
+
+    let revenueAdjustment = 0;
+    let cogsAdjustment = 0;
+    let expenseAdjustment = 0;
+
+    for (const rev of reversals) {
+      const revDate = toDateString(rev.date);
+
+      // Only consider reversals dated within the requested period
+      if (revDate < dateFrom || revDate > dateTo) continue;
+
+      // Extract match key from narration
+      const narration = (rev.narration || "").toLowerCase().trim();
+      let matchKey = null;
+      const idx = narration.indexOf("reversal:");
+      if (idx !== -1) {
+        matchKey = narration.substring(idx + "reversal:".length).trim();
+      }
+
+      // If no key extractable from narration, try line descriptions
+      if (!matchKey) {
+        for (const line of (rev.journalLines || [])) {
+          const desc = (line.description || "").toLowerCase();
+          const lineIdx = desc.indexOf("reversal:");
+          if (lineIdx !== -1) {
+            matchKey = desc.substring(lineIdx + "reversal:".length).trim();
+            break;
+          }
+        }
+      }
+
+      // Look up candidates by matching narration
+      let matchedAccrual = null;
+      if (matchKey) {
+        const candidates = accrualsByNarration.get(matchKey) || [];
+        // Filter candidates: must be dated BEFORE the reversal
+        const dateValid = candidates.filter(c => toDateString(c.date) < revDate);
+
+        // Verify sign-flip on line amounts (per account code, amounts should
+        // cancel exactly between accrual and reversal)
+        for (const candidate of dateValid) {
+          if (linesAreSignFlip(candidate.journalLines, rev.journalLines)) {
+            matchedAccrual = candidate;
+            break;
+          }
+        }
+      }
+
+      const journalDetail = buildJournalDetail(rev, accountTypeMap);
+
+      if (matchedAccrual) {
+        matchedReversals.push({
+          reversal: { id: rev.manualJournalID, date: revDate, narration: rev.narration },
+          accrual: { id: matchedAccrual.manualJournalID, date: toDateString(matchedAccrual.date), narration: matchedAccrual.narration }
+        });
+      } else {
+        // ORPHAN — no matching accrual found
+        orphanReversals.push({ ...journalDetail, matchKey });
+
+        // Aggregate P&L impact (orphans only)
+        for (const line of journalDetail.lines) {
+          if (line.plCategory === "revenue") revenueAdjustment += line.lineAmount;
+          else if (line.plCategory === "cogs") cogsAdjustment += line.lineAmount;
+          else if (line.plCategory === "expense") expenseAdjustment += line.lineAmount;
+        }
+      }
+    }
+
+    const netProfitAdjustment = revenueAdjustment + cogsAdjustment + expenseAdjustment;
+
+    console.log(`[orphan-reversals] result: ${orphanReversals.length} orphans, ${matchedReversals.length} matched. NP impact: $${netProfitAdjustment.toFixed(2)}`);
+
+    return {
+      tenantId: tenantId,
+      tenantName: tokenData.tenantName,
+      dateFrom,
+      dateTo,
+      lookbackDate: lookbackDateStr,
+      lookbackMonths,
+      diagnostics: {
+        totalJournalsInWindow: allJournals.length,
+        accrualsInWindow: accruals.length,
+        reversalsInWindow: reversals.length,
+        reversalsInRequestedPeriod: orphanReversals.length + matchedReversals.length,
+        orphanReversalsCount: orphanReversals.length,
+        matchedReversalsCount: matchedReversals.length,
+        sampleMatches: matchedReversals.slice(0, 5),
+      },
+      orphanCount: orphanReversals.length,
+      plImpact: {
+        revenueAdjustment: Math.round(revenueAdjustment * 100) / 100,
+        cogsAdjustment: Math.round(cogsAdjustment * 100) / 100,
+        expenseAdjustment: Math.round(expenseAdjustment * 100) / 100,
+        netProfitAdjustment: Math.round(netProfitAdjustment * 100) / 100,
+        description: "P&L impact of ORPHAN reversals only — reversals with no matching accrual found in lookback window."
+      },
+      orphanReversals,
+      generatedAt: clock.now().toISOString(),
+    };
+  }
+
+  // ----------------------------------------------------------------------------
+  // Helpers for orphan-reversals endpoint
+  // ----------------------------------------------------------------------------
+
+  // Check whether two sets of journal lines are sign-flips of each other.
+  // For each line in A, there must be a corresponding line in B on the same
+  // account with the opposite sign and matching magnitude. Tolerance: 1 cent.
+  function linesAreSignFlip(linesA, linesB) {
+    if (!linesA || !linesB) return false;
+    if (linesA.length !== linesB.length) return false;
+
+    // Sum lineAmount per accountCode for each set
+    const sumA = {};
+    const sumB = {};
+    for (const l of linesA) {
+      sumA[l.accountCode] = (sumA[l.accountCode] || 0) + (l.lineAmount || 0);
+    }
+    for (const l of linesB) {
+      sumB[l.accountCode] = (sumB[l.accountCode] || 0) + (l.lineAmount || 0);
+    }
+
+    // Account codes must match
+    const codesA = Object.keys(sumA).sort();
+    const codesB = Object.keys(sumB).sort();
+    if (codesA.length !== codesB.length) return false;
+    for (let i = 0; i < codesA.length; i++) {
+      if (codesA[i] !== codesB[i]) return false;
+    }
+
+    // For each account, the sums should add to ~0 (sign-flipped)
+    for (const code of codesA) {
+      if (Math.abs(sumA[code] + sumB[code]) > 0.01) return false;
+    }
+    return true;
+  }
+
+  // Build standardised journal detail object (lines + P&L category mapping)
+  function buildJournalDetail(journal, accountTypeMap) {
+    const detail = {
+      journalID: journal.manualJournalID,
+      journalNumber: journal.journalNumber,
+      reference: journal.reference || "",
+      narration: journal.narration || "",
+      date: journal.date,
+      status: journal.status,
+      lines: [],
+      totalDebits: 0,
+      totalCredits: 0,
+    };
+
+    (journal.journalLines || []).forEach(line => {
+      const info = accountTypeMap[line.accountCode] || {};
+      const accountClass = (info.class || "").toUpperCase();
+      const accountType = (info.type || "").toUpperCase();
+      const lineAmount = line.lineAmount || 0;
+
+      let plCategory = "other";
+      if (accountClass === "REVENUE" || accountType === "REVENUE" || accountType === "SALES") {
+        plCategory = "revenue";
+      } else if (accountType === "DIRECTCOSTS") {
+        plCategory = "cogs";
+      } else if (accountClass === "EXPENSE" || accountType === "EXPENSE" || accountType === "OVERHEADS") {
+        plCategory = "expense";
+      }
+
+      detail.lines.push({
+        accountCode: line.accountCode,
+        accountName: info.name || line.accountCode,
+        accountType,
+        plCategory,
+        description: line.description || "",
+        lineAmount,
+        isDebit: lineAmount > 0,
+      });
+      if (lineAmount > 0) detail.totalDebits += lineAmount;
+      if (lineAmount < 0) detail.totalCredits += Math.abs(lineAmount);
+    });
+
+    return detail;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Reversal overrides — the dashboard's Save Selections
+  // ----------------------------------------------------------------------------
+
+  // journalId -> excluded for one tenant.
+  async function loadOverrides(tenantId, db = pool) {
+    const result = await db.query(
+      "SELECT journal_id, excluded FROM reversal_overrides WHERE tenant_id = $1",
+      [tenantId]
+    );
+    return new Map(result.rows.map((r) => [r.journal_id, r.excluded]));
+  }
+
+  // POST /api/reversal-overrides/bulk
+  // Body: { tenantId, overrides: [{ journalId, excluded }] }
+  // Returns: { success: true, tenantId, saved }
+  //
+  // Upserts one tenant's include/exclude choices. The dashboard sends one call
+  // per tenant in a consolidated view. updated_by is the signed-in user, not
+  // the client's setBy. The choices that changed go into one audit event.
+  router.post("/api/reversal-overrides/bulk", requireRole("analyst"), validate({
+    body: {
+      tenantId: { type: "tenantId", required: true },
+      overrides: {
+        type: "array",
+        required: true,
+        min: 1,
+        max: 500,
+        items: {
+          type: "object",
+          fields: {
+            journalId: { type: "string", required: true, max: 255 },
+            excluded: { type: "boolean", required: true },
+          },
+        },
+      },
+    },
+  }), async (req, res) => {
+    try {
+      const { tenantId, overrides } = req.body;
+      assertTenantAccess(req.auth, tenantId);
+
+      await inTransaction(pool, async (client) => {
+        const previous = await loadOverrides(tenantId, client);
+        const before = {};
+        const after = {};
+        for (const { journalId, excluded } of overrides) {
+          await client.query(
+            `INSERT INTO reversal_overrides (tenant_id, journal_id, excluded, updated_at, updated_by)
+           VALUES ($1, $2, $3, NOW(), $4)
+           ON CONFLICT (tenant_id, journal_id)
+           DO UPDATE SET
+             excluded = EXCLUDED.excluded,
+             updated_at = NOW(),
+             updated_by = EXCLUDED.updated_by`,
+            [tenantId, journalId, excluded, actorOf(req)]
+          );
+          const was = previous.get(journalId) ?? true;
+          if (was !== excluded) {
+            before[journalId] = was;
+            after[journalId] = excluded;
+          }
+        }
+        if (Object.keys(after).length) {
+          await auditLog.record({
+            ...auditContext(req),
+            action: "reversal_override.save",
+            tenantId,
+            before,
+            after,
+          }, client);
+        }
+      });
+
+      res.json({ success: true, tenantId, saved: overrides.length });
+    } catch (error) {
+      console.error("[reversal-overrides/bulk] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  const REPORTS = [
+    defineReport({
+      name: "reversal-journals",
+      tool: "get_reversal_journals",
+      description: "Manual journals that reverse an earlier journal, with their originals.",
+      params: {
+        dateFrom: dateParam("Start date (default start of this month)"),
+        dateTo: dateParam("End date (default today)"),
+      },
+      run: ({ tenantId, params }) => fetchReversalJournals(tenantId, params),
+    }),
+    defineReport({
+      name: "orphan-reversals",
+      tool: "find_orphan_reversals",
+      description: "Reversal journals with no matching original in the lookback window.",
+      params: {
+        dateFrom: dateParam("Start date (default start of this month)"),
+        dateTo: dateParam("End date (default today)"),
+        lookbackMonths: { type: "integer", min: 1, max: 36, default: 12, description: "How far back to search for originals" },
+      },
+      run: ({ tenantId, params }) => fetchOrphanReversals(tenantId, params),
+    }),
+  ];
+
+  mountReports(router, REPORTS);
+
+  return router;
+}
+
+export { createReversalsRouter };
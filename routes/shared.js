@@ -0,0 +1,40 @@
+// Shared request schemas
+// File: shared.js
+//
+// Request schemas and param helpers used by more than one router.
+
+import { validate } from "../lib/validation.js";
+import { sendError } from "../lib/api-errors.js";
+import { assertTenantAccess } from "../lib/entity-access.js";
+
+// Request schemas (lib/validation.js) shared by the non-report routes.
+// Routes naming one entity take { organizationName | tenantId } and use
+// `check: requireTarget` for the either/or.
+const TARGET_FIELDS = {
+  organizationName: { type: "entity" },
+  tenantId: { type: "tenantId" },
+};
+const validateTenantPath = validate({
+  params: { tenantId: { type: "tenantId", required: true } },
+});
+function requireTarget(req) {
+  return req.body.organizationName || req.body.tenantId
+    ? []
+    : [{ param: "organizationName", message: "or tenantId is required" }];
+}
+
+// router.param("tenantId", guardTenantParam) — a :tenantId path segment must
+// be an entity the caller may see (lib/entity-access.js).
+function guardTenantParam(req, res, next, tenantId) {
+  try {
+    assertTenantAccess(req.auth, tenantId);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+// A report-registry date param with its MCP description.
+const dateParam = (description) => ({ type: "date", description });
+
+export { TARGET_FIELDS, validateTenantPath, requireTarget, guardTenantParam, dateParam };
@@ -0,0 +1,1250 @@
+// Snapshots router
+// File: snapshots.js
+//
+// Historical metrics (daily_metrics, monthly_snapshots) and everything that
+// writes them by hand: run the daily snapshot now, finalize draft months,
+// backfill history, plus account variance between two periods, the
+// history of snapshot job runs with their per-org steps, and each month's
+// snapshot versions (lib/snapshot-versions.js). Every write here leaves an
+// audit event (lib/audit-log.js).
+
+import express from "express";
+import { apiError, toApiError, sendError } from "../lib/api-errors.js";
+import { validate } from "../lib/validation.js";
+import { requireRole } from "../lib/access-control.js";
+import { actorOf } from "../lib/session.js";
+import { inScope } from "../lib/entity-access.js";
+import { auditContext, inTransaction } from "../lib/audit-log.js";
+import { getOrgShortName, DAILY_SNAPSHOT_JOB, SNAPSHOT_RETRY_JOB } from "../services/snapshots.js";
+
+function createSnapshotsRouter(ctx) {
+  const {
+    pool, clock, tokenStorage, xeroSource, tenantResolver, resolveTenantOrRespond, auditLog,
+  } = ctx;
+  const { jobScheduler, snapshots, snapshotVersions } = ctx;
+  const {
+    fetchProfitLossDirect, buildAccountTypeMap, collectReportRows,
+    classifyBalanceSheetRow,
+  } = ctx.xeroReports;
+  const router = express.Router();
+
+  // ============================================================================
+  // HISTORICAL METRICS ENDPOINT (serves snapshot data to CEO dashboard)
+  // ============================================================================
+
+  router.get("/api/historical-metrics/:organizationName", requireRole("viewer"), validate({
+    params: { organizationName: { type: "entity", required: true } },
+  }), async (req, res) => {
+    try {
+      const orgName = req.params.organizationName;
+      console.log(`Loading historical metrics for: ${orgName}`);
+
+      // Map dashboard short names / aliases to the stored snapshot org name.
+      // Names we can't resolve to a tenant are queried as given — unless the
+      // caller is scoped to some entities, when an unknown name is a 404.
+      let dbOrgName = orgName;
+      try {
+        dbOrgName = (await tenantResolver.resolve(orgName, { tenants: req.auth?.tenants })).shortName;
+      } catch (resolveErr) {
+        if (resolveErr.code === "TENANT_AMBIGUOUS" || req.auth?.tenants) return sendError(res, resolveErr);
+      }
+
+      // Query daily snapshots (cash, receivables, payables, GST, inventory,
+      // counts and concentration). Series captured later are NULL on older rows.
+      const dailyResult = await pool.query(
+        `SELECT snapshot_date, cash_position, receivables_total, 
+              total_assets, total_liabilities, total_equity,
+              payables_current, payables_31_60, payables_61_90, payables_over_90, payables_total,
+              gst_liability, inventory_value, unpaid_bill_count, overdue_invoice_count, top3_customer_share
+       FROM daily_metrics 
+       WHERE org = $1 AND job_status = 'success'
+       ORDER BY snapshot_date ASC`,
+        [dbOrgName]
+      );
+
+      // Query monthly P&L snapshots (revenue, expenses, profit)
+      const monthlyResult = await pool.query(
+        `SELECT period_month, revenue, cogs, gross_profit, opex, net_profit, snapshot_status, restated
+       FROM monthly_snapshots 
+       WHERE org = $1 AND job_status = 'success'
+       ORDER BY period_month ASC`,
+        [dbOrgName]
+      );
+
+      console.log(`Historical metrics for ${orgName}: ${dailyResult.rows.length} daily, ${monthlyResult.rows.length} monthly`);
+
+      res.json({
+        organizationName: orgName,
+        daily: dailyResult.rows,
+        monthly: monthlyResult.rows,
+        dataPoints: {
+          dailyCount: dailyResult.rows.length,
+          monthlyCount: monthlyResult.rows.length,
+          dateRange: {
+            dailyFrom: dailyResult.rows[0]?.snapshot_date || null,
+            dailyTo: dailyResult.rows[dailyResult.rows.length - 1]?.snapshot_date || null,
+            monthlyFrom: monthlyResult.rows[0]?.period_month || null,
+            monthlyTo: monthlyResult.rows[monthlyResult.rows.length - 1]?.period_month || null,
+          }
+        },
+        generatedAt: clock.now().toISOString()
+      });
+    } catch (error) {
+      console.error("ÃƒÆ’Ã‚Â¢Ãƒâ€šÃ‚ÂÃƒâ€¦Ã¢â‚¬â„¢ Error loading historical metrics:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.post("/api/backfill-monthly-balances", requireRole("finance-admin"), async (req, res) => {
+    try {
+      console.log("ÃƒÆ’Ã‚Â°Ãƒâ€¦Ã‚Â¸ÃƒÂ¢Ã¢â€šÂ¬Ã‚ÂÃƒÂ¢Ã¢â€šÂ¬Ã…Â¾ Starting monthly balance backfill...");
+    
+      const monthEndDates = [
+        '2025-07-31', '2025-08-31', '2025-09-30',
+        '2025-10-31', '2025-11-30', '2025-12-31',
+        '2026-01-31'
+      ];
+    
+      // Get all connected orgs
+      const connections = inScope(req.auth, await tokenStorage.getAllXeroConnections());
+      const activeConnections = connections.filter(c => c.connected);
+    
+      if (activeConnections.length === 0) {
+        return sendError(res, apiError("NOT_CONFIGURED", "No active Xero connections. Please re-authenticate first."));
+      }
+    
+      console.log(`ÃƒÆ’Ã‚Â°Ãƒâ€¦Ã‚Â¸ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÂ¢Ã¢â€šÂ¬Ã‚Â¹ Found ${activeConnections.length} active connections`);
+      console.log(`ÃƒÆ’Ã‚Â°Ãƒâ€¦Ã‚Â¸ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÂ¢Ã¢â€šÂ¬Ã‚Â¦ Backfilling ${monthEndDates.length} month-end dates`);
+    
+      const results = [];
+      let successCount = 0;
+      let failCount = 0;
+    
+      for (const conn of activeConnections) {
+        const orgShortName = getOrgShortName(conn.tenantName);
+      
+        for (const dateStr of monthEndDates) {
+          try {
+            // Check if this row already exists
+            const existing = await pool.query(
+              `SELECT id FROM daily_metrics WHERE org = $1 AND snapshot_date = $2`,
+              [orgShortName, dateStr]
+            );
+          
+            if (existing.rows.length > 0) {
+              console.log(`ÃƒÆ’Ã‚Â¢Ãƒâ€šÃ‚ÂÃƒâ€šÃ‚Â­ÃƒÆ’Ã‚Â¯Ãƒâ€šÃ‚Â¸Ãƒâ€šÃ‚Â Skipping ${orgShortName} @ ${dateStr} - already exists`);
+              results.push({ org: orgShortName, date: dateStr, status: 'skipped' });
+              continue;
+            }
+          
+            // Get token and set it
+            const tokenData = await tokenStorage.getXeroToken(conn.tenantId);
+            if (!tokenData) {
+              throw new Error('Token not available');
+            }
+          
+            // Call Xero Balance Sheet API directly for this date
+            const bsResponse = await xeroSource.getReportBalanceSheet(
+              conn.tenantId,
+              dateStr
+            );
+          
+            const bsRows = bsResponse.body.reports?.[0]?.rows || [];
+
+            const typeMap = await buildAccountTypeMap(conn.tenantId);
+
+            let cashPosition = 0;
+            let receivablesTotal = 0;
+            let totalAssets = 0;
+            let totalLiabilities = 0;
+            let totalEquity = 0;
+
+            const leaves = collectReportRows(bsRows, '', []);
+            for (const leaf of leaves) {
+              const accountName = leaf.cells[0]?.value || '';
+              const balance = parseFloat(String(leaf.cells[1]?.value ?? '').replace(/,/g, '')) || 0;
+              if (!accountName || accountName.toLowerCase().includes('total') || balance === 0) continue;
+
+              const cat = classifyBalanceSheetRow(accountName, typeMap, leaf.sectionTitle);
+              const rawType = String(typeMap.get(accountName.trim().toLowerCase()) || '').toUpperCase();
+              const isBank = rawType === 'BANK' || leaf.sectionTitle.toLowerCase().includes('bank');
+
+              if (cat === 'asset') {
+                totalAssets += balance;
+                if (isBank) cashPosition += balance;
+                if (accountName === 'Trade Debtors') receivablesTotal += balance;
+              } else if (cat === 'liability') {
+                totalLiabilities += balance;
+              } else if (cat === 'equity') {
+                totalEquity += balance;
+              }
+            }
+          
+            // Insert into daily_metrics
+            await inTransaction(pool, async (client) => {
+              const { rows } = await client.query(
+                `INSERT INTO daily_metrics 
+               (snapshot_date, org, cash_position, 
+                receivables_current, receivables_31_60, receivables_61_90, receivables_over_90, receivables_total,
+                total_assets, total_liabilities, total_equity, 
+                job_status, created_at, created_by)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, 'success', NOW(), $12)
+               RETURNING *`,
+                [dateStr, orgShortName, cashPosition, 
+                 receivablesTotal, 0, 0, 0, receivablesTotal,
+                 totalAssets, totalLiabilities, totalEquity, actorOf(req)]
+              );
+              await auditLog.record({
+                ...auditContext(req),
+                action: 'daily_metrics.backfill',
+                org: orgShortName,
+                period: dateStr,
+                tenantId: conn.tenantId,
+                after: rows[0],
+              }, client);
+            });
+          
+            successCount++;
+            results.push({
+              org: orgShortName,
+              date: dateStr,
+              status: 'success',
+              cash: Math.round(cashPosition * 100) / 100,
+              receivables: Math.round(receivablesTotal * 100) / 100,
+              assets: Math.round(totalAssets * 100) / 100
+            });
+          
+            console.log(`ÃƒÆ’Ã‚Â¢Ãƒâ€¦Ã¢â‚¬Å“ÃƒÂ¢Ã¢â€šÂ¬Ã‚Â¦ ${orgShortName} @ ${dateStr}: Cash=$${cashPosition.toLocaleString()}, Recv=$${receivablesTotal.toLocaleString()}, Assets=$${totalAssets.toLocaleString()}`);
+          } catch (err) {
+            failCount++;
+            results.push({ org: orgShortName, date: dateStr, status: 'failed', error: err.message });
+            console.error(`ÃƒÆ’Ã‚Â¢Ãƒâ€šÃ‚ÂÃƒâ€¦Ã¢â‚¬â„¢ ${orgShortName} @ ${dateStr}: ${err.message}`);
+          }
+        }
+      }
+    
+      console.log(`ÃƒÆ’Ã‚Â°Ãƒâ€¦Ã‚Â¸Ãƒâ€šÃ‚ÂÃƒâ€šÃ‚Â Backfill complete: ${successCount} success, ${failCount} failed out of ${results.length} total`);
+    
+      res.json({
+        message: 'Monthly balance backfill complete',
+        summary: { 
+          total: results.length, 
+          success: successCount, 
+          failed: failCount,
+          skipped: results.filter(r => r.status === 'skipped').length
+        },
+        results
+      });
+    
+    } catch (error) {
+      console.error("ÃƒÆ’Ã‚Â¢Ãƒâ€šÃ‚ÂÃƒâ€¦Ã¢â‚¬â„¢ Backfill error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // HTTP endpoint — what the dashboard "Snapshot" button calls.
+  // Queues a daily-snapshot run on the job scheduler (lib/job-scheduler.js),
+  // so it lands in snapshot_job_log and never overlaps a scheduled run, then
+  // waits for it. A run still going after RUN_WAIT_MS gets 202 with its
+  // jobId — poll GET /api/snapshot-jobs/:id.
+  const RUN_WAIT_MS = 4 * 60 * 1000;
+  router.post('/api/run-daily-snapshot', requireRole('finance-admin'), validate({
+    body: { triggeredBy: { type: 'enum', values: ['manual', 'scheduler', 'scheduler-boot'], default: 'manual' } },
+  }), async (req, res) => {
+    try {
+      const { triggeredBy } = req.body;
+      const { actor, requestId } = auditContext(req);
+      const queued = await jobScheduler.enqueue(DAILY_SNAPSHOT_JOB, { triggeredBy, requestedBy: actor, requestId });
+      const run = await jobScheduler.waitFor(queued.id, { timeoutMs: RUN_WAIT_MS });
+
+      if (run.status === 'queued' || run.status === 'running') {
+        return res.status(202).json({ success: true, jobId: run.id, status: run.status, job: run });
+      }
+      if (!run.result) {
+        throw apiError('INTERNAL_ERROR', `Snapshot run failed: ${run.errorSummary || 'unknown error'}`, { jobId: run.id });
+      }
+      res.json({
+        success: run.result.success,
+        jobId: run.id,
+        orgsProcessed: run.result.orgsProcessed,
+        orgsFailed: run.result.orgsFailed,
+        durationSeconds: run.result.durationSeconds,
+        summary: run.result,
+      });
+    } catch (error) {
+      console.error('[snapshot] endpoint error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // SNAPSHOT JOB HISTORY — runs from snapshot_job_log and their per-org steps
+  // (snapshot_job_steps: cash, receivables, balance_sheet, daily_metrics,
+  // monthly_pl, each with attempts, duration and error). A caller scoped to
+  // some entities sees only their steps, and not the run-wide summary, which
+  // names every org.
+  // ============================================================================
+
+  function forCaller(run, auth) {
+    return auth?.tenants ? { ...run, errorSummary: null, result: null } : run;
+  }
+
+  router.get('/api/snapshot-jobs', requireRole('analyst'), validate({
+    query: {
+      limit: { type: 'integer', min: 1, max: 200, default: 50 },
+      job: { type: 'enum', values: [DAILY_SNAPSHOT_JOB, SNAPSHOT_RETRY_JOB] },
+      status: { type: 'enum', values: ['queued', 'running', 'success', 'failed'] },
+      beforeId: { type: 'integer', min: 1 },
+    },
+  }), async (req, res) => {
+    try {
+      const { limit, job, status, beforeId } = req.query;
+      const runs = await jobScheduler.listRuns({ limit, job, status, beforeId });
+      const counts = await snapshots.stepCounts(runs.map((r) => r.id));
+      res.json({
+        runs: runs.map((run) => ({
+          ...forCaller(run, req.auth),
+          steps: req.auth?.tenants ? null : counts[run.id] || { success: 0, failed: 0, skipped: 0, running: 0 },
+        })),
+        nextBeforeId: runs.length === limit ? runs[runs.length - 1].id : null,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // One run: status, timings, summary, and every step with its retries.
+  router.get('/api/snapshot-jobs/:id', requireRole('analyst'), validate({
+    params: { id: { type: 'integer', required: true, min: 1 } },
+  }), async (req, res) => {
+    try {
+      const run = await jobScheduler.getRun(req.params.id);
+      if (!run) throw apiError('NOT_FOUND', `No snapshot job ${req.params.id}`);
+      const steps = inScope(req.auth, await snapshots.listSteps(run.id));
+      res.json({ ...forCaller(run, req.auth), steps });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Re-run a run's failed steps — all of them, or stepIds — as a
+  // snapshot-retry job. Waits like run-daily-snapshot; 202 with the jobId
+  // if it is still going.
+  router.post('/api/snapshot-jobs/:id/retry', requireRole('finance-admin'), validate({
+    params: { id: { type: 'integer', required: true, min: 1 } },
+    body: { stepIds: { type: 'array', min: 1, max: 500, items: { type: 'integer', min: 1 } } },
+  }), async (req, res) => {
+    try {
+      const jobId = req.params.id;
+      const run = await jobScheduler.getRun(jobId);
+      if (!run) throw apiError('NOT_FOUND', `No snapshot job ${jobId}`);
+      const failed = inScope(req.auth, await snapshots.failedSteps(jobId, req.body.stepIds || null));
+      if (failed.length === 0) {
+        throw apiError('CONFLICT', `Snapshot job ${jobId} has no failed steps left to retry`, { jobId });
+      }
+
+      const { actor, requestId } = auditContext(req);
+      const queued = await jobScheduler.enqueue(SNAPSHOT_RETRY_JOB, {
+        requestedBy: actor, requestId, payload: { jobId, stepIds: failed.map((st) => st.id) },
+      });
+      const retry = await jobScheduler.waitFor(queued.id, { timeoutMs: RUN_WAIT_MS });
+
+      if (retry.status === 'queued' || retry.status === 'running') {
+        return res.status(202).json({ success: true, jobId: retry.id, status: retry.status, job: forCaller(retry, req.auth) });
+      }
+      if (!retry.result) {
+        throw apiError('INTERNAL_ERROR', `Retry failed: ${retry.errorSummary || 'unknown error'}`, { jobId: retry.id });
+      }
+      res.json({
+        success: retry.result.success,
+        jobId: retry.id,
+        retriedFrom: jobId,
+        stepsRetried: failed.length,
+        steps: inScope(req.auth, await snapshots.listSteps(retry.id)),
+        summary: req.auth?.tenants ? null : retry.result,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // SNAPSHOT HISTORY — every version of a month's P&L snapshot
+  // (monthly_snapshot_versions, lib/snapshot-versions.js): what changed,
+  // when, who or which run, and why. With no periodMonth, one line per month
+  // of the org; restated=true keeps only finals that have changed in Xero.
+  // ============================================================================
+
+  router.get('/api/snapshot-history', requireRole('viewer'), validate({
+    query: {
+      org: { type: 'entity', required: true },
+      periodMonth: { type: 'month' },
+      restated: { type: 'boolean', default: false },
+      limit: { type: 'integer', min: 1, max: 500, default: 100 },
+    },
+  }), async (req, res) => {
+    try {
+      const { periodMonth, restated, limit } = req.query;
+      const entity = await resolveTenantOrRespond(req, res, req.query.org);
+      if (!entity) return;
+      const org = entity.shortName;
+
+      if (!periodMonth) {
+        const months = await snapshotVersions.months(org, { restatedOnly: restated, limit });
+        return res.json({ org, months, generatedAt: clock.now().toISOString() });
+      }
+
+      const versions = await snapshotVersions.history(org, periodMonth);
+      if (versions.length === 0) throw apiError('NOT_FOUND', `No snapshots of ${org} ${periodMonth}`);
+      const { rows } = await pool.query(
+        `SELECT * FROM monthly_snapshots
+         WHERE org = $1 AND period_month = $2 AND job_status = 'success'
+         ORDER BY (snapshot_status = 'final') DESC, id DESC LIMIT 1`,
+        [org, periodMonth]
+      );
+      const row = rows[0];
+      res.json({
+        org,
+        periodMonth,
+        current: row
+          ? {
+            status: row.snapshot_status,
+            version: row.version,
+            restated: row.restated,
+            restatedAt: row.restated_at,
+            figures: versions.find((v) => v.version === row.version)?.figures || null,
+          }
+          : null,
+        versions,
+        generatedAt: clock.now().toISOString(),
+      });
+    } catch (error) {
+      console.error('[snapshot-history] error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // Explain a version ("Rio accrual posted late"). An empty note clears it.
+  router.post('/api/snapshot-history/note', requireRole('finance-admin'), validate({
+    body: {
+      org: { type: 'entity', required: true },
+      periodMonth: { type: 'month', required: true },
+      version: { type: 'integer', required: true, min: 1 },
+      note: { type: 'text', required: true, max: 1000 },
+    },
+  }), async (req, res) => {
+    try {
+      const { periodMonth, version } = req.body;
+      const entity = await resolveTenantOrRespond(req, res, req.body.org);
+      if (!entity) return;
+      const org = entity.shortName;
+      const note = req.body.note.trim() || null;
+
+      const updated = await inTransaction(pool, async (client) => {
+        const result = await snapshotVersions.annotate(client, { org, periodMonth, version, note });
+        if (!result) throw apiError('NOT_FOUND', `No version ${version} of ${org} ${periodMonth}`);
+        await auditLog.record({
+          ...auditContext(req),
+          action: 'monthly_snapshot_version.note',
+          org,
+          period: periodMonth,
+          tenantId: entity.tenantId,
+          before: { version, note: result.previousNote },
+          after: { version, note },
+        }, client);
+        return result.version;
+      });
+      res.json({ success: true, version: updated });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // FINALIZE MONTH — promote 'draft' monthly snapshots to 'final'
+  // Drafts get auto-overwritten by the daily scheduler. Finals are locked and
+  // will not be rewritten by the auto-snapshot — they represent post-close
+  // numbers. It still re-reads them, and flags one restated when Xero's
+  // figures have moved; finalising it again accepts the new figures.
+  // ============================================================================
+
+  // Helper: derive last-day-of-month "YYYY-MM-DD" from "YYYY-MM"
+  function periodMonthToEndDate(periodMonth) {
+    const [yearStr, monthStr] = periodMonth.split('-');
+    const year = parseInt(yearStr, 10);
+    const month = parseInt(monthStr, 10);
+    // day 0 of next month = last day of this month
+    const lastDay = new Date(year, month, 0);
+    return lastDay.toISOString().slice(0, 10);
+  }
+
+  // GET /api/draft-months
+  // Lightweight read for the dashboard to know which months are still draft.
+  // Dashboard polls this on load to decide whether to show the "Finalize" button.
+  // restatedRows are final months that have since changed in Xero: the
+  // finalised figures beside Xero's latest (xero_*), ready to re-finalise.
+  router.get('/api/draft-months', requireRole('viewer'), async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT period_month, org, revenue, net_profit, created_at
+       FROM monthly_snapshots
+       WHERE snapshot_status = 'draft' AND job_status = 'success'
+       ORDER BY period_month ASC, org ASC`
+      );
+      const restated = await pool.query(
+        `SELECT m.period_month, m.org, m.revenue, m.net_profit, m.created_at, m.restated_at,
+              m.version, v.version AS xero_version, v.revenue AS xero_revenue, v.net_profit AS xero_net_profit
+       FROM monthly_snapshots m
+       JOIN LATERAL (
+         SELECT version, revenue, net_profit FROM monthly_snapshot_versions
+         WHERE org = m.org AND period_month = m.period_month
+         ORDER BY version DESC LIMIT 1
+       ) v ON true
+       WHERE m.snapshot_status = 'final' AND m.restated AND m.job_status = 'success'
+       ORDER BY m.period_month ASC, m.org ASC`
+      );
+
+      res.json({
+        draftRows: result.rows,
+        totalDrafts: result.rows.length,
+        restatedRows: restated.rows,
+        totalRestated: restated.rows.length,
+        generatedAt: clock.now().toISOString(),
+      });
+    } catch (error) {
+      console.error('[draft-months] error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // POST /api/finalize-month
+  // Body: { periodMonths: ['2026-04', '2026-05'], entities: 'all' | ['Mining', ...] }
+  // Re-fetches P&L from Xero for each draft (org, periodMonth) pair and writes
+  // it back as 'final', as a new version of the month with the optional note.
+  // Existing 'final' rows are left alone (locked) — unless flagged restated,
+  // when finalising again accepts Xero's figures and clears the flag.
+  // Reuses fetchProfitLossDirect so we don't duplicate Xero P&L parsing logic.
+  router.post('/api/finalize-month', requireRole('finance-admin'), validate({
+    body: {
+      targets: {
+        type: 'array',
+        max: 200,
+        items: {
+          type: 'object',
+          fields: {
+            org: { type: 'entity', required: true },
+            periodMonth: { type: 'month', required: true },
+          },
+        },
+      },
+      periodMonths: { type: 'array', max: 36, items: { type: 'month' } },
+      entities: { type: 'array', values: ['all'], default: 'all', items: { type: 'entity' } },
+      note: { type: 'string', max: 1000 },
+    },
+  }, {
+    check: ({ body }) => (body.targets?.length || body.periodMonths?.length
+      ? []
+      : [{ param: 'targets', message: 'or periodMonths[] + entities is required' }]),
+  }), async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { periodMonths, entities, targets, note } = req.body;
+
+      // Resolve which entities to process. Always work from active connections
+      // so we have current tenantName/tenantId for the Xero fetch.
+      const connections = inScope(req.auth, await tokenStorage.getAllXeroConnections());
+      const activeConnections = connections.filter((c) => c.connected);
+      if (activeConnections.length === 0) {
+        return sendError(res, apiError('NOT_CONFIGURED', 'No active Xero connections.'));
+      }
+
+      // Build a flat list of work items: {tenantName, orgShortName, periodMonth}.
+      // Two input modes are supported:
+      //   1. targets[] — explicit (org, periodMonth) pairs (preferred for granular UI)
+      //   2. periodMonths[] + entities — cartesian product (kept for backward compat)
+      const workItems = [];
+
+      if (Array.isArray(targets) && targets.length > 0) {
+        // Per-target mode
+        for (const t of targets) {
+          let conn;
+          try {
+            conn = await tenantResolver.resolve(t.org, { connectedOnly: true, tenants: req.auth?.tenants });
+          } catch (resolveErr) {
+            if (!resolveErr.statusCode) throw resolveErr;
+            // Don't fail the whole request — surface as a per-target error
+            // so the caller sees which orgs couldn't be resolved.
+            workItems.push({
+              tenantName: null,
+              tenantId: null,
+              orgShortName: t.org,
+              periodMonth: t.periodMonth,
+              resolveError: resolveErr.message,
+              resolveCode: resolveErr.code,
+              candidates: resolveErr.candidates,
+            });
+            continue;
+          }
+          workItems.push({
+            tenantName: conn.tenantName,
+            tenantId: conn.tenantId,
+            orgShortName: conn.shortName,
+            periodMonth: t.periodMonth,
+          });
+        }
+      } else if (Array.isArray(periodMonths) && periodMonths.length > 0) {
+        // Per-period mode (cartesian product of periodMonths × entities)
+        let workingConnections = activeConnections;
+        if (entities !== 'all' && Array.isArray(entities) && entities.length > 0) {
+          const wanted = new Set();
+          for (const name of entities) {
+            const entity = await resolveTenantOrRespond(req, res, name, { connectedOnly: true });
+            if (!entity) return;
+            wanted.add(entity.tenantId);
+          }
+          workingConnections = activeConnections.filter((c) => wanted.has(c.tenantId));
+        }
+        for (const conn of workingConnections) {
+          const orgShortName = getOrgShortName(conn.tenantName);
+          for (const periodMonth of periodMonths) {
+            workItems.push({
+              tenantName: conn.tenantName,
+              tenantId: conn.tenantId,
+              orgShortName,
+              periodMonth,
+            });
+          }
+        }
+      }
+
+      console.log(`[finalize] starting: ${workItems.length} work items (by ${actorOf(req)})`);
+
+      const finalized = [];
+      const skippedAlreadyFinal = [];
+      const errors = [];
+
+      for (const item of workItems) {
+        const { tenantName, tenantId, orgShortName, periodMonth, resolveError, resolveCode, candidates } = item;
+
+        // Couldn't resolve org → no Xero call possible
+        if (resolveError) {
+          errors.push({ org: orgShortName, periodMonth, code: resolveCode, error: resolveError, candidates });
+          console.warn(`[finalize] ${orgShortName} ${periodMonth} skipped: ${resolveError}`);
+          continue;
+        }
+
+        try {
+          // Skip if already finalized — finals are locked, unless restated.
+          // A quick look to save the Xero call; the decision that counts is
+          // made again below, under the month's lock.
+          const seen = await pool.query(
+            `SELECT snapshot_status, restated FROM monthly_snapshots
+           WHERE org = $1 AND period_month = $2`,
+            [orgShortName, periodMonth]
+          );
+          if (seen.rows.some((r) => r.snapshot_status === 'final' && !r.restated)) {
+            skippedAlreadyFinal.push({ org: orgShortName, periodMonth });
+            continue;
+          }
+
+          // Re-fetch P&L for this exact month — straight from Xero, not a
+          // cached copy. The first read after it's written as final gets
+          // cached with no expiry.
+          const endDate = periodMonthToEndDate(periodMonth);
+          xeroSource.cache.purge({ tenantId, method: 'getReportProfitAndLoss' });
+          const plResp = await fetchProfitLossDirect({
+            tenantId,
+            date: endDate,
+            periodMonths: 1,
+          });
+
+          if (plResp.error || !plResp.summary) {
+            errors.push({
+              org: orgShortName,
+              periodMonth,
+              error: plResp.error || 'no summary returned',
+            });
+            console.warn(
+              `[finalize] ${orgShortName} ${periodMonth} skipped: ${plResp.error || 'no summary'}`
+            );
+            continue;
+          }
+
+          const s = plResp.summary;
+          const revenue = s.totalRevenue || 0;
+          const cogs = s.totalCOGS || 0;
+          const gross = s.grossProfit ?? revenue - cogs;
+          const opex = s.totalExpenses || 0;
+          const netProfit = s.netProfit ?? gross - opex;
+
+          // Atomic delete-then-insert. If the INSERT fails we must NOT leave the
+          // database with the draft already gone — that would be data loss.
+          // Single connection + BEGIN/COMMIT keeps it all-or-nothing.
+          // A restated final is replaced along with any draft. Whether the
+          // month is final (or restated) is read after taking its lock, so a
+          // concurrent finalize of the same month is seen and skipped.
+          const client = await pool.connect();
+          let version;
+          let final;
+          try {
+            await client.query('BEGIN');
+            await snapshotVersions.lockMonth(client, orgShortName, periodMonth);
+            const existing = await client.query(
+              `SELECT * FROM monthly_snapshots
+             WHERE org = $1 AND period_month = $2`,
+              [orgShortName, periodMonth]
+            );
+            final = existing.rows.find((r) => r.snapshot_status === 'final');
+            if (final && !final.restated) {
+              await client.query('ROLLBACK');
+              skippedAlreadyFinal.push({ org: orgShortName, periodMonth });
+              continue;
+            }
+            version = await snapshotVersions.record(client, {
+              org: orgShortName,
+              periodMonth,
+              figures: { revenue, cogs, gross_profit: gross, opex, net_profit: netProfit },
+              status: 'final',
+              reason: final ? 'refinalize' : 'finalize',
+              note: note || null,
+              actor: actorOf(req),
+              requestId: req.id,
+            });
+            await client.query(
+              `DELETE FROM monthly_snapshots
+             WHERE org = $1 AND period_month = $2 AND (snapshot_status = 'draft' OR $3)`,
+              [orgShortName, periodMonth, Boolean(final)]
+            );
+            const { rows: finalRows } = await client.query(
+              `INSERT INTO monthly_snapshots
+              (org, period_month, revenue, cogs, gross_profit, opex, net_profit, snapshot_date, job_status, snapshot_status, created_at, created_by, version)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE, 'success', 'final', NOW(), $8, $9)
+             RETURNING *`,
+              [orgShortName, periodMonth, revenue, cogs, gross, opex, netProfit, actorOf(req), version.version]
+            );
+            await auditLog.record({
+              ...auditContext(req),
+              action: 'monthly_snapshot.finalize',
+              org: orgShortName,
+              period: periodMonth,
+              tenantId,
+              before: existing.rows.length ? existing.rows : null,
+              after: finalRows[0],
+            }, client);
+            await client.query('COMMIT');
+          } catch (txErr) {
+            await client.query('ROLLBACK');
+            throw txErr; // bubble to outer catch — pushes onto errors[]
+          } finally {
+            client.release();
+          }
+
+          finalized.push({
+            org: orgShortName,
+            periodMonth,
+            revenue,
+            netProfit,
+            version: version.version,
+            restatementAccepted: Boolean(final),
+          });
+          console.log(
+            `[finalize] ${orgShortName} ${periodMonth}: rev=$${Math.round(revenue).toLocaleString()}, np=$${Math.round(netProfit).toLocaleString()}`
+          );
+
+        } catch (err) {
+          errors.push({ org: orgShortName, periodMonth, code: toApiError(err).code, error: err.message });
+          console.error(
+            `[finalize] ${orgShortName} ${periodMonth} FAILED:`,
+            err.message
+          );
+        }
+      }
+
+      const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+      console.log(
+        `[finalize] complete in ${durationSeconds}s: finalized=${finalized.length}, skipped=${skippedAlreadyFinal.length}, errors=${errors.length}`
+      );
+
+      res.json({
+        success: errors.length === 0,
+        durationSeconds,
+        finalized,
+        skippedAlreadyFinal,
+        errors,
+        summary: {
+          requested: workItems.length,
+          finalized: finalized.length,
+          skippedAlreadyFinal: skippedAlreadyFinal.length,
+          errors: errors.length,
+        },
+      });
+    } catch (error) {
+      console.error('[finalize] endpoint error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // BACKFILL HISTORICAL MONTHS
+  // One-shot endpoint to populate monthly_snapshots for prior fiscal years.
+  // Inserts as 'final' (historical periods are stable; no point treating them
+  // as draft). Skips any (org, period_month) pair that already has a row —
+  // will never overwrite existing data, so safe to re-run.
+  // ============================================================================
+
+  // Helper: enumerate "YYYY-MM" strings between two month bounds (inclusive)
+  function enumerateMonths(startMonth, endMonth) {
+    const months = [];
+    let [year, month] = startMonth.split('-').map(Number);
+    const [endYear, endMonthNum] = endMonth.split('-').map(Number);
+    while (year < endYear || (year === endYear && month <= endMonthNum)) {
+      months.push(`${year}-${String(month).padStart(2, '0')}`);
+      month += 1;
+      if (month > 12) { month = 1; year += 1; }
+    }
+    return months;
+  }
+
+  // Both bounds YYYY-MM, start <= end, and nothing from the current month on
+  // — that's the auto-snapshot's job.
+  function checkBackfillRange({ body: { startMonth, endMonth } }) {
+    const problems = [];
+    if (startMonth > endMonth) problems.push({ param: 'startMonth', message: 'must be <= endMonth' });
+    const today = clock.now();
+    const currentMonthStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+    if (endMonth >= currentMonthStr) {
+      problems.push({
+        param: 'endMonth',
+        message: `must be earlier than current month (${currentMonthStr}). Backfill is for historical data only.`,
+      });
+    }
+    return problems;
+  }
+
+  router.post('/api/backfill-historical-months', requireRole('finance-admin'), validate({
+    body: {
+      startMonth: { type: 'month', required: true },
+      endMonth: { type: 'month', required: true },
+    },
+  }, { check: checkBackfillRange }), async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { startMonth, endMonth } = req.body;
+
+      const periodMonths = enumerateMonths(startMonth, endMonth);
+
+      const connections = inScope(req.auth, await tokenStorage.getAllXeroConnections());
+      const activeConnections = connections.filter((c) => c.connected);
+      if (activeConnections.length === 0) {
+        return sendError(res, apiError('NOT_CONFIGURED', 'No active Xero connections.'));
+      }
+
+      console.log(
+        `[backfill] starting: ${periodMonths.length} months x ${activeConnections.length} entities = ${periodMonths.length * activeConnections.length} potential inserts`
+      );
+
+      const inserted = [];
+      const skippedExists = [];
+      const errors = [];
+
+      for (const conn of activeConnections) {
+        const orgShortName = getOrgShortName(conn.tenantName);
+
+        for (const periodMonth of periodMonths) {
+          try {
+            // Skip if ANY row exists for this (org, periodMonth) — drafts and
+            // finals alike. Backfill is purely additive; never touches existing.
+            const existing = await pool.query(
+              `SELECT id FROM monthly_snapshots
+             WHERE org = $1 AND period_month = $2`,
+              [orgShortName, periodMonth]
+            );
+            if (existing.rows.length > 0) {
+              skippedExists.push({ org: orgShortName, periodMonth });
+              continue;
+            }
+
+            // Fetch P&L for that month
+            const endDate = periodMonthToEndDate(periodMonth);
+  const plResp = await fetchProfitLossDirect({
+    tenantId: conn.tenantId,
+    date: endDate,
+    periodMonths: 1,
+  });
+
+            if (plResp.error || !plResp.summary) {
+              errors.push({
+                org: orgShortName,
+                periodMonth,
+                error: plResp.error || 'no summary returned',
+              });
+              console.warn(
+                `[backfill] ${orgShortName} ${periodMonth} skipped: ${plResp.error || 'no summary'}`
+              );
+              continue;
+            }
+
+            const s = plResp.summary;
+            const revenue = s.totalRevenue || 0;
+            const cogs = s.totalCOGS || 0;
+            const gross = s.grossProfit ?? revenue - cogs;
+            const opex = s.totalExpenses || 0;
+            const netProfit = s.netProfit ?? gross - opex;
+
+            // Checked again under the month's lock: the daily run or another
+            // backfill may have written the month since.
+            const wrote = await inTransaction(pool, async (client) => {
+              await snapshotVersions.lockMonth(client, orgShortName, periodMonth);
+              const again = await client.query(
+                `SELECT id FROM monthly_snapshots
+               WHERE org = $1 AND period_month = $2`,
+                [orgShortName, periodMonth]
+              );
+              if (again.rows.length > 0) return false;
+              const version = await snapshotVersions.record(client, {
+                org: orgShortName,
+                periodMonth,
+                figures: { revenue, cogs, gross_profit: gross, opex, net_profit: netProfit },
+                status: 'final',
+                reason: 'backfill',
+                actor: actorOf(req),
+                requestId: req.id,
+              });
+              const { rows } = await client.query(
+                `INSERT INTO monthly_snapshots
+                (org, period_month, revenue, cogs, gross_profit, opex, net_profit, snapshot_date, job_status, snapshot_status, created_at, created_by, version)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE, 'success', 'final', NOW(), $8, $9)
+               RETURNING *`,
+                [orgShortName, periodMonth, revenue, cogs, gross, opex, netProfit, actorOf(req), version.version]
+              );
+              await auditLog.record({
+                ...auditContext(req),
+                action: 'monthly_snapshot.backfill',
+                org: orgShortName,
+                period: periodMonth,
+                tenantId: conn.tenantId,
+                after: rows[0],
+              }, client);
+              return true;
+            });
+            if (!wrote) {
+              skippedExists.push({ org: orgShortName, periodMonth });
+              continue;
+            }
+
+            inserted.push({ org: orgShortName, periodMonth, revenue, netProfit });
+            console.log(
+              `[backfill] ${orgShortName} ${periodMonth}: rev=$${Math.round(revenue).toLocaleString()}, np=$${Math.round(netProfit).toLocaleString()}`
+            );
+
+          } catch (err) {
+            errors.push({ org: orgShortName, periodMonth, code: toApiError(err).code, error: err.message });
+            console.error(
+              `[backfill] ${orgShortName} ${periodMonth} FAILED:`,
+              err.message
+            );
+          }
+        }
+      }
+
+      const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+      console.log(
+        `[backfill] complete in ${durationSeconds}s: inserted=${inserted.length}, skipped=${skippedExists.length}, errors=${errors.length}`
+      );
+
+      res.json({
+        success: errors.length === 0,
+        durationSeconds,
+        inserted,
+        skippedExists,
+        errors,
+        summary: {
+          range: { startMonth, endMonth, monthCount: periodMonths.length },
+          entityCount: activeConnections.length,
+          attempted: periodMonths.length * activeConnections.length,
+          inserted: inserted.length,
+          skippedExists: skippedExists.length,
+          errors: errors.length,
+        },
+      });
+    } catch (error) {
+      console.error('[backfill] endpoint error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // ============================================================================
+  // ACCOUNT VARIANCE
+  // Compares two date periods at the account-level. Returns top contributors to
+  // revenue / cogs / expense / net-profit changes. Drives Tier 2 AI commentary
+  // — instead of "revenue dropped 60%", AI can say "revenue dropped 60% with
+  // $X driven by Account 4100 'Aggregate Sales - RIO'".
+  // ============================================================================
+
+  // Helper: months between two dates inclusive (used to translate a date range
+  // into the periodMonths parameter fetchProfitLossDirect expects).
+  function monthsBetween(startDate, endDate) {
+    const s = new Date(startDate);
+    const e = new Date(endDate);
+    if (isNaN(s.getTime()) || isNaN(e.getTime())) return 0;
+    return Math.max(1, (e.getFullYear() - s.getFullYear()) * 12 + (e.getMonth() - s.getMonth()) + 1);
+  }
+
+  // Aggregate account arrays across entities/periods. Sums by account name.
+  // Returns array of {name, amount} sorted by amount descending.
+  function aggregateAccounts(...arrays) {
+    const map = {};
+    for (const arr of arrays) {
+      if (!Array.isArray(arr)) continue;
+      for (const a of arr) {
+        if (!a || !a.name) continue;
+        if (!map[a.name]) map[a.name] = 0;
+        map[a.name] += parseFloat(a.amount) || 0;
+      }
+    }
+    return Object.entries(map)
+      .map(([name, amount]) => ({ name, amount }))
+      .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+  }
+
+  // Diff two account arrays by name. Returns {name, current, prior, delta, deltaPct}
+  // sorted by absolute delta descending. Names appearing in only one period
+  // still show up — current=0 or prior=0 indicates new/discontinued lines.
+  function diffAccounts(currentAccounts, priorAccounts) {
+    const map = {};
+    (currentAccounts || []).forEach(a => {
+      if (!map[a.name]) map[a.name] = { name: a.name, current: 0, prior: 0 };
+      map[a.name].current += parseFloat(a.amount) || 0;
+    });
+    (priorAccounts || []).forEach(a => {
+      if (!map[a.name]) map[a.name] = { name: a.name, current: 0, prior: 0 };
+      map[a.name].prior += parseFloat(a.amount) || 0;
+    });
+    return Object.values(map)
+      .map(r => {
+        const delta = r.current - r.prior;
+        const deltaPct = r.prior !== 0 ? (delta / Math.abs(r.prior)) * 100 : (r.current !== 0 ? null : 0);
+        return { ...r, delta, deltaPct };
+      })
+      .filter(r => Math.abs(r.delta) > 0.01) // drop zero-delta noise
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  }
+
+  // Each period must run forwards.
+  function checkVariancePeriods({ body }) {
+    const problems = [];
+    if (body.currentStartDate > body.currentEndDate) problems.push({ param: 'currentStartDate', message: 'must be <= currentEndDate' });
+    if (body.priorStartDate > body.priorEndDate) problems.push({ param: 'priorStartDate', message: 'must be <= priorEndDate' });
+    return problems;
+  }
+
+  router.post('/api/account-variance', requireRole('viewer'), validate({
+    body: {
+      organizationName: { type: 'entity', required: true },
+      currentStartDate: { type: 'date', required: true },
+      currentEndDate: { type: 'date', required: true },
+      priorStartDate: { type: 'date', required: true },
+      priorEndDate: { type: 'date', required: true },
+      topN: { type: 'integer', min: 1, max: 100, default: 10 },
+    },
+  }, { check: checkVariancePeriods }), async (req, res) => {
+    const startTime = Date.now();
+    try {
+      const {
+        organizationName,
+        currentStartDate,
+        currentEndDate,
+        priorStartDate,
+        priorEndDate,
+        topN,
+      } = req.body;
+
+      const currentMonths = monthsBetween(currentStartDate, currentEndDate);
+      const priorMonths = monthsBetween(priorStartDate, priorEndDate);
+
+      // Resolve entities. 'ALL' / 'All Entities' fan out to every active connection.
+      const isAll = ['all', 'all entities', 'consolidated'].includes(String(organizationName).toLowerCase());
+      let tenants;
+      if (isAll) {
+        const conns = inScope(req.auth, await tokenStorage.getAllXeroConnections());
+        tenants = conns.filter(c => c.connected);
+      } else {
+        const match = await resolveTenantOrRespond(req, res, organizationName, { connectedOnly: true });
+        if (!match) return;
+        tenants = [match];
+      }
+
+      console.log(`[variance] ${tenants.length} entit${tenants.length === 1 ? 'y' : 'ies'}: current=${currentStartDate}..${currentEndDate} (${currentMonths}mo), prior=${priorStartDate}..${priorEndDate} (${priorMonths}mo)`);
+
+      // Fetch P&L for both periods, all entities. Entity-by-entity so we can
+      // attribute account variance to the entity it came from.
+      const byEntity = [];
+      for (const { tenantId, tenantName } of tenants) {
+        const orgShortName = getOrgShortName(tenantName);
+        try {
+          const [curResp, priorResp] = await Promise.all([
+            fetchProfitLossDirect({
+              tenantId,
+              date: currentEndDate,
+              periodMonths: currentMonths,
+            }),
+            fetchProfitLossDirect({
+              tenantId,
+              date: priorEndDate,
+              periodMonths: priorMonths,
+            }),
+          ]);
+
+          byEntity.push({
+            entity: orgShortName,
+            current: {
+              totalRevenue: curResp.summary.totalRevenue || 0,
+              totalCOGS: curResp.summary.totalCOGS || 0,
+              grossProfit: curResp.summary.grossProfit || 0,
+              totalExpenses: curResp.summary.totalExpenses || 0,
+              netProfit: curResp.summary.netProfit || 0,
+              revenueAccounts: curResp.summary.revenueAccounts || [],
+              cogsAccounts: curResp.summary.cogsAccounts || [],
+              expenseAccounts: curResp.summary.expenseAccounts || [],
+            },
+            prior: {
+              totalRevenue: priorResp.summary.totalRevenue || 0,
+              totalCOGS: priorResp.summary.totalCOGS || 0,
+              grossProfit: priorResp.summary.grossProfit || 0,
+              totalExpenses: priorResp.summary.totalExpenses || 0,
+              netProfit: priorResp.summary.netProfit || 0,
+              revenueAccounts: priorResp.summary.revenueAccounts || [],
+              cogsAccounts: priorResp.summary.cogsAccounts || [],
+              expenseAccounts: priorResp.summary.expenseAccounts || [],
+            },
+          });
+        } catch (err) {
+          console.error(`[variance] ${orgShortName} failed:`, err.message);
+        }
+      }
+
+      if (byEntity.length === 0) {
+        return sendError(res, apiError('XERO_ERROR', 'No P&L data could be fetched for any entity in either period'));
+      }
+
+      // Per-entity account-level diff (attribution stays attached to entity)
+      const entityVariance = byEntity.map(e => {
+        const revDiff = diffAccounts(e.current.revenueAccounts, e.prior.revenueAccounts).slice(0, topN);
+        const cogsDiff = diffAccounts(e.current.cogsAccounts, e.prior.cogsAccounts).slice(0, topN);
+        const expDiff = diffAccounts(e.current.expenseAccounts, e.prior.expenseAccounts).slice(0, topN);
+        return {
+          entity: e.entity,
+          totals: {
+            revenue: { current: e.current.totalRevenue, prior: e.prior.totalRevenue, delta: e.current.totalRevenue - e.prior.totalRevenue },
+            cogs:    { current: e.current.totalCOGS, prior: e.prior.totalCOGS, delta: e.current.totalCOGS - e.prior.totalCOGS },
+            expenses:{ current: e.current.totalExpenses, prior: e.prior.totalExpenses, delta: e.current.totalExpenses - e.prior.totalExpenses },
+            netProfit:{current: e.current.netProfit, prior: e.prior.netProfit, delta: e.current.netProfit - e.prior.netProfit },
+          },
+          topRevenueChanges: revDiff,
+          topCOGSChanges: cogsDiff,
+          topExpenseChanges: expDiff,
+        };
+      });
+
+      // Consolidated totals across all entities
+      const consolidated = {
+        revenue:  { current: 0, prior: 0, delta: 0 },
+        cogs:     { current: 0, prior: 0, delta: 0 },
+        expenses: { current: 0, prior: 0, delta: 0 },
+        netProfit:{ current: 0, prior: 0, delta: 0 },
+      };
+      entityVariance.forEach(e => {
+        ['revenue', 'cogs', 'expenses', 'netProfit'].forEach(k => {
+          consolidated[k].current += e.totals[k].current;
+          consolidated[k].prior   += e.totals[k].prior;
+        });
+      });
+      Object.keys(consolidated).forEach(k => {
+        consolidated[k].delta = consolidated[k].current - consolidated[k].prior;
+        consolidated[k].deltaPct = consolidated[k].prior !== 0
+          ? (consolidated[k].delta / Math.abs(consolidated[k].prior)) * 100
+          : null;
+      });
+
+      // For consolidated view, surface the top movers across all entities
+      // (account name + entity, since the same account name can exist in multiple entities)
+      const flatRevChanges = [];
+      const flatExpChanges = [];
+      entityVariance.forEach(e => {
+        e.topRevenueChanges.forEach(c => flatRevChanges.push({ ...c, entity: e.entity }));
+        e.topExpenseChanges.forEach(c => flatExpChanges.push({ ...c, entity: e.entity }));
+      });
+      const topRevenueMoversConsolidated = flatRevChanges
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, topN);
+      const topExpenseMoversConsolidated = flatExpChanges
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .slice(0, topN);
+
+      const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+      console.log(`[variance] complete in ${durationSeconds}s: ${byEntity.length} entities analysed`);
+
+      res.json({
+        success: true,
+        durationSeconds,
+        periods: {
+          current: { startDate: currentStartDate, endDate: currentEndDate, months: currentMonths },
+          prior:   { startDate: priorStartDate, endDate: priorEndDate, months: priorMonths },
+        },
+        organizationName,
+        consolidated,
+        byEntity: entityVariance,
+        topRevenueMoversConsolidated,
+        topExpenseMoversConsolidated,
+      });
+    } catch (error) {
+      console.error('[variance] endpoint error:', error);
+      sendError(res, error);
+    }
+  });
+
+  // One-time fix: Delete a specific daily_metrics row
+  router.post("/api/delete-metrics-row", requireRole("finance-admin"), validate({
+    body: {
+      org: { type: "entity", required: true },
+      date: { type: "date", required: true },
+    },
+  }), async (req, res) => {
+    try {
+      const { org, date } = req.body;
+
+      const deleted = await inTransaction(pool, async (client) => {
+        const { rows } = await client.query(
+          `DELETE FROM daily_metrics WHERE org = $1 AND snapshot_date = $2 RETURNING *`,
+          [org, date]
+        );
+        if (rows.length) {
+          await auditLog.record({
+            ...auditContext(req),
+            action: 'daily_metrics.delete',
+            org,
+            period: date,
+            before: rows,
+          }, client);
+        }
+        return rows.length;
+      });
+      console.log(`[delete-metrics-row] ${org} @ ${date}: ${deleted} row(s) deleted by ${actorOf(req)}`);
+
+      res.json({
+        success: true,
+        deleted,
+        message: `Deleted ${deleted} row(s) for ${org} @ ${date}`
+      });
+    } catch (error) {
+      console.error("Delete error:", error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export { createSnapshotsRouter };
@@ -0,0 +1,702 @@
+// System router
+// File: system.js
+//
+// Operational endpoints: health checks, connection and token status, token
+// refresh and rotation history, connection health history, tenant resolution
+// and aliases, entity permissions, API keys, the audit log, scheduled jobs,
+// the Xero rate-limit scheduler and response cache, and the database debug
+// view.
+
+import express from "express";
+import { apiError, sendError } from "../lib/api-errors.js";
+import { validate } from "../lib/validation.js";
+import { XERO_SOURCE_METHODS } from "../lib/xero-source.js";
+import { requireRole } from "../lib/access-control.js";
+import { actorOf } from "../lib/session.js";
+import { inScope, ALL_TENANTS, PRINCIPAL_TYPES } from "../lib/entity-access.js";
+import { SCOPES } from "../lib/api-keys.js";
+import { auditContext } from "../lib/audit-log.js";
+import { STATUSES as HEALTH_STATUSES } from "../services/connection-health.js";
+import { shortNameFor } from "../lib/tenant-resolver.js";
+import { TARGET_FIELDS, requireTarget } from "./shared.js";
+
+// The ApprovalMax integration as a /api/connection-status entry.
+function approvalMaxConnectionEntry(approvalMax) {
+  return {
+    tenantId: "approvalmax_integration",
+    tenantName: "RAC ApprovalMax Integration",
+    provider: "approvalmax",
+    status: approvalMax.status,
+    connected: approvalMax.connected,
+    lastSeen: approvalMax.lastSeen,
+    organizationCount: approvalMax.organizationCount,
+    error: approvalMax.status === "reauth_required"
+      ? "Re-authorisation required"
+      : approvalMax.status === "expired" ? "Token expired" : null,
+  };
+}
+
+function createSystemRouter(ctx) {
+  const {
+    pool, clock, tokenStorage, xeroConnections, approvalMaxConnection, xeroSource, xeroScheduler,
+    tenantResolver, entityAccess, apiKeys, auditLog, resolveTenantOrRespond, autoRefresh, connectionHealth, jobScheduler,
+  } = ctx;
+  const router = express.Router();
+
+  // Connection status endpoint - UPDATED WITH DATABASE
+  router.get("/api/connection-status", requireRole("viewer"), async (req, res) => {
+    try {
+      const connections = [];
+
+      // Get Xero connections from database
+      const xeroConnections = inScope(req.auth, await tokenStorage.getAllXeroConnections());
+      connections.push(...xeroConnections);
+
+      // Get ApprovalMax connections from database
+      const approvalMax = await tokenStorage.getApprovalMaxStatus();
+      if (approvalMax) connections.push(approvalMaxConnectionEntry(approvalMax));
+
+      console.error(
+        "ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã¢â‚¬Å“ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â  Connection status from database:",
+        connections.length,
+        "total connections"
+      );
+      res.json(connections);
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error getting connection status:", error);
+      sendError(res, error);
+    }
+  });
+
+  // API endpoint to check token status and warnings
+  router.get("/api/token-status", requireRole("viewer"), async (req, res) => {
+    try {
+      const [allConnections, expiringTokens] = (await Promise.all([
+        tokenStorage.getAllXeroConnections(),
+        tokenStorage.getExpiringTokens(15), // Warn 15 minutes ahead
+      ])).map((list) => inScope(req.auth, list));
+      const approvalMax = await tokenStorage.getApprovalMaxStatus();
+
+      const tokenStatus = {
+        totalTokens: allConnections.length,
+        connectedTokens: allConnections.filter((conn) => conn.connected).length,
+        expiredTokens: allConnections.filter((conn) => !conn.connected).length,
+        expiringTokens: expiringTokens.length,
+        expiringDetails: expiringTokens,
+        // null until ApprovalMax has been connected. A refresh failure shows
+        // as lastRotation.outcome = 'failed' before it becomes reauth_required.
+        approvalMax,
+        needsAttention:
+          expiringTokens.length > 0 ||
+          allConnections.filter((conn) => !conn.connected).length > 0 ||
+          Boolean(approvalMax && (!approvalMax.connected || approvalMax.lastRotation?.outcome === "failed")),
+      };
+
+      res.json(tokenStatus);
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Token status error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Enhanced connection status with auto-refresh info
+  router.get("/api/connection-status-enhanced", requireRole("viewer"), async (req, res) => {
+    try {
+      const [connections, expiringTokens] = (await Promise.all([
+        tokenStorage.getAllXeroConnections(),
+        tokenStorage.getExpiringTokens(30), // Check 30 minutes ahead
+      ])).map((list) => inScope(req.auth, list));
+
+      // Add expiry warnings to connection data
+      const enhancedConnections = connections.map((conn) => {
+        const expiring = expiringTokens.find(
+          (exp) => exp.tenantId === conn.tenantId
+        );
+        return {
+          ...conn,
+          minutesUntilExpiry: expiring ? expiring.minutesUntilExpiry : null,
+          needsRefresh: expiring ? expiring.minutesUntilExpiry < 15 : false,
+        };
+      });
+
+      // Add the ApprovalMax connection, with the same expiry fields
+      const approvalMax = await tokenStorage.getApprovalMaxStatus();
+      if (approvalMax) {
+        enhancedConnections.push({
+          ...approvalMaxConnectionEntry(approvalMax),
+          minutesUntilExpiry: approvalMax.minutesUntilExpiry,
+          needsRefresh: approvalMax.minutesUntilExpiry < 15,
+        });
+      }
+
+      res.json(enhancedConnections);
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error getting enhanced connection status:", error);
+      sendError(res, error);
+    }
+  });
+
+  // add post here Duane
+  // === REST API Endpoints for Web Chat Interface ===
+  // API endpoint to manually trigger refresh
+  router.post("/api/refresh-tokens", requireRole("analyst"), async (req, res) => {
+    try {
+      console.error(`Manual token refresh requested by ${actorOf(req)}`);
+      const result = await tokenStorage.refreshAllExpiringTokens({ reason: "manual" });
+
+      res.json({
+        success: true,
+        refreshed: result.refreshed,
+        failed: result.failed,
+        results: result.results,
+        message: `Refreshed ${result.refreshed} tokens, ${result.failed} failed`,
+      });
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Manual refresh error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Token rotation history — every refresh attempt per Xero connection, or
+  // for ApprovalMax with provider=approvalmax (rotated / reused / failed).
+  // First stop when the refresh chain breaks.
+  // Query: ?provider=xero&connectionId=1&limit=50
+  router.get("/api/token-rotations", requireRole("analyst"), validate({
+    query: {
+      provider: { type: "enum", values: ["xero", "approvalmax"], default: "xero" },
+      connectionId: { type: "integer", min: 1 },
+      limit: { type: "integer", min: 1, max: 500 },
+    },
+  }), async (req, res) => {
+    try {
+      const rotations = req.query.provider === "approvalmax"
+        ? await approvalMaxConnection.getRotationLog({ limit: req.query.limit })
+        : await xeroConnections.getRotationLog({
+          connectionId: req.query.connectionId ?? null,
+          limit: req.query.limit,
+        });
+      res.json({ rotations, count: rotations.length, generatedAt: clock.now().toISOString() });
+    } catch (error) {
+      console.error("[token-rotations] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Connection health (services/connection-health.js): the latest check per
+  // tenant plus the history behind it, newest first.
+  // Query: ?tenantId=&status=reauth_required&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=200
+  router.get("/api/connection-health", requireRole("viewer"), validate({
+    query: {
+      tenantId: { type: "tenantId" },
+      status: { type: "enum", values: HEALTH_STATUSES },
+      from: { type: "date" },
+      to: { type: "date" },
+      limit: { type: "integer", min: 1, max: 1000, default: 200 },
+    },
+  }), async (req, res) => {
+    try {
+      const scope = { tenants: req.auth.tenants };
+      const [latest, history] = await Promise.all([
+        connectionHealth.latest(scope),
+        connectionHealth.history(req.query, scope),
+      ]);
+      res.json({
+        latest,
+        history,
+        monitorActive: connectionHealth.isActive(),
+        lastAlert: connectionHealth.lastAlert(),
+        generatedAt: clock.now().toISOString(),
+      });
+    } catch (error) {
+      console.error("[connection-health] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Run a health check now (alerts on any change, like a scheduled one).
+  router.post("/api/connection-health/check", requireRole("analyst"), async (req, res) => {
+    try {
+      console.log(`[connection-health] manual check requested by ${actorOf(req)}`);
+      const result = await connectionHealth.runCheck("manual");
+      res.json({
+        checkedAt: result.checkedAt,
+        trigger: result.trigger,
+        results: inScope(req.auth, result.results),
+        changes: inScope(req.auth, result.changes),
+        alerted: result.alerted,
+        alertError: result.alertError,
+      });
+    } catch (error) {
+      console.error("[connection-health] check error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Reconcile linked tenants with Xero's /connections list
+  // (lib/xero-connections.js reconcile()): marks tenants Xero no longer lists
+  // as disconnected, and reports authorised tenants that aren't linked yet.
+  // Unlinked tenants are in nobody's entity scope, so only unscoped callers
+  // see them.
+  router.post("/api/xero-tenants/reconcile", requireRole("analyst"), async (req, res) => {
+    try {
+      const result = await xeroConnections.reconcile();
+      console.log(`[xero-tenants] reconciled by ${actorOf(req)}: ${result.disconnected.length} disconnected, ${result.reconnected.length} reconnected, ${result.unlinked.length} unlinked`);
+      res.json({
+        connections: result.connections,
+        disconnected: inScope(req.auth, result.disconnected),
+        reconnected: inScope(req.auth, result.reconnected),
+        unlinked: req.auth.tenants ? [] : result.unlinked,
+        generatedAt: clock.now().toISOString(),
+      });
+    } catch (error) {
+      console.error("[xero-tenants] reconcile error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Adopt a tenant reconcile reported as unlinked: POST { connectionId, tenantId }.
+  router.post("/api/xero-tenants/adopt", requireRole("finance-admin"), validate({
+    body: {
+      connectionId: { type: "integer", min: 1, required: true },
+      tenantId: { type: "tenantId", required: true },
+    },
+  }), async (req, res) => {
+    try {
+      const adopted = await xeroConnections.adoptTenant(req.body.connectionId, req.body.tenantId);
+      await auditLog.record({
+        ...auditContext(req),
+        action: "xero_tenant.adopt",
+        org: shortNameFor(adopted.tenantName),
+        tenantId: adopted.tenantId,
+        after: adopted,
+      });
+      res.json({ success: true, ...adopted });
+    } catch (error) {
+      console.error("[xero-tenants] adopt error:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  // Remove a stale tenant — only one reconcile has marked disconnected
+  // (409 otherwise). Its snapshots, aliases and permissions are kept.
+  router.delete("/api/xero-tenants/:tenantId", requireRole("finance-admin"), validate({
+    params: { tenantId: { type: "tenantId", required: true } },
+  }), async (req, res) => {
+    try {
+      const removed = await xeroConnections.removeTenant(req.params.tenantId);
+      if (!removed) {
+        return sendError(res, apiError("NOT_FOUND", `No Xero tenant ${req.params.tenantId}`));
+      }
+      await auditLog.record({
+        ...auditContext(req),
+        action: "xero_tenant.remove",
+        org: shortNameFor(removed.tenantName),
+        tenantId: removed.tenantId,
+        before: removed,
+      });
+      res.json({ success: true, ...removed });
+    } catch (error) {
+      console.error("[xero-tenants] remove error:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  // Resolve a name / alias / tenant ID to one tenant — the MCP server and the
+  // dashboard use this instead of matching names themselves.
+  // 404 if nothing matches, 409 with `candidates` if more than one does.
+  router.get("/api/resolve-tenant", requireRole("viewer"), validate({
+    query: {
+      name: { type: "entity", required: true },
+      connectedOnly: { type: "boolean", default: false },
+    },
+  }), async (req, res) => {
+    try {
+      const entity = await resolveTenantOrRespond(req, res, req.query.name, {
+        connectedOnly: req.query.connectedOnly,
+      });
+      if (!entity) return;
+      res.json(entity);
+    } catch (error) {
+      console.error("[resolve-tenant] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Tenant aliases: every entity with its short name and aliases (built-in
+  // and configured). POST { alias, organizationName | tenantId } to add,
+  // DELETE /api/tenant-aliases/:alias to remove.
+  router.get("/api/tenant-aliases", requireRole("viewer"), async (req, res) => {
+    try {
+      const entities = inScope(req.auth, await tenantResolver.listEntities());
+      res.json({ entities, generatedAt: clock.now().toISOString() });
+    } catch (error) {
+      console.error("[tenant-aliases] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.post("/api/tenant-aliases", requireRole("analyst"), validate({
+    body: { alias: { type: "entity", required: true }, ...TARGET_FIELDS },
+  }, { check: requireTarget }), async (req, res) => {
+    try {
+      const { alias, organizationName, tenantId } = req.body;
+      const created = await tenantResolver.addAlias(alias, tenantId || organizationName, {
+        createdBy: actorOf(req),
+        tenants: req.auth.tenants,
+      });
+      await auditLog.record({
+        ...auditContext(req),
+        action: "tenant_alias.add",
+        org: created.shortName,
+        tenantId: created.tenantId,
+        after: { alias: created.alias, tenantId: created.tenantId },
+      });
+      res.json({ success: true, ...created });
+    } catch (error) {
+      console.error("[tenant-aliases] error:", error.message);
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/api/tenant-aliases/:alias", requireRole("analyst"), validate({
+    params: { alias: { type: "entity", required: true } },
+  }), async (req, res) => {
+    try {
+      const removed = await tenantResolver.removeAlias(req.params.alias, { tenants: req.auth.tenants });
+      if (!removed) {
+        return sendError(res, apiError("NOT_FOUND", `No configured alias "${req.params.alias}"`));
+      }
+      await auditLog.record({
+        ...auditContext(req),
+        action: "tenant_alias.remove",
+        tenantId: removed.tenantId,
+        before: removed,
+      });
+      console.log(`[tenant-alias] "${req.params.alias}" removed by ${actorOf(req)}`);
+      res.json({ success: true, alias: req.params.alias });
+    } catch (error) {
+      console.error("[tenant-aliases] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Entity permissions (lib/entity-access.js). POST { principalType,
+  // principal, organizationName | tenantId } grants one entity — tenantId "*"
+  // grants all of them; DELETE /api/entity-permissions/:id revokes.
+  router.get("/api/entity-permissions", requireRole("finance-admin"), async (req, res) => {
+    try {
+      res.json({ grants: await entityAccess.listGrants(), generatedAt: clock.now().toISOString() });
+    } catch (error) {
+      console.error("[entity-permissions] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.post("/api/entity-permissions", requireRole("finance-admin"), validate({
+    body: {
+      principalType: { type: "enum", values: PRINCIPAL_TYPES, required: true },
+      principal: { type: "string", required: true, max: 255 },
+      ...TARGET_FIELDS,
+      tenantId: { type: "tenantId", values: [ALL_TENANTS] },
+    },
+  }, { check: requireTarget }), async (req, res) => {
+    try {
+      const { principalType, principal, organizationName, tenantId } = req.body;
+      let target = ALL_TENANTS;
+      if (tenantId !== ALL_TENANTS) {
+        const entity = await resolveTenantOrRespond(req, res, tenantId || organizationName);
+        if (!entity) return;
+        target = entity.tenantId;
+      }
+      const id = await entityAccess.grant({ principalType, principal, tenantId: target, createdBy: actorOf(req) });
+      await auditLog.record({
+        ...auditContext(req),
+        action: "entity_permission.grant",
+        tenantId: target === ALL_TENANTS ? null : target,
+        after: { id, principalType, principal, tenantId: target },
+      });
+      res.json({ success: true, id, principalType, principal, tenantId: target });
+    } catch (error) {
+      console.error("[entity-permissions] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/api/entity-permissions/:id", requireRole("finance-admin"), validate({
+    params: { id: { type: "integer", required: true, min: 1 } },
+  }), async (req, res) => {
+    try {
+      const removed = await entityAccess.revoke(req.params.id);
+      if (!removed) {
+        return sendError(res, apiError("NOT_FOUND", `No entity permission ${req.params.id}`));
+      }
+      await auditLog.record({
+        ...auditContext(req),
+        action: "entity_permission.revoke",
+        tenantId: removed.tenantId === ALL_TENANTS ? null : removed.tenantId,
+        before: removed,
+      });
+      console.log(`[entity-access] permission ${req.params.id} revoked by ${actorOf(req)}`);
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      console.error("[entity-permissions] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // API keys (lib/api-keys.js). POST { name, scopes[], entities?[], expiresAt? }
+  // mints one and returns the key — the only time it is shown. Without
+  // entities the key sees whatever its creator sees. DELETE revokes.
+  router.get("/api/api-keys", requireRole("finance-admin"), async (req, res) => {
+    try {
+      res.json({ keys: await apiKeys.list(), generatedAt: clock.now().toISOString() });
+    } catch (error) {
+      console.error("[api-keys] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.post("/api/api-keys", requireRole("finance-admin"), validate({
+    body: {
+      name: { type: "string", required: true, max: 100 },
+      scopes: { type: "array", required: true, min: 1, items: { type: "enum", values: SCOPES } },
+      entities: { type: "array", min: 1, max: 20, items: { type: "entity" } },
+      expiresAt: { type: "date" },
+    },
+  }, {
+    check: ({ body }) => (body.expiresAt && body.expiresAt <= clock.now().toISOString().slice(0, 10)
+      ? [{ param: "expiresAt", message: "must be in the future" }]
+      : []),
+  }), async (req, res) => {
+    try {
+      const { name, scopes, entities, expiresAt } = req.body;
+      let tenantIds = req.auth.tenants || null;
+      if (entities) {
+        tenantIds = [];
+        for (const entityName of entities) {
+          const entity = await resolveTenantOrRespond(req, res, entityName);
+          if (!entity) return;
+          tenantIds.push(entity.tenantId);
+        }
+      }
+      const minted = await apiKeys.mint({
+        name,
+        scopes: [...new Set(scopes)],
+        tenantIds,
+        expiresAt: expiresAt || null,
+        createdBy: actorOf(req),
+      });
+      const { key, ...recorded } = minted;
+      await auditLog.record({ ...auditContext(req), action: "api_key.mint", after: recorded });
+      res.json({ success: true, ...minted });
+    } catch (error) {
+      console.error("[api-keys] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/api/api-keys/:id", requireRole("finance-admin"), validate({
+    params: { id: { type: "integer", required: true, min: 1 } },
+  }), async (req, res) => {
+    try {
+      const revoked = await apiKeys.revoke(req.params.id, { revokedBy: actorOf(req) });
+      if (!revoked) {
+        return sendError(res, apiError("NOT_FOUND", `No active API key ${req.params.id}`));
+      }
+      await auditLog.record({ ...auditContext(req), action: "api_key.revoke", before: revoked });
+      res.json({ success: true, id: req.params.id });
+    } catch (error) {
+      console.error("[api-keys] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Audit log (lib/audit-log.js) — who changed what, oldest or newest first.
+  // Query: ?org=Mining&period=2026-04&action=monthly_snapshot.finalize
+  //        &actor=&tenantId=&requestId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+  //        &order=asc|desc&limit=100&cursor=<last id of the previous page>
+  // period is a prefix: "2026-04" also matches April's daily rows.
+  router.get("/api/audit", requireRole("analyst"), validate({
+    query: {
+      org: { type: "entity" },
+      period: { type: "string", max: 10 },
+      action: { type: "string", max: 100 },
+      actor: { type: "string", max: 255 },
+      tenantId: { type: "tenantId" },
+      requestId: { type: "string", max: 100 },
+      from: { type: "date" },
+      to: { type: "date" },
+      order: { type: "enum", values: ["asc", "desc"], default: "desc" },
+      limit: { type: "integer", min: 1, max: 1000, default: 100 },
+      cursor: { type: "integer", min: 1 },
+    },
+  }), async (req, res) => {
+    try {
+      const events = await auditLog.query(req.query, { tenants: req.auth.tenants });
+      res.json({
+        events,
+        count: events.length,
+        nextCursor: events.length === req.query.limit ? events[events.length - 1].id : null,
+        generatedAt: clock.now().toISOString(),
+      });
+    } catch (error) {
+      console.error("[audit] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Xero rate-limit scheduler: queue depth, per-tenant budgets, 429/5xx counts.
+  router.get("/api/xero-scheduler", requireRole("analyst"), (req, res) => {
+    res.json({ ...xeroScheduler.metrics(), generatedAt: clock.now().toISOString() });
+  });
+
+  // Durable jobs (lib/job-scheduler.js): each job's cron, next run and latest
+  // run, and whether this instance holds the leader lock.
+  router.get("/api/scheduled-jobs", requireRole("analyst"), async (req, res) => {
+    try {
+      res.json({ scheduler: jobScheduler.status(), jobs: await jobScheduler.listJobs(), generatedAt: clock.now().toISOString() });
+    } catch (error) {
+      console.error("[jobs] list error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Xero response cache: hit/miss counters, size, per-method TTLs.
+  router.get("/api/cache/stats", requireRole("analyst"), (req, res) => {
+    res.json({ ...xeroSource.cache.stats(), generatedAt: clock.now().toISOString() });
+  });
+
+  // Purge cached Xero responses. Body: { organizationName | tenantId, report }
+  // — all optional; an empty body clears everything. `report` is the Xero
+  // method name, e.g. "getReportProfitAndLoss".
+  router.post("/api/cache/purge", requireRole("analyst"), validate({
+    body: { ...TARGET_FIELDS, report: { type: "enum", values: XERO_SOURCE_METHODS } },
+  }), async (req, res) => {
+    try {
+      const { organizationName, tenantId, report } = req.body;
+      let actualTenantId = tenantId;
+      if (organizationName && !tenantId) {
+        const entity = await resolveTenantOrRespond(req, res, organizationName);
+        if (!entity) return;
+        actualTenantId = entity.tenantId;
+      }
+      const purged = xeroSource.cache.purge({ tenantId: actualTenantId, method: report });
+      console.log(`[cache/purge] ${purged} entries (tenant ${actualTenantId || "all"}, ${report || "all reports"}) by ${actorOf(req)}`);
+      res.json({ success: true, purged, tenantId: actualTenantId || null, report: report || null });
+    } catch (error) {
+      console.error("[cache/purge] error:", error);
+      sendError(res, error);
+    }
+  });
+
+  // Health check endpoint
+  router.get("/api/health", async (req, res) => {
+    try {
+      // Test database connection
+      const dbTest = await pool.query("SELECT NOW()");
+      const xeroConnections = await tokenStorage.getAllXeroConnections();
+
+      res.json({
+        status: "healthy",
+        timestamp: clock.now().toISOString(),
+        database: "connected",
+        xeroConnections: xeroConnections.length,
+        uptime: process.uptime(),
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: "unhealthy",
+        error: error.message,
+        timestamp: clock.now().toISOString(),
+      });
+    }
+  });
+
+  // Enhanced health check for CEO dashboard - shows per-entity connection status
+  router.get("/api/health-check", requireRole("viewer"), async (req, res) => {
+    try {
+      const dbTest = await pool.query("SELECT NOW()");
+      const allTokens = await xeroConnections.listTenants();
+    
+      const now = Date.now();
+      const entities = allTokens.map(row => {
+        // Disconnected in Xero (lib/xero-connections.js reconcile()) — no
+        // token will bring it back, whatever expires_at says.
+        const disconnected = row.xero_status === 'disconnected';
+        return {
+          tenantId: row.tenant_id,
+          name: row.tenant_name,
+          connectionId: row.connection_id,
+          connected: !disconnected && now < row.expires_at,
+          minutesRemaining: Math.floor((row.expires_at - now) / (1000 * 60)),
+          lastSeen: row.last_seen,
+          status: disconnected ? 'disconnected' : now < row.expires_at
+            ? (row.expires_at - now < 10 * 60 * 1000 ? 'expiring' : 'healthy')
+            : (row.has_refresh_token && row.connection_status !== 'reauth_required' ? 'expired-recoverable' : 'expired-needs-reauth')
+        };
+      });
+    
+      const connected = entities.filter(e => e.connected).length;
+      const total = entities.length;
+    
+      res.json({
+        status: connected === total ? 'all-connected' : connected > 0 ? 'partial' : 'disconnected',
+        connected,
+        total,
+        entities,
+        database: 'connected',
+        uptime: process.uptime(),
+        autoRefreshActive: autoRefresh.isActive(),
+        healthMonitorActive: connectionHealth.isActive(),
+        alertsFailing: connectionHealth.lastAlert()?.ok === false,
+        timestamp: clock.now().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'error',
+        connected: 0,
+        total: 0,
+        error: error.message,
+        timestamp: clock.now().toISOString()
+      });
+    }
+  });
+
+  // DATABASE DEBUG endpoint - Add this to see what's stored
+  router.get("/api/debug/database", requireRole("finance-admin"), async (req, res) => {
+    try {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â DEBUG: Checking database contents...");
+
+      // Get all tokens from database
+      const result = await pool.query(
+        "SELECT tenant_id, tenant_name, provider, expires_at, last_seen FROM tokens ORDER BY last_seen DESC"
+      );
+
+      const now = Date.now();
+      const tokens = result.rows.map((row) => ({
+        tenant_id: row.tenant_id,
+        tenant_name: row.tenant_name,
+        provider: row.provider,
+        expired: now > row.expires_at,
+        expires_in_minutes: Math.floor((row.expires_at - now) / (1000 * 60)),
+        last_seen: row.last_seen,
+      }));
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ DEBUG: Database tokens:", tokens);
+
+      res.json({
+        totalTokens: tokens.length,
+        tokens: tokens,
+        currentTime: clock.now().toISOString(),
+        currentTimestamp: now,
+      });
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ DEBUG: Database error:", error);
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+export { createSystemRouter };
@@ -0,0 +1,303 @@
+// ApprovalMax
+// File: approvalmax.js
+//
+// Purchase-order and bill approval requests from the ApprovalMax public API,
+// per company, shaped for the approvals pipeline: what's waiting for
+// approval and for how long, who it's waiting on, and what has been approved
+// but not yet billed (committed spend).
+//
+// Each ApprovalMax company is matched to its Xero tenant by name through the
+// tenant resolver, so entity scopes apply to it like any Xero report. A
+// company whose name doesn't resolve is reported as unmapped — add a tenant
+// alias with the ApprovalMax name (POST /api/tenant-aliases) to map it.
+//
+// ApprovalMax documents are normalised in one place (normaliseRequest) so
+// the rest of the app never reads raw API fields. It reads one shape — the
+// Public API v1 request document — and nothing else:
+//
+//   { requestId, number, status, contact: { name } | null, amount, currency,
+//     submittedAt, approvedAt, isBilled (purchase orders only),
+//     currentStep: { name, participants: [{ name, decision }] } | null }
+//
+// A list that isn't an array, a status outside STATUS_MAP, a missing ID or
+// amount, a pending request with no submittedAt or a purchase order without
+// isBilled is an APPROVALMAX_ERROR for that company — shown on its pipeline
+// entry — rather than a zero, a null supplier or a wrong status.
+// fixtures/approvalmax/ has a response in this shape.
+//
+// Responses are cached per company for a few minutes — the dashboard asks on
+// every entity switch.
+
+import fetch from "node-fetch";
+import { apiError } from "../lib/api-errors.js";
+import { inScope } from "../lib/entity-access.js";
+import { APPROVALMAX_CONFIG } from "./oauth-config.js";
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Request kinds -> API path under /companies/{companyId}.
+const REQUEST_KINDS = {
+  "purchase-order": "xero/purchase-orders",
+  bill: "xero/bills",
+};
+
+// Pending requests by days waiting since submission.
+const AGEING_BUCKETS = [
+  { label: "0-2 days", maxDays: 2 },
+  { label: "3-7 days", maxDays: 7 },
+  { label: "8-14 days", maxDays: 14 },
+  { label: "15+ days", maxDays: Infinity },
+];
+
+// ApprovalMax request statuses -> ours. Any other status is an error.
+const STATUS_MAP = {
+  Draft: "draft",
+  OnReview: "pending",
+  OnApproval: "pending",
+  OnHold: "pending",
+  Approved: "approved",
+  Rejected: "rejected",
+  Cancelled: "cancelled",
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function malformed(kind, doc, message) {
+  return apiError("APPROVALMAX_ERROR", `ApprovalMax ${kind} ${doc?.number ?? doc?.requestId ?? "(no id)"}: ${message}`, {
+    kind,
+    requestId: doc?.requestId ?? null,
+  });
+}
+
+function dateField(kind, doc, field) {
+  const value = doc[field];
+  if (value == null) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw malformed(kind, doc, `${field} is not a date: ${JSON.stringify(value)}`);
+  return date;
+}
+
+function normaliseRequest(doc, kind) {
+  if (!doc || typeof doc !== "object") throw malformed(kind, doc, "not an object");
+  if (!doc.requestId) throw malformed(kind, doc, "no requestId");
+  if (!Object.hasOwn(STATUS_MAP, doc.status)) {
+    throw malformed(kind, doc, `unknown status ${JSON.stringify(doc.status)}`);
+  }
+  const status = STATUS_MAP[doc.status];
+  if (typeof doc.amount !== "number" || !Number.isFinite(doc.amount)) {
+    throw malformed(kind, doc, `amount is not a number: ${JSON.stringify(doc.amount)}`);
+  }
+  if (kind === "purchase-order" && typeof doc.isBilled !== "boolean") {
+    throw malformed(kind, doc, "no isBilled flag");
+  }
+  const submittedAt = dateField(kind, doc, "submittedAt");
+  if (status === "pending" && !submittedAt) throw malformed(kind, doc, "pending with no submittedAt");
+
+  const approvers = (doc.currentStep?.participants ?? [])
+    .filter((p) => !p.decision || p.decision === "Pending")
+    .map((p) => p.name)
+    .filter(Boolean);
+  return {
+    requestId: doc.requestId,
+    kind,
+    number: doc.number ?? null,
+    status,
+    supplier: doc.contact?.name ?? null,
+    amount: doc.amount,
+    currency: doc.currency ?? null,
+    submittedAt,
+    decidedAt: dateField(kind, doc, "approvedAt"),
+    billed: kind === "purchase-order" && doc.isBilled,
+    currentStep: doc.currentStep?.name ?? null,
+    approvers,
+  };
+}
+
+function createApprovalMaxService({ tokenStorage, tenantResolver, clock }) {
+  const cache = new Map(); // url -> { at, data }
+
+  async function request(path) {
+    const tokenData = await tokenStorage.getApprovalMaxToken();
+    if (!tokenData) {
+      throw apiError("NOT_CONFIGURED", "ApprovalMax not connected — connect at /auth?provider=approvalmax");
+    }
+    const url = `${APPROVALMAX_CONFIG.apiUrl}${path}`;
+    const hit = cache.get(url);
+    if (hit && clock.now().getTime() - hit.at < CACHE_TTL_MS) return hit.data;
+
+    const get = (accessToken) => fetch(url, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+    });
+    let response = await get(tokenData.accessToken);
+    // A token refused before its expiry (revoked, or rotated by another
+    // instance) gets one forced refresh and one retry.
+    if (response.status === 401) {
+      const refreshed = await tokenStorage.refreshApprovalMaxToken({ reason: "rejected" });
+      const retryToken = refreshed.success ? await tokenStorage.getApprovalMaxToken() : null;
+      if (retryToken) response = await get(retryToken.accessToken);
+    }
+    if (response.status === 401) {
+      throw apiError("TOKEN_EXPIRED", "ApprovalMax refused the token — reconnect at /auth?provider=approvalmax");
+    }
+    if (!response.ok) {
+      throw apiError("APPROVALMAX_ERROR", `ApprovalMax API error: ${response.status}`, {
+        status: response.status,
+        path,
+      });
+    }
+    const data = await response.json();
+    cache.set(url, { at: clock.now().getTime(), data });
+    return data;
+  }
+
+  // Companies with the Xero tenant each one maps to (tenantId null if its
+  // name doesn't resolve).
+  async function listCompanies() {
+    const companies = await request("/companies");
+    if (!Array.isArray(companies)) {
+      throw apiError("APPROVALMAX_ERROR", "ApprovalMax /companies did not return a list", { path: "/companies" });
+    }
+    return Promise.all(companies.map(async (company) => {
+      const { companyId, name } = company;
+      if (!companyId || !name) {
+        throw apiError("APPROVALMAX_ERROR", `ApprovalMax company without a companyId and name: ${JSON.stringify(company)}`);
+      }
+      let entity = null;
+      try {
+        entity = await tenantResolver.resolve(name);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+      }
+      return {
+        companyId,
+        companyName: name,
+        tenantId: entity?.tenantId ?? null,
+        tenantName: entity?.tenantName ?? null,
+        shortName: entity?.shortName ?? null,
+      };
+    }));
+  }
+
+  async function listRequests(companyId) {
+    const lists = await Promise.all(Object.entries(REQUEST_KINDS).map(async ([kind, path]) => {
+      const docs = await request(`/companies/${encodeURIComponent(companyId)}/${path}`);
+      if (!Array.isArray(docs)) {
+        throw apiError("APPROVALMAX_ERROR", `ApprovalMax ${path} did not return a list`, { path });
+      }
+      return docs.map((doc) => normaliseRequest(doc, kind));
+    }));
+    return lists.flat();
+  }
+
+  // One company's pipeline. `since` limits the approved totals to requests
+  // decided on or after it; pending and committed are always current.
+  function summariseCompany(company, requests, since) {
+    const now = clock.now().getTime();
+    const totals = (list) => ({ count: list.length, value: round2(list.reduce((s, r) => s + r.amount, 0)) });
+    const byKind = (list) => Object.fromEntries(Object.keys(REQUEST_KINDS).map((k) => [k, totals(list.filter((r) => r.kind === k))]));
+
+    const pending = requests.filter((r) => r.status === "pending");
+    const approved = requests.filter((r) => r.status === "approved" && (!since || (r.decidedAt && r.decidedAt >= since)));
+    const committed = requests.filter((r) => r.kind === "purchase-order" && r.status === "approved" && !r.billed);
+
+    const ageing = AGEING_BUCKETS.map((b) => ({ bucket: b.label, count: 0, value: 0 }));
+    const approvers = new Map();
+    for (const r of pending) {
+      const days = r.submittedAt ? Math.floor((now - r.submittedAt.getTime()) / DAY_MS) : 0;
+      const bucket = ageing[AGEING_BUCKETS.findIndex((b) => days <= b.maxDays)];
+      bucket.count += 1;
+      bucket.value = round2(bucket.value + r.amount);
+      for (const name of r.approvers.length ? r.approvers : ["(unassigned)"]) {
+        const a = approvers.get(name) || { approver: name, pendingCount: 0, pendingValue: 0, oldestDays: 0, totalDays: 0 };
+        a.pendingCount += 1;
+        a.pendingValue = round2(a.pendingValue + r.amount);
+        a.oldestDays = Math.max(a.oldestDays, days);
+        a.totalDays += days;
+        approvers.set(name, a);
+      }
+    }
+    const bottleneck = [...approvers.values()]
+      .map(({ totalDays, ...a }) => ({ ...a, averageDays: round2(totalDays / a.pendingCount) }))
+      .sort((a, b) => b.pendingCount - a.pendingCount || b.oldestDays - a.oldestDays);
+
+    const oldest = [...pending]
+      .filter((r) => r.submittedAt)
+      .sort((a, b) => a.submittedAt - b.submittedAt)
+      .slice(0, 10)
+      .map((r) => ({
+        requestId: r.requestId,
+        kind: r.kind,
+        number: r.number,
+        supplier: r.supplier,
+        amount: r.amount,
+        submittedAt: r.submittedAt.toISOString(),
+        daysWaiting: Math.floor((now - r.submittedAt.getTime()) / DAY_MS),
+        currentStep: r.currentStep,
+        approvers: r.approvers,
+      }));
+
+    return {
+      ...company,
+      pending: { ...totals(pending), byKind: byKind(pending) },
+      approved: { ...totals(approved), byKind: byKind(approved) },
+      committedUnbilled: totals(committed),
+      ageing,
+      bottleneck,
+      oldestPending: oldest,
+    };
+  }
+
+  // Pipeline for the companies mapped to the caller's entities — or to one
+  // tenant if tenantId is given. Unmapped companies are only included for
+  // unscoped callers, since no entity grant covers them.
+  async function pipeline({ tenantId = null, since = null, auth = null } = {}) {
+    let companies = await listCompanies();
+    if (tenantId) {
+      companies = companies.filter((c) => c.tenantId && c.tenantId.toLowerCase() === tenantId.toLowerCase());
+    } else if (auth?.tenants) {
+      companies = inScope(auth, companies.filter((c) => c.tenantId));
+    }
+    const sinceDate = since ? new Date(since) : null;
+    const results = await Promise.all(companies.map(async (company) => {
+      try {
+        return summariseCompany(company, await listRequests(company.companyId), sinceDate);
+      } catch (error) {
+        if (error.code === "NOT_CONFIGURED" || error.code === "TOKEN_EXPIRED") throw error;
+        console.error(`[approvalmax] ${company.companyName}:`, error.message);
+        return { ...company, error: error.message };
+      }
+    }));
+
+    const ok = results.filter((r) => !r.error);
+    const sum = (pick) => ok.reduce(
+      (acc, r) => ({ count: acc.count + pick(r).count, value: round2(acc.value + pick(r).value) }),
+      { count: 0, value: 0 }
+    );
+    return {
+      companies: results,
+      totals: {
+        pending: sum((r) => r.pending),
+        approved: sum((r) => r.approved),
+        committedUnbilled: sum((r) => r.committedUnbilled),
+      },
+      since: sinceDate ? sinceDate.toISOString().slice(0, 10) : null,
+      generatedAt: clock.now().toISOString(),
+    };
+  }
+
+  // Headline numbers for /api/consolidated and the approval-summary route.
+  async function summary({ auth = null } = {}) {
+    const { companies, totals } = await pipeline({ auth });
+    return {
+      pendingApprovals: totals.pending.count,
+      totalValue: totals.pending.value,
+      committedUnbilled: totals.committedUnbilled.value,
+      organizationCount: companies.length,
+    };
+  }
+
+  return { request, listCompanies, listRequests, pipeline, summary };
+}
+
+export { createApprovalMaxService, normaliseRequest, REQUEST_KINDS, AGEING_BUCKETS };
@@ -0,0 +1,316 @@
+// Connection health
+// File: connection-health.js
+//
+// Background check of every Xero connection and the ApprovalMax
+// integration, so a broken refresh chain is an alert rather than a dashboard
+// full of zeros. Each check writes one row per tenant to
+// connection_health_checks, plus an "ApprovalMax" row (tenant_id NULL) once
+// ApprovalMax has been connected — it can be healthy, reauth_required,
+// refresh_failing or expired, from lib/approvalmax-connection.js:
+//
+//   healthy          token current (or refreshable) and Xero lists the tenant
+//   reauth_required  the connection's refresh token was rejected — someone
+//                    has to go through /auth again
+//   refresh_failing  the last refresh attempt failed (xero_token_rotations),
+//                    not yet marked for re-auth
+//   expired          access token expired and there is no refresh token
+//   disconnected     the connection works but Xero's /connections no longer
+//                    lists the tenant — it was disconnected in Xero. Each
+//                    check runs xeroConnections.reconcile(), which records
+//                    this on the tenant row
+//   unknown          /connections could not be read (Xero down, 5xx, ...)
+//   missing          a built-in entity (lib/tenant-resolver.js ENTITIES) has
+//                    no tenant linked at all; tenant_id is NULL
+//
+// A row moving into a bad state, or back to healthy, is sent through the
+// notifier (lib/notifier.js) — one alert per check, listing every change.
+// Nothing is re-sent while a state persists. If the notifier fails (every
+// delivery channel down), the check reports alerted: false with the error,
+// lastAlert() keeps it for the health endpoints, and the undelivered changes
+// go out again with the next check's alert.
+//
+// Checks run every 15 minutes once start() is called (server.js does, unless
+// Xero data comes from fixtures), straight after a failed auto-refresh, and
+// on POST /api/connection-health/check. History is kept for 90 days.
+
+import { ENTITIES, builtinEntity } from "../lib/tenant-resolver.js";
+
+const CHECK_EVERY_MS = 15 * 60 * 1000;
+const FIRST_CHECK_AFTER_MS = 30 * 1000;
+const MIN_TRIGGERED_GAP_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = 90;
+const DEFAULT_HISTORY_LIMIT = 200;
+
+const STATUSES = ["healthy", "reauth_required", "refresh_failing", "expired", "disconnected", "unknown", "missing"];
+const CRITICAL = new Set(["reauth_required", "refresh_failing", "expired", "disconnected", "missing"]);
+
+// Key for comparing a row with the previous check: the tenant, or the
+// entity name for `missing` rows.
+const keyOf = (row) => row.tenantId || `entity:${row.tenantName}`;
+
+// A tenant seen for the first time only alerts if it's unhealthy.
+const isChange = (row) => (row.previousStatus ? row.previousStatus !== row.status : row.status !== "healthy");
+
+const APPROVALMAX_ROW = "ApprovalMax";
+
+function createConnectionHealthMonitor({
+  pool, xeroConnections, approvalMaxConnection = null, notifier, clock = { now: () => new Date() },
+}) {
+  let timer = null;
+  let firstTimer = null;
+  let running = null;
+  let lastRunAt = 0;
+  let unsent = []; // changes from checks whose alert failed
+  let lastAlert = null; // { at, ok, error, changes }
+
+  async function ensureSchema() {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS connection_health_checks (
+        id BIGSERIAL PRIMARY KEY,
+        checked_at TIMESTAMPTZ NOT NULL,
+        connection_id INTEGER,
+        tenant_id VARCHAR(255),
+        tenant_name TEXT NOT NULL,
+        status VARCHAR(30) NOT NULL,
+        detail TEXT,
+        trigger VARCHAR(50) NOT NULL
+      )
+    `);
+    await pool.query("CREATE INDEX IF NOT EXISTS connection_health_checked ON connection_health_checks (checked_at)");
+    await pool.query("CREATE INDEX IF NOT EXISTS connection_health_tenant ON connection_health_checks (tenant_id, checked_at)");
+  }
+
+  // One status per linked tenant, plus a `missing` row per built-in entity
+  // with no tenant.
+  async function assess() {
+    // Xero's own view first: reconcile() marks tenants Xero no longer
+    // lists as disconnected, so the tenant rows read after it are current.
+    const reconciliation = await xeroConnections.reconcile();
+    const tenants = await xeroConnections.listTenants();
+    const rotations = await xeroConnections.latestRotations();
+    const connections = new Map(reconciliation.connections.map((c) => [c.connectionId, c]));
+    const now = clock.now().getTime();
+
+    const results = tenants.map((t) => {
+      const rotation = rotations.get(t.connection_id);
+      const conn = connections.get(t.connection_id);
+      const row = { connectionId: t.connection_id, tenantId: t.tenant_id, tenantName: t.tenant_name };
+      if (t.connection_status === "reauth_required" || conn?.requiresReauth) {
+        return { ...row, status: "reauth_required", detail: rotation?.error || conn?.error || "Refresh token rejected" };
+      }
+      if (rotation?.outcome === "failed") {
+        return { ...row, status: "refresh_failing", detail: `${rotation.reason || "refresh"}: ${rotation.error || "failed"}` };
+      }
+      if (t.expires_at < now && !t.has_refresh_token) {
+        return { ...row, status: "expired", detail: "Access token expired and there is no refresh token" };
+      }
+      if (t.xero_status === "disconnected") {
+        return { ...row, status: "disconnected", detail: "Not in Xero's connections list for this connection" };
+      }
+      if (conn && !conn.ok) return { ...row, status: "unknown", detail: conn.error };
+      return { ...row, status: "healthy", detail: null };
+    });
+
+    const linked = new Set(tenants.map((t) => builtinEntity(t.tenant_name)?.shortName).filter(Boolean));
+    for (const entity of ENTITIES) {
+      if (linked.has(entity.shortName)) continue;
+      const offered = reconciliation.unlinked.find((u) => builtinEntity(u.tenantName)?.shortName === entity.shortName);
+      results.push({
+        connectionId: offered?.connectionId ?? null,
+        tenantId: null,
+        tenantName: entity.shortName,
+        status: "missing",
+        detail: offered
+          ? `Authorised in Xero as "${offered.tenantName}" but not linked — adopt it on /connection-health`
+          : "No Xero tenant linked for this entity",
+      });
+    }
+
+    const approvalMax = await assessApprovalMax();
+    if (approvalMax) results.push(approvalMax);
+    return { results, unlinked: reconciliation.unlinked };
+  }
+
+  // The ApprovalMax row, or null if ApprovalMax was never connected.
+  async function assessApprovalMax() {
+    const state = approvalMaxConnection && (await approvalMaxConnection.getStatus());
+    if (!state) return null;
+    const row = { connectionId: null, tenantId: null, tenantName: APPROVALMAX_ROW };
+    const rotation = state.lastRotation;
+    if (state.status === "reauth_required") {
+      return { ...row, status: "reauth_required", detail: rotation?.error || "Refresh token rejected" };
+    }
+    if (rotation?.outcome === "failed") {
+      return { ...row, status: "refresh_failing", detail: `${rotation.reason || "refresh"}: ${rotation.error || "failed"}` };
+    }
+    if (state.status === "expired") {
+      return { ...row, status: "expired", detail: "Access token expired and there is no refresh token" };
+    }
+    return { ...row, status: "healthy", detail: null };
+  }
+
+  // The most recent check's rows. tenants: the caller's entity scope
+  // (null = everything).
+  async function latest({ tenants = null } = {}) {
+    return history({ latestOnly: true, limit: 1000 }, { tenants });
+  }
+
+  // Past checks, newest first. Filters are optional; scoped callers don't
+  // see `missing` rows (they have no tenant).
+  async function history({ tenantId, status, from, to, latestOnly = false, limit = DEFAULT_HISTORY_LIMIT } = {}, { tenants = null } = {}) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      where.push(sql.replace("?", `$${params.length}`));
+    };
+    if (latestOnly) where.push("checked_at = (SELECT MAX(checked_at) FROM connection_health_checks)");
+    if (tenantId) add("LOWER(tenant_id) = LOWER(?)", tenantId);
+    if (status) add("status = ?", status);
+    if (from) add("checked_at >= ?::date", from);
+    if (to) add("checked_at < ?::date + INTERVAL '1 day'", to);
+    if (tenants) add("LOWER(tenant_id) = ANY(?)", tenants);
+
+    params.push(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), 1000));
+    const { rows } = await pool.query(
+      `SELECT id, checked_at, connection_id, tenant_id, tenant_name, status, detail, trigger
+       FROM connection_health_checks
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY checked_at DESC, tenant_name
+       LIMIT $${params.length}`,
+      params
+    );
+    return rows.map((r) => ({
+      id: Number(r.id),
+      checkedAt: r.checked_at,
+      connectionId: r.connection_id,
+      tenantId: r.tenant_id,
+      tenantName: r.tenant_name,
+      status: r.status,
+      detail: r.detail,
+      trigger: r.trigger,
+    }));
+  }
+
+  function buildAlert(changes) {
+    const problems = changes.filter((c) => c.status !== "healthy");
+    const resolved = changes.filter((c) => c.status === "healthy");
+    const severity = problems.some((c) => CRITICAL.has(c.status)) ? "critical" : problems.length ? "warning" : "resolved";
+    const provider = changes.every((c) => c.tenantName === APPROVALMAX_ROW) ? "ApprovalMax" : "Xero";
+    const subject = problems.length
+      ? `${provider} connection problem: ${problems.map((c) => `${c.tenantName} (${c.status})`).join(", ")}`
+      : `${provider} connection recovered: ${resolved.map((c) => c.tenantName).join(", ")}`;
+    const lines = changes.map((c) =>
+      `- ${c.tenantName}: ${c.previousStatus || "new"} -> ${c.status}${c.detail ? ` — ${c.detail}` : ""}`
+    );
+    const isApprovalMax = (c) => c.tenantName === APPROVALMAX_ROW;
+    if (problems.some((c) => !isApprovalMax(c) && ["reauth_required", "disconnected", "missing"].includes(c.status))) {
+      lines.push("", "Reconnect from the connection manager (/) — Connect to Xero.");
+    }
+    if (problems.some((c) => isApprovalMax(c) && ["reauth_required", "expired"].includes(c.status))) {
+      lines.push("", "Reconnect ApprovalMax at /auth?provider=approvalmax.");
+    }
+    return { subject, text: lines.join("\n"), severity, events: changes };
+  }
+
+  async function check(trigger) {
+    const previous = new Map((await latest()).map((r) => [keyOf(r), r.status]));
+    const { results, unlinked } = await assess();
+    const checkedAt = clock.now();
+
+    if (results.length) {
+      const values = [];
+      const params = [];
+      for (const r of results) {
+        params.push(checkedAt, r.connectionId, r.tenantId, r.tenantName, r.status, r.detail, trigger);
+        const n = params.length;
+        values.push(`($${n - 6}, $${n - 5}, $${n - 4}, $${n - 3}, $${n - 2}, $${n - 1}, $${n})`);
+      }
+      await pool.query(
+        `INSERT INTO connection_health_checks (checked_at, connection_id, tenant_id, tenant_name, status, detail, trigger)
+         VALUES ${values.join(", ")}`,
+        params
+      );
+    }
+    await pool.query(
+      `DELETE FROM connection_health_checks WHERE checked_at < NOW() - INTERVAL '${RETENTION_DAYS} days'`
+    );
+
+    const fresh = results
+      .map((r) => ({ ...r, previousStatus: previous.get(keyOf(r)) || null }))
+      .filter(isChange);
+    const changes = withUnsent(fresh, results);
+    let alerted = false;
+    let alertError = null;
+    if (changes.length) {
+      try {
+        await notifier.send(buildAlert(changes));
+        alerted = true;
+        unsent = [];
+      } catch (error) {
+        alertError = error.message;
+        unsent = changes;
+        console.error(`[connection-health] alert failed, ${changes.length} change(s) held for the next check:`, error.message);
+      }
+      lastAlert = { at: checkedAt.toISOString(), ok: alerted, error: alertError, changes: changes.length };
+    }
+
+    const counts = {};
+    for (const r of results) counts[r.status] = (counts[r.status] || 0) + 1;
+    console.log(`[connection-health] ${trigger} check: ${JSON.stringify(counts)}${changes.length ? `, ${changes.length} change(s)` : ""}`);
+    return { checkedAt: checkedAt.toISOString(), trigger, counts, results, changes, unlinked, alerted, alertError };
+  }
+
+  // This check's changes plus any an earlier alert failed to deliver, each
+  // tenant once: from the status last alerted to the status now. A tenant
+  // that has gone back to where it was drops out.
+  function withUnsent(fresh, results) {
+    if (!unsent.length) return fresh;
+    const current = new Map(results.map((r) => [keyOf(r), r]));
+    const pending = new Map(unsent.map((c) => [keyOf(c), c]));
+    for (const c of fresh) {
+      const held = pending.get(keyOf(c));
+      pending.set(keyOf(c), held ? { ...c, previousStatus: held.previousStatus } : c);
+    }
+    return [...pending.values()]
+      .map((c) => (current.has(keyOf(c)) ? { ...current.get(keyOf(c)), previousStatus: c.previousStatus } : c))
+      .filter(isChange);
+  }
+
+  // One check at a time — a caller arriving mid-check gets that check's
+  // result. Event-driven triggers (a failed auto-refresh fires every 3
+  // minutes while it keeps failing) are skipped within 5 minutes of the
+  // last check; the scheduled and manual ones always run.
+  async function runCheck(trigger = "manual") {
+    if (running) return running;
+    if (trigger === "refresh-failure" && clock.now().getTime() - lastRunAt < MIN_TRIGGERED_GAP_MS) return null;
+    lastRunAt = clock.now().getTime();
+    running = check(trigger).finally(() => {
+      running = null;
+    });
+    return running;
+  }
+
+  function start() {
+    console.log("[connection-health] monitor armed (first check in 30s, then every 15 minutes)");
+    const scheduled = (trigger) => runCheck(trigger).catch((err) => {
+      console.error(`[connection-health] ${trigger} check failed:`, err);
+    });
+    firstTimer = setTimeout(() => scheduled("boot"), FIRST_CHECK_AFTER_MS);
+    timer = setInterval(() => scheduled("scheduled"), CHECK_EVERY_MS);
+  }
+
+  function stop() {
+    clearTimeout(firstTimer);
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    ensureSchema, runCheck, latest, history, start, stop,
+    isActive: () => Boolean(timer),
+    lastAlert: () => lastAlert,
+  };
+}
+
+export { createConnectionHealthMonitor, STATUSES };
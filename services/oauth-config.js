@@ -0,0 +1,66 @@
+// OAuth configuration
+// File: oauth-config.js
+//
+// Xero and ApprovalMax OAuth client settings, read from the environment.
+// Shared by the OAuth routes (routes/auth.js), the Xero data source the
+// entry point builds, and the routes that call ApprovalMax.
+
+import pkg from "xero-node";
+const { XeroClient } = pkg;
+
+// Environment variables
+const XERO_CLIENT_ID = process.env.XERO_CLIENT_ID;
+const XERO_CLIENT_SECRET = process.env.XERO_CLIENT_SECRET;
+const XERO_REDIRECT_URI = process.env.XERO_REDIRECT_URI;
+
+const APPROVALMAX_CLIENT_ID = process.env.APPROVALMAX_CLIENT_ID;
+const APPROVALMAX_CLIENT_SECRET = process.env.APPROVALMAX_CLIENT_SECRET;
+const APPROVALMAX_REDIRECT_URI = process.env.APPROVALMAX_REDIRECT_URI;
+
+// ApprovalMax configuration
+const APPROVALMAX_CONFIG = {
+  authUrl: "https://identity.approvalmax.com/connect/authorize",
+  tokenUrl: "https://identity.approvalmax.com/connect/token",
+  apiUrl: "https://public-api.approvalmax.com/api/v1",
+  scopes: [
+    "https://www.approvalmax.com/scopes/public_api/read",
+    "https://www.approvalmax.com/scopes/public_api/write",
+    "offline_access",
+  ],
+};
+
+// Xero client config with reports scope. There is deliberately no shared
+// client: a XeroClient carries one token set, so data calls get a client
+// per connection from the source's pool and each OAuth request builds its own.
+const XERO_CLIENT_CONFIG = {
+  clientId: XERO_CLIENT_ID,
+  clientSecret: XERO_CLIENT_SECRET,
+  redirectUris: [XERO_REDIRECT_URI],
+  scopes: [
+    "accounting.transactions",
+    "accounting.contacts",
+    "accounting.settings",
+    "accounting.reports.read",
+    "accounting.journals.read",
+    "offline_access", // ADD THIS LINE
+    "accounting.budgets.read", // ADD THIS LINE
+    "offline_access",
+  ],
+};
+
+// overrides: per-flow settings, e.g. the consent flow's { state }.
+function createXeroClient(overrides = {}) {
+  return new XeroClient({ ...XERO_CLIENT_CONFIG, ...overrides });
+}
+
+export {
+  XERO_CLIENT_ID,
+  XERO_CLIENT_SECRET,
+  XERO_REDIRECT_URI,
+  XERO_CLIENT_CONFIG,
+  createXeroClient,
+  APPROVALMAX_CLIENT_ID,
+  APPROVALMAX_CLIENT_SECRET,
+  APPROVALMAX_REDIRECT_URI,
+  APPROVALMAX_CONFIG,
+};
@@ -0,0 +1,252 @@
+// Database schema
+// File: schema.js
+//
+// Table setup run once at boot, before anything reads or writes: the token
+// tables (initializeDatabase) and the idempotent migrations the snapshot and
+// report-section code depends on (runSchemaMigrations). Both are safe to run
+// on every start. createApp() never calls them — the entry point (server.js)
+// does, and a test runs them against its own database.
+
+function createSchema({
+  pool, xeroConnections, approvalMaxConnection, tenantResolver, entityAccess, apiKeys, auditLog, oauthStates, connectionHealth,
+  jobScheduler, snapshotVersions,
+}) {
+  // Initialize database tables
+  async function initializeDatabase() {
+    try {
+      // Create tokens table if it doesn't exist
+      await pool.query(`
+            CREATE TABLE IF NOT EXISTS tokens (
+                id SERIAL PRIMARY KEY,
+                tenant_id VARCHAR(255) UNIQUE NOT NULL,
+                tenant_name VARCHAR(255) NOT NULL,
+                provider VARCHAR(50) NOT NULL,
+                access_token TEXT NOT NULL,
+                refresh_token TEXT,
+                expires_at BIGINT NOT NULL,
+                last_seen TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+      // Xero connections + rotation log; links/migrates tenant rows above.
+      await xeroConnections.ensureSchema();
+      await tenantResolver.ensureSchema();
+      await entityAccess.ensureSchema();
+      await apiKeys.ensureSchema();
+      await auditLog.ensureSchema();
+      await oauthStates.ensureSchema();
+      await connectionHealth.ensureSchema();
+      await jobScheduler.ensureSchema();
+
+      // ApprovalMax token + rotation log (lib/approvalmax-connection.js)
+      await approvalMaxConnection.ensureSchema();
+
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ Database tables initialized successfully");
+    } catch (error) {
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error initializing database:", error);
+    }
+  }
+
+  // ============================================================================
+  // SCHEMA MIGRATIONS
+  // Idempotent: safe to run on every boot. Each statement uses IF NOT EXISTS
+  // so existing schemas are unchanged. Adds whatever columns/indexes the
+  // current code needs to be true.
+  // ============================================================================
+  async function runSchemaMigrations() {
+    // ---------------------------------------------------------------------------
+    // REPORT SECTIONS — narrative blocks for the Finance Monthly Report.
+    //
+    // One row per (org, period_month, section_key). Section_key examples:
+    //   'exec_summary', 'pl_commentary', 'receivables_commentary', 'notes'
+    //
+    // ai_drafted flag tracks whether the content is still the original AI draft
+    // (true) or has been edited by a human (false). Lets the UI show an audit
+    // trail and lets us decide whether "Regenerate AI" is safe to run.
+    //
+    // version column is unused in v1 (always 1). Reserved for future:
+    // multiple saved versions per (org, period_month, section_key) so you can
+    // see "Paul's draft" vs "Matt's edit" vs "Final".
+    // ---------------------------------------------------------------------------
+    await pool.query(`
+    CREATE TABLE IF NOT EXISTS report_sections (
+      id SERIAL PRIMARY KEY,
+      org VARCHAR(50) NOT NULL,
+      period_month VARCHAR(7) NOT NULL,
+      section_key VARCHAR(50) NOT NULL,
+      content TEXT NOT NULL,
+      ai_drafted BOOLEAN DEFAULT true,
+      version INTEGER DEFAULT 1,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(100) DEFAULT 'unknown',
+      UNIQUE (org, period_month, section_key, version)
+    )
+  `);
+
+    await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_report_sections_lookup
+    ON report_sections (org, period_month)
+  `);
+
+    // ---------------------------------------------------------------------------
+    // REVERSAL OVERRIDES — the dashboard's per-journal include/exclude choice
+    // for reversal journals (routes/reversals.js). One row per (tenant,
+    // journal); a journal with no row is excluded, the dashboard's default.
+    // ---------------------------------------------------------------------------
+    await pool.query(`
+    CREATE TABLE IF NOT EXISTS reversal_overrides (
+      tenant_id VARCHAR(255) NOT NULL,
+      journal_id VARCHAR(255) NOT NULL,
+      excluded BOOLEAN NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(100) DEFAULT 'unknown',
+      PRIMARY KEY (tenant_id, journal_id)
+    )
+  `);
+    console.log('[migration] running schema migrations...');
+
+    // Add snapshot_status column to monthly_snapshots.
+    // 'draft' = auto-captured, may change as accountants post late entries
+    // 'final' = finalized — locked, will not be auto-overwritten
+    await pool.query(`
+    ALTER TABLE monthly_snapshots
+    ADD COLUMN IF NOT EXISTS snapshot_status TEXT DEFAULT 'draft'
+  `);
+
+    // Backfill rows with no status: they predate this migration, so their
+    // months are long since closed and count as final — but only the latest
+    // such row per month, and only where the month has no final yet, so the
+    // one-final-per-month index below can still be built. Older NULL rows
+    // become drafts. Only NULLs are touched, so re-running is a no-op; drafts
+    // are never promoted here — that is finalize's job, with its version and
+    // audit event.
+    await pool.query(`
+    UPDATE monthly_snapshots m
+    SET snapshot_status = 'final'
+    WHERE m.id IN (
+      SELECT DISTINCT ON (org, period_month) id
+      FROM monthly_snapshots
+      WHERE snapshot_status IS NULL
+      ORDER BY org, period_month, created_at DESC NULLS LAST, id DESC
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM monthly_snapshots f
+      WHERE f.org = m.org AND f.period_month = m.period_month AND f.snapshot_status = 'final'
+    )
+  `);
+    await pool.query(`UPDATE monthly_snapshots SET snapshot_status = 'draft' WHERE snapshot_status IS NULL`);
+
+    // Index for fast lookups by month + status
+    await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_monthly_snapshots_period_status
+    ON monthly_snapshots (org, period_month, snapshot_status)
+  `);
+
+    // Who wrote each snapshot row: the signed-in person's email for finalize,
+    // backfills and manual runs, 'scheduler' for the daily run. NULL on rows
+    // from before this was recorded.
+    await pool.query(`
+    ALTER TABLE monthly_snapshots
+    ADD COLUMN IF NOT EXISTS created_by TEXT
+  `);
+    await pool.query(`
+    ALTER TABLE daily_metrics
+    ADD COLUMN IF NOT EXISTS created_by TEXT
+  `);
+
+    // The wider daily KPI series (services/snapshots.js DAILY_STEPS):
+    // payables aged like receivables, GST owed, quarry inventory (Mining
+    // only), unpaid bill and overdue invoice counts, and the top-3 customer
+    // share of receivables (0-100). NULL on rows from before they were
+    // captured, and where the step that reads them failed.
+    await pool.query(`
+    ALTER TABLE daily_metrics
+    ADD COLUMN IF NOT EXISTS payables_current NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS payables_31_60 NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS payables_61_90 NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS payables_over_90 NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS payables_total NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS gst_liability NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS inventory_value NUMERIC(15,2),
+    ADD COLUMN IF NOT EXISTS unpaid_bill_count INTEGER,
+    ADD COLUMN IF NOT EXISTS overdue_invoice_count INTEGER,
+    ADD COLUMN IF NOT EXISTS top3_customer_share NUMERIC(5,2)
+  `);
+
+    // Per-org steps of each snapshot run (services/snapshots.js): cash,
+    // receivables, balance_sheet and daily_metrics per date (period
+    // 'YYYY-MM-DD'), monthly_pl per month (period 'YYYY-MM'). job_id is the
+    // snapshot_job_log run; retry_of the failed step a retry re-ran.
+    await pool.query(`
+    CREATE TABLE IF NOT EXISTS snapshot_job_steps (
+      id SERIAL PRIMARY KEY,
+      job_id INTEGER REFERENCES snapshot_job_log(id),
+      org VARCHAR(100) NOT NULL,
+      tenant_id TEXT,
+      step TEXT NOT NULL,
+      period TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      started_at TIMESTAMPTZ NOT NULL,
+      finished_at TIMESTAMPTZ,
+      duration_ms INTEGER,
+      error JSONB,
+      output JSONB,
+      retry_of INTEGER REFERENCES snapshot_job_steps(id)
+    )
+  `);
+    await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_snapshot_job_steps_job
+    ON snapshot_job_steps (job_id)
+  `);
+    await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_snapshot_job_steps_lookup
+    ON snapshot_job_steps (org, period, step, status)
+  `);
+    await pool.query(`
+    CREATE INDEX IF NOT EXISTS idx_snapshot_job_steps_retry
+    ON snapshot_job_steps (retry_of)
+  `);
+
+    // Versioned monthly snapshots (lib/snapshot-versions.js). version is the
+    // monthly_snapshot_versions row this row's figures are; restated marks a
+    // final month whose figures have since changed in Xero, from restated_at
+    // until it is re-finalised. The versions table seeds itself from these
+    // rows, so it comes after.
+    await pool.query(`
+    ALTER TABLE monthly_snapshots
+    ADD COLUMN IF NOT EXISTS version INTEGER,
+    ADD COLUMN IF NOT EXISTS restated BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS restated_at TIMESTAMPTZ
+  `);
+    await snapshotVersions.ensureSchema();
+
+    // At most one final row per month, so two finalisations of the same
+    // month can't both land. A database that already has duplicate finals
+    // can't take the index: boot on without it and say which months.
+    try {
+      await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_monthly_snapshots_one_final
+      ON monthly_snapshots (org, period_month) WHERE snapshot_status = 'final'
+    `);
+    } catch (error) {
+      const { rows } = await pool.query(`
+      SELECT org, period_month, COUNT(*)::int AS finals FROM monthly_snapshots
+      WHERE snapshot_status = 'final'
+      GROUP BY org, period_month HAVING COUNT(*) > 1
+    `);
+      console.warn(
+        `[migration] one-final-per-month index not created (${error.message}); duplicate finals:`,
+        rows.map((r) => `${r.org} ${r.period_month} x${r.finals}`).join(", ")
+      );
+    }
+
+    console.log('[migration] complete');
+  }
+
+  return { initializeDatabase, runSchemaMigrations };
+}
+
+export { createSchema };
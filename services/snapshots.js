@@ -0,0 +1,708 @@
+// Snapshots
+// File: snapshots.js
+//
+// The daily snapshot run: today's balance sheet and KPIs into daily_metrics
+// and every completed month of the current and previous FY into
+// monthly_snapshots (as draft) and its version history
+// (lib/snapshot-versions.js), where a final month that changed in Xero
+// shows up as a restatement. Runs as the daily-snapshot job on the job scheduler
+// (lib/job-scheduler.js), on its cron or when POST /api/run-daily-snapshot
+// enqueues it. Each row written (or draft replaced) leaves an audit event
+// (lib/audit-log.js), and each org's work is recorded step by step in
+// snapshot_job_steps so a failed step can be seen and re-run on its own.
+
+import { shortNameFor } from "../lib/tenant-resolver.js";
+import { inTransaction } from "../lib/audit-log.js";
+import { figureChanges } from "../lib/snapshot-versions.js";
+import { apiError, toApiError } from "../lib/api-errors.js";
+import { ageInvoices } from "./xero-reports.js";
+
+// Helper: Convert full tenant name to short org name (matches existing snapshot data).
+// The naming table lives in lib/tenant-resolver.js (ENTITIES).
+function getOrgShortName(tenantName) {
+  return shortNameFor(tenantName);
+}
+
+// A step that throws is tried this many times in all, waiting
+// STEP_BACKOFF_MS x attempt between tries — unless the error is one a
+// retry can't fix (NO_RETRY). Rate limits are already retried by the Xero
+// scheduler (lib/xero-scheduler.js), so a 429 that reaches here is the
+// daily budget and waiting seconds won't help either.
+const STEP_ATTEMPTS = 3;
+const STEP_BACKOFF_MS = 2000;
+const NO_RETRY = new Set([
+  "UNAUTHENTICATED", "TOKEN_EXPIRED", "FORBIDDEN", "TENANT_NOT_FOUND", "VALIDATION_FAILED", "NOT_CONFIGURED",
+  "XERO_RATE_LIMITED",
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const sumBalances = (accounts) => accounts.reduce((sum, a) => sum + a.balance, 0);
+const stepKey = (org, step, period) => `${org}|${step}|${period}`;
+
+// 'YYYY-MM' -> its last day, 'YYYY-MM-DD'.
+function monthEndDate(periodMonth) {
+  const [y, m] = periodMonth.split("-").map(Number);
+  return new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+}
+
+// The error payload stored on a failed step: the same code/message/details
+// the API would have answered with (lib/api-errors.js).
+function describeStepError(err) {
+  const e = toApiError(err);
+  return { code: e.code, status: e.statusCode, message: e.message, ...(e.details ? { details: e.details } : {}) };
+}
+
+function formatStep(row) {
+  return {
+    id: row.id,
+    jobId: row.job_id,
+    org: row.org,
+    tenantId: row.tenant_id,
+    step: row.step,
+    period: row.period,
+    status: row.status,
+    attempts: row.attempts,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    error: row.error,
+    output: row.output,
+    retryOf: row.retry_of,
+  };
+}
+
+function createSnapshotService({
+  pool, xeroSource, tokenStorage, xeroReports, inventorySource, auditLog, snapshotVersions, clock,
+  stepBackoffMs = STEP_BACKOFF_MS,
+}) {
+  const {
+    fetchProfitLossDirect, fetchOutstandingInvoices, fetchOutstandingBills,
+    buildAccountTypeMap, collectReportRows, classifyBalanceSheetRow,
+  } = xeroReports;
+
+  // ============================================================================
+  // DAILY SNAPSHOT SYSTEM
+  // Single source of truth for keeping daily_metrics + monthly_snapshots fresh.
+  // Runs daily on the job scheduler, or on-demand via POST.
+  // Idempotent: re-running in the same day skips already-captured rows.
+  // ============================================================================
+
+  // Compute the start of the current FY (July 1).
+  function getCurrentFYStart() {
+    const now = clock.now();
+    const y = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+    return new Date(y, 6, 1); // July 1
+  }
+
+  // Returns [{ periodMonth: 'YYYY-MM', endDate: 'YYYY-MM-DD' }] for every COMPLETED
+  // month across the previous and current FY (i.e. months whose last day is strictly
+  // before today). Spanning two years ensures early-July runs still capture the
+  // just-finished FY (e.g. May/June 2026 on 2 July 2026).
+  function getCompletedMonthsInCurrentFY() {
+    const today = clock.now();
+    const fyStart = getCurrentFYStart();
+    // Start from the PREVIOUS FY's July to catch months like May/Jun
+    // that fall at the end of the just-finished year.
+    const scanStart = new Date(fyStart.getFullYear() - 1, 6, 1); // July 1 of prior year
+    const months = [];
+    let cursor = new Date(scanStart);
+    while (cursor < today) {
+      const monthEnd = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 0);
+      if (monthEnd < today) {
+        months.push({
+          periodMonth: `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}`,
+          endDate: monthEnd.toISOString().slice(0, 10),
+        });
+      }
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+    return months;
+  }
+
+  // ------------------------------------------------------------------
+  // STEPS
+  // Each org's share of a run is a handful of steps, every one recorded in
+  // snapshot_job_steps with its attempts, duration, error and output:
+  //   cash, receivables, balance_sheet  read from the balance sheet for the date
+  //   daily_metrics                     writes the day's row from those three
+  //   monthly_pl                        one per completed month
+  // A step that throws is tried again (STEP_ATTEMPTS, backing off) unless
+  // retrying can't help — a token that needs /auth, say. Failed steps can
+  // be re-run on their own later (retryFailedSteps).
+  // ------------------------------------------------------------------
+
+  function createRun({ jobId = null, actor = 'scheduler', requestId = null, retryOf = null } = {}) {
+    return {
+      jobId, actor, requestId, retryOf,
+      steps: { success: 0, failed: 0, skipped: 0, retried: 0 },
+      dailyInserted: 0, dailyFilled: 0, dailySkipped: 0, monthlyInserted: 0, monthlySkipped: 0,
+      monthlyRestated: 0, monthlyCleared: 0,
+      errors: [],
+      orgsWithErrors: new Set(),
+    };
+  }
+
+  async function finishStep(id, status, attempts, startTime, output, error) {
+    await pool.query(
+      `UPDATE snapshot_job_steps
+       SET status = $2, attempts = $3, finished_at = $4, duration_ms = $5, output = $6, error = $7
+       WHERE id = $1`,
+      [id, status, attempts, clock.now(), Date.now() - startTime,
+       output == null ? null : JSON.stringify(output), error == null ? null : JSON.stringify(error)]
+    );
+  }
+
+  // Run fn as one recorded step. fn returns the step's output, or
+  // { skipped: reason } when there was nothing to do.
+  async function runStep(run, { tenantId, org, step, period }, fn) {
+    const startTime = Date.now();
+    const { rows } = await pool.query(
+      `INSERT INTO snapshot_job_steps (job_id, org, tenant_id, step, period, status, attempts, started_at, retry_of)
+       VALUES ($1, $2, $3, $4, $5, 'running', 0, $6, $7)
+       RETURNING id`,
+      [run.jobId, org, tenantId, step, period, clock.now(), run.retryOf?.get(stepKey(org, step, period)) || null]
+    );
+    const id = rows[0].id;
+
+    for (let attempts = 1; ; attempts++) {
+      try {
+        const output = await fn();
+        const status = output?.skipped ? 'skipped' : 'success';
+        await finishStep(id, status, attempts, startTime, output, null);
+        run.steps[status]++;
+        if (attempts > 1) run.steps.retried++;
+        return { id, step, ok: true, skipped: status === 'skipped', output, attempts };
+      } catch (err) {
+        const error = describeStepError(err);
+        if (!NO_RETRY.has(error.code) && attempts < STEP_ATTEMPTS) {
+          console.warn(`[snapshot] ${step} ${org} ${period} attempt ${attempts} failed, retrying: ${error.message}`);
+          await sleep(stepBackoffMs * attempts);
+          continue;
+        }
+        await finishStep(id, 'failed', attempts, startTime, null, error);
+        run.steps.failed++;
+        if (attempts > 1) run.steps.retried++;
+        return { id, step, ok: false, error, attempts };
+      }
+    }
+  }
+
+  // A step with nothing to do, or that never ran because another failed.
+  // On a retry it still answers the failed step it stands in for.
+  async function recordSkipped(run, { tenantId, org, step, period }, reason) {
+    const now = clock.now();
+    await pool.query(
+      `INSERT INTO snapshot_job_steps (job_id, org, tenant_id, step, period, status, attempts, started_at, finished_at, duration_ms, output, retry_of)
+       VALUES ($1, $2, $3, $4, $5, 'skipped', 0, $6, $6, 0, $7, $8)`,
+      [run.jobId, org, tenantId, step, period, now, JSON.stringify({ skipped: reason }),
+        run.retryOf?.get(stepKey(org, step, period)) || null]
+    );
+    run.steps.skipped++;
+  }
+
+  // Steps left 'running' by a run that is no longer running were cut off
+  // by a restart — mark them failed so they can be retried.
+  async function closeInterruptedSteps() {
+    await pool.query(
+      `UPDATE snapshot_job_steps s
+       SET status = 'failed', finished_at = $1, error = $2
+       WHERE s.status = 'running'
+         AND NOT EXISTS (SELECT 1 FROM snapshot_job_log j WHERE j.id = s.job_id AND j.status = 'running')`,
+      [clock.now(), JSON.stringify({ message: 'Interrupted: the run stopped before this step finished', code: 'INTERNAL_ERROR' })]
+    );
+  }
+
+  // The balance sheet for a date with each account classified. Every daily
+  // read step calls this; the Xero cache (lib/xero-cache.js) means only the
+  // first one reaches Xero.
+  async function readBalanceSheet(tenantId, date) {
+    const tokenData = await tokenStorage.getXeroToken(tenantId);
+    if (!tokenData) throw apiError('TOKEN_EXPIRED', 'Token not available');
+
+    const bsResponse = await xeroSource.getReportBalanceSheet(tenantId, date);
+    const bsRows = bsResponse.body.reports?.[0]?.rows || [];
+    const typeMap = await buildAccountTypeMap(tenantId);
+
+    const accounts = [];
+    for (const leaf of collectReportRows(bsRows, '', [])) {
+      const accountName = leaf.cells[0]?.value || '';
+      const balance = parseFloat(String(leaf.cells[1]?.value ?? '').replace(/,/g, '')) || 0;
+      if (!accountName || accountName.toLowerCase().includes('total') || balance === 0) continue;
+
+      const rawType = String(typeMap.get(accountName.trim().toLowerCase()) || '').toUpperCase();
+      accounts.push({
+        accountName,
+        balance,
+        category: classifyBalanceSheetRow(accountName, typeMap, leaf.sectionTitle),
+        isBank: rawType === 'BANK' || leaf.sectionTitle.toLowerCase().includes('bank'),
+      });
+    }
+    return accounts;
+  }
+
+  // The daily read steps. Each returns daily_metrics columns; the
+  // daily_metrics step writes them all as one row. Required steps are the
+  // row's core — if one fails there is no row. If any other fails the row
+  // is written with its columns NULL, and retrying the step fills them in.
+  // Bills, invoices and inventory are as at the moment of capture, not as
+  // at the date (pointInTime): they only run for today, so a retry for an
+  // earlier date skips them and leaves those columns NULL.
+  const DAILY_STEPS = {
+    cash: {
+      required: true,
+      read: async ({ tenantId }, date) => {
+        const accounts = await readBalanceSheet(tenantId, date);
+        return { cash_position: sumBalances(accounts.filter((a) => a.category === 'asset' && a.isBank)) };
+      },
+    },
+    receivables: {
+      required: true,
+      read: async ({ tenantId }, date) => {
+        const accounts = await readBalanceSheet(tenantId, date);
+        const total = sumBalances(accounts.filter((a) => a.category === 'asset' && a.accountName === 'Trade Debtors'));
+        return {
+          receivables_current: total, receivables_31_60: 0, receivables_61_90: 0, receivables_over_90: 0,
+          receivables_total: total,
+        };
+      },
+    },
+    balance_sheet: {
+      required: true,
+      read: async ({ tenantId }, date) => {
+        const accounts = await readBalanceSheet(tenantId, date);
+        return {
+          total_assets: sumBalances(accounts.filter((a) => a.category === 'asset')),
+          total_liabilities: sumBalances(accounts.filter((a) => a.category === 'liability')),
+          total_equity: sumBalances(accounts.filter((a) => a.category === 'equity')),
+        };
+      },
+    },
+    // GST owed to the ATO: the balance of the GST liability account(s).
+    // Negative when a refund is due.
+    gst: {
+      read: async ({ tenantId }, date) => {
+        const accounts = await readBalanceSheet(tenantId, date);
+        return { gst_liability: sumBalances(accounts.filter((a) => a.category === 'liability' && /\bgst\b/i.test(a.accountName))) };
+      },
+    },
+    // Unpaid bills aged like receivables (ageInvoices in services/xero-reports.js).
+    payables: {
+      pointInTime: true,
+      read: async ({ tenantId }) => {
+        const aged = ageInvoices(await fetchOutstandingBills(tenantId), clock.now());
+        return {
+          payables_current: aged.buckets.current,
+          payables_31_60: aged.buckets.days31to60,
+          payables_61_90: aged.buckets.days61to90,
+          payables_over_90: aged.buckets.over90,
+          payables_total: aged.total,
+          unpaid_bill_count: aged.count,
+        };
+      },
+    },
+    // Overdue invoices, and the top-3 customer share of what's owed — the
+    // concentration the AI chat quotes.
+    invoices: {
+      pointInTime: true,
+      read: async ({ tenantId }) => {
+        const aged = ageInvoices(await fetchOutstandingInvoices(tenantId), clock.now());
+        return {
+          overdue_invoice_count: aged.overdueCount,
+          top3_customer_share: Math.round(aged.topShare(3) * 100) / 100,
+        };
+      },
+    },
+    // Stock on hand from the quarry inventory service (lib/inventory-source.js).
+    inventory: {
+      pointInTime: true,
+      read: async ({ org }) => {
+        if (org !== inventorySource.entity) return { skipped: 'no inventory for this entity' };
+        const summary = await inventorySource.getSummary();
+        if (!summary) return { skipped: 'inventory service switched off' };
+        return { inventory_value: summary.inventoryValue };
+      },
+    },
+  };
+
+  // Latest successful output of each step for an org and period, from any
+  // run — a retry only re-reads what hasn't succeeded yet.
+  async function latestOutputs(org, period, steps) {
+    const { rows } = await pool.query(
+      `SELECT DISTINCT ON (step) step, output FROM snapshot_job_steps
+       WHERE org = $1 AND period = $2 AND step = ANY($3) AND status = 'success'
+       ORDER BY step, id DESC`,
+      [org, period, steps]
+    );
+    return Object.fromEntries(rows.map((r) => [r.step, r.output]));
+  }
+
+  async function insertDaily(run, { tenantId, org }, date, values) {
+    const columns = Object.keys(values);
+    const row = await inTransaction(pool, async (client) => {
+      const { rows } = await client.query(
+        `INSERT INTO daily_metrics
+          (snapshot_date, org, ${columns.join(', ')}, job_status, created_at, created_by)
+         VALUES ($1, $2, ${columns.map((c, i) => `$${i + 3}`).join(', ')}, 'success', NOW(), $${columns.length + 3})
+         RETURNING *`,
+        [date, org, ...columns.map((c) => values[c]), run.actor]
+      );
+      await auditLog.record({
+        actor: run.actor, requestId: run.requestId, action: 'daily_metrics.snapshot',
+        org, period: date, tenantId, after: rows[0],
+      }, client);
+      return rows[0];
+    });
+    console.log(`[snapshot] daily ${org} ${date}: cash=$${Math.round(values.cash_position).toLocaleString()}`);
+    return { id: row.id };
+  }
+
+  // Fill columns a retried step has now read into a row written without them.
+  async function fillDaily(run, { tenantId, org }, existing, values) {
+    const columns = Object.keys(values);
+    await inTransaction(pool, async (client) => {
+      const { rows } = await client.query(
+        `UPDATE daily_metrics SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}
+         WHERE id = $1
+         RETURNING *`,
+        [existing.id, ...columns.map((c) => values[c])]
+      );
+      await auditLog.record({
+        actor: run.actor, requestId: run.requestId, action: 'daily_metrics.fill',
+        org, period: existing.snapshot_date, tenantId, before: existing, after: rows[0],
+      }, client);
+    });
+    console.log(`[snapshot] daily ${org} filled ${columns.join(', ')}`);
+    return { id: existing.id, filled: columns };
+  }
+
+  // 1. One org's daily_metrics row for a date: the read steps, then the write.
+  //    On a retry, a row that already exists was written without some
+  //    optional columns — re-run just those steps and fill them in.
+  async function captureDaily(run, { tenantId, org }, date) {
+    const where = { tenantId, org, period: date };
+    const existingDaily = await pool.query(
+      'SELECT * FROM daily_metrics WHERE org = $1 AND snapshot_date = $2',
+      [org, date]
+    );
+    const existing = existingDaily.rows[0] || null;
+    const refill = existing && run.retryOf
+      ? Object.keys(DAILY_STEPS).filter((step) => run.retryOf.has(stepKey(org, step, date)))
+      : [];
+    if (existing && refill.length === 0) {
+      await recordSkipped(run, { ...where, step: 'daily_metrics' }, 'already captured');
+      run.dailySkipped++;
+      return;
+    }
+
+    const outputs = run.retryOf && !existing ? await latestOutputs(org, date, Object.keys(DAILY_STEPS)) : {};
+    const failed = [];
+    const isToday = date === clock.now().toISOString().slice(0, 10);
+    for (const [step, { read, pointInTime }] of Object.entries(DAILY_STEPS)) {
+      if (outputs[step] || (existing && !refill.includes(step))) continue;
+      if (pointInTime && !isToday) {
+        await recordSkipped(run, { ...where, step }, 'point-in-time only: can only be read for today');
+        continue;
+      }
+      const result = await runStep(run, { ...where, step }, () => read({ tenantId, org }, date));
+      if (result.ok) outputs[step] = result.output;
+      else failed.push(result);
+    }
+
+    const blocking = failed.filter((f) => DAILY_STEPS[f.step].required);
+    const values = Object.assign({}, ...Object.values(outputs).filter((o) => !o.skipped));
+    if (blocking.length > 0) {
+      await recordSkipped(run, { ...where, step: 'daily_metrics' }, `blocked by failed steps: ${blocking.map((f) => f.step).join(', ')}`);
+    } else if (!existing || Object.keys(values).length > 0) {
+      const write = await runStep(run, { ...where, step: 'daily_metrics' }, () => (existing
+        ? fillDaily(run, { tenantId, org }, existing, values)
+        : insertDaily(run, { tenantId, org }, date, values)));
+      if (write.ok && existing) run.dailyFilled++;
+      else if (write.ok) run.dailyInserted++;
+      else failed.push(write);
+    }
+
+    // An org only counts as failed when it has no row for the day; a
+    // missing optional column is an error to retry, not a failed org.
+    if (failed.some((f) => f.step === 'daily_metrics' || DAILY_STEPS[f.step].required)) {
+      run.orgsWithErrors.add(org);
+    }
+    for (const f of failed) {
+      run.errors.push({ org, type: 'daily', step: f.step, error: f.error.message });
+      console.error(`[snapshot] daily ${org} ${f.step} FAILED after ${f.attempts} attempt(s):`, f.error.message);
+    }
+  }
+
+  // 2. One completed month's P&L -> monthly_snapshots, as a draft, and a
+  //    new version of the month (lib/snapshot-versions.js) when anything
+  //    changed. Uses Xero P&L with periodMonths=1, date=lastDayOfMonth.
+  //    Final months are read too but never rewritten: figures that no
+  //    longer match what was finalised flag the month restated until
+  //    someone re-finalises it.
+  async function captureMonth(run, { tenantId, org }, periodMonth) {
+    const result = await runStep(run, { tenantId, org, step: 'monthly_pl', period: periodMonth }, async () => {
+      const plResp = await fetchProfitLossDirect({
+        tenantId,
+        date: monthEndDate(periodMonth),
+        periodMonths: 1,
+      });
+      if (plResp.error || !plResp.summary) throw new Error(plResp.error || 'no summary returned');
+
+      const s = plResp.summary;
+      const revenue = s.totalRevenue || 0;
+      const cogs = s.totalCOGS || 0;
+      const gross = s.grossProfit ?? (revenue - cogs);
+      const opex = s.totalExpenses || 0;
+      const netProfit = s.netProfit ?? (gross - opex);
+      const figures = { revenue, cogs, gross_profit: gross, opex, net_profit: netProfit };
+
+      // Compare and write in one transaction, under the month's lock, so a
+      // failed INSERT never leaves the month with no row at all and two
+      // captures can't both become the next version.
+      return inTransaction(pool, async (client) => {
+        await snapshotVersions.lockMonth(client, org, periodMonth);
+        const existing = await client.query(
+          `SELECT * FROM monthly_snapshots
+         WHERE org = $1 AND period_month = $2`,
+          [org, periodMonth]
+        );
+        const final = existing.rows.find((r) => r.snapshot_status === 'final');
+        const status = final ? 'final' : 'draft';
+        const latest = await snapshotVersions.latest(client, org, periodMonth);
+        if (latest && latest.status === status && !figureChanges(latest.figures, figures)) {
+          await snapshotVersions.touch(client, latest.id);
+          return { skipped: final ? 'final, unchanged' : 'unchanged' };
+        }
+
+        if (final) {
+          // The finalised figures stay as they are; the version records
+          // what Xero says now.
+          const restated = Boolean(figureChanges(final, figures));
+          const version = await snapshotVersions.record(client, {
+            org, periodMonth, figures, status: 'final',
+            reason: restated ? 'restatement' : latest?.restatement ? 'restatement_reversed' : 'final_check',
+            restatement: restated, actor: run.actor, requestId: run.requestId, jobId: run.jobId,
+          });
+          const { rows } = await client.query(
+            `UPDATE monthly_snapshots
+             SET restated = $2, restated_at = CASE WHEN $2 THEN COALESCE(restated_at, NOW()) END
+             WHERE id = $1
+             RETURNING *`,
+            [final.id, restated]
+          );
+          if (restated !== Boolean(final.restated)) {
+            await auditLog.record({
+              actor: run.actor, requestId: run.requestId, action: 'monthly_snapshot.restated',
+              org, period: periodMonth, tenantId,
+              before: final, after: rows[0],
+            }, client);
+          }
+          console.log(`[snapshot] monthly ${org} ${periodMonth}: final${restated ? ' RESTATED' : ''}, v${version.version}`);
+          return { ...figures, version: version.version, restated };
+        }
+
+        const version = await snapshotVersions.record(client, {
+          org, periodMonth, figures, status: 'draft',
+          reason: latest ? 'draft_update' : 'first_capture',
+          actor: run.actor, requestId: run.requestId, jobId: run.jobId,
+        });
+        await client.query(
+          `DELETE FROM monthly_snapshots
+         WHERE org = $1 AND period_month = $2 AND snapshot_status = 'draft'`,
+          [org, periodMonth]
+        );
+        const { rows } = await client.query(
+          `INSERT INTO monthly_snapshots
+            (org, period_month, revenue, cogs, gross_profit, opex, net_profit, snapshot_date, job_status, snapshot_status, created_at, created_by, version)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_DATE, 'success', 'draft', NOW(), $8, $9)
+           RETURNING *`,
+          [org, periodMonth, revenue, cogs, gross, opex, netProfit, run.actor, version.version]
+        );
+        await auditLog.record({
+          actor: run.actor, requestId: run.requestId, action: 'monthly_snapshot.draft',
+          org, period: periodMonth, tenantId,
+          before: existing.rows.length ? existing.rows : null,
+          after: rows[0],
+        }, client);
+        console.log(`[snapshot] monthly ${org} ${periodMonth}: rev=$${Math.round(revenue).toLocaleString()}, np=$${Math.round(netProfit).toLocaleString()}, v${version.version}`);
+        return { ...figures, version: version.version };
+      });
+    });
+
+    if (result.skipped) {
+      run.monthlySkipped++;
+    } else if (result.ok && result.output.restated === undefined) {
+      run.monthlyInserted++;
+    } else if (result.ok) {
+      // A new version of a final month: restated, or back in line with it.
+      if (result.output.restated) run.monthlyRestated++;
+      else run.monthlyCleared++;
+    } else {
+      run.errors.push({ org, periodMonth, type: 'monthly', step: 'monthly_pl', error: result.error.message });
+      console.error(`[snapshot] monthly ${org} ${periodMonth} FAILED after ${result.attempts} attempt(s):`, result.error.message);
+    }
+  }
+
+  function runSummary(run, { triggeredBy, startTime, orgCount }) {
+    const durationSeconds = Math.round((Date.now() - startTime) / 1000);
+    const summary = {
+      success: run.errors.length === 0 || (run.dailyInserted + run.dailyFilled + run.monthlyInserted) > 0,
+      triggeredBy,
+      durationSeconds,
+      daily: { inserted: run.dailyInserted, filled: run.dailyFilled, skipped: run.dailySkipped },
+      monthly: {
+        inserted: run.monthlyInserted, restated: run.monthlyRestated, cleared: run.monthlyCleared, skipped: run.monthlySkipped,
+      },
+      steps: run.steps,
+      orgsProcessed: orgCount - run.orgsWithErrors.size,
+      orgsFailed: run.orgsWithErrors.size,
+      errors: run.errors.slice(0, 30),
+    };
+    console.log(`[snapshot:${triggeredBy}] complete in ${durationSeconds}s: daily +${run.dailyInserted}/-${run.dailySkipped}, monthly +${run.monthlyInserted}/-${run.monthlySkipped} (restated ${run.monthlyRestated}), errors=${run.errors.length}`);
+    return summary;
+  }
+
+  // Main runner. Called by both the scheduler and the manual button.
+  // triggeredBy: 'scheduler' | 'catch-up' | 'manual'
+
+  // actor is recorded as created_by on every row written — the signed-in
+  // person for a manual run, 'scheduler' otherwise. requestId ties a manual
+  // run's audit events to its request. jobId is the snapshot_job_log run
+  // the steps are recorded against.
+  async function runDailySnapshot(triggeredBy = 'scheduler', actor = 'scheduler', requestId = null, { jobId = null } = {}) {
+    const startTime = Date.now();
+    console.log(`[snapshot:${triggeredBy}] Starting at ${clock.now().toISOString()} (by ${actor})`);
+
+    const connections = await tokenStorage.getAllXeroConnections();
+    const activeConnections = connections.filter((c) => c.connected);
+    if (activeConnections.length === 0) {
+      console.warn('[snapshot] No active Xero connections - nothing to do.');
+      return { success: false, error: 'No active connections', daily: { inserted: 0, skipped: 0 }, monthly: { inserted: 0, restated: 0, cleared: 0, skipped: 0 }, orgsProcessed: 0, orgsFailed: 0 };
+    }
+
+    await closeInterruptedSteps();
+    const todayStr = clock.now().toISOString().slice(0, 10);
+    const completedMonths = getCompletedMonthsInCurrentFY();
+    console.log(`[snapshot] ${activeConnections.length} entities x ${completedMonths.length} completed months in FY`);
+
+    const run = createRun({ jobId, actor, requestId });
+    for (const conn of activeConnections) {
+      const target = { tenantId: conn.tenantId, org: getOrgShortName(conn.tenantName) };
+      await captureDaily(run, target, todayStr);
+      // Final months' P&L is cached with no expiry (lib/xero-cache.js);
+      // drop it so they are checked against Xero, not against themselves.
+      xeroSource.cache.purge({ tenantId: conn.tenantId, method: 'getReportProfitAndLoss' });
+      for (const { periodMonth } of completedMonths) {
+        await captureMonth(run, target, periodMonth);
+      }
+    }
+
+    return runSummary(run, { triggeredBy, startTime, orgCount: activeConnections.length });
+  }
+
+  // Failed steps of a run that haven't since been retried successfully —
+  // all of them, or just stepIds.
+  async function failedSteps(jobId, stepIds = null) {
+    const { rows } = await pool.query(
+      `SELECT s.* FROM snapshot_job_steps s
+       WHERE s.job_id = $1 AND s.status = 'failed'
+         AND ($2::int[] IS NULL OR s.id = ANY($2))
+         AND NOT EXISTS (SELECT 1 FROM snapshot_job_steps r WHERE r.retry_of = s.id AND r.status <> 'failed')
+       ORDER BY s.id`,
+      [jobId, stepIds]
+    );
+    return rows.map(formatStep);
+  }
+
+  // Re-run the failed steps of run jobId, recording the new steps against
+  // run retryJobId with retry_of pointing at the step they replace. Daily
+  // steps go per org and date: whatever hasn't succeeded for that date is
+  // read again (for that date, not today), then the row is written.
+  async function retryFailedSteps(jobId, { stepIds = null, actor = 'scheduler', requestId = null, retryJobId = null } = {}) {
+    const startTime = Date.now();
+    await closeInterruptedSteps();
+    const steps = await failedSteps(jobId, stepIds);
+    console.log(`[snapshot:retry] retrying ${steps.length} failed step(s) of job ${jobId} (by ${actor})`);
+
+    const run = createRun({
+      jobId: retryJobId, actor, requestId,
+      retryOf: new Map(steps.map((st) => [stepKey(st.org, st.step, st.period), st.id])),
+    });
+    const daily = new Map();
+    for (const st of steps) {
+      const target = { tenantId: st.tenantId, org: st.org };
+      if (st.step === 'monthly_pl') {
+        await captureMonth(run, target, st.period);
+      } else {
+        daily.set(`${st.org}|${st.period}`, { target, date: st.period });
+      }
+    }
+    for (const { target, date } of daily.values()) {
+      await captureDaily(run, target, date);
+    }
+
+    const orgCount = new Set(steps.map((st) => st.org)).size;
+    return { ...runSummary(run, { triggeredBy: 'retry', startTime, orgCount }), retriedFrom: jobId, stepsRetried: steps.length };
+  }
+
+  // Step records for runs, with retries of each step nested under it.
+  async function listSteps(jobId) {
+    const { rows } = await pool.query('SELECT * FROM snapshot_job_steps WHERE job_id = $1 ORDER BY id', [jobId]);
+    const ids = rows.map((r) => r.id);
+    const retries = ids.length
+      ? (await pool.query('SELECT * FROM snapshot_job_steps WHERE retry_of = ANY($1) ORDER BY id', [ids])).rows
+      : [];
+    return rows.map((r) => ({
+      ...formatStep(r),
+      retries: retries.filter((x) => x.retry_of === r.id).map(formatStep),
+    }));
+  }
+
+  // { jobId: { success, failed, skipped, running } } for a page of runs.
+  async function stepCounts(jobIds) {
+    const counts = {};
+    if (jobIds.length === 0) return counts;
+    const { rows } = await pool.query(
+      `SELECT job_id, status, COUNT(*)::int AS n FROM snapshot_job_steps
+       WHERE job_id = ANY($1) GROUP BY job_id, status`,
+      [jobIds]
+    );
+    for (const r of rows) {
+      counts[r.job_id] = counts[r.job_id] || { success: 0, failed: 0, skipped: 0, running: 0 };
+      counts[r.job_id][r.status] = r.n;
+    }
+    return counts;
+  }
+
+  return {
+    runDailySnapshot, retryFailedSteps, failedSteps, listSteps, stepCounts, getCompletedMonthsInCurrentFY,
+  };
+}
+
+// The daily run as a job on the durable scheduler (lib/job-scheduler.js):
+// 18:00 Darwin time by default, or SNAPSHOT_CRON. Keep it between 09:30
+// and midnight Darwin — the run captures the balance sheet for today's UTC
+// date, which is only also today in Darwin then. Manual runs enqueue the
+// same job. Retrying a run's failed steps is an on-demand job of its own,
+// so it is queued, locked and logged like any other run.
+const DAILY_SNAPSHOT_JOB = 'daily-snapshot';
+const DAILY_SNAPSHOT_CRON = process.env.SNAPSHOT_CRON || '0 18 * * *';
+const SNAPSHOT_RETRY_JOB = 'snapshot-retry';
+
+function defineSnapshotJobs({ jobScheduler, snapshots }) {
+  jobScheduler.define(DAILY_SNAPSHOT_JOB, {
+    cron: DAILY_SNAPSHOT_CRON,
+    jobType: 'daily',
+    run: ({ runId, triggeredBy, requestedBy, requestId }) =>
+      snapshots.runDailySnapshot(triggeredBy, requestedBy || 'scheduler', requestId, { jobId: runId }),
+  });
+  // payload: { jobId, stepIds } — stepIds null for every failed step.
+  jobScheduler.define(SNAPSHOT_RETRY_JOB, {
+    jobType: 'retry',
+    run: ({ runId, requestedBy, requestId, payload }) =>
+      snapshots.retryFailedSteps(payload.jobId, {
+        stepIds: payload.stepIds, actor: requestedBy || 'scheduler', requestId, retryJobId: runId,
+      }),
+  });
+}
+
+export { createSnapshotService, defineSnapshotJobs, getOrgShortName, DAILY_SNAPSHOT_JOB, SNAPSHOT_RETRY_JOB };
@@ -0,0 +1,343 @@
+// Token storage
+// File: token-storage.js
+//
+// Where routes get Xero and ApprovalMax credentials. Xero tokens live on
+// connections (lib/xero-connections.js) with tenants linked to them; this
+// wraps that store with the tenant-shaped reads the routes use and the
+// refresh operations. The ApprovalMax token and its refresh chain are in
+// lib/approvalmax-connection.js. In fixture mode every fixture tenant is
+// connected and no database is touched for Xero tokens.
+//
+// createAutoRefresh() is the 3-minute refresh loop. It only runs once
+// start() is called — the entry point does that, createApp() does not.
+
+const TENANT_STATUS_ERRORS = {
+  disconnected: "Disconnected in Xero",
+  reauth_required: "Re-authorisation required",
+  expired: "Token expired",
+};
+
+// A tenant is connected while Xero still lists it (reconcile() in
+// lib/xero-connections.js) and its connection can get a token — an expired
+// access token with a usable refresh token is refreshed on the next call.
+function xeroTenantStatus(row) {
+  if (row.xero_status === "disconnected") return "disconnected";
+  if (row.connection_status === "reauth_required") return "reauth_required";
+  if (Date.now() >= row.expires_at && !row.has_refresh_token) return "expired";
+  return "connected";
+}
+
+function createTokenStorage({ pool, xeroConnections, approvalMaxConnection, xeroSource }) {
+  // Database token storage functions
+  const tokenStorage = {
+    // Store (or replace) the Xero connection that owns the OAuth token set.
+    // Returns the connection id tenants from the same consent link to.
+    async storeXeroConnection(tokenData) {
+      const connectionId = await xeroConnections.upsertConnection(tokenData);
+      console.log(`Stored Xero connection ${connectionId}`);
+      return connectionId;
+    },
+
+    // Link a Xero tenant to its connection. Tenants no longer hold their own
+    // copy of the token — see lib/xero-connections.js.
+    async storeXeroToken(tenantId, tenantName, connectionId) {
+      try {
+        await xeroConnections.linkTenant(tenantId, tenantName, connectionId);
+        console.log(`Linked Xero tenant ${tenantName} to connection ${connectionId}`);
+      } catch (error) {
+        console.error("Error storing Xero token:", error);
+      }
+    },
+
+    // Get Xero token — refreshes just-in-time through the connection's
+    // single-flight, advisory-locked refresh if the token is expiring.
+    async getXeroToken(tenantId) {
+      if (xeroSource.kind === "fixtures") return xeroSource.getFixtureToken(tenantId);
+      try {
+        return await xeroConnections.getTenantToken(tenantId);
+      } catch (error) {
+        console.error("Error getting Xero token:", error);
+        return null;
+      }
+    },
+
+    // Get all Xero connections
+    async getAllXeroConnections() {
+      if (xeroSource.kind === "fixtures") return xeroSource.listFixtureConnections();
+      try {
+        const rows = await xeroConnections.listTenants();
+
+        return rows.map((row) => {
+          const status = xeroTenantStatus(row);
+          return {
+            tenantId: row.tenant_id,
+            tenantName: row.tenant_name,
+            provider: row.provider,
+            connectionId: row.connection_id,
+            status,
+            connected: status === "connected",
+            lastSeen: row.last_seen.toISOString(),
+            disconnectedAt: row.disconnected_at ? row.disconnected_at.toISOString() : null,
+            error: TENANT_STATUS_ERRORS[status] || null,
+          };
+        });
+      } catch (error) {
+        console.error("Error getting Xero connections:", error);
+        return [];
+      }
+    },
+
+    // Store the ApprovalMax token set from the OAuth callback
+    async storeApprovalMaxToken(tokenData, organizations) {
+      try {
+        await approvalMaxConnection.upsert(tokenData, organizations);
+        console.log(
+          `ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚Â¦ Stored ApprovalMax token for ${organizations.length} organizations`
+        );
+      } catch (error) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error storing ApprovalMax token:", error);
+      }
+    },
+
+    // Get ApprovalMax token — refreshed just-in-time through the
+    // single-flight, advisory-locked refresh (lib/approvalmax-connection.js)
+    // if it's expiring. null if never connected or the refresh failed.
+    async getApprovalMaxToken() {
+      try {
+        const token = await approvalMaxConnection.getToken();
+        if (!token) return null;
+
+        return {
+          accessToken: token.access_token,
+          refreshToken: token.refresh_token,
+          expiresAt: token.expires_at,
+          organizations: token.organizations,
+          lastSeen: token.last_seen.toISOString(),
+        };
+      } catch (error) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error getting ApprovalMax token:", error);
+        return null;
+      }
+    },
+
+    // ApprovalMax expiry / refresh state for the status endpoints, without
+    // refreshing. null if never connected.
+    async getApprovalMaxStatus() {
+      try {
+        return await approvalMaxConnection.getStatus();
+      } catch (error) {
+        console.error("Error getting ApprovalMax status:", error);
+        return null;
+      }
+    },
+  };
+
+  // AUTO TOKEN REFRESH SYSTEM
+  // Add these functions to your server.js
+
+  // Enhanced token storage with refresh capability
+  const enhancedTokenStorage = {
+    ...tokenStorage, // Keep all existing functions
+
+    // Refresh a specific Xero token. Forces a rotation of the connection the
+    // tenant belongs to — every tenant on that connection picks it up.
+    async refreshXeroToken(tenantId, { reason = "manual" } = {}) {
+      try {
+        console.log(`Attempting to refresh token for tenant: ${tenantId}`);
+
+        const result = await pool.query(
+          "SELECT tenant_name, connection_id FROM tokens WHERE tenant_id = $1 AND provider = $2",
+          [tenantId, "xero"]
+        );
+
+        if (result.rows.length === 0 || !result.rows[0].connection_id) {
+          console.log(`No token found for tenant: ${tenantId}`);
+          return { success: false, error: "Token not found" };
+        }
+
+        const { tenant_name: tenantName, connection_id: connectionId } = result.rows[0];
+        const conn = await xeroConnections.refreshConnection(connectionId, {
+          reason,
+          tenantId,
+          force: true,
+        });
+        console.log(`Token refreshed successfully for connection ${connectionId} via: ${tenantName}`);
+
+        return {
+          success: true,
+          newExpiresAt: Number(conn.expires_at),
+          tenantName,
+          connectionId,
+        };
+      } catch (error) {
+        console.error(`Error refreshing token for ${tenantId}:`, error);
+        return {
+          success: false,
+          error: error.message,
+          requiresReauth: Boolean(error.requiresReauth),
+        };
+      }
+    },
+
+    // Force a refresh of the ApprovalMax token — after ApprovalMax refused
+    // the current one, or from the manual button.
+    async refreshApprovalMaxToken({ reason = "manual" } = {}) {
+      try {
+        const updated = await approvalMaxConnection.refresh({ reason, force: true });
+        return { success: true, newExpiresAt: updated.expires_at };
+      } catch (error) {
+        console.error("Error refreshing ApprovalMax token:", error.message);
+        return {
+          success: false,
+          error: error.message,
+          requiresReauth: Boolean(error.requiresReauth),
+        };
+      }
+    },
+
+    // Refresh every Xero connection whose token is close to expiring, then
+    // the ApprovalMax token. Xero works per connection, not per tenant — one
+    // rotation covers all of a connection's tenants.
+    async refreshAllExpiringTokens({ reason = "scheduled" } = {}) {
+      try {
+        console.error("Checking for tokens that need refresh...");
+
+        // Connections expiring within 10 minutes OR already expired within last 24 hours
+        const expiring = await xeroConnections.listConnectionsExpiring({
+          before: Date.now() + 10 * 60 * 1000,
+          after: Date.now() - 24 * 60 * 60 * 1000,
+        });
+
+        const refreshResults = [];
+        let refreshed = 0;
+        let failed = 0;
+
+        for (const conn of expiring) {
+          try {
+            const updated = await xeroConnections.refreshConnection(conn.id, { reason });
+            refreshed += conn.tenant_count;
+            refreshResults.push({
+              provider: "xero",
+              connectionId: conn.id,
+              tenantName: conn.sample_tenant_name,
+              tenantCount: conn.tenant_count,
+              success: true,
+              newExpiresAt: Number(updated.expires_at),
+            });
+          } catch (error) {
+            failed += conn.tenant_count;
+            refreshResults.push({
+              provider: "xero",
+              connectionId: conn.id,
+              tenantName: conn.sample_tenant_name,
+              tenantCount: conn.tenant_count,
+              success: false,
+              error: error.message,
+              requiresReauth: Boolean(error.requiresReauth),
+            });
+            console.log(`Failed to refresh connection ${conn.id} - ${error.message}`);
+          }
+        }
+
+        try {
+          const updated = await approvalMaxConnection.refreshIfExpiring({ reason });
+          if (updated) {
+            refreshed += 1;
+            refreshResults.push({
+              provider: "approvalmax",
+              tenantName: "RAC ApprovalMax Integration",
+              success: true,
+              newExpiresAt: updated.expires_at,
+            });
+          }
+        } catch (error) {
+          failed += 1;
+          refreshResults.push({
+            provider: "approvalmax",
+            tenantName: "RAC ApprovalMax Integration",
+            success: false,
+            error: error.message,
+            requiresReauth: Boolean(error.requiresReauth),
+          });
+          console.log(`Failed to refresh ApprovalMax token - ${error.message}`);
+        }
+
+        if (refreshResults.length === 0) console.error("No tokens need refreshing");
+        return { refreshed, failed, results: refreshResults };
+      } catch (error) {
+        console.error("Error in refreshAllExpiringTokens:", error);
+        return { refreshed: 0, failed: 0, error: error.message };
+      }
+    },
+
+    // Get tokens that will expire soon (for frontend warning)
+    async getExpiringTokens(minutesAhead = 15) {
+      try {
+        const futureTime = Date.now() + minutesAhead * 60 * 1000;
+
+        const tenants = await xeroConnections.listTenants();
+
+        return tenants
+          .filter((row) => row.expires_at < futureTime && row.expires_at > Date.now())
+          .sort((a, b) => a.expires_at - b.expires_at)
+          .map((row) => ({
+            tenantId: row.tenant_id,
+            tenantName: row.tenant_name,
+            connectionId: row.connection_id,
+            expiresAt: row.expires_at,
+            minutesUntilExpiry: Math.floor(
+              (row.expires_at - Date.now()) / (1000 * 60)
+            ),
+          }));
+      } catch (error) {
+        console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã¢â€žÂ¢ Error getting expiring tokens:", error);
+        return [];
+      }
+    },
+  };
+
+  return enhancedTokenStorage;
+}
+
+// Auto-refresh scheduler - runs every 3 minutes. onRefreshFailed(result) is
+// called after a sweep in which any connection failed to refresh — app.js
+// points it at the connection-health monitor.
+function createAutoRefresh({ tokenStorage, onRefreshFailed = () => {} }) {
+  let autoRefreshInterval;
+
+  function startAutoRefresh() {
+    console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¡ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â€šÂ¬Ã…Â¡Ãƒâ€šÃ‚Â¬ Starting auto token refresh system...");
+
+    // Run immediately
+    tokenStorage.refreshAllExpiringTokens();
+
+    // Then run every 5 minutes
+    autoRefreshInterval = setInterval(async () => {
+      const result = await tokenStorage.refreshAllExpiringTokens();
+
+      if (result.failed > 0) onRefreshFailed(result);
+
+      if (result.refreshed > 0) {
+        console.error(
+          `ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â°ÃƒÆ’Ã¢â‚¬Â¦Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€šÃ‚ÂÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬Ãƒâ€¦Ã‚Â¾ Auto-refresh completed: ${result.refreshed} tokens refreshed, ${result.failed} failed`
+        );
+      }
+    }, 3 * 60 * 1000); // Every 3 minutes
+  }
+
+  function stopAutoRefresh() {
+    if (autoRefreshInterval) {
+      clearInterval(autoRefreshInterval);
+      autoRefreshInterval = null;
+      console.error("ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚ÂÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¹ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¯ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â¸ÃƒÆ’Ã¢â‚¬Å¡Ãƒâ€šÃ‚Â Auto token refresh stopped");
+    }
+  }
+
+  return {
+    start: startAutoRefresh,
+    stop: stopAutoRefresh,
+    isActive: () => Boolean(autoRefreshInterval),
+  };
+}
+
+export { createTokenStorage, createAutoRefresh };
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createApp } from '../app.js';
+import { createFixtureXeroSource } from '../lib/xero-source.js';
+import { hashKey } from '../lib/api-keys.js';
+
+const TENANTS = JSON.parse(readFileSync(new URL('../fixtures/xero/tenants.json', import.meta.url), 'utf8'));
+const idOf = (key) => TENANTS.find((t) => t.key === key).tenantId;
+const API_KEY = 'rac_fixturetest_0123456789abcdef';
+
+// The whole API on the fixture Xero source. Two queries have to answer:
+// api_keys, for the read-only key the requests sign in with, and the
+// response cache's count of finalised months (none). Everything else reads
+// as empty.
+const pool = {
+    async query(sql, params = []) {
+        if (sql.includes('FROM api_keys WHERE key_prefix')) {
+            return params[0] === API_KEY.slice(0, 12)
+                ? { rows: [{ id: 1, name: 'fixture test', key_hash: hashKey(API_KEY), scopes: ['read-reports'], tenant_ids: null, expires_at: null }] }
+                : { rows: [] };
+        }
+        if (sql.includes('AS final_count')) return { rows: [{ final_count: 0 }] };
+        return { rows: [] };
+    },
+};
+
+let server;
+let base;
+before(async () => {
+    const app = createApp({
+        pool,
+        xeroSource: createFixtureXeroSource({ dir: new URL('../fixtures/xero', import.meta.url).pathname }),
+        clock: { now: () => new Date('2026-04-30T03:00:00Z') },
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function get(path) {
+    const response = await fetch(`${base}${path}`, { headers: { 'x-internal-api-key': API_KEY } });
+    const body = await response.json();
+    assert.equal(response.status, 200, JSON.stringify(body));
+    return body;
+}
+
+test('cash position comes from each entity\'s bank summary', async () => {
+    const mining = await get(`/api/cash-position/${idOf('mining')}`);
+    assert.equal(mining.totalCash, 1843220.15);
+    assert.deepEqual(mining.bankAccounts.map((a) => a.name), ['ANZ Operating Account']);
+
+    const corporation = await get(`/api/cash-position/${idOf('aboriginal-corporation')}`);
+    assert.equal(corporation.bankAccounts.length, 2);
+    assert.equal(Math.round(corporation.totalCash * 100) / 100, 8660560.88);
+});
+
+test('the consolidated view adds up cash across all seven entities', async () => {
+    const consolidated = await get('/api/consolidated');
+    assert.equal(consolidated.tenantData.length, 7);
+    for (const tenant of consolidated.tenantData) {
+        assert.ok(tenant.cashPosition > 0, `${tenant.tenantName} has no cash`);
+    }
+    assert.equal(Math.round(consolidated.totalCash * 100) / 100, 12231971.65);
+});
+
+test('the P&L summary reads the fixture profit and loss', async () => {
+    const { summary } = await get(`/api/profit-loss-summary/${idOf('mining')}?date=2026-04-30`);
+    assert.equal(summary.totalRevenue, 696650);
+    assert.equal(summary.totalCOGS, 188300);
+    assert.equal(summary.totalExpenses, 196950);
+    assert.equal(summary.netProfit, 311400);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { createApprovalMaxService, normaliseRequest } from '../services/approvalmax.js';
+import { createTenantResolver } from '../lib/tenant-resolver.js';
+import { APPROVALMAX_CONFIG } from '../services/oauth-config.js';
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`../fixtures/approvalmax/${name}.json`, import.meta.url), 'utf8'));
+const TENANTS = JSON.parse(readFileSync(new URL('../fixtures/xero/tenants.json', import.meta.url), 'utf8'));
+const [MINING_CO, PROPERTY_CO] = fixture('companies');
+
+// The ApprovalMax API on a local port: Mining answers with the fixture
+// documents, Property with a purchase order in a status we don't know.
+let server;
+before(async () => {
+    const routes = {
+        '/companies': fixture('companies'),
+        [`/companies/${MINING_CO.companyId}/xero/purchase-orders`]: fixture('mining-purchase-orders'),
+        [`/companies/${MINING_CO.companyId}/xero/bills`]: fixture('mining-bills'),
+        [`/companies/${PROPERTY_CO.companyId}/xero/purchase-orders`]: [{ ...fixture('mining-purchase-orders')[0], status: 'AwaitingBudget' }],
+        [`/companies/${PROPERTY_CO.companyId}/xero/bills`]: [],
+    };
+    server = http.createServer((req, res) => {
+        const body = routes[req.url];
+        res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body ?? { message: 'not found' }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    APPROVALMAX_CONFIG.apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function service() {
+    return createApprovalMaxService({
+        tokenStorage: { getApprovalMaxToken: async () => ({ accessToken: 'test' }) },
+        tenantResolver: createTenantResolver({
+            pool: { query: async () => ({ rows: [] }) },
+            listTenants: async () => TENANTS.map((t) => ({ tenantId: t.tenantId, tenantName: t.tenantName, connected: true })),
+        }),
+        clock: { now: () => new Date('2026-05-05T03:00:00Z') },
+    });
+}
+
+test('the pipeline adds up the fixture documents', async () => {
+    const { companies, totals } = await service().pipeline({ since: '2026-04-01' });
+    const mining = companies.find((c) => c.companyId === MINING_CO.companyId);
+
+    assert.equal(mining.shortName, 'Mining');
+    assert.deepEqual(mining.pending, {
+        count: 3,
+        value: 114400,
+        byKind: { 'purchase-order': { count: 2, value: 68200 }, bill: { count: 1, value: 46200 } },
+    });
+    assert.deepEqual(mining.approved, { count: 1, value: 10560, byKind: { 'purchase-order': { count: 1, value: 10560 }, bill: { count: 0, value: 0 } } });
+    assert.deepEqual(mining.committedUnbilled, { count: 1, value: 10560 });
+    assert.deepEqual(mining.ageing.map((b) => b.count), [0, 2, 0, 1]);
+    assert.deepEqual(mining.bottleneck.map((a) => [a.approver, a.pendingCount]), [['Casey Morgan', 1], ['Jordan Lee', 1], ['Alex Chen', 1]]);
+    assert.equal(mining.oldestPending[0].number, 'PO-0409');
+    assert.equal(mining.oldestPending[0].supplier, 'Top End Plant Hire');
+    assert.deepEqual(totals.pending, { count: 3, value: 114400 });
+});
+
+test('a status we do not know fails that company instead of reading as empty', async () => {
+    const { companies, totals } = await service().pipeline();
+    const property = companies.find((c) => c.companyId === PROPERTY_CO.companyId);
+
+    assert.match(property.error, /unknown status "AwaitingBudget"/);
+    assert.equal(property.pending, undefined);
+    assert.equal(totals.pending.count, 3);
+});
+
+test('normaliseRequest refuses documents that are not the documented shape', () => {
+    const [po] = fixture('mining-purchase-orders');
+    const refused = (doc, kind, pattern) => assert.throws(() => normaliseRequest(doc, kind), (err) => err.code === 'APPROVALMAX_ERROR' && pattern.test(err.message));
+
+    refused({ ...po, status: undefined, requestStatus: 'OnApproval' }, 'purchase-order', /unknown status/);
+    refused({ ...po, amount: undefined, totalAmount: 46200 }, 'purchase-order', /amount is not a number/);
+    refused({ ...po, amount: '46200.00' }, 'purchase-order', /amount is not a number/);
+    refused({ ...po, isBilled: undefined, billingStatus: 'Billed' }, 'purchase-order', /isBilled/);
+    refused({ ...po, submittedAt: null }, 'purchase-order', /no submittedAt/);
+    refused({ ...po, requestId: undefined, id: 'x' }, 'purchase-order', /requestId/);
+    assert.equal(normaliseRequest({ ...po, isBilled: undefined }, 'bill').status, 'pending');
+});
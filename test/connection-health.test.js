@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createConnectionHealthMonitor } from '../services/connection-health.js';
+
+const TENANTS = JSON.parse(readFileSync(new URL('../fixtures/xero/tenants.json', import.meta.url), 'utf8'));
+const MINING = TENANTS.find((t) => t.key === 'mining').tenantId;
+
+// connection_health_checks in memory: the batch insert, the retention
+// delete and the latest-check read.
+function fakePool() {
+    const rows = [];
+    return {
+        async query(sql, params = []) {
+            if (sql.startsWith('INSERT INTO connection_health_checks')) {
+                for (let i = 0; i < params.length; i += 7) {
+                    const [checked_at, connection_id, tenant_id, tenant_name, status, detail, trigger] = params.slice(i, i + 7);
+                    rows.push({ id: rows.length + 1, checked_at, connection_id, tenant_id, tenant_name, status, detail, trigger });
+                }
+                return { rows: [] };
+            }
+            if (sql.startsWith('DELETE FROM connection_health_checks')) return { rows: [] };
+            if (sql.includes('MAX(checked_at)')) {
+                const last = Math.max(0, ...rows.map((r) => r.checked_at.getTime()));
+                return { rows: rows.filter((r) => r.checked_at.getTime() === last) };
+            }
+            throw new Error(`fakePool: unexpected query ${sql}`);
+        },
+    };
+}
+
+// Every fixture tenant linked; `status` decides which are waiting for re-auth.
+function fakeConnections(status) {
+    return {
+        async reconcile() {
+            return { connections: [], unlinked: [] };
+        },
+        async listTenants() {
+            return TENANTS.map((t, i) => ({
+                connection_id: i + 1,
+                tenant_id: t.tenantId,
+                tenant_name: t.tenantName,
+                connection_status: status[t.tenantId] || 'active',
+                expires_at: Date.now() + 60 * 60 * 1000,
+                has_refresh_token: true,
+            }));
+        },
+        async latestRotations() {
+            return new Map();
+        },
+    };
+}
+
+function switchableNotifier() {
+    const notifier = {
+        kind: 'test',
+        down: false,
+        sent: [],
+        async send(alert) {
+            if (notifier.down) throw new Error('webhook: 502 - Bad Gateway');
+            notifier.sent.push(alert);
+        },
+    };
+    return notifier;
+}
+
+test('a failed alert is reported by the check and re-sent with the next one', async () => {
+    const status = {};
+    let now = new Date('2026-05-05T03:00:00Z');
+    const notifier = switchableNotifier();
+    const monitor = createConnectionHealthMonitor({
+        pool: fakePool(),
+        xeroConnections: fakeConnections(status),
+        notifier,
+        clock: { now: () => now },
+    });
+    const tick = () => {
+        now = new Date(now.getTime() + 15 * 60 * 1000);
+    };
+
+    const first = await monitor.runCheck('boot');
+    assert.equal(first.changes.length, 0);
+    assert.equal(monitor.lastAlert(), null);
+
+    status[MINING] = 'reauth_required';
+    notifier.down = true;
+    tick();
+    const failed = await monitor.runCheck('scheduled');
+    assert.equal(failed.alerted, false);
+    assert.match(failed.alertError, /502/);
+    assert.deepEqual(monitor.lastAlert(), { at: now.toISOString(), ok: false, error: failed.alertError, changes: 1 });
+
+    // Mining is still waiting for re-auth: no new change, but the held one goes out.
+    notifier.down = false;
+    tick();
+    const retried = await monitor.runCheck('scheduled');
+    assert.equal(retried.alerted, true);
+    assert.equal(retried.alertError, null);
+    assert.deepEqual(retried.changes.map((c) => [c.tenantId, c.previousStatus, c.status]), [[MINING, 'healthy', 'reauth_required']]);
+    assert.equal(notifier.sent.length, 1);
+    assert.equal(monitor.lastAlert().ok, true);
+
+    tick();
+    const quiet = await monitor.runCheck('scheduled');
+    assert.equal(quiet.changes.length, 0);
+    assert.equal(notifier.sent.length, 1);
+});
+
+test('a held change that recovers before the retry is dropped', async () => {
+    const status = {};
+    let now = new Date('2026-05-05T03:00:00Z');
+    const notifier = switchableNotifier();
+    const monitor = createConnectionHealthMonitor({
+        pool: fakePool(),
+        xeroConnections: fakeConnections(status),
+        notifier,
+        clock: { now: () => now },
+    });
+
+    await monitor.runCheck('boot');
+    status[MINING] = 'reauth_required';
+    notifier.down = true;
+    now = new Date(now.getTime() + 15 * 60 * 1000);
+    await monitor.runCheck('scheduled');
+
+    delete status[MINING];
+    notifier.down = false;
+    now = new Date(now.getTime() + 15 * 60 * 1000);
+    const recovered = await monitor.runCheck('scheduled');
+    assert.deepEqual(recovered.changes, []);
+    assert.equal(notifier.sent.length, 0);
+});
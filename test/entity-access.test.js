@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEntityAccess } from '../lib/entity-access.js';
+import { createSession, readSession } from '../lib/session.js';
+
+const MINING = '8544a357-d7a8-122a-2ad8-39d115adb54b';
+const BOARD_GROUP = 'a1b2c3d4-0000-4000-8000-00000000b0a2';
+
+// Just enough of pg for entity_permissions: grant, revoke and the two
+// scope reads.
+function fakePool() {
+    const rows = [];
+    let nextId = 1;
+    return {
+        rows,
+        async query(sql, params = []) {
+            if (sql.startsWith('INSERT INTO entity_permissions')) {
+                const [principalType, principal, tenantId] = params;
+                const row = { id: nextId++, principal_type: principalType, principal, tenant_id: tenantId };
+                rows.push(row);
+                return { rows: [{ id: row.id }] };
+            }
+            if (sql.startsWith('DELETE FROM entity_permissions')) {
+                const i = rows.findIndex((r) => r.id === params[0]);
+                return { rows: i === -1 ? [] : rows.splice(i, 1) };
+            }
+            if (sql.includes('LIMIT 1')) {
+                return { rows: rows.slice(0, 1).map(() => ({ '?column?': 1 })) };
+            }
+            if (sql.includes('SELECT DISTINCT LOWER(tenant_id)')) {
+                const [users, groups] = params;
+                const ids = new Set(rows
+                    .filter((r) => (r.principal_type === 'user' && users.includes(r.principal.toLowerCase()))
+                        || (r.principal_type === 'group' && groups.includes(r.principal.toLowerCase())))
+                    .map((r) => r.tenant_id.toLowerCase()));
+                return { rows: [...ids].map((tenant_id) => ({ tenant_id })) };
+            }
+            throw new Error(`fakePool: unexpected query ${sql}`);
+        },
+    };
+}
+
+// A session as /sso/verify issues it, read back as the gate would.
+function signedIn(role, groups = []) {
+    const now = new Date('2026-05-05T03:00:00Z');
+    const cookie = createSession({ userId: `oid-${role}`, email: `${role}@rirratjingu.com`, name: role, role, groups }, now);
+    return readSession(JSON.parse(JSON.stringify(cookie)), now);
+}
+
+test('nobody is restricted while the table is empty', async () => {
+    const access = createEntityAccess({ pool: fakePool() });
+    assert.equal(await access.scopeFor(signedIn('viewer')), null);
+    assert.equal(await access.scopeFor(signedIn('analyst')), null);
+});
+
+test('the first grant scopes viewers and analysts but leaves finance-admins unscoped', async () => {
+    const access = createEntityAccess({ pool: fakePool() });
+    await access.grant({ principalType: 'user', principal: 'analyst@rirratjingu.com', tenantId: MINING });
+
+    assert.deepEqual(await access.scopeFor(signedIn('analyst')), [MINING]);
+    assert.deepEqual(await access.scopeFor(signedIn('viewer')), []);
+    assert.equal(await access.scopeFor(signedIn('finance-admin')), null);
+});
+
+test('a finance-admin with a row is scoped to it', async () => {
+    const access = createEntityAccess({ pool: fakePool() });
+    await access.grant({ principalType: 'user', principal: 'oid-finance-admin', tenantId: MINING });
+
+    assert.deepEqual(await access.scopeFor(signedIn('finance-admin')), [MINING]);
+});
+
+test('a group grant made later reaches a session that is already signed in', async () => {
+    const access = createEntityAccess({ pool: fakePool() });
+    await access.grant({ principalType: 'user', principal: 'someone@rirratjingu.com', tenantId: MINING });
+    const viewer = signedIn('viewer', [BOARD_GROUP.toUpperCase(), 'ffffffff-0000-4000-8000-000000000001']);
+
+    assert.deepEqual(await access.scopeFor(viewer), []);
+
+    await access.grant({ principalType: 'group', principal: BOARD_GROUP, tenantId: '*' });
+    assert.equal(await access.scopeFor(viewer), null);
+});
+
+test('revoking the group grant takes the entities away again', async () => {
+    const access = createEntityAccess({ pool: fakePool() });
+    await access.grant({ principalType: 'user', principal: 'someone@rirratjingu.com', tenantId: MINING });
+    const id = await access.grant({ principalType: 'group', principal: BOARD_GROUP, tenantId: MINING });
+    const viewer = signedIn('viewer', [BOARD_GROUP]);
+
+    assert.deepEqual(await access.scopeFor(viewer), [MINING]);
+    await access.revoke(id);
+    assert.deepEqual(await access.scopeFor(viewer), []);
+});
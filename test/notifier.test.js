@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotifier } from '../lib/notifier.js';
+
+// Port 9 (discard) is closed here, so both channels fail fast with
+// ECONNREFUSED.
+const DEAD = {
+    ALERT_WEBHOOK_URL: 'http://127.0.0.1:9/alerts',
+    ALERT_SMTP_URL: 'smtp://127.0.0.1:9',
+    ALERT_EMAIL_TO: 'finance@rirratjingu.com',
+};
+const ALERT = { subject: 'Mining needs re-auth', text: 'Mining: healthy -> reauth_required', severity: 'critical', events: [] };
+
+test('send rejects when the webhook and SMTP both fail, even though the alert was logged', async () => {
+    const notifier = createNotifier(DEAD);
+    assert.equal(notifier.kind, 'log+webhook+smtp');
+    await assert.rejects(notifier.send(ALERT), /ECONNREFUSED|connect/);
+});
+
+test('send rejects when the only channel fails', async () => {
+    const notifier = createNotifier({ ALERT_WEBHOOK_URL: DEAD.ALERT_WEBHOOK_URL });
+    await assert.rejects(notifier.send(ALERT));
+});
+
+test('with no channel configured alerts are only logged', async () => {
+    const notifier = createNotifier({});
+    assert.equal(notifier.kind, 'log');
+    await notifier.send(ALERT);
+});
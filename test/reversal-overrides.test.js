@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createApp } from '../app.js';
+import { createFixtureXeroSource } from '../lib/xero-source.js';
+import { hashKey } from '../lib/api-keys.js';
+
+const TENANTS = JSON.parse(readFileSync(new URL('../fixtures/xero/tenants.json', import.meta.url), 'utf8'));
+const idOf = (key) => TENANTS.find((t) => t.key === key).tenantId;
+const MINING = idOf('mining');
+const PROPERTY = idOf('property');
+const API_KEY = 'rac_overrides_0123456789abcdef';
+
+// Mining's two fixture reversals.
+const HAULAGE = '7c411c0e-5011-6ae3-d461-8717d6690414';
+const BLASTING = '0b4761cb-e537-c8ec-b1ab-6a774df29ad8';
+
+// reversal_overrides and audit_events in memory, plus a write-overrides key
+// limited to Mining. Everything else reads as empty.
+const overrides = [];
+const events = [];
+function query(sql, params = []) {
+    if (sql.includes('FROM api_keys WHERE key_prefix')) {
+        return params[0] === API_KEY.slice(0, 12)
+            ? { rows: [{ id: 1, name: 'overrides test', key_hash: hashKey(API_KEY), scopes: ['write-overrides'], tenant_ids: [MINING], expires_at: null }] }
+            : { rows: [] };
+    }
+    if (sql.includes('AS final_count')) return { rows: [{ final_count: 0 }] };
+    if (sql.includes('FROM reversal_overrides')) return { rows: overrides.filter((r) => r.tenant_id === params[0]) };
+    if (sql.includes('INSERT INTO reversal_overrides')) {
+        const [tenant_id, journal_id, excluded, updated_by] = params;
+        const i = overrides.findIndex((r) => r.tenant_id === tenant_id && r.journal_id === journal_id);
+        if (i !== -1) overrides.splice(i, 1);
+        overrides.push({ tenant_id, journal_id, excluded, updated_by });
+        return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO audit_events')) {
+        const [actor, action, , , tenant_id, before, after] = params;
+        events.push({ actor, action, tenant_id, before: JSON.parse(before), after: JSON.parse(after) });
+        return { rows: [{ id: events.length }] };
+    }
+    return { rows: [] };
+}
+const pool = {
+    query: async (sql, params) => query(sql, params),
+    connect: async () => ({ query: async (sql, params) => query(sql, params), release() {} }),
+};
+
+let server;
+let base;
+before(async () => {
+    const app = createApp({
+        pool,
+        xeroSource: createFixtureXeroSource({ dir: new URL('../fixtures/xero', import.meta.url).pathname }),
+        clock: { now: () => new Date('2026-05-31T03:00:00Z') },
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+async function call(method, path, body) {
+    const response = await fetch(`${base}${path}`, {
+        method,
+        headers: { 'x-internal-api-key': API_KEY, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('saved choices mark the report\'s journals and only excluded ones adjust the P&L', async () => {
+    const saved = await call('POST', '/api/reversal-overrides/bulk', {
+        tenantId: MINING,
+        overrides: [{ journalId: BLASTING, excluded: false }, { journalId: HAULAGE, excluded: true }],
+    });
+    assert.equal(saved.status, 200, JSON.stringify(saved.body));
+    assert.equal(saved.body.saved, 2);
+
+    // HAULAGE was already excluded by default, so only BLASTING changed.
+    assert.equal(events.length, 1);
+    assert.equal(events[0].action, 'reversal_override.save');
+    assert.equal(events[0].tenant_id, MINING);
+    assert.deepEqual(events[0].before, { [BLASTING]: true });
+    assert.deepEqual(events[0].after, { [BLASTING]: false });
+
+    const { status, body } = await call('GET', `/api/reversal-journals/${MINING}?dateFrom=2026-04-01&dateTo=2026-05-31`);
+    assert.equal(status, 200, JSON.stringify(body));
+    const excluded = Object.fromEntries(body.reversalJournals.map((j) => [j.journalID, j.excluded]));
+    assert.deepEqual(excluded, { [BLASTING]: false, [HAULAGE]: true });
+
+    const haulage = body.reversalJournals.find((j) => j.journalID === HAULAGE);
+    const impact = haulage.lines
+        .filter((l) => l.plCategory !== 'other')
+        .reduce((sum, l) => sum + l.lineAmount, 0);
+    assert.notEqual(impact, 0);
+    assert.equal(body.plImpact.netProfitAdjustment, impact);
+});
+
+test('an entity outside the key\'s scope is refused and nothing is written', async () => {
+    const before = { overrides: overrides.length, events: events.length };
+    const { status, body } = await call('POST', '/api/reversal-overrides/bulk', {
+        tenantId: PROPERTY,
+        overrides: [{ journalId: HAULAGE, excluded: false }],
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error.code, 'FORBIDDEN');
+    assert.deepEqual({ overrides: overrides.length, events: events.length }, before);
+});
+
+test('a malformed body is rejected', async () => {
+    const { status, body } = await call('POST', '/api/reversal-overrides/bulk', {
+        tenantId: MINING,
+        overrides: [{ journalId: HAULAGE, excluded: 'maybe' }],
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'VALIDATION_FAILED');
+});
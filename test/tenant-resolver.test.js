@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createTenantResolver } from '../lib/tenant-resolver.js';
+
+const TENANTS = JSON.parse(readFileSync(new URL('../fixtures/xero/tenants.json', import.meta.url), 'utf8'));
+const idOf = (key) => TENANTS.find((t) => t.key === key).tenantId;
+const MINING = idOf('mining');
+const PROPERTY = idOf('property');
+
+// tenant_aliases in memory: the list read, the upsert and the scoped delete.
+function fakePool() {
+    const rows = [];
+    return {
+        rows,
+        async query(sql, params = []) {
+            if (sql.startsWith('SELECT alias, tenant_id')) return { rows: [...rows] };
+            if (sql.startsWith('INSERT INTO tenant_aliases')) {
+                const [alias, tenant_id, created_by] = params;
+                const i = rows.findIndex((r) => r.alias.toLowerCase() === alias.toLowerCase());
+                if (i !== -1) rows.splice(i, 1);
+                rows.push({ alias, tenant_id, created_by });
+                return { rows: [] };
+            }
+            if (sql.startsWith('DELETE FROM tenant_aliases')) {
+                const [alias, tenants] = params;
+                const i = rows.findIndex((r) => r.alias.toLowerCase() === alias.toLowerCase()
+                    && (!tenants || tenants.includes(r.tenant_id.toLowerCase())));
+                return { rows: i === -1 ? [] : rows.splice(i, 1) };
+            }
+            throw new Error(`fakePool: unexpected query ${sql}`);
+        },
+    };
+}
+
+function resolver(pool = fakePool()) {
+    return createTenantResolver({
+        pool,
+        listTenants: async () => TENANTS.map((t) => ({ tenantId: t.tenantId, tenantName: t.tenantName, connected: true })),
+    });
+}
+
+test('a scoped caller can alias an entity inside their scope', async () => {
+    const created = await resolver().addAlias('RMPL', 'Mining', { createdBy: 'analyst@rirratjingu.com', tenants: [MINING] });
+    assert.equal(created.tenantId, MINING);
+});
+
+test('a scoped caller cannot resolve or alias an entity outside their scope', async () => {
+    const pool = fakePool();
+    const r = resolver(pool);
+    await assert.rejects(
+        r.addAlias('Maintenance', 'Property', { tenants: [MINING] }),
+        (err) => err.code === 'TENANT_NOT_FOUND' && !JSON.stringify(err).includes(PROPERTY)
+    );
+    await assert.rejects(r.addAlias('Maintenance', PROPERTY, { tenants: [MINING] }), { code: 'TENANT_NOT_FOUND' });
+    assert.equal(pool.rows.length, 0);
+});
+
+test('a clash with an entity outside the scope is refused without naming it', async () => {
+    await assert.rejects(
+        resolver().addAlias('Property', 'Mining', { tenants: [MINING] }),
+        (err) => err.code === 'CONFLICT' && !err.candidates && !err.message.includes('Property Management')
+    );
+});
+
+test('a scoped caller cannot remove an alias of an entity outside their scope', async () => {
+    const pool = fakePool();
+    const r = resolver(pool);
+    await r.addAlias('Maintenance', 'Property');
+
+    assert.equal(await r.removeAlias('maintenance', { tenants: [MINING] }), null);
+    assert.equal(pool.rows.length, 1);
+    assert.deepEqual(await r.removeAlias('maintenance'), { alias: 'Maintenance', tenantId: PROPERTY });
+});